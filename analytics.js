@@ -0,0 +1,215 @@
+// 跨测试数据分析
+// 按日期和测试信息（车辆、软件版本、路线等）筛选测试，计算每小时问题数趋势、高频子类型和测试对比，并把图表拼成SVG。
+// 不依赖DOM和在线图表库，浏览器和Node (测试) 中都可以使用。
+
+// Node 中从 session-report.js 引入，浏览器中使用全局函数
+const analyticsReport = typeof require === 'function' ? require('./session-report.js') : { issuesPerHour, escapeReportHtml };
+
+// 测试开始日期（本地时间）YYYY-MM-DD
+function getSessionDateKey(session) {
+    const date = new Date(session.startTime);
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// filters: { from, to (YYYY-MM-DD，含当天), 以及测试信息字段如 vehicleId、routeName }，空值表示不限
+function filterSessions(sessions, filters = {}) {
+    const { from, to, ...fields } = filters;
+    return sessions.filter(session => {
+        const dateKey = getSessionDateKey(session);
+        return (!from || dateKey >= from) &&
+            (!to || dateKey <= to) &&
+            Object.entries(fields).every(([key, value]) => !value || session[key] === value);
+    });
+}
+
+// 筛选项：每个字段在测试中出现过的值
+function listFilterOptions(sessions, keys) {
+    return Object.fromEntries(keys.map(key => [
+        key,
+        [...new Set(sessions.map(session => session[key]).filter(Boolean))].sort()
+    ]));
+}
+
+function groupRecordsBySession(records) {
+    const groups = new Map();
+    records.forEach(record => {
+        if (!groups.has(record.sessionId)) {
+            groups.set(record.sessionId, []);
+        }
+        groups.get(record.sessionId).push(record);
+    });
+    return groups;
+}
+
+// 按日期汇总每类问题的数量和每小时问题数，getDuration(session) 返回不含暂停的毫秒数
+// 返回 [{ date, activeMs, total, counts: { [类型]: n }, rates: { [类型]: 每小时 | null } }]，按日期排序
+function buildDailyTrend(sessions, records, taxonomy, getDuration) {
+    const recordsBySession = groupRecordsBySession(records);
+    const typeNames = taxonomy.categories.map(category => category.name);
+    const days = new Map();
+
+    sessions.forEach(session => {
+        const date = getSessionDateKey(session);
+        if (!days.has(date)) {
+            days.set(date, { date, activeMs: 0, total: 0, counts: Object.fromEntries(typeNames.map(name => [name, 0])) });
+        }
+        const day = days.get(date);
+        day.activeMs += getDuration(session);
+        (recordsBySession.get(session.id) || []).forEach(record => {
+            day.total++;
+            if (record.type in day.counts) {
+                day.counts[record.type]++;
+            }
+        });
+    });
+
+    return [...days.values()]
+        .sort((a, b) => a.date.localeCompare(b.date))
+        .map(day => ({
+            ...day,
+            rates: Object.fromEntries(typeNames.map(name => [name, analyticsReport.issuesPerHour(day.counts[name], day.activeMs)]))
+        }));
+}
+
+// 出现次数最多的子类型
+function getTopSubTypes(records, limit = 10) {
+    const counts = new Map();
+    records.forEach(record => {
+        const key = `${record.type}\u0000${record.subType}`;
+        const item = counts.get(key) || { type: record.type, subType: record.subType, count: 0 };
+        item.count++;
+        counts.set(key, item);
+    });
+    return [...counts.values()]
+        .sort((a, b) => b.count - a.count || a.subType.localeCompare(b.subType))
+        .slice(0, limit);
+}
+
+// 每个测试一行，按开始时间倒序
+function compareSessions(sessions, records, taxonomy, getDuration) {
+    const recordsBySession = groupRecordsBySession(records);
+    return [...sessions]
+        .sort((a, b) => new Date(b.startTime) - new Date(a.startTime))
+        .map(session => {
+            const sessionRecords = recordsBySession.get(session.id) || [];
+            const activeMs = getDuration(session);
+            const counts = Object.fromEntries(taxonomy.categories.map(category => [
+                category.name,
+                sessionRecords.filter(record => record.type === category.name).length
+            ]));
+            return {
+                session,
+                activeMs,
+                total: sessionRecords.length,
+                perHour: analyticsReport.issuesPerHour(sessionRecords.length, activeMs),
+                counts
+            };
+        });
+}
+
+// 每小时问题数趋势折线图，每个类型一条线
+function renderTrendChart(trend, taxonomy, { width = 640, height = 260 } = {}) {
+    const escape = analyticsReport.escapeReportHtml;
+    const padding = { top: 16, right: 16, bottom: 40, left: 44 };
+    const plotWidth = width - padding.left - padding.right;
+    const plotHeight = height - padding.top - padding.bottom;
+
+    if (trend.length === 0) {
+        return '<div class="analytics-empty">所选范围内没有测试</div>';
+    }
+    const values = trend.flatMap(day => Object.values(day.rates)).filter(value => value !== null);
+    if (values.length === 0) {
+        return '<div class="analytics-empty">所选范围内没有足够长的测试</div>';
+    }
+
+    const maxValue = Math.max(...values, 1);
+    const step = maxValue <= 5 ? 1 : Math.ceil(maxValue / 5);
+    const top = Math.ceil(maxValue / step) * step;
+    const x = (index) => padding.left + (trend.length === 1 ? plotWidth / 2 : index / (trend.length - 1) * plotWidth);
+    const y = (value) => padding.top + plotHeight - value / top * plotHeight;
+    const round = (value) => Math.round(value * 10) / 10;
+
+    const gridLines = [];
+    for (let value = 0; value <= top; value += step) {
+        gridLines.push(`
+            <line x1="${padding.left}" y1="${round(y(value))}" x2="${width - padding.right}" y2="${round(y(value))}" class="analytics-grid" />
+            <text x="${padding.left - 6}" y="${round(y(value)) + 4}" text-anchor="end" class="analytics-axis">${value}</text>`);
+    }
+
+    // 日期太多时隔几个显示一个
+    const labelEvery = Math.ceil(trend.length / 8);
+    const dateLabels = trend.map((day, index) => (index % labelEvery === 0 || index === trend.length - 1) ? `
+            <text x="${round(x(index))}" y="${height - padding.bottom + 18}" text-anchor="middle" class="analytics-axis">${day.date.slice(5)}</text>` : '').join('');
+
+    const series = taxonomy.categories.map(category => {
+        const points = trend
+            .map((day, index) => ({ day, index, value: day.rates[category.name] }))
+            .filter(point => point.value !== null);
+        if (points.length === 0) return '';
+
+        const line = points.length > 1
+            ? `<polyline points="${points.map(point => `${round(x(point.index))},${round(y(point.value))}`).join(' ')}" fill="none" stroke="${escape(category.color)}" stroke-width="2" />`
+            : '';
+        const dots = points.map(point => `
+            <circle cx="${round(x(point.index))}" cy="${round(y(point.value))}" r="4" fill="${escape(category.color)}"><title>${escape(`${point.day.date} ${category.name}: ${point.value} 个/小时`)}</title></circle>`).join('');
+        return line + dots;
+    }).join('');
+
+    const legend = taxonomy.categories.map((category, index) => `
+            <g transform="translate(${padding.left + index * 110}, ${height - 10})">
+                <rect width="10" height="10" y="-9" fill="${escape(category.color)}" />
+                <text x="14" class="analytics-axis">${escape(category.name)}</text>
+            </g>`).join('');
+
+    return `
+        <svg class="analytics-chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="每小时问题数趋势">
+            ${gridLines.join('')}
+            ${dateLabels}
+            ${series}
+            ${legend}
+        </svg>
+    `;
+}
+
+// 高频子类型横向条形图，colorOf(type) 返回类型颜色
+function renderTopSubTypesChart(items, colorOf, { width = 640 } = {}) {
+    const escape = analyticsReport.escapeReportHtml;
+    if (items.length === 0) {
+        return '<div class="analytics-empty">所选范围内没有问题记录</div>';
+    }
+
+    const rowHeight = 26;
+    const labelWidth = 160;
+    const barWidth = width - labelWidth - 50;
+    const maxCount = Math.max(...items.map(item => item.count));
+    const height = items.length * rowHeight + 8;
+
+    const rows = items.map((item, index) => {
+        const y = index * rowHeight + 4;
+        const length = Math.max(2, Math.round(item.count / maxCount * barWidth));
+        return `
+            <text x="${labelWidth - 8}" y="${y + 16}" text-anchor="end" class="analytics-label">${escape(`${item.type} - ${item.subType}`)}</text>
+            <rect x="${labelWidth}" y="${y + 4}" width="${length}" height="16" rx="3" fill="${escape(colorOf(item.type))}" />
+            <text x="${labelWidth + length + 6}" y="${y + 16}" class="analytics-axis">${item.count}</text>`;
+    }).join('');
+
+    return `
+        <svg class="analytics-chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="高频子类型">
+            ${rows}
+        </svg>
+    `;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        getSessionDateKey,
+        filterSessions,
+        listFilterOptions,
+        buildDailyTrend,
+        getTopSubTypes,
+        compareSessions,
+        renderTrendChart,
+        renderTopSubTypesChart
+    };
+}
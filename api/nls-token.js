@@ -0,0 +1,179 @@
+// 阿里云智能语音交互 Token 服务（Vercel Function）
+// AccessKey 只保存在服务端的环境变量中，浏览器只知道本服务地址和 App Key，
+// 由这里签名调用 CreateToken，返回有效期较短的 NLS Token。
+// 部署到 Vercel 后地址为 /api/nls-token；也可以用 Node 直接运行（见 README）。
+//
+// 环境变量:
+//   ALIYUN_ACCESS_KEY_ID / ALIYUN_ACCESS_KEY_SECRET  必填，建议使用只有语音识别权限的 RAM 子账号
+//   NLS_APP_KEYS          允许的 App Key，逗号分隔；不设置时不校验
+//   ALLOWED_ORIGINS       允许跨域调用的页面地址，逗号分隔；不设置时只允许同域名的页面
+//   NLS_BROKER_KEY        设置后请求必须带 X-Broker-Key 请求头且与之相同。Origin 只是浏览器自报的，
+//                         curl 等非浏览器客户端可以随意填写，公开部署时应设置该密钥
+//   NLS_TOKEN_URL         CreateToken 接口地址，本地调试时可指向 tools/mock-nls-server.js
+//
+// GET /api/nls-token?appkey=xxx，返回与 CreateToken 相同的格式:
+//   { Token: { Id, ExpireTime } }，ExpireTime 为 Unix 时间戳（秒）
+
+const crypto = require('crypto');
+
+const DEFAULT_TOKEN_URL = 'https://nls-meta.cn-shanghai.aliyuncs.com/';
+const TOKEN_REFRESH_MARGIN_S = 10 * 60; // 剩余不到10分钟的Token不再发给客户端
+const BROKER_KEY_HEADER = 'x-broker-key';
+
+const splitList = (value) => String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+function readEnvConfig(env = process.env) {
+    return {
+        accessKeyId: env.ALIYUN_ACCESS_KEY_ID || '',
+        accessKeySecret: env.ALIYUN_ACCESS_KEY_SECRET || '',
+        appKeys: splitList(env.NLS_APP_KEYS),
+        allowedOrigins: splitList(env.ALLOWED_ORIGINS),
+        brokerKey: env.NLS_BROKER_KEY || '',
+        tokenUrl: env.NLS_TOKEN_URL || DEFAULT_TOKEN_URL
+    };
+}
+
+// 阿里云 POP 签名要求 RFC 3986 编码，encodeURIComponent 不编码 !'()*
+function percentEncode(value) {
+    return encodeURIComponent(value).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+// 生成带签名的 CreateToken 请求地址 (HMAC-SHA1，签名版本 1.0)
+function signCreateTokenUrl({ accessKeyId, accessKeySecret, tokenUrl = DEFAULT_TOKEN_URL, timestamp, nonce }) {
+    const params = {
+        AccessKeyId: accessKeyId,
+        Action: 'CreateToken',
+        Format: 'JSON',
+        RegionId: 'cn-shanghai',
+        SignatureMethod: 'HMAC-SHA1',
+        SignatureNonce: nonce || crypto.randomUUID(),
+        SignatureVersion: '1.0',
+        Timestamp: timestamp || new Date().toISOString().replace(/\.\d{3}Z$/, 'Z'),
+        Version: '2019-02-28'
+    };
+    const query = Object.keys(params).sort()
+        .map(key => `${percentEncode(key)}=${percentEncode(params[key])}`)
+        .join('&');
+    const stringToSign = `GET&${percentEncode('/')}&${percentEncode(query)}`;
+    const signature = crypto.createHmac('sha1', `${accessKeySecret}&`).update(stringToSign).digest('base64');
+    return `${tokenUrl}?${query}&Signature=${percentEncode(signature)}`;
+}
+
+// 比较摘要，耗时与内容无关，避免按响应时间逐位猜出密钥
+function isSameSecret(provided, expected) {
+    const digest = (value) => crypto.createHash('sha256').update(String(value)).digest();
+    return crypto.timingSafeEqual(digest(provided), digest(expected));
+}
+
+// file:// 打开的页面 Origin 为 "null"，按跨域处理
+function isSameHost(origin, host) {
+    try {
+        return new URL(origin).host === host;
+    } catch (error) {
+        return false;
+    }
+}
+
+function sendJson(res, status, body, headers = {}) {
+    res.statusCode = status;
+    res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    // Token 不能被浏览器或 CDN 缓存
+    res.setHeader('Cache-Control', 'no-store');
+    Object.entries(headers).forEach(([key, value]) => res.setHeader(key, value));
+    res.end(JSON.stringify(body));
+}
+
+// 返回 (req, res) 处理函数；options 默认读取环境变量，fetch 和 now 供测试替换
+function createTokenBroker(options = readEnvConfig()) {
+    const config = { tokenUrl: DEFAULT_TOKEN_URL, appKeys: [], allowedOrigins: [], brokerKey: '', ...options };
+    const fetchImpl = config.fetch || fetch;
+    const now = config.now || (() => Date.now());
+    // 同一个实例在 Token 过期前复用，减少 CreateToken 调用
+    let cached = null;
+    let pending = null;
+
+    const requestToken = async () => {
+        const response = await fetchImpl(signCreateTokenUrl(config));
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok || !data.Token || !data.Token.Id) {
+            console.error('❌ CreateToken 失败:', response.status, data.Code, data.Message);
+            throw Object.assign(new Error(data.Message || `CreateToken 返回 HTTP ${response.status}`), { code: data.Code });
+        }
+        return { Id: data.Token.Id, ExpireTime: data.Token.ExpireTime };
+    };
+
+    const getToken = async () => {
+        if (cached && cached.ExpireTime - TOKEN_REFRESH_MARGIN_S > now() / 1000) {
+            return cached;
+        }
+        if (!pending) {
+            pending = requestToken()
+                .then(token => {
+                    cached = token;
+                    return token;
+                })
+                .finally(() => {
+                    pending = null;
+                });
+        }
+        return pending;
+    };
+
+    return async function handleTokenRequest(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+        const origin = req.headers.origin;
+        const corsHeaders = origin && config.allowedOrigins.includes(origin)
+            ? { 'Access-Control-Allow-Origin': origin, Vary: 'Origin' }
+            : {};
+
+        // 同域名的请求不一定带 Origin；带了且不在允许列表中的跨域请求拒绝
+        const host = req.headers['x-forwarded-host'] || req.headers.host;
+        if (origin && !corsHeaders['Access-Control-Allow-Origin'] && !isSameHost(origin, host)) {
+            sendJson(res, 403, { Code: 'Forbidden.Origin', Message: '不允许从该页面获取Token' });
+            return;
+        }
+
+        if (req.method === 'OPTIONS') {
+            res.statusCode = 204;
+            Object.entries({
+                ...corsHeaders,
+                'Access-Control-Allow-Methods': 'GET',
+                'Access-Control-Allow-Headers': 'X-Broker-Key'
+            }).forEach(([key, value]) => res.setHeader(key, value));
+            res.end();
+            return;
+        }
+        if (req.method !== 'GET') {
+            sendJson(res, 405, { Code: 'MethodNotAllowed', Message: '只支持 GET' }, corsHeaders);
+            return;
+        }
+
+        if (config.brokerKey && !isSameSecret(req.headers[BROKER_KEY_HEADER] || '', config.brokerKey)) {
+            sendJson(res, 401, { Code: 'Unauthorized.BrokerKey', Message: 'Token服务密钥错误' }, corsHeaders);
+            return;
+        }
+
+        if (!config.accessKeyId || !config.accessKeySecret) {
+            sendJson(res, 500, { Code: 'Broker.NotConfigured', Message: 'Token服务未配置 AccessKey' }, corsHeaders);
+            return;
+        }
+
+        const appKey = url.searchParams.get('appkey') || '';
+        if (!appKey || (config.appKeys.length > 0 && !config.appKeys.includes(appKey))) {
+            sendJson(res, 403, { Code: 'Forbidden.AppKey', Message: 'App Key 不在允许列表中' }, corsHeaders);
+            return;
+        }
+
+        try {
+            const token = await getToken();
+            sendJson(res, 200, { Token: token }, corsHeaders);
+        } catch (error) {
+            sendJson(res, 502, { Code: error.code || 'Broker.UpstreamError', Message: `获取Token失败: ${error.message}` }, corsHeaders);
+        }
+    };
+}
+
+module.exports = createTokenBroker();
+module.exports.createTokenBroker = createTokenBroker;
+module.exports.signCreateTokenUrl = signCreateTokenUrl;
+module.exports.readEnvConfig = readEnvConfig;
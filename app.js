@@ -3,7 +3,38 @@ class RoadTestRecorder {
         STOPPED: 'stopped',
         STARTING: 'starting',
         RECORDING: 'recording',
-        PAUSING: 'pausing'
+        PAUSING: 'pausing',
+        PAUSED: 'paused'
+    };
+
+    // 问题记录的严重程度
+    static SEVERITY_LEVELS = {
+        low: '轻微',
+        medium: '一般',
+        high: '严重',
+        critical: '致命'
+    };
+
+    // 修改记录中可编辑的字段
+    static RECORD_FIELD_LABELS = {
+        type: '类型',
+        subType: '子类型',
+        severity: '严重程度',
+        note: '备注'
+    };
+
+    // 修改记录的来源
+    static RECORD_EDIT_SOURCES = {
+        manual: '手动',
+        voice: '语音',
+        undo: '撤销',
+        redo: '恢复'
+    };
+
+    // 需要口头确认的语音指令
+    static VOICE_COMMAND_LABELS = {
+        stop: '结束测试',
+        deleteLast: '删除上一条记录'
     };
 
     constructor() {
@@ -13,61 +44,81 @@ class RoadTestRecorder {
         this.testSessions = []; // 测试会话历史
         this.currentSession = null;
         this.timerInterval = null;
-        this.startTime = null;
         this.displayTimer = null;
         this.debugTimer = null;
         this.lastRecentData = null;
+        this.openMapSessionId = null; // 测试记录中展开地图的会话
+        this.openRecordsSessionId = null; // 测试记录中展开记录列表的会话
+        this.analyticsFilters = { from: '', to: '' }; // 数据分析的筛选条件，另有测试信息字段
+        this.historySearch = ''; // 测试记录按名称和测试信息搜索
+        this.recordEditor = null; // 正在编辑的记录 { recordId, location: 'recent' | 'history' }
+        this.undoHistory = new UndoHistory(); // 记录和会话操作的撤销/恢复
+        this.notificationTimer = null;
         this.urlObjectsToCleanup = new Set();
+        this.store = null; // IndexedDB存储，不可用时回退到localStorage
+        this.storageReady = false; // 数据加载完成前不能开始测试，否则新记录会被加载结果覆盖
+        this.lastRecordId = 0;
+        this.lastSessionPersistAt = 0;
         
-        // 阿里云实时语音识别API配置
-        this.aliyunConfig = {
-            accessKeyId: '', // 待填入
-            accessKeySecret: '', // 待填入
-            appKey: '', // 待填入
-            // WebSocket实时识别URL
-            wsUrl: '', // 待填入具体地址
-            // 音频参数 (阿里云支持多种格式)
-            sampleRate: 16000,
-            encoding: 'PCM', // PCM/WAV/OGG/MP3/AAC
-            channels: 1,
-            // 识别参数
-            language: 'zh-CN',
-            enablePunctuation: true, // 启用标点符号
-            enableIntermediateResult: true, // 中间结果
-            enableInverseTextNormalization: true // 数字转换
-        };
+        // 语音识别服务配置，provider 决定使用哪个识别服务
+        this.speechConfig = this.loadSpeechConfig();
+        this.speechProvider = null;
         
-        // WebSocket连接相关
-        this.websocket = null;
-        this.wsReconnectAttempts = 0;
-        this.maxReconnectAttempts = 3;
-        this.connectionRetryDelay = 5000; // 5秒重试延迟
+        // GPS定位相关
+        this.locationWatchId = null;
+        this.lastLocationFix = null;
+        this.maxFixAge = MAX_FIX_AGE_MS;
         
         // 录音相关
-        this.mediaRecorder = null;
-        this.audioChunks = [];
         this.isRecordingAudio = false;
         
+        // 问题音频片段（按测试开启）
+        this.clipSettings = this.loadClipSettings();
+        this.clipBuffer = null;
+        this.pendingClips = new Map(); // 记录ID -> 等待录完"问题后"音频的定时器
+        this.clipAudio = null;
+        
+        // 识别不可用期间的语音（按静音切分后缓存），恢复后补充识别并按采集时间补记
+        this.audioQueue = new OfflineAudioQueue();
+        this.offlineSegmenter = null;
+        this.audioQueueRetryAt = 0;
+        this.audioQueueRetryTimer = null;
+        this.audioQueueFullWarned = false;
+        
+        // 记录和结束的会话推送到同步服务器，未配置时不启用
+        this.syncClient = new SyncClient({
+            ...loadSyncConfig(),
+            deviceId: getSyncDeviceId(),
+            onSynced: (items, syncedAt) => this.applySyncResult(items, { syncStatus: 'synced', syncedAt }),
+            onFailed: (items, error) => this.applySyncResult(items, { syncStatus: 'error' }, error)
+        });
+        
+        // 下一次测试的测试信息，默认是上次填写的内容
+        this.sessionMetadataDraft = loadSessionMetadataDefaults();
+        
+        // 语音指令：等待"确认"的危险指令，以及播报反馈期间忽略回声
+        this.pendingConfirmation = null;
+        this.isSpeakingFeedback = false;
+        this.ignoreVoiceUntil = 0;
+        
+        // 问题分类定义
+        this.applyTaxonomy(loadTaxonomy());
+        this.renderSessionMetadataForm();
+        
         // 初始化录音功能（暂不立即连接WebSocket）
         this.initAudioRecording();
         
         // 绑定事件
         this.bindEvents();
         
-        // 加载数据
-        this.loadData();
-        this.loadSessionData();
-        this.loadApiKey();
+        // 加载数据（IndexedDB异步加载完成后刷新界面）
+        this.initStorage();
         
         // 更新UI
         this.updateUI();
         
-        
-        // 测试签名算法
-        this.testSignatureAlgorithm();
-        
-        // 测试字幕显示功能
-        this.testSubtitleDisplay();
+        // 离线缓存和网络状态
+        this.initOfflineSupport();
     }
     
     // 重置录制状态的紧急方法
@@ -85,74 +136,6 @@ class RoadTestRecorder {
         console.log('✅ 状态重置完成');
     }
 
-    async testBaiduAPIConnection() {
-        console.log('🔍 开始百度API连接测试...');
-        console.log('📋 API配置检查:', {
-            appId: this.baiduConfig.appId,
-            hasApiKey: !!this.baiduConfig.apiKey,
-            hasSecretKey: !!this.baiduConfig.secretKey,
-            apiKeyLength: this.baiduConfig.apiKey ? this.baiduConfig.apiKey.length : 0,
-            secretKeyLength: this.baiduConfig.secretKey ? this.baiduConfig.secretKey.length : 0,
-            tokenUrl: this.baiduConfig.tokenUrl,
-            asrUrl: this.baiduConfig.asrUrl
-        });
-        
-        if (!this.baiduConfig.apiKey || !this.baiduConfig.secretKey) {
-            console.error('❌ 百度API配置不完整');
-            this.showDebugInfo('❌ 百度API配置不完整');
-            return false;
-        }
-
-        // 测试网络连接
-        console.log('🌐 测试网络连接...');
-        try {
-            const networkTest = await fetch('https://www.baidu.com', { 
-                method: 'HEAD',
-                mode: 'no-cors'  // 避免CORS问题
-            });
-            console.log('✅ 网络连接正常');
-        } catch (error) {
-            console.error('❌ 网络连接失败:', error.message);
-            this.showDebugInfo('❌ 网络连接失败');
-            return false;
-        }
-
-        // 测试Token获取
-        console.log('🔑 测试Token获取...');
-        try {
-            const startTime = performance.now();
-            const token = await this.getBaiduAccessToken();
-            const endTime = performance.now();
-            
-            if (token) {
-                console.log('✅ Token获取成功:', {
-                    token长度: token.length,
-                    耗时: Math.round(endTime - startTime) + 'ms',
-                    token前缀: token.substring(0, 20) + '...'
-                });
-                this.showDebugInfo('✅ 百度API连接正常');
-                return true;
-            } else {
-                console.error('❌ Token为空');
-                this.showDebugInfo('❌ 无法获取access_token');
-                return false;
-            }
-        } catch (error) {
-            console.error('❌ API连接测试失败:', {
-                错误类型: error.name,
-                错误信息: error.message,
-                错误堆栈: error.stack
-            });
-            
-            if (error.name === 'TypeError' && error.message.includes('fetch')) {
-                this.showDebugInfo('❌ 网络请求被阻止，可能是CORS问题');
-            } else {
-                this.showDebugInfo(`❌ API连接失败: ${error.message}`);
-            }
-            return false;
-        }
-    }
-
     async initAudioRecording() {
         try {
             // 清理旧的音频流和上下文
@@ -161,6 +144,7 @@ class RoadTestRecorder {
             }
             if (this.audioContext) {
                 await this.audioContext.close();
+                this.audioContext = null;
             }
             
             // 录音参数，优化为阿里云API要求的格式
@@ -176,27 +160,28 @@ class RoadTestRecorder {
             
             this.audioStream = stream;
             
-            // 创建音频上下文用于直接获取PCM数据
-            this.audioContext = new (window.AudioContext || window.webkitAudioContext)({
-                sampleRate: 16000
-            });
-            
-            this.audioSource = this.audioContext.createMediaStreamSource(stream);
-            
-            // 使用ScriptProcessor直接获取PCM数据
-            this.scriptProcessor = this.audioContext.createScriptProcessor(1024, 1, 1);
-            
-            this.scriptProcessor.onaudioprocess = (event) => {
-                if (this.isRecordingAudio && this.websocket && this.websocket.readyState === WebSocket.OPEN) {
-                    const inputBuffer = event.inputBuffer.getChannelData(0);
-                    this.sendPCMDataDirectly(inputBuffer);
+            // 创建音频上下文，优先使用16kHz；设备不支持时使用默认采样率，由采集节点重采样
+            const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+            try {
+                this.audioContext = new AudioContextClass({ sampleRate: PCM_SAMPLE_RATE });
+                this.audioSource = this.audioContext.createMediaStreamSource(stream);
+            } catch (error) {
+                // 部分浏览器（如 Firefox）不能把其它采样率的麦克风接到16kHz的上下文
+                console.warn('⚠️ 无法使用16kHz音频上下文，改用设备默认采样率:', error.message);
+                if (this.audioContext) {
+                    this.audioContext.close();
                 }
-            };
+                this.audioContext = new AudioContextClass();
+                this.audioSource = this.audioContext.createMediaStreamSource(stream);
+            }
             
-            // 连接音频节点
-            this.audioSource.connect(this.scriptProcessor);
-            this.scriptProcessor.connect(this.audioContext.destination);
+            // 采集节点输出16kHz Int16 音频包
+            this.captureNode = await this.createCaptureNode();
+            this.audioSource.connect(this.captureNode);
+            this.captureNode.connect(this.audioContext.destination);
             console.log('🎤 音频流初始化成功:', {
+                采集方式: this.captureMode,
+                采样率: this.audioContext.sampleRate,
                 活跃状态: stream.active,
                 音频轨道数: stream.getAudioTracks().length,
                 轨道状态: stream.getAudioTracks().map(track => ({
@@ -205,13 +190,49 @@ class RoadTestRecorder {
                     readyState: track.readyState
                 }))
             });
-            this.showDebugInfo('🎤 录音设备初始化成功');
+            this.showDebugInfo(`🎤 录音设备初始化成功 (${this.captureMode})`);
         } catch (error) {
             console.error('录音设备初始化失败:', error);
             this.showDebugInfo('❌ 录音设备初始化失败');
         }
     }
 
+    // 重采样、转换和分包在 AudioWorklet 的音频线程中完成（pcm-capture-worklet.js），界面卡顿时不丢音频；
+    // 不支持 AudioWorklet 的浏览器或 file:// 打开时改用 ScriptProcessor，在主线程中做同样的处理
+    async createCaptureNode() {
+        const context = this.audioContext;
+        const onFrame = (pcm16) => {
+            if (this.isRecordingAudio) {
+                this.sendPCMDataDirectly(pcm16);
+            }
+        };
+
+        if (context.audioWorklet && typeof AudioWorkletNode === 'function') {
+            try {
+                await context.audioWorklet.addModule('pcm-capture-worklet.js');
+                const node = new AudioWorkletNode(context, 'pcm-capture', {
+                    channelCount: 1, // 多声道麦克风混合成单声道
+                    channelCountMode: 'explicit',
+                    processorOptions: { outputSampleRate: PCM_SAMPLE_RATE, frameMs: CAPTURE_FRAME_MS }
+                });
+                node.port.onmessage = (event) => onFrame(event.data);
+                this.captureMode = 'AudioWorklet';
+                return node;
+            } catch (error) {
+                console.warn('⚠️ AudioWorklet不可用，改用ScriptProcessor:', error);
+            }
+        }
+
+        // 缓冲区取大一些，主线程短暂卡顿时不丢音频
+        const framer = new PcmFramer({ inputSampleRate: context.sampleRate, outputSampleRate: PCM_SAMPLE_RATE, onFrame });
+        const processor = context.createScriptProcessor(4096, 1, 1);
+        processor.onaudioprocess = (event) => {
+            framer.push(event.inputBuffer.getChannelData(0));
+        };
+        this.captureMode = 'ScriptProcessor';
+        return processor;
+    }
+
     async startAudioRecording() {
         if (!this.audioStream) {
             this.showDebugInfo('❌ 录音设备未初始化');
@@ -225,622 +246,769 @@ class RoadTestRecorder {
             return this.startAudioRecording();
         }
 
-        console.log('🚀 开始音频录制，使用阿里云API (PCM直传)');
-        
         try {
-            // 使用ScriptProcessor直接获取PCM数据
-            if (!this.audioContext) {
-                this.audioContext = new AudioContext({ sampleRate: 16000 });
-            }
-            
             if (this.audioContext.state === 'suspended') {
                 await this.audioContext.resume();
             }
             
-            const source = this.audioContext.createMediaStreamSource(this.audioStream);
-            this.scriptProcessor = this.audioContext.createScriptProcessor(4096, 1, 1);
-            
-            this.scriptProcessor.onaudioprocess = (e) => {
-                if (this.websocket && this.websocket.readyState === WebSocket.OPEN && this.isRecordingAudio) {
-                    const inputData = e.inputBuffer.getChannelData(0);
-                    const pcm16 = new Int16Array(inputData.length);
-                    
-                    // 转PCM 16bit
-                    for (let i = 0; i < inputData.length; i++) {
-                        const s = Math.max(-1, Math.min(1, inputData[i]));
-                        pcm16[i] = s < 0 ? s * 0x8000 : s * 0x7FFF;
-                    }
-                    
-                    // 直接发送PCM数据
-                    this.websocket.send(pcm16.buffer);
-                    console.log('📡 发送PCM数据:', pcm16.length, 'samples');
-                }
-            };
-            
-            source.connect(this.scriptProcessor);
-            this.scriptProcessor.connect(this.audioContext.destination);
-            
+            // initAudioRecording 中的采集节点开始把PCM交给识别服务
             this.isRecordingAudio = true;
             console.log('✅ PCM实时录音已启动');
             this.showDebugInfo('🎤 PCM实时录音中');
-            
         } catch (error) {
             console.error('❌ 启动PCM录音失败:', error);
             this.showDebugInfo('❌ PCM录音启动失败');
         }
-        
-        // 如果已有MediaRecorder，先清理
-        if (this.mediaRecorder) {
-            try {
-                if (this.mediaRecorder.state !== 'inactive') {
-                    this.mediaRecorder.stop();
+    }
+
+    stopAudioRecording() {
+        this.isRecordingAudio = false;
+        this.showDebugInfo('⏹️ 实时录音已停止');
+    }
+
+    // 语音识别服务配置：{ provider, configs: { [providerId]: {...} } }
+    loadSpeechConfig() {
+        const speechConfig = { provider: DEFAULT_SPEECH_PROVIDER, configs: {} };
+        try {
+            const saved = localStorage.getItem(SPEECH_CONFIG_STORAGE_KEY);
+            if (saved) {
+                const parsed = JSON.parse(saved);
+                if (SPEECH_PROVIDERS[parsed.provider]) {
+                    speechConfig.provider = parsed.provider;
                 }
-            } catch (e) {
-                console.warn('清理旧MediaRecorder时出错:', e);
+                speechConfig.configs = parsed.configs || {};
+                return speechConfig;
             }
-        }
-        
-        // WebSocket实时识别：强制使用WAV格式
-        let options = {};
-        const supportedTypes = [
-            'audio/wav',                  // WebSocket API首选
-            'audio/wav; codecs=1',        // PCM wav
-            'audio/webm',                 // 备用选择（需要转换）
-            'audio/webm;codecs=opus'
-        ];
-        
-        console.log('🔍 浏览器音频格式支持检查:', supportedTypes.map(type => ({
-            格式: type,
-            支持: MediaRecorder.isTypeSupported(type) ? '✅' : '❌'
-        })));
-        
-        for (const type of supportedTypes) {
-            if (MediaRecorder.isTypeSupported(type)) {
-                options = { mimeType: type };
-                console.log('✅ 选择音频格式:', type);
-                break;
+
+            // 兼容旧版本保存的阿里云/百炼配置
+            const legacyAliyun = localStorage.getItem('aliyun_voice_config');
+            if (legacyAliyun) {
+                speechConfig.provider = AliyunRealtimeProvider.id;
+                speechConfig.configs[AliyunRealtimeProvider.id] = JSON.parse(legacyAliyun);
             }
+            const legacyDashScopeKey = localStorage.getItem('aliCloudApiKey');
+            if (legacyDashScopeKey) {
+                speechConfig.configs.dashscope = { apiKey: legacyDashScopeKey };
+            }
+        } catch (error) {
+            console.warn('加载语音识别配置失败:', error);
         }
-        
-        // 如果没有找到支持的格式，使用默认
-        if (!options.mimeType) {
-            console.warn('⚠️ 没有找到理想格式，使用浏览器默认格式');
-        }
-        
-        // 如果不是WAV格式，添加警告
-        if (!options.mimeType || !options.mimeType.includes('wav')) {
-            console.warn('⚠️ 当前格式可能与WebSocket API不兼容:', options.mimeType);
-            this.showDebugInfo('⚠️ 音频格式可能需要优化');
+        return speechConfig;
+    }
+
+    saveSpeechConfig() {
+        localStorage.setItem(SPEECH_CONFIG_STORAGE_KEY, JSON.stringify(this.speechConfig));
+        localStorage.removeItem('aliyun_voice_config');
+        localStorage.removeItem('aliCloudApiKey');
+    }
+
+    getSpeechProviderClass() {
+        return SPEECH_PROVIDERS[this.speechConfig.provider] || SPEECH_PROVIDERS[DEFAULT_SPEECH_PROVIDER];
+    }
+
+    // 按当前配置创建识别服务并订阅识别事件
+    createSpeechProvider() {
+        if (this.speechProvider) {
+            this.speechProvider.disconnect();
         }
-        
-        console.log('🎵 音频格式选择:', {
-            使用格式: options.mimeType || '默认',
-            支持格式: supportedTypes.filter(type => MediaRecorder.isTypeSupported(type))
+
+        const ProviderClass = this.getSpeechProviderClass();
+        const provider = new ProviderClass(this.speechConfig.configs[ProviderClass.id] || {});
+
+        provider.on('partial', (text) => {
+            console.log('🎤 中间识别结果:', text);
+            this.displaySubtitle(text);
+        });
+        provider.on('final', (text) => {
+            this.processVoiceInput(text);
+        });
+        provider.on('error', (error) => {
+            this.showDebugInfo(`❌ ${error.message}`);
+        });
+        provider.on('status', (message) => {
+            this.showDebugInfo(message);
+        });
+        provider.on('segmentFailed', (samples, info) => {
+            this.enqueueOfflineAudio(samples, info.startedAt);
+        });
+        provider.on('connection', (state, info) => {
+            this.updateConnectionStatus(state, info);
+            this.logConnectionEvent(state, info);
         });
-        
-        // 创建新的MediaRecorder实例
-        this.mediaRecorder = new MediaRecorder(this.audioStream, options);
 
-        this.mediaRecorder.ondataavailable = (event) => {
-            console.log('📼 ondataavailable触发:', {
-                数据大小: event.data.size,
-                数据类型: event.data.type,
-                时间戳: new Date().toLocaleTimeString(),
-                录音器状态: this.mediaRecorder.state
-            });
-            
-            if (event.data.size > 0) {
-                console.log('📼 收到有效音频数据:', event.data.size, 'bytes');
-                // 实时发送音频数据到WebSocket
-                this.sendAudioDataToWebSocket(event.data);
-            } else {
-                console.warn('⚠️ 收到空音频数据');
-            }
-        };
+        this.speechProvider = provider;
+        return provider;
+    }
 
-        this.mediaRecorder.onstart = () => {
-            console.log('🎤 MediaRecorder已启动:', {
-                状态: this.mediaRecorder.state,
-                流状态: this.audioStream ? '活跃' : '未获取',
-                轨道数量: this.audioStream ? this.audioStream.getTracks().length : 0,
-                音频轨道: this.audioStream ? this.audioStream.getAudioTracks().map(track => ({
-                    enabled: track.enabled,
-                    muted: track.muted,
-                    readyState: track.readyState
-                })) : []
-            });
-        };
+    // 开始录音并把音频交给当前识别服务
+    async startRecognition() {
+        const provider = this.speechProvider || this.createSpeechProvider();
+        const label = provider.constructor.label;
 
-        this.mediaRecorder.onerror = (event) => {
-            console.error('❌ MediaRecorder错误:', event.error);
-        };
+        if (!provider.isConfigured()) {
+            console.error(`❌ ${label}未配置，无法启动语音识别`);
+            this.showDebugInfo(`❌ ${label}未配置`);
+            this.showNotification(`请先配置${label}`);
+            this.showConfigModal();
+            return;
+        }
 
-        this.mediaRecorder.onstop = () => {
-            const mimeType = this.mediaRecorder.mimeType || 'audio/webm';
-            const audioBlob = new Blob(this.audioChunks, { type: mimeType });
-            console.log('⏹️ 录音停止详情:', {
-                音频大小: audioBlob.size + ' bytes',
-                类型: mimeType,
-                数据块数量: this.audioChunks.length,
-                各块大小: this.audioChunks.map(chunk => chunk.size)
-            });
-            
-            // 检查音频数据是否有效
-            if (audioBlob.size === 0) {
-                console.warn('⚠️ 录音数据为空，跳过处理');
-                return;
+        // 离线时不连接在线识别服务，录音照常进行（问题音频片段），问题可以手动记录；
+        // 能自动重连的服务照常开始，网络恢复后自动连接
+        if (!navigator.onLine && provider.requiresNetwork()) {
+            console.warn(`📴 当前离线，${label}不可用`);
+            this.showDebugInfo(`📴 当前离线，${label}不可用`);
+            this.showNotification(`当前离线，${label}不可用，请手动记录问题`);
+            if (provider.reconnectsAutomatically()) {
+                await provider.start();
             }
-            
-            // 使用百度API处理音频
-            this.processAudioWithBaidu(audioBlob);
-        };
+            await this.startAudioRecording();
+            return;
+        }
 
-        // 禁用MediaRecorder，已由ScriptProcessor处理
-        // this.mediaRecorder.start(200); 
-        // this.isRecordingAudio = true; // 已在ScriptProcessor中设置
-        console.log('✅ 使用ScriptProcessor进行PCM录音');
-    }
+        console.log(`☁️ 使用${label}`);
+        this.showDebugInfo(`☁️ 使用${label}`);
 
-    stopAudioRecording() {
-        this.isRecordingAudio = false;
-        
-        if (this.audioProcessInterval) {
-            clearInterval(this.audioProcessInterval);
-            this.audioProcessInterval = null;
+        try {
+            try {
+                await provider.connect();
+            } catch (error) {
+                if (!provider.reconnectsAutomatically()) throw error;
+                console.warn('⚠️ 语音识别连接失败，自动重试:', error.message);
+                this.showDebugInfo(`⚠️ 语音识别连接失败: ${error.message}，自动重试`);
+            }
+            await provider.start();
+            await this.startAudioRecording();
+        } catch (error) {
+            console.error('❌ 语音识别启动失败:', error);
+            this.showDebugInfo(`❌ 语音识别启动失败: ${error.message}`);
+            // 照常录音，语音进入离线队列，问题音频片段也不受影响
+            await this.startAudioRecording();
         }
+    }
 
-        if (this.mediaRecorder && this.mediaRecorder.state === 'recording') {
-            this.mediaRecorder.stop();
+    async stopRecognition() {
+        this.stopAudioRecording();
+        this.flushOfflineSegmenter();
+        if (this.speechProvider) {
+            await this.speechProvider.stop();
         }
-        
-        // 发送结束帧到WebSocket
-        this.sendFinishFrame();
-        
-        this.showDebugInfo('⏹️ 实时录音已停止');
     }
 
-    sendFinishFrame() {
-        if (this.websocket && this.websocket.readyState === WebSocket.OPEN && this.isTranscriptionStarted) {
-            // 阿里云API规范的结束消息
-            const stopMessage = {
-                header: {
-                    message_id: this.generateMessageId(),
-                    task_id: this.currentTaskId,
-                    namespace: 'SpeechTranscriber',
-                    name: 'StopTranscription',
-                    appkey: this.aliyunConfig.appKey
-                },
-                payload: {}
-            };
-            
-            console.log('📤 发送阿里云结束识别消息:', stopMessage);
-            this.websocket.send(JSON.stringify(stopMessage));
-            this.isTranscriptionStarted = false;
-        } else {
-            console.warn('⚠️ WebSocket未连接或识别未开始，无法发送结束标志');
+    // 采集节点输出的16kHz PCM包直接交给识别服务，开启音频片段时同时写入环形缓冲区
+    sendPCMDataDirectly(pcm16) {
+        if (this.clipBuffer) {
+            this.clipBuffer.push(pcm16);
         }
-    }
 
-    async getBaiduAccessToken() {
+        if (!this.speechProvider) return;
+
+        // 识别不可用时语音放进离线队列，恢复后补充识别
+        if (this.shouldQueueAudio()) {
+            this.queueOfflineAudio(pcm16);
+            return;
+        }
+        // 识别恢复时把还没说完的一段也放进队列
+        this.flushOfflineSegmenter();
+
         try {
-            // 检查是否已有有效的token
-            if (this.baiduConfig.accessToken && this.baiduConfig.tokenExpireTime > Date.now()) {
-                console.log('✅ 使用缓存的百度access_token');
-                return this.baiduConfig.accessToken;
-            }
+            this.speechProvider.sendAudio(pcm16);
+        } catch (error) {
+            console.error('❌ 发送PCM数据失败:', error);
+        }
+    }
 
-            console.log('🔄 获取新的百度access_token...');
-            console.log('📋 请求参数:', {
-                grant_type: 'client_credentials',
-                client_id: this.baiduConfig.apiKey,
-                client_secret: this.baiduConfig.secretKey ? '***已设置***' : '未设置',
-                url: this.baiduConfig.tokenUrl
-            });
-            
-            const params = new URLSearchParams({
-                grant_type: 'client_credentials',
-                client_id: this.baiduConfig.apiKey,
-                client_secret: this.baiduConfig.secretKey
+    // 断网、连接失败或重连放弃时 provider 不再 ready；不支持补充识别的服务不缓存
+    shouldQueueAudio() {
+        const provider = this.speechProvider;
+        return this.isRecording && provider.canTranscribe() && (!navigator.onLine || !provider.isReady());
+    }
+
+    queueOfflineAudio(pcm16) {
+        if (!this.offlineSegmenter) {
+            this.offlineSegmenter = new SilenceSegmenter({
+                onSegment: (samples, info) => this.enqueueOfflineAudio(samples, info.startedAt)
             });
+            console.warn('📥 语音识别不可用，语音暂存到离线队列');
+            this.showDebugInfo('📥 语音识别不可用，语音暂存，恢复后自动识别');
+        }
+        // 传入这段音频开始采集的时间
+        this.offlineSegmenter.push(pcm16, Date.now() - pcm16.length * 1000 / PCM_SAMPLE_RATE);
+    }
 
-            console.log('📤 发送Token请求到:', `${this.baiduConfig.tokenUrl}?${params}`);
+    flushOfflineSegmenter() {
+        if (this.offlineSegmenter) {
+            this.offlineSegmenter.flush();
+            this.offlineSegmenter = null;
+        }
+    }
 
-            // 尝试使用 no-cors 模式，但这可能导致无法读取响应
-            let response;
-            try {
-                response = await fetch(`${this.baiduConfig.tokenUrl}?${params}`, {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/x-www-form-urlencoded'
-                    }
-                });
-            } catch (corsError) {
-                console.warn('⚠️ CORS错误，尝试no-cors模式:', corsError.message);
-                // 这种模式下我们无法读取响应内容，但可以确认是否是CORS问题
-                response = await fetch(`${this.baiduConfig.tokenUrl}?${params}`, {
-                    method: 'POST',
-                    mode: 'no-cors',
-                    headers: {
-                        'Content-Type': 'application/x-www-form-urlencoded'
-                    }
-                });
-                
-                if (response.type === 'opaque') {
-                    throw new Error('CORS策略阻止了请求。需要服务器端代理或百度API白名单设置。');
+    // startedAt 为这段语音开始的时间（毫秒）
+    enqueueOfflineAudio(samples, startedAt) {
+        if (!this.currentSession) return;
+
+        this.audioQueue.enqueue({
+            sessionId: this.currentSession.id,
+            capturedAt: new Date(startedAt).toISOString(),
+            samples
+        }).then(entry => {
+            if (!entry) {
+                if (!this.audioQueueFullWarned) {
+                    this.audioQueueFullWarned = true;
+                    this.showNotification('暂存的语音已满30分钟，之后的语音不再保存，请手动记录问题', 5000);
                 }
+                return;
             }
+            this.audioQueueFullWarned = false;
+            this.updateAudioQueueStatus();
+            this.drainAudioQueue();
+        }).catch(error => this.handleStorageError(error));
+        this.updateAudioQueueStatus();
+    }
+
+    // 读出上次页面关闭前没有识别的语音
+    loadAudioQueue() {
+        this.audioQueue.load()
+            .then(count => {
+                if (count === 0) return;
+                console.log(`📥 有 ${count} 段语音等待补充识别`);
+                this.updateAudioQueueStatus();
+                this.drainAudioQueue();
+            })
+            .catch(error => console.warn('加载离线语音队列失败:', error));
+    }
+
+    // 逐段补充识别，结果按采集时间补记到原来的测试；失败时30秒后重试
+    async drainAudioQueue() {
+        const provider = this.speechProvider || this.createSpeechProvider();
+        if (this.audioQueue.size === 0 || this.audioQueue.draining || !navigator.onLine) return;
+        if (!provider.canTranscribe() || Date.now() < this.audioQueueRetryAt) return;
+
+        this.showDebugInfo(`🔄 补充识别暂存的语音 (${this.audioQueue.size} 段)...`);
+        let recognized = 0;
+        try {
+            await this.audioQueue.drain(
+                (samples) => provider.transcribe(samples),
+                (entry, results) => {
+                    recognized++;
+                    const capturedAt = new Date(entry.capturedAt).getTime();
+                    results.forEach(result => {
+                        this.processVoiceInput(result.text, {
+                            sessionId: entry.sessionId,
+                            timestamp: new Date(capturedAt + result.offset).toISOString()
+                        });
+                    });
+                    this.updateAudioQueueStatus();
+                },
+                (entry, error) => {
+                    console.warn('⚠️ 丢弃无法识别的语音:', { 采集时间: entry.capturedAt, 原因: error.message });
+                    this.updateAudioQueueStatus();
+                }
+            );
+        } catch (error) {
+            console.warn('⚠️ 补充识别失败，稍后重试:', error);
+            this.showDebugInfo(`⚠️ 补充识别失败，30秒后重试: ${error.message}`);
+            this.audioQueueRetryAt = Date.now() + 30000;
+            clearTimeout(this.audioQueueRetryTimer);
+            this.audioQueueRetryTimer = setTimeout(() => this.drainAudioQueue(), 30000);
+        }
 
-            console.log('📥 Token请求响应:', {
-                status: response.status,
-                statusText: response.statusText,
-                ok: response.ok,
-                headers: Object.fromEntries(response.headers.entries())
-            });
+        this.updateAudioQueueStatus();
+        if (recognized > 0) {
+            this.showNotification(`已补充识别 ${recognized} 段暂存的语音`);
+        }
+    }
 
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-            }
+    updateAudioQueueStatus() {
+        const badge = document.getElementById('audioQueueBadge');
+        if (!badge) return;
 
-            const result = await response.json();
-            console.log('📥 Token响应数据:', result);
-            
-            if (result.access_token) {
-                this.baiduConfig.accessToken = result.access_token;
-                // Token通常有效期30天，这里设置29天
-                this.baiduConfig.tokenExpireTime = Date.now() + (29 * 24 * 60 * 60 * 1000);
-                console.log('✅ Token获取成功:', {
-                    token长度: result.access_token.length,
-                    过期时间: result.expires_in ? `${result.expires_in}秒后` : '未知',
-                    token前缀: result.access_token.substring(0, 20) + '...'
-                });
-                return result.access_token;
-            } else {
-                const errorMsg = result.error_description || result.error || '未知错误';
-                console.error('❌ API返回错误:', {
-                    error: result.error,
-                    error_description: result.error_description,
-                    完整响应: result
-                });
-                throw new Error(`API错误: ${errorMsg}`);
+        const count = this.audioQueue.size;
+        badge.style.display = count > 0 ? 'inline-block' : 'none';
+        badge.textContent = `待识别 ${count} 段`;
+    }
+
+    // 注册Service Worker缓存应用外壳，并显示网络状态
+    initOfflineSupport() {
+        window.addEventListener('online', () => {
+            this.updateNetworkStatus(true);
+            if (this.speechProvider) {
+                this.speechProvider.reconnectNow();
             }
-        } catch (error) {
-            console.error('❌ Token获取异常详情:', {
-                错误类型: error.name,
-                错误信息: error.message,
-                是否网络错误: error instanceof TypeError,
-                错误堆栈: error.stack
+            this.drainAudioQueue();
+            this.syncClient.flush().catch(() => {});
+        });
+        window.addEventListener('offline', () => this.updateNetworkStatus(true));
+        this.updateNetworkStatus(false);
+
+        // file:// 打开或浏览器不支持时跳过，页面照常使用
+        if (!('serviceWorker' in navigator) || location.protocol === 'file:') return;
+
+        navigator.serviceWorker.register('sw.js')
+            .then(registration => {
+                console.log('📦 离线缓存已启用:', registration.scope);
+            })
+            .catch(error => {
+                console.warn('⚠️ 离线缓存注册失败:', error);
             });
-            
-            if (error instanceof TypeError && error.message.includes('fetch')) {
-                console.error('🚫 这是CORS或网络连接问题');
+    }
+
+    updateNetworkStatus(notify) {
+        const offline = !navigator.onLine;
+        const badge = document.getElementById('offlineBadge');
+        if (badge) {
+            badge.style.display = offline ? 'inline-block' : 'none';
+        }
+        if (!notify) return;
+
+        if (offline) {
+            this.showDebugInfo('📴 网络已断开');
+            this.showNotification('网络已断开，可以继续手动记录问题，记录保存在本机');
+        } else {
+            this.showDebugInfo('📶 网络已恢复');
+            this.showNotification('网络已恢复');
+        }
+    }
+
+    // 标题栏的状态点和文字显示语音识别连接状态 (connection-manager.js)
+    updateConnectionStatus(state, info = {}) {
+        const dot = document.getElementById('connectionStatus');
+        const text = document.getElementById('statusText');
+        const labels = {
+            [CONNECTION_STATES.IDLE]: '系统就绪',
+            [CONNECTION_STATES.CONNECTING]: '正在连接语音识别...',
+            [CONNECTION_STATES.CONNECTED]: '语音识别已连接',
+            [CONNECTION_STATES.RECONNECTING]: `语音识别断开，${Math.ceil((info.delayMs || 0) / 1000)}秒后第${info.attempt}次重连`,
+            [CONNECTION_STATES.FAILED]: '语音识别连接失败'
+        };
+
+        if (dot) {
+            dot.className = `status-dot ${state}`;
+            dot.title = info.reason || '';
+        }
+        if (text) {
+            text.textContent = labels[state] || labels[CONNECTION_STATES.IDLE];
+        }
+
+        if (state === CONNECTION_STATES.RECONNECTING) {
+            this.showDebugInfo(`🔄 ${info.reason}，${labels[state]}`);
+            if (info.attempt === 1) {
+                this.showNotification('语音识别连接断开，正在自动重连，语音暂存后补充识别');
             }
-            
-            return null;
+        } else if (state === CONNECTION_STATES.FAILED) {
+            this.showDebugInfo(`❌ 语音识别无法自动恢复: ${info.reason}`);
+            this.showNotification(`语音识别连接失败: ${info.reason}，请检查语音识别设置`);
+        } else if (state === CONNECTION_STATES.CONNECTED && info.downtimeMs !== undefined) {
+            this.showDebugInfo(`✅ 语音识别已恢复，中断 ${Math.round(info.downtimeMs / 1000)} 秒，重连 ${info.attempt} 次`);
+            this.showNotification('语音识别已恢复');
         }
     }
 
-    async processAudioWithBaidu(audioBlob) {
-        if (!this.baiduConfig.apiKey || !this.baiduConfig.secretKey) {
-            this.showDebugInfo('❌ 请配置百度API Key和Secret Key');
-            return;
+    // 断线、重连和恢复记入进行中的测试会话，报告中统计识别中断
+    logConnectionEvent(state, info = {}) {
+        const session = this.currentSession;
+        if (!session || session.endTime) return;
+
+        const recovered = state === CONNECTION_STATES.CONNECTED && info.downtimeMs !== undefined;
+        if (state !== CONNECTION_STATES.RECONNECTING && state !== CONNECTION_STATES.FAILED && !recovered) return;
+
+        if (!session.connectionEvents) {
+            session.connectionEvents = [];
         }
+        session.connectionEvents.push({
+            time: new Date().toISOString(),
+            state,
+            attempt: info.attempt,
+            reason: info.reason,
+            delayMs: info.delayMs,
+            downtimeMs: info.downtimeMs
+        });
+        this.persistActiveSession();
+    }
 
-        // 检查音频数据是否有效
-        console.log('🎤 音频Blob详情:', {
-            size: audioBlob.size,
-            type: audioBlob.type,
-            lastModified: new Date(audioBlob.lastModified || Date.now()).toLocaleTimeString()
+    // 新增、修改记录和结束测试时调用：先标记为待同步，由调用方保存
+    queueSync({ sessions = [], records = [] }) {
+        if (!this.syncClient.isConfigured) return;
+
+        [...sessions, ...records].forEach(item => {
+            item.syncStatus = 'pending';
+            delete item.syncError;
         });
-        
-        if (!audioBlob || audioBlob.size === 0) {
-            console.warn('⚠️ 音频数据为空，跳过处理');
-            this.showDebugInfo('⚠️ 音频数据为空');
+        this.syncClient.push({ sessions, records });
+        this.updateSyncStatus();
+    }
+
+    // 启动、修改同步设置或手动同步时，重新加入还没有同步成功的数据；进行中的测试结束时再同步会话
+    queueUnsyncedData() {
+        if (!this.syncClient.isConfigured) return 0;
+
+        const sessions = this.testSessions.filter(session => session.syncStatus !== 'synced');
+        const records = this.testData.filter(record => record.syncStatus !== 'synced');
+        if (sessions.length + records.length > 0) {
+            this.queueSync({ sessions, records });
+        }
+        return sessions.length + records.length;
+    }
+
+    // 同步结果写回记录和会话；同步期间被删除的数据直接忽略
+    applySyncResult(items, changes, error = null) {
+        const records = [];
+        items.forEach(item => {
+            const target = item.kind === 'record'
+                ? this.testData.find(record => record.id === item.id)
+                : this.testSessions.find(session => session.id === item.id);
+            if (!target) return;
+
+            Object.assign(target, changes);
+            if (error) {
+                target.syncError = item.error || error.message;
+            } else {
+                delete target.syncError;
+            }
+            if (item.kind === 'record') {
+                records.push(target);
+            } else {
+                this.persistSession(target);
+            }
+        });
+        if (records.length > 0) {
+            this.persistRecords(records);
+        }
+
+        if (error) {
+            console.warn('☁️ 同步失败:', { 数量: items.length, 原因: error.message });
+            this.showNotification(`⚠️ ${items.length} 条数据同步失败: ${error.message}`);
+        } else {
+            console.log('☁️ 已同步:', items.length);
+        }
+        this.lastRecentData = null;
+        this.updateUI();
+    }
+
+    updateSyncStatus() {
+        const badge = document.getElementById('syncBadge');
+        if (!badge) return;
+
+        const failed = [...this.testData, ...this.testSessions].filter(item => item.syncStatus === 'error').length;
+        const pending = this.syncClient.size;
+        badge.style.display = this.syncClient.isConfigured && (pending > 0 || failed > 0) ? 'inline-block' : 'none';
+        badge.classList.toggle('sync-failed', failed > 0);
+        badge.textContent = failed > 0 ? `同步失败 ${failed}` : `待同步 ${pending}`;
+    }
+
+    // 手动同步：失败的数据重新加入队列并立即发送
+    async syncNow() {
+        if (!this.syncClient.isConfigured) {
+            this.showNotification('请先填写同步服务地址');
             return;
         }
-        
-        if (audioBlob.size < 1000) {  // 小于1KB的音频通常无效
-            console.warn('⚠️ 音频数据太短，跳过处理');
-            this.showDebugInfo('⚠️ 音频数据太短');
+        if (this.queueUnsyncedData() === 0) {
+            this.showNotification('✅ 所有数据都已同步');
             return;
         }
 
         try {
-            this.showDebugInfo('🔄 正在使用百度语音识别...');
-            
-            // 获取access_token
-            const token = await this.getBaiduAccessToken();
-            if (!token) {
-                throw new Error('无法获取access_token');
-            }
-            
-            console.log('✅ Access Token获取成功');
-
-            // 转换音频为base64
-            const audioBase64 = await this.blobToBase64(audioBlob);
-            console.log('🎵 音频转换完成:', {
-                原始大小: audioBlob.size + ' bytes',
-                Base64长度: audioBase64.length,
-                预期大小比例: Math.round((audioBase64.length / audioBlob.size) * 100) / 100
-            });
-            
-            // 百度API支持的格式：pcm、wav、amr、m4a
-            // 但是我们录制的是webm/opus，需要特殊处理
-            const mimeType = audioBlob.type || 'audio/webm';
-            let format;
-            
-            if (mimeType.includes('wav')) {
-                format = 'wav';
-            } else if (mimeType.includes('mp4') || mimeType.includes('m4a')) {
-                format = 'm4a';
-            } else if (mimeType.includes('webm') || mimeType.includes('opus')) {
-                // webm/opus格式，尝试告诉百度这是pcm数据
-                format = 'pcm';
-            } else {
-                format = 'pcm'; // 默认使用pcm
-            }
-            
-            console.log('🔍 音频格式分析:', {
-                原始类型: mimeType,
-                使用格式: format,
-                支持状况: MediaRecorder.isTypeSupported(mimeType) ? '✅' : '❌'
-            });
-            
-            // 准备请求参数
-            // 根据格式调整参数
-            let rate = 16000;
-            let devPid = 1537; // 普通话（支持简单的英文识别）
-            
-            if (format === 'pcm') {
-                // PCM格式使用更严格的参数
-                rate = 16000;
-                devPid = 1537;  // 普通话
-            } else if (format === 'wav') {
-                rate = 16000;
-                devPid = 1537;
-            }
-            
-            const requestBody = {
-                format: format,
-                rate: rate,        // 采样率
-                channel: 1,        // 单声道
-                cuid: 'roadtest_recorder_' + Date.now(), // 用户唯一标识
-                token: token,
-                speech: audioBase64,
-                len: audioBlob.size,
-                dev_pid: devPid    // 语言模型
+            const synced = await this.syncClient.flush();
+            this.showNotification(`✅ 已同步 ${synced} 条数据`);
+        } catch (error) {
+            this.showNotification(`⚠️ 同步失败，稍后自动重试: ${error.message}`);
+        } finally {
+            this.updateSyncStatus();
+        }
+    }
+
+    loadClipSettings() {
+        const defaults = { before: 5, after: 3 };
+        try {
+            const saved = JSON.parse(localStorage.getItem('roadTestClipSettings') || '{}');
+            return {
+                before: this.clampClipSeconds(saved.before, defaults.before),
+                after: this.clampClipSeconds(saved.after, defaults.after)
             };
+        } catch (error) {
+            console.warn('加载音频片段设置失败:', error);
+            return defaults;
+        }
+    }
 
-            console.log('📤 发送百度API请求...', {
-                url: this.baiduConfig.asrUrl,
-                bodySize: JSON.stringify(requestBody).length,
-                audioSize: audioBlob.size,
-                format: format
-            });
+    clampClipSeconds(value, fallback) {
+        const seconds = Number(value);
+        if (!isFinite(seconds) || value === '' || value === null || value === undefined) return fallback;
+        return Math.min(30, Math.max(0, Math.round(seconds)));
+    }
 
-            const response = await fetch(this.baiduConfig.asrUrl, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify(requestBody)
-            });
-            
-            console.log('📥 收到百度API响应:', {
-                status: response.status,
-                statusText: response.statusText,
-                ok: response.ok
-            });
+    // 测试信息表单，输入项由 SESSION_METADATA_FIELDS 生成
+    renderSessionMetadataForm() {
+        const container = document.getElementById('sessionMetaFields');
+        if (!container) return;
 
-            const result = await response.json();
-            console.log('📥 百度API详细响应:', {
-                错误码: result.err_no,
-                错误信息: result.err_msg,
-                结果数组: result.result,
-                完整响应: result
-            });
-            
-            if (result.err_no === 0 && result.result && result.result.length > 0) {
-                const text = result.result.join('');
-                console.log('✅ 语音识别成功:', {
-                    识别文本: text,
-                    文本长度: text.length,
-                    结果数组长度: result.result.length
-                });
-                this.showDebugInfo(`✅ 识别成功: "${text}"`);
-                this.processVoiceInput(text);
+        container.innerHTML = SESSION_METADATA_FIELDS.map(field => {
+            const id = `sessionMeta-${field.key}`;
+            const input = field.multiline
+                ? `<textarea id="${id}" data-meta-key="${field.key}" rows="2"></textarea>`
+                : `<input type="text" id="${id}" data-meta-key="${field.key}"${field.suggestions ? ` list="${id}-options"` : ''}>`;
+            const suggestions = field.suggestions
+                ? `<datalist id="${id}-options">${field.suggestions.map(value => `<option value="${value}">`).join('')}</datalist>`
+                : '';
+            return `
+                <label class="session-meta-field${field.multiline ? ' session-meta-wide' : ''}" for="${id}">
+                    <span>${field.label}</span>
+                    ${input}${suggestions}
+                </label>
+            `;
+        }).join('');
+        this.updateSessionMetadataForm();
+    }
+
+    // 测试进行中（含暂停）编辑当前测试的信息，否则编辑下一次测试的信息
+    isSessionActive() {
+        return !!(this.currentSession && !this.currentSession.endTime);
+    }
+
+    updateSessionMetadataForm() {
+        const metadata = this.isSessionActive() ? normalizeSessionMetadata(this.currentSession) : this.sessionMetadataDraft;
+        document.querySelectorAll('#sessionMetaFields [data-meta-key]').forEach(input => {
+            if (document.activeElement !== input) {
+                input.value = metadata[input.dataset.metaKey] || '';
+            }
+        });
+
+        const summary = document.getElementById('sessionMetaSummary');
+        if (summary) {
+            const values = getSessionMetadataEntries(metadata)
+                .filter(entry => entry.key !== 'notes')
+                .map(entry => entry.value);
+            summary.textContent = values.length > 0 ? values.join(' · ') : '未填写';
+        }
+    }
+
+    handleSessionMetadataChange(input) {
+        const key = input.dataset.metaKey;
+        const value = input.value.trim();
+
+        if (this.isSessionActive()) {
+            if (value) {
+                this.currentSession[key] = value;
             } else {
-                const errorDetails = {
-                    错误码: result.err_no,
-                    错误描述: result.err_msg,
-                    是否有结果: !!result.result,
-                    结果长度: result.result ? result.result.length : 0
-                };
-                console.error('❌ 百度API识别失败详情:', errorDetails);
-                this.showDebugInfo(`❌ 识别失败: [${result.err_no}] ${result.err_msg || '未知错误'}`);
+                delete this.currentSession[key];
             }
-        } catch (error) {
-            console.error('❌ 百度API调用异常:', error);
-            this.showDebugInfo(`❌ API调用失败: ${error.message}`);
+            this.persistActiveSession();
+        } else {
+            this.sessionMetadataDraft = normalizeSessionMetadata({ ...this.sessionMetadataDraft, [key]: value });
         }
+        this.updateSessionMetadataForm();
+    }
+
+    // 测试记录中显示的测试信息
+    renderSessionMetadata(session) {
+        const entries = getSessionMetadataEntries(session);
+        if (entries.length === 0) return '';
+
+        const tags = entries
+            .filter(entry => entry.key !== 'notes')
+            .map(entry => `<span class="meta-tag" title="${entry.label}">${entry.label}: ${this.escapeHtml(entry.value)}</span>`)
+            .join('');
+        const notes = entries.find(entry => entry.key === 'notes');
+        return `
+            ${tags ? `<div class="history-meta">${tags}</div>` : ''}
+            ${notes ? `<div class="history-notes">${this.escapeHtml(notes.value)}</div>` : ''}
+        `;
+    }
+
+    // 读取界面上的片段长度并保存为下次的默认值
+    readClipSettingsFromForm() {
+        const beforeInput = document.getElementById('clipBefore');
+        const afterInput = document.getElementById('clipAfter');
+        this.clipSettings = {
+            before: this.clampClipSeconds(beforeInput && beforeInput.value, this.clipSettings.before),
+            after: this.clampClipSeconds(afterInput && afterInput.value, this.clipSettings.after)
+        };
+        localStorage.setItem('roadTestClipSettings', JSON.stringify(this.clipSettings));
+        return this.clipSettings;
     }
 
-    async processAudioWithAliCloud(audioBlob) {
-        if (!this.aliCloudConfig.apiKey) {
-            this.showDebugInfo('❌ 请配置阿里云API Key');
+    renderClipSettings() {
+        const enabledInput = document.getElementById('clipEnabled');
+        const beforeInput = document.getElementById('clipBefore');
+        const afterInput = document.getElementById('clipAfter');
+        if (!enabledInput) return;
+
+        // 测试进行中不能修改，设置只对下一次测试生效
+        const locked = this.isRecording;
+        [enabledInput, beforeInput, afterInput].forEach(input => {
+            if (input) input.disabled = locked;
+        });
+        if (locked && this.currentSession) {
+            enabledInput.checked = !!this.currentSession.captureAudio;
+        }
+        if (beforeInput && document.activeElement !== beforeInput) beforeInput.value = this.clipSettings.before;
+        if (afterInput && document.activeElement !== afterInput) afterInput.value = this.clipSettings.after;
+    }
+
+    // 新测试开始时决定是否保存音频片段，缓冲区保留"问题前+问题后"再多2秒
+    prepareClipCapture(session) {
+        const enabledInput = document.getElementById('clipEnabled');
+        session.captureAudio = !!(enabledInput && enabledInput.checked);
+        if (!session.captureAudio) return;
+
+        if (!this.store) {
+            session.captureAudio = false;
+            this.showNotification('⚠️ 当前浏览器不支持IndexedDB，无法保存音频片段');
             return;
         }
 
-        try {
-            this.showDebugInfo('🔄 正在识别语音...');
-            
-            // 转换音频为base64
-            const audioBase64 = await this.blobToBase64(audioBlob);
-            console.log('🎵 音频数据长度:', audioBase64.length);
-            
-            const requestBody = {
-                model: this.aliCloudConfig.model,
-                input: {
-                    messages: [
-                        {
-                            role: "user",
-                            content: [
-                                {
-                                    type: "audio",
-                                    audio: audioBase64
-                                },
-                                {
-                                    type: "text",
-                                    text: "请将这段音频转换为文字，只输出转换后的文字内容，不要添加任何额外说明。"
-                                }
-                            ]
-                        }
-                    ]
-                },
-                parameters: {
-                    result_format: "message"
-                }
-            };
+        session.clipSettings = { ...this.readClipSettingsFromForm() };
+        const { before, after } = session.clipSettings;
+        this.clipBuffer = new PcmRingBuffer((before + after + 2) * 1000, PCM_SAMPLE_RATE);
+        console.log('🎙️ 本次测试保存问题音频片段:', session.clipSettings);
+    }
 
-            console.log('📤 发送API请求:', JSON.stringify(requestBody, null, 2));
+    // 等"问题后"的音频录完再截取片段
+    scheduleClipCapture(record) {
+        if (!this.clipBuffer || !this.currentSession || !this.currentSession.captureAudio) return;
 
-            const response = await fetch(this.aliCloudConfig.endpoint, {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${this.aliCloudConfig.apiKey}`,
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify(requestBody)
-            });
+        const capture = { buffer: this.clipBuffer, settings: this.currentSession.clipSettings };
+        const timer = setTimeout(() => this.saveRecordClip(record, capture), capture.settings.after * 1000);
+        this.pendingClips.set(record.id, { record, capture, timer });
+    }
 
-            const result = await response.json();
-            console.log('📥 API响应:', result);
-            
-            if (response.ok) {
-                if (result.output && result.output.choices && result.output.choices[0] && result.output.choices[0].message && result.output.choices[0].message.content) {
-                    const text = result.output.choices[0].message.content.trim();
-                    this.showDebugInfo(`✅ 识别成功: "${text}"`);
-                    this.processVoiceInput(text);
-                } else {
-                    console.error('❌ API响应格式异常:', result);
-                    this.showDebugInfo(`❌ 识别失败: 响应格式异常`);
-                }
-            } else {
-                console.error('❌ API请求失败:', result);
-                this.showDebugInfo(`❌ API调用失败: ${result.message || result.error || '未知错误'}`);
-            }
-        } catch (error) {
-            console.error('❌ 阿里云API调用异常:', error);
-            console.error('错误详情:', {
-                name: error.name,
-                message: error.message,
-                stack: error.stack
-            });
-            this.showDebugInfo(`❌ API调用失败: ${error.message}，降级到浏览器识别`);
-            
-            // API调用失败
-            this.showDebugInfo(`❌ API调用失败`);
+    cancelClipCapture(recordId) {
+        const pending = this.pendingClips.get(recordId);
+        if (pending) {
+            clearTimeout(pending.timer);
+            this.pendingClips.delete(recordId);
         }
     }
 
-    async blobToBase64(blob) {
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-            reader.onload = () => {
-                const base64 = reader.result.split(',')[1];
-                resolve(base64);
-            };
-            reader.onerror = reject;
-            reader.readAsDataURL(blob);
+    // 暂停或结束测试时，等待中的片段用已录到的音频立即保存
+    flushPendingClips() {
+        this.pendingClips.forEach(({ record, capture, timer }) => {
+            clearTimeout(timer);
+            this.saveRecordClip(record, capture);
         });
+        this.pendingClips.clear();
     }
 
+    async saveRecordClip(record, { buffer, settings }) {
+        this.pendingClips.delete(record.id);
+
+        const time = new Date(record.timestamp).getTime();
+        const clip = buffer.slice(time - settings.before * 1000, time + settings.after * 1000);
+        if (!clip) {
+            console.warn('⚠️ 缓冲区中没有该记录的音频:', record.id);
+            return;
+        }
+
+        try {
+            await this.store.putClip({
+                recordId: record.id,
+                sessionId: record.sessionId,
+                wav: encodeWav(clip.samples, buffer.sampleRate),
+                startTime: new Date(clip.startTime).toISOString(),
+                duration: Math.round(clip.duration),
+                sampleRate: buffer.sampleRate
+            });
 
-    async pollAliCloudResult(taskId) {
-        const maxAttempts = 10;
-        let attempts = 0;
+            // 记录可能在保存期间被删除
+            if (!this.testData.includes(record)) return;
+
+            record.clip = { duration: Math.round(clip.duration) };
+            this.persistRecord(record);
+            this.lastRecentData = null;
+            this.updateRecentRecords();
+            console.log('💾 音频片段已保存:', { 记录: record.id, 时长: `${Math.round(clip.duration)}ms` });
+        } catch (error) {
+            this.handleStorageError(error);
+        }
+    }
 
-        const poll = async () => {
-            if (attempts >= maxAttempts) {
-                this.showDebugInfo('❌ 识别超时');
+    async playRecordClip(recordId) {
+        try {
+            const clip = this.store ? await this.store.getClip(recordId) : null;
+            if (!clip) {
+                this.showNotification('音频片段不存在');
                 return;
             }
 
-            try {
-                const response = await fetch(`${this.aliCloudConfig.endpoint}/${taskId}`, {
-                    headers: {
-                        'Authorization': `Bearer ${this.aliCloudConfig.apiKey}`
-                    }
-                });
-
-                const result = await response.json();
-                
-                if (result.task_status === 'SUCCEEDED' && result.results && result.results[0]) {
-                    const transcription = result.results[0].transcription;
-                    if (transcription) {
-                        this.processVoiceInput(transcription);
-                    }
-                } else if (result.task_status === 'FAILED') {
-                    this.showDebugInfo('❌ 识别失败');
-                } else {
-                    // 继续轮询
-                    attempts++;
-                    setTimeout(poll, 1000);
-                }
-            } catch (error) {
-                console.error('轮询结果失败:', error);
-                this.showDebugInfo('❌ 获取结果失败');
+            if (this.clipAudio) {
+                this.clipAudio.pause();
             }
-        };
 
-        poll();
+            const url = URL.createObjectURL(new Blob([clip.wav], { type: 'audio/wav' }));
+            this.urlObjectsToCleanup.add(url);
+            this.clipAudio = new Audio(url);
+            this.clipAudio.onended = () => {
+                URL.revokeObjectURL(url);
+                this.urlObjectsToCleanup.delete(url);
+            };
+            await this.clipAudio.play();
+        } catch (error) {
+            console.error('❌ 播放音频片段失败:', error);
+            this.showNotification('播放音频片段失败');
+        }
     }
 
-    processVoiceInput(text) {
-        console.log('🎤 处理语音输入:', text);
+    // deferred: { sessionId, timestamp } 表示离线队列补充识别的结果，按采集时间补记到原来的测试
+    processVoiceInput(text, deferred = null) {
+        console.log('🎤 处理语音输入:', text, deferred || '');
+
+        if (deferred) {
+            this.processDeferredVoiceInput(text, deferred);
+            return;
+        }
+
+        // 语音播报时麦克风会录到播报内容
+        if (this.isSpeakingFeedback || Date.now() < this.ignoreVoiceUntil) {
+            console.log('🔇 忽略播报期间的识别结果:', text);
+            return;
+        }
         
         // 显示调试信息和实时字幕
         this.showDebugInfo(`语音识别: "${text}"`);
         this.displaySubtitle(text);
         
-        // 删除/撤销指令
-        if (text.includes('删除上一条') || text.includes('撤销')) {
-            this.deleteLastRecord();
-            this.showDebugInfo('执行删除操作');
-            return;
-        }
+        const result = this.recognizer.recognize(text);
 
-        // 直接类型匹配 - 优先级最高
-        const directTypeResult = this.directTypeMatching(text);
-        if (directTypeResult) {
-            this.showDebugInfo(`直接匹配: ${directTypeResult.type}`);
-            this.addRecord(directTypeResult.type, directTypeResult.subType, text);
+        if (this.pendingConfirmation) {
+            const confirmed = result.action === 'command' && result.command.name === 'confirm';
+            const pending = this.clearPendingConfirmation();
+            if (confirmed) {
+                this.executeVoiceCommand(pending);
+                return;
+            }
+            this.giveFeedback(`已取消${pending.label}`);
+            if (result.action === 'command' && result.command.name === 'cancel') {
+                return;
+            }
+        }
+        
+        if (result.action === 'command') {
+            this.handleVoiceCommand(result.command);
             return;
         }
 
-        // 智能识别模式 - 支持多个问题
-        const smartResults = this.smartRecognitionMultiple(text);
-        if (smartResults && smartResults.length > 0) {
-            this.showDebugInfo(`智能识别到 ${smartResults.length} 个问题: ${smartResults.map(r => r.subType).join(', ')}`);
-            smartResults.forEach(result => {
-                this.addRecord(result.type, result.subType, result.matchedText || text);
-            });
+        // 暂停期间只响应语音指令
+        if (!this.isRecording) {
+            this.showDebugInfo(`⚠️ 测试未在进行，忽略: "${text}"`);
             return;
         }
 
-        // 关键词模式 - 支持多个问题  
-        const keywordResults = this.keywordRecognitionMultiple(text);
-        if (keywordResults && keywordResults.length > 0) {
-            this.showDebugInfo(`关键词识别到 ${keywordResults.length} 个问题: ${keywordResults.map(r => r.subType).join(', ')}`);
-            keywordResults.forEach(result => {
-                this.addRecord(result.type, result.subType, result.matchedText || text);
+        if (result.action === 'record') {
+            const { source, records } = result;
+            if (source === 'direct') {
+                this.showDebugInfo(`直接匹配: ${records[0].type}`);
+            } else {
+                const label = source === 'smart' ? '智能识别' : '关键词识别';
+                this.showDebugInfo(`${label}到 ${records.length} 个问题: ${records.map(r => r.subType).join(', ')}`);
+            }
+            records.forEach(record => {
+                this.addRecord(record.type, record.subType, record.matchedText || text);
             });
             return;
         }
         
-        // 检查是否是用户疑问或需要帮助
-        const questionResult = this.handleUserQuestions(text);
-        if (questionResult) {
-            this.showDebugInfo(questionResult);
+        if (result.action === 'question') {
+            this.showDebugInfo(result.response);
             return;
         }
         
@@ -848,645 +1016,189 @@ class RoadTestRecorder {
         this.showDebugInfo(`⚠️ 未识别到问题关键词: "${text}"`);
     }
 
-    handleUserQuestions(text) {
-        const cleanText = text.toLowerCase().trim();
-        
-        // 疑问词汇模式
-        const questionPatterns = [
-            { 
-                patterns: ['我想知道', '想知道', '怎么', '如何', '什么', '帮助', '帮我', '我不知道', '不知道'],
-                response: '💡 使用提示：说出具体问题类型，如"安全接管-压线"、"效率接管-卡死"、"体验问题-重刹"'
-            },
-            {
-                patterns: ['有什么', '都有什么', '支持什么', '可以说什么'],
-                response: '📋 支持的问题类型：安全接管(压线/碰撞/逆行)、效率接管(卡死/速度慢)、体验问题(重刹/急加速/颠簸)'
-            },
-            {
-                patterns: ['测试', '开始', '开始测试', '怎么开始'],
-                response: '🚀 点击"开始测试"按钮，然后说话描述遇到的问题即可自动记录'
-            },
-            {
-                patterns: ['说什么', '怎么说', '格式', '怎么操作'],
-                response: '🗣️ 直接说问题，如："安全接管压线"、"刹车很重"、"车子卡死了"等'
-            }
-        ];
-
-        for (const pattern of questionPatterns) {
-            if (pattern.patterns.some(p => cleanText.includes(p))) {
-                return pattern.response;
-            }
-        }
+    // 补充识别时测试可能已经暂停或结束，当时说的语音指令也已过时，只补记问题
+    processDeferredVoiceInput(text, deferred) {
+        this.showDebugInfo(`补充识别: "${text}"`);
 
-        // 检查是否是空白或无意义输入
-        if (cleanText.length === 0 || /^[。，,.\s]*$/.test(cleanText)) {
-            return '🎤 请清楚地说出遇到的问题';
+        const result = this.recognizer.recognize(text);
+        if (result.action !== 'record') {
+            this.showDebugInfo(`⚠️ 补充识别的内容不是问题记录，忽略: "${text}"`);
+            return;
         }
-
-        return null;
+        result.records.forEach(record => {
+            this.addRecord(record.type, record.subType, record.matchedText || text, deferred);
+        });
     }
 
-    async initWebSocketConnection() {
-        try {
-            // 先关闭已存在的连接
-            if (this.websocket && this.websocket.readyState !== WebSocket.CLOSED) {
-                console.log('🔄 关闭现有WebSocket连接...');
-                this.websocket.close();
-                this.websocket = null;
-            }
-            
-            console.log('🔗 初始化阿里云实时语音识别连接...');
-            
-            // 检查配置
-            if (!this.aliyunConfig.accessKeyId || !this.aliyunConfig.accessKeySecret || !this.aliyunConfig.appKey) {
-                console.warn('⚠️ 阿里云API配置未完整，等待配置...');
-                this.showDebugInfo('⚠️ 等待阿里云API配置');
-                return;
-            }
-            
-            // 检查Token是否需要刷新
-            if (this.aliyunTokenExpireTime && Date.now() > this.aliyunTokenExpireTime - 300000) { // 提前5分钟刷新
-                console.log('🔄 Token即将过期，重新获取...');
-                this.aliyunToken = null;
-                this.aliyunTokenExpireTime = null;
-            }
-            
-            // 生成阿里云认证参数
-            const authParams = await this.generateAliyunAuth();
-            
-            // 构建WebSocket URL - 阿里云实时语音识别规范格式
-            let wsUrl;
-            if (authParams) {
-                // 带认证的URL - 正确的参数顺序
-                wsUrl = `wss://nls-gateway.cn-shanghai.aliyuncs.com/ws/v1?appkey=${this.aliyunConfig.appKey}&${authParams}`;
-            } else {
-                // 无认证的URL（通常需要在其他地方进行认证）
-                console.warn('⚠️ 无认证Token，可能导致连接失败');
-                wsUrl = `wss://nls-gateway.cn-shanghai.aliyuncs.com/ws/v1?appkey=${this.aliyunConfig.appKey}`;
-            }
-            
-            console.log('📡 连接阿里云WebSocket...', wsUrl);
-            this.websocket = new WebSocket(wsUrl);
-            
-            // 设置连接超时
-            const connectionTimeout = setTimeout(() => {
-                if (this.websocket && this.websocket.readyState === WebSocket.CONNECTING) {
-                    console.log('⏰ WebSocket连接超时');
-                    this.websocket.close();
-                }
-            }, 10000); // 10秒超时
-            
-            this.websocket.onopen = () => {
-                clearTimeout(connectionTimeout);
-                console.log('✅ 阿里云WebSocket连接已建立');
-                this.showDebugInfo('✅ 阿里云实时语音识别已连接');
-                this.aliyunConnectionReady = true;
-                this.wsReconnectAttempts = 0; // 重置重试计数
-                
-                // 发送开始识别消息
-                this.sendStartMessage();
-            };
-            
-            this.websocket.onmessage = (event) => {
-                this.handleAliyunWebSocketMessage(event.data);
-            };
-            
-            this.websocket.onclose = (event) => {
-                clearTimeout(connectionTimeout);
-                console.log('🔌 阿里云WebSocket连接关闭:', {
-                    code: event.code,
-                    reason: event.reason,
-                    wasClean: event.wasClean
-                });
-                
-                this.aliyunConnectionReady = false;
-                
-                // 根据错误码判断处理方式
-                if (event.code === 4402) {
-                    console.error('❌ 认证失败 (4402)，检查Token和配置');
-                    this.showDebugInfo('❌ 认证失败，请检查阿里云配置');
-                    // 认证失败不重试，需要用户检查配置
-                    return;
-                } else if (event.code === 1006 || event.reason.includes('over max connect limit')) {
-                    console.log('⚠️ 检测到连接数限制，延迟重试...');
-                    this.showDebugInfo('⚠️ 连接数限制，等待重试');
-                    setTimeout(() => {
-                        this.handleWebSocketReconnect();
-                    }, this.connectionRetryDelay);
-                } else if (event.code === 1000) {
-                    console.log('✅ WebSocket正常关闭');
-                    this.showDebugInfo('✅ 语音识别连接已关闭');
-                } else {
-                    console.log(`⚠️ WebSocket异常关闭 (${event.code})，尝试重连`);
-                    this.handleWebSocketReconnect();
-                }
-            };
-            
-            this.websocket.onerror = (error) => {
-                clearTimeout(connectionTimeout);
-                console.error('❌ 阿里云WebSocket错误:', error);
-                this.showDebugInfo('❌ 阿里云WebSocket连接错误');
-            };
-            
-        } catch (error) {
-            console.error('❌ 阿里云WebSocket初始化失败:', error);
-            this.showDebugInfo('❌ 阿里云WebSocket初始化失败');
+    // 危险指令先要求口头确认，其余直接执行
+    handleVoiceCommand(command) {
+        if (command.name === 'confirm' || command.name === 'cancel') {
+            this.showDebugInfo('⚠️ 当前没有需要确认的指令');
+            return;
         }
-    }
 
-    async generateAliyunAuth() {
-        try {
-            // 阿里云实时语音识别使用Token认证
-            console.log('🔐 获取阿里云语音识别Token...');
-            
-            // 正确的时间戳格式 - UTC格式
-            const now = new Date();
-            const timestamp = now.toISOString().replace(/\.\d{3}Z$/, 'Z');
-            const nonce = Math.random().toString(36).substring(2, 15) + Math.random().toString(36).substring(2, 15);
-            
-            console.log('🕐 生成的时间戳:', timestamp);
-            console.log('🔢 生成的随机数:', nonce);
-            
-            // 构建请求参数
-            const params = {
-                AccessKeyId: this.aliyunConfig.accessKeyId,
-                Action: 'CreateToken',
-                Format: 'JSON',  
-                RegionId: 'cn-shanghai',
-                SignatureMethod: 'HMAC-SHA1',
-                SignatureNonce: nonce,
-                SignatureVersion: '1.0',
-                Timestamp: timestamp,
-                Version: '2019-02-28'
+        if (command.destructive) {
+            const label = RoadTestRecorder.VOICE_COMMAND_LABELS[command.name];
+            this.pendingConfirmation = {
+                command: { ...command, label },
+                timer: setTimeout(() => {
+                    this.pendingConfirmation = null;
+                    this.giveFeedback(`未确认，已取消${label}`);
+                }, 8000)
             };
-            
-            // 按字典序排序参数 - 确保正确编码
-            const sortedKeys = Object.keys(params).sort();
-            const sortedParams = sortedKeys.map(key => 
-                `${encodeURIComponent(key)}=${encodeURIComponent(params[key])}`
-            ).join('&');
-            
-            console.log('📋 排序后的参数:', sortedParams);
-            
-            // 构建签名字符串 - 按照阿里云规范
-            const stringToSign = `GET&${encodeURIComponent('/')}&${encodeURIComponent(sortedParams)}`;
-            console.log('📝 签名字符串:', stringToSign);
-            
-            // 生成签名 - 注意密钥格式
-            const signingKey = this.aliyunConfig.accessKeySecret + '&';
-            const signature = await this.hmacSha1(stringToSign, signingKey);
-            
-            console.log('🔐 生成的签名:', signature);
-            
-            // 请求Token
-            const tokenUrl = `https://nls-meta.cn-shanghai.aliyuncs.com/?${sortedParams}&Signature=${encodeURIComponent(signature)}`;
-            
-            console.log('📡 请求Token URL:', tokenUrl.replace(this.aliyunConfig.accessKeyId, 'ACCESS_KEY_HIDDEN'));
-            
-            const response = await fetch(tokenUrl);
-            console.log('📥 Token请求响应状态:', response.status, response.statusText);
-            
-            if (!response.ok) {
-                const errorText = await response.text();
-                console.error('❌ Token请求失败:', response.status, errorText);
-                throw new Error(`Token请求失败: ${response.status} ${errorText}`);
-            }
-            
-            const data = await response.json();
-            console.log('📥 Token响应数据:', data);
-            
-            if (data.Token && data.Token.Id) {
-                console.log('✅ 获取Token成功:', data.Token.Id.substring(0, 20) + '...');
-                this.aliyunToken = data.Token.Id;
-                this.aliyunTokenExpireTime = data.Token.ExpireTime; // 保存过期时间
-                return `token=${data.Token.Id}`;
-            } else if (data.Code) {
-                console.error('❌ 阿里云API错误:', {
-                    错误代码: data.Code,
-                    错误消息: data.Message,
-                    请求ID: data.RequestId
-                });
-                throw new Error(`阿里云API错误: ${data.Code} - ${data.Message}`);
-            } else {
-                console.error('❌ Token响应格式异常:', data);
-                throw new Error('Token响应格式异常');
-            }
-            
-        } catch (error) {
-            console.error('❌ 生成阿里云认证失败:', {
-                错误类型: error.name,
-                错误消息: error.message,
-                错误堆栈: error.stack
-            });
-            return '';
+            this.giveFeedback(`确定要${label}吗？请说"确认"或"取消"`);
+            return;
         }
-    }
 
-    // HMAC-SHA256签名方法
-    async hmacSha256(text, key) {
-        const encoder = new TextEncoder();
-        const keyData = encoder.encode(key);
-        const messageData = encoder.encode(text);
-        
-        const cryptoKey = await crypto.subtle.importKey(
-            'raw',
-            keyData,
-            { name: 'HMAC', hash: 'SHA-256' },
-            false,
-            ['sign']
-        );
-        
-        const signatureBuffer = await crypto.subtle.sign('HMAC', cryptoKey, messageData);
-        return btoa(String.fromCharCode(...new Uint8Array(signatureBuffer)));
+        this.executeVoiceCommand(command);
     }
 
-    // HMAC-SHA1签名方法 (阿里云需要)
-    async hmacSha1(text, key) {
-        const encoder = new TextEncoder();
-        const keyData = encoder.encode(key);
-        const messageData = encoder.encode(text);
-        
-        const cryptoKey = await crypto.subtle.importKey(
-            'raw',
-            keyData,
-            { name: 'HMAC', hash: 'SHA-1' },
-            false,
-            ['sign']
-        );
-        
-        const signatureBuffer = await crypto.subtle.sign('HMAC', cryptoKey, messageData);
-        return btoa(String.fromCharCode(...new Uint8Array(signatureBuffer)));
-    }
+    // 返回被清除的待确认指令
+    clearPendingConfirmation() {
+        if (!this.pendingConfirmation) return null;
 
-    // 发送开始识别消息
-    sendStartMessage() {
-        if (this.websocket && this.websocket.readyState === WebSocket.OPEN) {
-            // 生成唯一的task_id
-            this.currentTaskId = this.generateTaskId();
-            
-            const startMessage = {
-                header: {
-                    message_id: this.generateMessageId(),
-                    task_id: this.currentTaskId,
-                    namespace: 'SpeechTranscriber',
-                    name: 'StartTranscription',
-                    appkey: this.aliyunConfig.appKey
-                },
-                payload: {
-                    format: 'pcm',
-                    sample_rate: 16000,
-                    enable_intermediate_result: true,
-                    enable_punctuation_prediction: true,
-                    enable_inverse_text_normalization: true,
-                    enable_words: false // 是否返回词级别时间戳
-                }
-            };
-            
-            console.log('📤 发送开始识别消息:', startMessage);
-            this.websocket.send(JSON.stringify(startMessage));
-            this.isTranscriptionStarted = true;
-        } else {
-            console.error('❌ WebSocket未连接，无法发送开始消息');
-        }
+        clearTimeout(this.pendingConfirmation.timer);
+        const { command } = this.pendingConfirmation;
+        this.pendingConfirmation = null;
+        return command;
     }
 
-    // 处理阿里云WebSocket消息
-    handleAliyunWebSocketMessage(data) {
-        try {
-            const message = JSON.parse(data);
-            console.log('📥 收到阿里云WebSocket消息:', message);
-            
-            const header = message.header;
-            const payload = message.payload;
-            
-            // 检查错误状态码
-            if (header.status && header.status !== 20000000) {
-                console.error('❌ 阿里云API错误:', {
-                    状态码: header.status,
-                    状态信息: header.status_text,
-                    消息ID: header.message_id,
-                    任务ID: header.task_id
-                });
-                
-                // 处理特定错误码
-                switch (header.status) {
-                    case 40000000:
-                        this.showDebugInfo('❌ 客户端错误：参数无效');
-                        break;
-                    case 40000001:
-                        this.showDebugInfo('❌ 客户端错误：任务不存在');
-                        break;
-                    case 40000002:
-                        this.showDebugInfo('❌ 客户端错误：任务已完成');
-                        break;
-                    case 40000003:
-                        this.showDebugInfo('❌ 客户端错误：任务正在处理中');
-                        break;
-                    case 40400018:
-                        this.showDebugInfo('❌ 认证错误：Token无效或已过期');
-                        break;
-                    case 50000000:
-                        this.showDebugInfo('❌ 服务器内部错误');
-                        break;
-                    default:
-                        this.showDebugInfo(`❌ 未知错误: ${header.status} - ${header.status_text}`);
+    executeVoiceCommand(command) {
+        console.log('🎙️ 执行语音指令:', command);
+
+        switch (command.name) {
+            case 'start':
+            case 'resume':
+                if (this.isRecording) {
+                    this.giveFeedback('测试已在进行中');
+                    return;
+                }
+                if (this.state === RoadTestRecorder.STATES.PAUSED) {
+                    this.resumeTest();
+                } else {
+                    this.startTest();
                 }
                 return;
-            }
-            
-            // 处理正常消息
-            if (header.name === 'TranscriptionStarted') {
-                console.log('✅ 阿里云识别会话已开始');
-                this.showDebugInfo('✅ 阿里云识别会话已开始');
-            } else if (header.name === 'TranscriptionResultChanged') {
-                // 中间识别结果
-                const transcript = payload.result;
-                console.log('🎤 中间识别结果:', transcript);
-                this.displaySubtitle(transcript);
-            } else if (header.name === 'SentenceEnd') {
-                // 最终识别结果
-                const transcript = payload.result;
-                console.log('✅ 最终识别结果:', transcript);
-                this.displaySubtitle(transcript);
-                // 处理语音输入
-                this.processVoiceInput(transcript);
-            } else if (header.name === 'TranscriptionCompleted') {
-                console.log('✅ 阿里云识别完成');
-                this.showDebugInfo('✅ 语音识别完成');
-            } else {
-                console.log('📢 其他阿里云消息:', message);
-            }
-            
-        } catch (error) {
-            console.error('❌ 处理阿里云WebSocket消息失败:', {
-                错误类型: error.name,
-                错误信息: error.message,
-                原始数据: data,
-                错误堆栈: error.stack
-            });
-        }
-    }
-
-    // 生成符合阿里云要求的32位十六进制ID
-    generate32HexId() {
-        let result = '';
-        const characters = '0123456789abcdef';
-        for (let i = 0; i < 32; i++) {
-            result += characters.charAt(Math.floor(Math.random() * characters.length));
-        }
-        return result;
-    }
 
-    generateMessageId() {
-        return this.generate32HexId();
-    }
+            case 'pause':
+                if (!this.isRecording) {
+                    this.giveFeedback('测试未在进行');
+                    return;
+                }
+                this.pauseTest();
+                return;
 
-    generateTaskId() {
-        return this.generate32HexId();
-    }
+            case 'stop':
+                if (!this.isRecording && this.state !== RoadTestRecorder.STATES.PAUSED) {
+                    this.giveFeedback('测试未在进行');
+                    return;
+                }
+                this.stopTest();
+                return;
 
+            case 'deleteLast': {
+                const lastRecord = this.getCurrentSessionRecords().slice(-1)[0];
+                if (!lastRecord) {
+                    this.giveFeedback('当前测试还没有记录');
+                    return;
+                }
+                this.deleteLastRecord();
+                this.speakFeedback(`已删除${lastRecord.subType}`);
+                return;
+            }
 
+            case 'undo':
+                this.giveFeedback(this.undoLastOperation());
+                return;
 
-    sendStartFrame(token) {
-        const startFrame = {
-            type: "START",
-            data: {
-                appid: parseInt(this.baiduConfig.appId),
-                appkey: this.baiduConfig.apiKey,
-                dev_pid: 1537, // 修正：普通话模型
-                cuid: "web_client_" + Date.now(),
-                sample: 16000, // 采样率
-                format: "pcm", // 音频格式
-                token: token
-            }
-        };
-        
-        console.log('📤 发送START帧:', startFrame);
-        this.websocket.send(JSON.stringify(startFrame));
-        
-        // 等待服务器响应START_ACK
-        setTimeout(() => {
-            if (this.websocket && this.websocket.readyState === WebSocket.OPEN) {
-                console.log('🔍 WebSocket连接状态良好，等待识别结果');
-            }
-        }, 1000);
-    }
+            case 'redo':
+                this.giveFeedback(this.redoLastOperation());
+                return;
 
-    handleWebSocketMessage(data) {
-        try {
-            const message = JSON.parse(data);
-            console.log('📥 收到WebSocket消息:', message);
-            
-            switch (message.type) {
-                case 'CONNECT_OK':
-                    console.log('✅ WebSocket连接确认');
-                    break;
-                    
-                case 'START_OK':
-                    console.log('✅ START帧确认，开始发送音频');
-                    break;
-                    
-                case 'MID_TEXT':
-                    // 中间识别结果
-                    if (message.result && message.result.length > 0) {
-                        const text = message.result.join('');
-                        console.log('🔄 中间识别结果:', text);
-                        this.displaySubtitle(text);
-                    }
-                    break;
-                    
-                case 'FIN_TEXT':
-                    // 最终识别结果
-                    if (message.result && message.result.length > 0) {
-                        const text = message.result.join('');
-                        console.log('✅ 最终识别结果:', text);
-                        this.displaySubtitle(text);
-                        this.processVoiceInput(text);
-                    }
-                    break;
-                    
-                case 'ERROR':
-                    console.error('❌ WebSocket识别错误:', message);
-                    this.showDebugInfo(`❌ 识别错误: ${message.desc || message.err_msg || '未知错误'}`);
-                    break;
-                    
-                case 'HEARTBEAT':
-                    // 心跳包，正常
-                    break;
-                    
-                default:
-                    console.log('📢 其他WebSocket消息:', message);
-            }
-        } catch (error) {
-            console.error('❌ 解析WebSocket消息失败:', error, data);
-        }
-    }
+            case 'editLast':
+                this.editLastRecord(command);
+                return;
 
-    handleWebSocketReconnect() {
-        if (this.wsReconnectAttempts < this.maxReconnectAttempts) {
-            this.wsReconnectAttempts++;
-            console.log(`🔄 尝试重新连接WebSocket (${this.wsReconnectAttempts}/${this.maxReconnectAttempts})`);
-            setTimeout(() => {
-                this.initWebSocketConnection();
-            }, 2000 * this.wsReconnectAttempts);
-        } else {
-            console.error('❌ WebSocket重连次数超限');
-            this.showDebugInfo('❌ 语音识别连接失败');
+            case 'addNote':
+                this.addNoteToLastRecord(command.note);
+                return;
+
+            case 'count':
+                this.reportRecordCount();
+                return;
         }
     }
 
-    async sendAudioDataToWebSocket(audioBlob) {
-        if (!this.websocket || this.websocket.readyState !== WebSocket.OPEN) {
-            console.warn('⚠️ 阿里云WebSocket未就绪，跳过音频发送');
+    editLastRecord({ target, targetText }) {
+        const record = this.getCurrentSessionRecords().slice(-1)[0];
+        if (!record) {
+            this.giveFeedback('当前测试还没有记录');
             return;
         }
-        
-        if (!this.isTranscriptionStarted) {
-            console.warn('⚠️ 识别未开始，跳过音频发送');
+        if (!target) {
+            this.giveFeedback(`没有找到问题类型"${targetText}"`);
             return;
         }
 
-        try {
-            // 将WebM音频转换为PCM格式
-            const pcmData = await this.convertWebMToPCM(audioBlob);
-            
-            if (pcmData && pcmData.length > 0) {
-                console.log('📡 发送PCM音频数据到阿里云:', {
-                    原始大小: audioBlob.size + ' bytes',
-                    PCM大小: pcmData.length + ' bytes', 
-                    WebSocket状态: this.websocket.readyState,
-                    格式: 'PCM 16kHz 16bit mono'
-                });
-                
-                // 阿里云WebSocket API支持直接发送二进制PCM数据
-                // 也可以使用JSON格式封装，但二进制更高效
-                this.websocket.send(pcmData);
-                
-                // 可选：发送JSON格式的音频数据（如果需要）
-                /*
-                const audioMessage = {
-                    header: {
-                        message_id: this.generateMessageId(),
-                        task_id: this.currentTaskId,
-                        namespace: 'SpeechTranscriber',
-                        name: 'RunTranscription',
-                        appkey: this.aliyunConfig.appKey
-                    },
-                    payload: {
-                        audio: btoa(String.fromCharCode(...pcmData)) // base64编码
-                    }
-                };
-                this.websocket.send(JSON.stringify(audioMessage));
-                */
-                
-            } else {
-                console.warn('⚠️ PCM转换失败，跳过发送');
-            }
-            
-        } catch (error) {
-            console.error('❌ 发送音频数据到阿里云失败:', error);
-        }
+        this.updateRecord(record.id, { type: target.type, subType: target.subType }, 'voice');
+        this.giveFeedback(`上一条已改为${target.type} - ${target.subType}`);
     }
 
-    // 直接发送PCM数据到阿里云
-    sendPCMDataDirectly(float32Array) {
-        try {
-            // 将Float32转换为Int16 PCM
-            const int16Array = new Int16Array(float32Array.length);
-            for (let i = 0; i < float32Array.length; i++) {
-                const sample = Math.max(-1, Math.min(1, float32Array[i]));
-                int16Array[i] = sample < 0 ? sample * 0x8000 : sample * 0x7FFF;
-            }
-            
-            // 转换为字节数组
-            const pcmBytes = new Uint8Array(int16Array.buffer);
-            
-            // 发送到阿里云 (支持直接发送二进制数据)
-            if (this.websocket && this.websocket.readyState === WebSocket.OPEN) {
-                this.websocket.send(pcmBytes);
-                
-                // 定期显示发送状态
-                if (this.pcmSendCount % 50 === 0) { // 每50次显示一次
-                    console.log('📡 发送PCM数据到阿里云:', {
-                        样本数: float32Array.length,
-                        PCM字节数: pcmBytes.length,
-                        发送次数: this.pcmSendCount
-                    });
-                }
-                this.pcmSendCount = (this.pcmSendCount || 0) + 1;
-            }
-        } catch (error) {
-            console.error('❌ 发送PCM数据失败:', error);
+    addNoteToLastRecord(note) {
+        const record = this.getCurrentSessionRecords().slice(-1)[0];
+        if (!record) {
+            this.giveFeedback('当前测试还没有记录');
+            return;
         }
+
+        this.updateRecord(record.id, { note: record.note ? `${record.note}；${note}` : note }, 'voice');
+        this.giveFeedback(`已为${record.subType}添加备注`);
     }
 
-    // 将WebM/Opus音频转换为PCM 16kHz 16bit mono
-    async convertWebMToPCM(audioBlob) {
-        try {
-            // 使用Web Audio API进行格式转换
-            const arrayBuffer = await audioBlob.arrayBuffer();
-            const audioContext = new (window.AudioContext || window.webkitAudioContext)({
-                sampleRate: 16000 // 阿里云要求16kHz采样率
-            });
-            
-            const audioBuffer = await audioContext.decodeAudioData(arrayBuffer);
-            
-            // 转换为单声道
-            const samples = audioBuffer.numberOfChannels > 1 ? 
-                audioBuffer.getChannelData(0) : audioBuffer.getChannelData(0);
-            
-            // 转换为16bit PCM
-            const pcm16Buffer = new Int16Array(samples.length);
-            for (let i = 0; i < samples.length; i++) {
-                // 将float32转换为int16
-                const sample = Math.max(-1, Math.min(1, samples[i]));
-                pcm16Buffer[i] = sample < 0 ? sample * 0x8000 : sample * 0x7FFF;
-            }
-            
-            console.log('🔄 音频格式转换完成:', {
-                原始通道数: audioBuffer.numberOfChannels,
-                原始采样率: audioBuffer.sampleRate + 'Hz',
-                目标采样率: '16000Hz',
-                PCM样本数: pcm16Buffer.length
-            });
-            
-            return new Uint8Array(pcm16Buffer.buffer);
-            
-        } catch (error) {
-            console.error('❌ 音频格式转换失败:', error);
-            return null;
+    reportRecordCount() {
+        const records = this.getCurrentSessionRecords();
+        if (records.length === 0) {
+            this.giveFeedback('当前测试还没有记录问题');
+            return;
         }
+
+        const stats = this.countRecordsByCategory(records);
+        const details = this.taxonomy.categories
+            .filter(category => stats[category.key] > 0)
+            .map(category => `${category.name}${stats[category.key]}个`)
+            .join('，');
+        this.giveFeedback(`当前共${records.length}个问题：${details}`);
     }
 
-    // 按照阿里云API建议分块发送PCM数据
-    async sendPCMInChunks(pcmData) {
-        const chunkSize = 1280; // 分块发送的大小
-        let offset = 0;
-        
-        while (offset < pcmData.length) {
-            const chunk = pcmData.slice(offset, offset + chunkSize);
-            
-            if (this.websocket && this.websocket.readyState === WebSocket.OPEN) {
-                this.websocket.send(chunk);
-            } else {
-                console.warn('⚠️ WebSocket连接断开，停止发送');
-                break;
-            }
-            
-            offset += chunkSize;
-            
-            // 模拟40ms间隔（实际上MediaRecorder会控制发送频率）
-            if (offset < pcmData.length) {
-                await new Promise(resolve => setTimeout(resolve, 1));
-            }
-        }
+    // 语音指令的反馈：屏幕提示并语音播报，驾驶中不用看屏幕
+    giveFeedback(message) {
+        this.showNotification(message);
+        this.showDebugInfo(`🎙️ ${message}`);
+        this.speakFeedback(message);
+    }
+
+    speakFeedback(message) {
+        if (!window.speechSynthesis || typeof SpeechSynthesisUtterance === 'undefined') return;
+
+        const utterance = new SpeechSynthesisUtterance(message);
+        utterance.lang = 'zh-CN';
+        utterance.rate = 1.2;
+        const finish = () => {
+            this.isSpeakingFeedback = false;
+            // 识别服务要等句尾静音后才返回结果，多忽略一会儿
+            this.ignoreVoiceUntil = Date.now() + 1500;
+        };
+        utterance.onend = finish;
+        utterance.onerror = finish;
+
+        this.isSpeakingFeedback = true;
+        window.speechSynthesis.cancel();
+        window.speechSynthesis.speak(utterance);
     }
 
     // 设置阿里云API配置的方法
     setAliyunConfig(accessKeyId, accessKeySecret, appKey, wsUrl) {
-        this.aliyunConfig.accessKeyId = accessKeyId;
-        this.aliyunConfig.accessKeySecret = accessKeySecret;
-        this.aliyunConfig.appKey = appKey;
-        this.aliyunConfig.wsUrl = wsUrl;
+        this.applySpeechConfig(AliyunRealtimeProvider.id, { accessKeyId, accessKeySecret, appKey, wsUrl });
         
         console.log('✅ 阿里云API配置已更新:', {
             accessKeyId: accessKeyId ? `${accessKeyId.substring(0, 8)}...` : '未设置',
@@ -1495,67 +1207,28 @@ class RoadTestRecorder {
             wsUrl: wsUrl || '未设置'
         });
         
-        // 配置完成后立即初始化连接
         this.showDebugInfo('🔧 阿里云配置已更新');
     }
 
-
-
-    // 测试阿里云API连接
-    testAliyunAPIConnection() {
-        console.log('🔍 测试阿里云API连接...');
-        
-        if (!this.aliyunConfig.accessKeyId || !this.aliyunConfig.accessKeySecret || !this.aliyunConfig.appKey) {
-            console.log('⏸️ 阿里云API配置未完整，等待配置');
-            this.showDebugInfo('⏸️ 等待阿里云API配置');
-            return;
+    // 保存识别服务配置并切换到该服务，测试进行中时重新连接
+    applySpeechConfig(providerId, config) {
+        this.speechConfig.provider = providerId;
+        this.speechConfig.configs[providerId] = config;
+        // 改用Token服务后删除本机保存的 AccessKey
+        if (providerId === AliyunBrokerProvider.id) {
+            delete this.speechConfig.configs[AliyunRealtimeProvider.id];
         }
+        this.saveSpeechConfig();
 
-        console.log('📋 阿里云API配置验证:', {
-            accessKeyId: this.aliyunConfig.accessKeyId ? `${this.aliyunConfig.accessKeyId.substring(0, 8)}...` : '未设置',
-            accessKeySecret: this.aliyunConfig.accessKeySecret ? '已设置' : '未设置',
-            appKey: this.aliyunConfig.appKey || '未设置',
-            wsUrl: this.aliyunConfig.wsUrl || '未设置',
-            当前Token: this.aliyunToken ? `${this.aliyunToken.substring(0, 20)}...` : '未获取',
-            Token过期时间: this.aliyunTokenExpireTime ? new Date(this.aliyunTokenExpireTime).toLocaleString() : '未知'
-        });
-        
-        this.showDebugInfo('🔍 正在测试阿里云API连接');
-        this.initWebSocketConnection();
-    }
-    
-    // 验证配置完整性
-    validateAliyunConfig() {
-        const issues = [];
-        
-        if (!this.aliyunConfig.accessKeyId) {
-            issues.push('AccessKeyId未配置');
-        } else if (this.aliyunConfig.accessKeyId.length < 16) {
-            issues.push('AccessKeyId格式可能不正确');
-        }
-        
-        if (!this.aliyunConfig.accessKeySecret) {
-            issues.push('AccessKeySecret未配置');
-        } else if (this.aliyunConfig.accessKeySecret.length < 20) {
-            issues.push('AccessKeySecret格式可能不正确');
-        }
-        
-        if (!this.aliyunConfig.appKey) {
-            issues.push('AppKey未配置');
+        if (this.isRecordingAudio) {
+            this.stopAudioRecording();
         }
-        
-        if (issues.length > 0) {
-            console.warn('⚠️ 阿里云配置问题:', issues);
-            this.showDebugInfo(`⚠️ 配置问题: ${issues.join(', ')}`);
-            return false;
+        this.createSpeechProvider();
+        if (this.isRecording) {
+            this.startRecognition();
         }
-        
-        console.log('✅ 阿里云配置验证通过');
-        return true;
     }
 
-    
-
     displaySubtitle(text) {
         // 等待DOM准备就绪
         if (document.readyState !== 'complete') {
@@ -1585,50 +1258,58 @@ class RoadTestRecorder {
         // 高亮关键词
         const highlightedText = this.highlightKeywords(text);
         subtitleDiv.innerHTML = `"${highlightedText}"`;
+        const shownHtml = subtitleDiv.innerHTML;
         
         // 添加到历史记录
         this.addToVoiceHistory(text, highlightedText);
         
         // 3秒后清空当前字幕
         setTimeout(() => {
-            if (subtitleDiv.innerHTML.includes(highlightedText)) {
+            if (subtitleDiv.innerHTML === shownHtml) {
                 subtitleDiv.innerHTML = '🎤 等待语音输入...';
             }
         }, 3000);
     }
 
     highlightKeywords(text) {
-        let highlighted = text;
-        
-        // 安全接管关键词 - 红色
-        const safetyKeywords = ['安全接管', '安全', '压线', '碰撞', '撞', '危险', '逆行', '闯红灯', '红灯'];
-        safetyKeywords.forEach(keyword => {
-            const regex = new RegExp(keyword, 'gi');
-            highlighted = highlighted.replace(regex, `<span class="keyword-safety">${keyword}</span>`);
-        });
-        
-        // 效率接管关键词 - 橙色
-        const efficiencyKeywords = ['效率接管', '效率', '卡死', '卡住', '不动', '慢', '龟速', '反应慢', '迟钝'];
-        efficiencyKeywords.forEach(keyword => {
-            const regex = new RegExp(keyword, 'gi');
-            highlighted = highlighted.replace(regex, `<span class="keyword-efficiency">${keyword}</span>`);
+        // 问题类型与动作关键词，颜色来自分类定义
+        const keywordStyles = new Map();
+        this.taxonomy.categories.forEach(category => {
+            category.highlight.forEach(keyword => {
+                if (!keywordStyles.has(keyword.toLowerCase())) {
+                    keywordStyles.set(keyword.toLowerCase(), { className: `keyword-${category.key}`, color: category.highlightColor });
+                }
+            });
         });
-        
-        // 体验问题关键词 - 紫色
-        const experienceKeywords = ['体验问题', '体验', '重刹', '刹车', '急加速', '加速', '颠簸', '震动', '画龙', '蛇行'];
-        experienceKeywords.forEach(keyword => {
-            const regex = new RegExp(keyword, 'gi');
-            highlighted = highlighted.replace(regex, `<span class="keyword-experience">${keyword}</span>`);
+        this.taxonomy.actions.keywords.forEach(keyword => {
+            if (!keywordStyles.has(keyword.toLowerCase())) {
+                keywordStyles.set(keyword.toLowerCase(), { className: 'keyword-action', color: this.taxonomy.actions.color });
+            }
         });
-        
-        // 动作关键词 - 青色
-        const actionKeywords = ['删除', '撤销', '开始', '停止', '暂停'];
-        actionKeywords.forEach(keyword => {
-            const regex = new RegExp(keyword, 'gi');
-            highlighted = highlighted.replace(regex, `<span class="keyword-action">${keyword}</span>`);
+
+        if (keywordStyles.size === 0) return this.escapeHtml(text);
+        
+        // 一次性替换，长关键词优先，避免"安全接管"被"安全"拆开
+        // 识别文本结果会写进 innerHTML，关键词之间的文字同样转义
+        const keywords = [...keywordStyles.keys()].sort((a, b) => b.length - a.length);
+        const regex = new RegExp(keywords.map(escapeRegExp).join('|'), 'gi');
+        
+        let html = '';
+        let lastIndex = 0;
+        text.replace(regex, (match, offset) => {
+            const style = keywordStyles.get(match.toLowerCase());
+            html += this.escapeHtml(text.slice(lastIndex, offset));
+            html += `<span class="keyword ${style.className}" style="${this.getHighlightStyle(style.color)}">${this.escapeHtml(match)}</span>`;
+            lastIndex = offset + match.length;
+            return match;
         });
-        
-        return highlighted;
+        return html + this.escapeHtml(text.slice(lastIndex));
+    }
+
+    getHighlightStyle(color) {
+        // 六位十六进制颜色加上 20% 透明度作为底色
+        const background = /^#[0-9a-f]{6}$/i.test(color) ? `${color}33` : 'transparent';
+        return this.escapeHtml(`color: ${color}; background: ${background};`);
     }
 
     addToVoiceHistory(originalText, highlightedText) {
@@ -1648,7 +1329,7 @@ class RoadTestRecorder {
             itemClass = 'error';
         } else if (originalText.includes('效率') || originalText.includes('卡死')) {
             itemClass = 'warning';
-        } else if (this.isSuccessfulMatch(originalText)) {
+        } else if (this.recognizer.isSuccessfulMatch(originalText)) {
             itemClass = 'success';
         }
         
@@ -1672,325 +1353,336 @@ class RoadTestRecorder {
         historyContent.scrollTop = 0;
     }
 
-    isSuccessfulMatch(text) {
-        // 检查是否成功匹配到问题类型
-        const directResult = this.directTypeMatching(text);
-        const smartResults = this.smartRecognitionMultiple(text);
-        const keywordResults = this.keywordRecognitionMultiple(text);
-        
-        return directResult || (smartResults && smartResults.length > 0) || (keywordResults && keywordResults.length > 0);
-    }
-
-    directTypeMatching(text) {
-        // 更强的文本清理：处理全角半角、多种空格和标点
-        let cleanText = text
-            .replace(/[\s\u00A0\u1680\u2000-\u200A\u2028\u2029\u202F\u205F\u3000]/g, '') // 各种空格
-            .replace(/[，,。.！!？?；;：:""''「」【】（）()]/g, '') // 中英文标点
-            .toLowerCase()
-            .trim();
-        
-        console.log(`🔍 DirectTypeMatching - 原文: "${text}" → 清理后: "${cleanText}"`);
-        
-        // 直接类型匹配 - 最高优先级，使用更宽松的匹配策略
-        const directMatches = [
-            // 安全接管类 - 增加更多变体和容错
-            { 
-                patterns: [
-                    '安全接管', '安全问题', '安全', 
-                    'safety', '接管安全', '安全的接管',
-                    '安全事件', '安全状况', '安全情况'
-                ], 
-                type: '安全接管', 
-                subType: '安全接管' 
-            },
-            
-            // 效率接管类  
-            { 
-                patterns: [
-                    '效率接管', '效率问题', '效率', 
-                    'efficiency', '接管效率', '效率的接管',
-                    '效率事件', '效率状况', '效率情况'
-                ], 
-                type: '效率接管', 
-                subType: '效率接管' 
-            },
-            
-            // 体验问题类
-            { 
-                patterns: [
-                    '体验问题', '体验', 'experience', '体验不好',
-                    '体验事件', '体验状况', '体验情况', '用户体验'
-                ], 
-                type: '体验问题', 
-                subType: '体验问题' 
-            }
-        ];
-
-        // 精确匹配
-        for (const match of directMatches) {
-            for (const pattern of match.patterns) {
-                const cleanPattern = pattern.toLowerCase().replace(/[\s\u00A0\u1680\u2000-\u200A\u2028\u2029\u202F\u205F\u3000]/g, '');
-                if (cleanText === cleanPattern || cleanText.includes(cleanPattern)) {
-                    console.log(`✅ 直接匹配成功: "${pattern}" → ${match.type}`);
-                    return { type: match.type, subType: match.subType };
-                }
-            }
-        }
+    // deferred: { sessionId, timestamp } 补记离线期间的语音，使用采集时间，所属测试可能已暂停或结束
+    addRecord(type, subType, originalText, deferred = null) {
+        const session = deferred ? this.findSession(deferred.sessionId) : this.currentSession;
+        if (!session || (!deferred && !this.isRecording)) return;
 
-        // 模糊匹配 - 容错机制
-        const fuzzyMatches = [
-            { fuzzyPatterns: ['安全'], type: '安全接管', subType: '安全接管', minLength: 2 },
-            { fuzzyPatterns: ['效率'], type: '效率接管', subType: '效率接管', minLength: 2 },
-            { fuzzyPatterns: ['体验'], type: '体验问题', subType: '体验问题', minLength: 2 }
-        ];
+        // 去重检查：防止5秒内添加相同类型和子类型的记录
+        const now = deferred ? new Date(deferred.timestamp).getTime() : Date.now();
+        const sessionRecords = this.testData.filter(record => record.sessionId === session.id);
+        const recentSimilar = sessionRecords.find(record => 
+            record.type === type && 
+            record.subType === subType &&
+            Math.abs(now - new Date(record.timestamp).getTime()) < 5000
+        );
 
-        for (const match of fuzzyMatches) {
-            for (const pattern of match.fuzzyPatterns) {
-                if (cleanText.includes(pattern) && cleanText.length >= match.minLength) {
-                    console.log(`🎯 模糊匹配成功: "${pattern}" → ${match.type}`);
-                    return { type: match.type, subType: match.subType };
-                }
-            }
+        if (recentSimilar) {
+            console.log('跳过重复记录:', type, subType);
+            return;
         }
 
-        console.log(`❌ 直接匹配失败: "${cleanText}"`);
-        return null;
-    }
-
-    smartRecognition(text) {
-        // 体验问题智能识别
-        const experiencePatterns = [
-            { pattern: /(画龙|龙|蛇行|摆尾)/, subType: '画龙' },
-            { pattern: /(重刹|刹车重|急刹|制动重)/, subType: '重刹' },
-            { pattern: /(急加速|加速急|冲击)/, subType: '急加速' },
-            { pattern: /(颠簸|震动|不平稳)/, subType: '颠簸' },
-            { pattern: /(转向重|方向盘重|打方向重)/, subType: '转向重' }
-        ];
-
-        // 效率接管智能识别
-        const efficiencyPatterns = [
-            { pattern: /(卡死|卡住|不动|停住)/, subType: '卡死不动' },
-            { pattern: /(慢|龟速|太慢|速度慢)/, subType: '速度过慢' },
-            { pattern: /(反应慢|迟钝|延迟)/, subType: '反应迟钝' },
-            { pattern: /(路径错误|走错|路线错)/, subType: '路径错误' }
-        ];
-
-        // 安全接管智能识别
-        const safetyPatterns = [
-            { pattern: /(碰撞|撞|危险)/, subType: '碰撞风险' },
-            { pattern: /(压线|越线|跨线)/, subType: '压线' },
-            { pattern: /(逆行|反向)/, subType: '逆行' },
-            { pattern: /(闯红灯|红灯)/, subType: '闯红灯' }
-        ];
-
-        // 检查体验问题
-        for (const pattern of experiencePatterns) {
-            if (pattern.pattern.test(text)) {
-                return { type: '体验问题', subType: pattern.subType };
-            }
+        const record = {
+            id: this.generateRecordId(),
+            timestamp: new Date(now).toISOString(),
+            type: type,
+            subType: subType,
+            originalText: originalText,
+            sessionId: session.id,
+            sessionName: session.name,
+            location: this.getNearestFix(now, session)
+        };
+        if (deferred) {
+            record.deferred = true;
         }
 
-        // 检查效率接管
-        for (const pattern of efficiencyPatterns) {
-            if (pattern.pattern.test(text)) {
-                return { type: '效率接管', subType: pattern.subType };
-            }
+        this.insertRecord(record);
+        this.queueSync({ records: [record] });
+        this.persistRecord(record);
+        if (deferred) {
+            this.updateSessionRecordCount(session.id);
+        } else {
+            this.persistActiveSession();
+            this.scheduleClipCapture(record);
         }
 
-        // 检查安全接管
-        for (const pattern of safetyPatterns) {
-            if (pattern.pattern.test(text)) {
-                return { type: '安全接管', subType: pattern.subType };
-            }
+        // 补记的记录不是刚才的操作，不进入撤销历史，免得"撤销"删掉补记的记录而不是刚说的那条
+        if (!deferred) {
+            let removed = null;
+            this.undoHistory.push({
+                label: `记录 ${type} - ${subType}`,
+                undo: () => { removed = this.removeRecord(record.id, 'undo'); },
+                redo: () => this.restoreRecord(removed)
+            });
         }
 
-        return null;
+        this.updateUI();
+        if (!deferred) {
+            this.showRecordNotification(record);
+        }
     }
 
-    keywordRecognition(text) {
-        // 体验问题关键词匹配
-        let match = text.match(/体验问题[-－](.+)/);
-        if (match) {
-            return { type: '体验问题', subType: match[1].trim() };
+    // 按时间顺序插入，补记的记录排在同一时间段的记录之间
+    insertRecord(record) {
+        const index = this.testData.findIndex(existing => existing.timestamp > record.timestamp);
+        if (index === -1) {
+            this.testData.push(record);
+        } else {
+            this.testData.splice(index, 0, record);
         }
+    }
 
-        // 安全接管关键词匹配
-        match = text.match(/安全接管[-－](.+)/);
-        if (match) {
-            return { type: '安全接管', subType: match[1].trim() };
+    // 进行中的测试使用 currentSession，已结束的使用测试记录中的会话
+    findSession(sessionId) {
+        if (this.isSessionActive() && this.currentSession.id === sessionId) {
+            return this.currentSession;
         }
+        return this.testSessions.find(session => session.id === sessionId) || null;
+    }
 
-        // 效率接管关键词匹配
-        match = text.match(/效率接管[-－](.+)/);
-        if (match) {
-            return { type: '效率接管', subType: match[1].trim() };
-        }
+    // 只删除当前测试的最后一条，不影响其他会话的记录
+    deleteLastRecord() {
+        const lastRecord = this.getCurrentSessionRecords().slice(-1)[0];
+        if (!lastRecord) return;
 
-        return null;
+        this.deleteRecord(lastRecord.id, 'voice');
     }
 
-    smartRecognitionMultiple(text) {
-        const results = [];
-        
-        // 体验问题智能识别 - 扩展同义词和变体
-        const experiencePatterns = [
-            { pattern: /(画龙|画蛇|龙|蛇行|摆尾|左右摆|摇摆)/, subType: '画龙' },
-            { pattern: /(重刹|刹车重|急刹|制动重|刹车|急停|突然刹车)/, subType: '重刹' },
-            { pattern: /(急加速|加速急|冲击|突然加速|猛加速|提速快)/, subType: '急加速' },
-            { pattern: /(颠簸|震动|不平稳|抖动|摇晃|晃动|不稳)/, subType: '颠簸' },
-            { pattern: /(转向重|方向盘重|打方向重|方向重|转向沉|打方向沉)/, subType: '转向重' }
-        ];
+    deleteRecord(recordId, source = 'manual') {
+        let removed = this.removeRecord(recordId, source);
+        if (!removed) return null;
 
-        // 效率接管智能识别 - 扩展同义词和变体
-        const efficiencyPatterns = [
-            { pattern: /(卡死|卡住|不动|停住|卡顿|死机|停车|不走)/, subType: '卡死不动' },
-            { pattern: /(慢|龟速|太慢|速度慢|很慢|超慢|开得慢|跑得慢)/, subType: '速度过慢' },
-            { pattern: /(反应慢|迟钝|延迟|反应迟钝|响应慢|慢半拍)/, subType: '反应迟钝' },
-            { pattern: /(路径错误|走错|路线错|路径错|走错路|线路错)/, subType: '路径错误' },
-            { pattern: /(效率接管|效率问题|效率|efficiency)/, subType: '效率接管' }
-        ];
+        const { record } = removed;
+        this.undoHistory.push({
+            label: `删除 ${record.type} - ${record.subType}`,
+            undo: () => this.restoreRecord(removed),
+            redo: () => { removed = this.removeRecord(record.id, 'redo'); }
+        });
 
-        // 安全接管智能识别 - 扩展同义词和变体  
-        const safetyPatterns = [
-            { pattern: /(碰撞|撞|危险|要撞|快撞|撞车|碰车)/, subType: '碰撞风险' },
-            { pattern: /(压线|越线|跨线|踩线|出线|过线)/, subType: '压线' },
-            { pattern: /(逆行|反向|开反了|走反|方向反)/, subType: '逆行' },
-            { pattern: /(闯红灯|红灯|冲红灯|闯灯)/, subType: '闯红灯' },
-            { pattern: /(安全接管|安全问题|安全|safety)/, subType: '安全接管' }
-        ];
+        this.showDeleteNotification(record);
+        return record;
+    }
 
-        // 检查体验问题
-        experiencePatterns.forEach(pattern => {
-            const match = text.match(pattern.pattern);
-            if (match) {
-                results.push({ 
-                    type: '体验问题', 
-                    subType: pattern.subType,
-                    matchedText: match[0]
-                });
-            }
-        });
+    // 从列表和存储中移除记录，返回恢复所需的信息 { record, index, clip }
+    // 所属会话上留下墓碑，删除后仍能看到记录被删除前的修改历史
+    removeRecord(recordId, source = 'manual') {
+        const index = this.testData.findIndex(record => record.id === recordId);
+        if (index === -1) return null;
 
-        // 检查效率接管
-        efficiencyPatterns.forEach(pattern => {
-            const match = text.match(pattern.pattern);
-            if (match) {
-                results.push({ 
-                    type: '效率接管', 
-                    subType: pattern.subType,
-                    matchedText: match[0]
-                });
+        const [record] = this.testData.splice(index, 1);
+        const session = this.findSession(record.sessionId);
+        if (session) {
+            addRecordTombstone(session, record, { source });
+            if (session.endTime) {
+                this.queueSync({ sessions: [session] });
             }
-        });
+        }
+        // 删除前先读出音频片段，撤销时写回
+        const clip = this.store && record.clip ? this.store.getClip(record.id).catch(() => null) : null;
+        this.cancelClipCapture(record.id);
+        this.persistRecordRemoval(record.id);
+        this.updateSessionRecordCount(record.sessionId);
 
-        // 检查安全接管
-        safetyPatterns.forEach(pattern => {
-            const match = text.match(pattern.pattern);
-            if (match) {
-                results.push({ 
-                    type: '安全接管', 
-                    subType: pattern.subType,
-                    matchedText: match[0]
-                });
-            }
+        if (this.recordEditor && this.recordEditor.recordId === record.id) {
+            this.recordEditor = null;
+        }
+        this.lastRecentData = null;
+        this.updateUI();
+        return { record, index, clip };
+    }
+
+    restoreRecord({ record, index, clip }) {
+        this.testData.splice(Math.min(index, this.testData.length), 0, record);
+        const session = this.findSession(record.sessionId);
+        if (session) {
+            removeRecordTombstone(session, record.id);
+        }
+        this.persistRecord(record);
+        if (clip) {
+            clip.then(data => data && this.store && this.store.putClip(data))
+                .catch(error => this.handleStorageError(error));
+        }
+        this.updateSessionRecordCount(record.sessionId);
+
+        this.lastRecentData = null;
+        this.updateUI();
+    }
+
+    // 修改记录的类型、子类型、严重程度或备注，每次修改写入记录自带的 audit
+    updateRecord(recordId, changes, source = 'manual') {
+        const record = this.testData.find(item => item.id === recordId);
+        if (!record) return false;
+
+        const diff = diffRecordFields(record, changes, Object.keys(RoadTestRecorder.RECORD_FIELD_LABELS));
+        if (Object.keys(diff).length === 0) return false;
+
+        applyRecordDiff(record, diff, { source });
+        console.log('✏️ 记录已修改:', { 记录: record.id, 来源: source, 修改: diff });
+
+        const { before, after } = splitRecordDiff(diff);
+        this.undoHistory.push({
+            label: `修改 ${record.type} - ${record.subType}`,
+            undo: () => this.updateRecord(record.id, before, 'undo'),
+            redo: () => this.updateRecord(record.id, after, 'redo')
         });
 
-        return results.length > 0 ? results : null;
+        this.queueSync({ records: [record] });
+        this.persistRecord(record);
+        this.lastRecentData = null;
+        this.updateUI();
+        return true;
     }
 
-    keywordRecognitionMultiple(text) {
-        const results = [];
-        
-        // 体验问题关键词匹配
-        let matches = text.match(/体验问题[-－]([^，,；;。.!！\s]+)/g);
-        if (matches) {
-            matches.forEach(match => {
-                const subType = match.replace(/体验问题[-－]/, '').trim();
-                if (subType) {
-                    results.push({ 
-                        type: '体验问题', 
-                        subType: subType,
-                        matchedText: match
-                    });
-                }
-            });
+    // 记录增删后更新所属会话的记录数
+    updateSessionRecordCount(sessionId) {
+        if (this.currentSession && this.currentSession.id === sessionId && !this.currentSession.endTime) {
+            this.persistActiveSession();
+            return;
         }
 
-        // 安全接管关键词匹配
-        matches = text.match(/安全接管[-－]([^，,；;。.!！\s]+)/g);
-        if (matches) {
-            matches.forEach(match => {
-                const subType = match.replace(/安全接管[-－]/, '').trim();
-                if (subType) {
-                    results.push({ 
-                        type: '安全接管', 
-                        subType: subType,
-                        matchedText: match
-                    });
-                }
-            });
+        const session = this.testSessions.find(s => s.id === sessionId);
+        if (session) {
+            session.recordCount = this.testData.filter(record => record.sessionId === sessionId).length;
+            this.persistSession(session);
         }
+    }
 
-        // 效率接管关键词匹配
-        matches = text.match(/效率接管[-－]([^，,；;。.!！\s]+)/g);
-        if (matches) {
-            matches.forEach(match => {
-                const subType = match.replace(/效率接管[-－]/, '').trim();
-                if (subType) {
-                    results.push({ 
-                        type: '效率接管', 
-                        subType: subType,
-                        matchedText: match
-                    });
+
+    // 最近记录和测试记录中的编辑/删除按钮
+    handleRecordAction(e, location) {
+        const btn = e.target.closest('[data-record-action]');
+        if (!btn) return;
+
+        const recordId = Number(btn.dataset.recordId);
+        switch (btn.dataset.recordAction) {
+            case 'edit':
+                this.openRecordEditor(recordId, location);
+                break;
+            case 'delete': {
+                const record = this.testData.find(item => item.id === recordId);
+                if (record && confirm(`确定要删除这条记录吗？\n${record.type} - ${record.subType}`)) {
+                    this.deleteRecord(recordId);
                 }
-            });
+                break;
+            }
+            case 'save':
+                this.saveRecordEditor(btn.closest('.record-editor'));
+                break;
+            case 'cancel':
+                this.closeRecordEditor();
+                break;
         }
+    }
+
+    // 在记录原位置显示编辑表单，编辑期间所在列表不再重新渲染
+    openRecordEditor(recordId, location) {
+        const record = this.testData.find(item => item.id === recordId);
+        if (!record) return;
 
-        return results.length > 0 ? results : null;
+        this.closeRecordEditor();
+        const containerId = location === 'recent' ? 'recentRecords' : 'historyList';
+        const item = document.querySelector(`#${containerId} [data-record-item="${recordId}"]`);
+        if (!item) return;
+
+        this.recordEditor = { recordId, location };
+        item.innerHTML = this.renderRecordEditor(record);
+
+        const typeSelect = item.querySelector('.record-editor-type');
+        typeSelect.addEventListener('change', () => {
+            item.querySelector('#recordEditorSubTypes').innerHTML = this.renderSubTypeOptions(typeSelect.value);
+        });
+        item.querySelector('.record-editor-subtype').focus();
     }
 
-    addRecord(type, subType, originalText) {
-        if (!this.currentSession) return;
+    closeRecordEditor() {
+        if (!this.recordEditor) return;
 
-        // 去重检查：防止5秒内添加相同类型和子类型的记录
-        const now = Date.now();
-        const currentSessionRecords = this.getCurrentSessionRecords();
-        const recentSimilar = currentSessionRecords.find(record => 
-            record.type === type && 
-            record.subType === subType &&
-            (now - new Date(record.timestamp).getTime()) < 5000
-        );
+        this.recordEditor = null;
+        this.lastRecentData = null;
+        this.updateUI();
+    }
 
-        if (recentSimilar) {
-            console.log('跳过重复记录:', type, subType);
+    saveRecordEditor(editor) {
+        if (!editor || !this.recordEditor) return;
+
+        const subType = editor.querySelector('.record-editor-subtype').value.trim();
+        if (!subType) {
+            alert('子类型不能为空');
             return;
         }
 
-        const record = {
-            id: now,
-            timestamp: new Date().toISOString(),
-            type: type,
-            subType: subType,
-            originalText: originalText,
-            sessionId: this.currentSession.id,
-            sessionName: this.currentSession.name
-        };
+        const { recordId } = this.recordEditor;
+        this.recordEditor = null;
+        const changed = this.updateRecord(recordId, {
+            type: editor.querySelector('.record-editor-type').value,
+            subType,
+            severity: editor.querySelector('.record-editor-severity').value,
+            note: editor.querySelector('.record-editor-note').value.trim()
+        });
 
-        this.testData.push(record);
-        this.saveData();
-        this.updateUI();
-        this.showRecordNotification(record);
+        if (changed) {
+            this.showNotification('记录已修改');
+        } else {
+            this.lastRecentData = null;
+            this.updateUI();
+        }
+    }
+
+    renderRecordEditor(record) {
+        // 分类定义修改后旧记录的类型可能已不存在，仍保留为可选项
+        const typeNames = this.taxonomy.categories.map(category => category.name);
+        if (!typeNames.includes(record.type)) {
+            typeNames.push(record.type);
+        }
+        const severityOptions = Object.entries(RoadTestRecorder.SEVERITY_LEVELS).map(([value, label]) =>
+            `<option value="${value}" ${record.severity === value ? 'selected' : ''}>${label}</option>`
+        ).join('');
+
+        return `
+            <div class="record-editor">
+                <div class="record-editor-row">
+                    <label>类型
+                        <select class="record-editor-type">
+                            ${typeNames.map(name => `<option value="${this.escapeHtml(name)}" ${name === record.type ? 'selected' : ''}>${this.escapeHtml(name)}</option>`).join('')}
+                        </select>
+                    </label>
+                    <label>子类型
+                        <input type="text" class="record-editor-subtype" list="recordEditorSubTypes" value="${this.escapeHtml(record.subType)}">
+                    </label>
+                    <datalist id="recordEditorSubTypes">${this.renderSubTypeOptions(record.type)}</datalist>
+                    <label>严重程度
+                        <select class="record-editor-severity">
+                            <option value="">未设置</option>
+                            ${severityOptions}
+                        </select>
+                    </label>
+                </div>
+                <textarea class="record-editor-note" rows="2" placeholder="备注">${this.escapeHtml(record.note || '')}</textarea>
+                ${this.renderRecordAudit(record)}
+                <div class="record-editor-actions">
+                    <button class="btn-mini" data-record-action="save" data-record-id="${record.id}">保存</button>
+                    <button class="btn-mini" data-record-action="cancel" data-record-id="${record.id}">取消</button>
+                </div>
+            </div>
+        `;
     }
 
-    deleteLastRecord() {
-        if (this.testData.length === 0) return;
-
-        const lastRecord = this.testData.pop();
-        this.saveData();
-        this.updateUI();
-        this.showDeleteNotification(lastRecord);
+    renderSubTypeOptions(typeName) {
+        const category = this.getCategoryByName(typeName);
+        if (!category) return '';
+        return [category.name, ...category.subTypes.map(subType => subType.name)]
+            .map(name => `<option value="${this.escapeHtml(name)}"></option>`)
+            .join('');
     }
 
+    renderRecordAudit(record) {
+        if (!record.audit || record.audit.length === 0) return '';
+
+        const labels = RoadTestRecorder.RECORD_FIELD_LABELS;
+        const formatValue = (field, value) => {
+            if (value === null || value === undefined) return '无';
+            return field === 'severity' ? (RoadTestRecorder.SEVERITY_LEVELS[value] || value) : value;
+        };
+        const entries = [...record.audit].reverse().map(entry => {
+            const changes = Object.entries(entry.changes).map(([field, { from, to }]) =>
+                `${labels[field] || field}: ${formatValue(field, from)} → ${formatValue(field, to)}`
+            ).join('；');
+            const source = RoadTestRecorder.RECORD_EDIT_SOURCES[entry.source] || entry.source;
+            return `<li>${new Date(entry.at).toLocaleString('zh-CN')} ${source} · ${this.escapeHtml(changes)}</li>`;
+        }).join('');
+
+        return `<details class="record-audit"><summary>修改记录 (${record.audit.length})</summary><ul>${entries}</ul></details>`;
+    }
 
     generateSessionName() {
         const now = new Date();
@@ -2016,6 +1708,11 @@ class RoadTestRecorder {
             return;
         }
 
+        if (!this.storageReady) {
+            this.showNotification('正在加载数据，请稍候再开始测试');
+            return;
+        }
+
         this.state = RoadTestRecorder.STATES.STARTING;
         const sessionId = Date.now();
         const sessionName = this.generateSessionName();
@@ -2025,45 +1722,24 @@ class RoadTestRecorder {
             name: sessionName,
             startTime: new Date().toISOString(),
             endTime: null,
-            recordCount: 0
+            recordCount: 0,
+            pauses: [], // 暂停区间 { start, end }，不计入测试时长
+            connectionEvents: [], // 语音识别断线、重连和恢复 { time, state, attempt, reason, delayMs, downtimeMs }
+            track: [], // GPS轨迹
+            ...this.sessionMetadataDraft // 车辆、软件版本等测试信息
         };
+        // 除备注外记住本次填写的内容
+        this.sessionMetadataDraft = saveSessionMetadataDefaults(this.sessionMetadataDraft);
+        this.prepareClipCapture(this.currentSession);
+        this.persistActiveSession();
 
         this.isRecording = true;
-        this.state = RoadTestRecorder.STATES.RECORDING;
-        this.startTime = Date.now();
-        this.startTimer();
-        
-        // 语音识别方案选择 - 使用阿里云API
-        console.log('🔍 语音识别方案选择...');
-        
-        // 检查阿里云API配置
-        const hasAliyunConfig = this.aliyunConfig.accessKeyId && this.aliyunConfig.accessKeySecret && this.aliyunConfig.appKey;
-        console.log('🔑 阿里云API配置状态:', hasAliyunConfig ? '已配置' : '未配置');
-        
-        if (hasAliyunConfig) {
-            console.log('☁️ 使用阿里云语音识别API');
-            this.showDebugInfo('☁️ 使用阿里云语音识别');
-            // 确保WebSocket连接已建立
-            if (!this.aliyunConnectionReady) {
-                console.log('📡 WebSocket未就绪，先建立连接...');
-                this.initWebSocketConnection();
-            }
-            this.startAudioRecording();
-        } else {
-            console.error('❌ 阿里云API未配置，无法启动语音识别');
-            this.showDebugInfo('❌ 阿里云API未配置');
-            this.showNotification('请先配置阿里云语音识别API');
-            
-            // 提示用户配置阿里云API
-            console.log('⚠️ 需要配置阿里云API凭证');
-            this.showConfigModal();
-            
-            // 配置完成后启动
-            setTimeout(() => {
-                this.initWebSocketConnection();
-                this.startAudioRecording();
-            }, 1000);
-        }
+        this.state = RoadTestRecorder.STATES.RECORDING;
+        this.startTimer();
+        this.startLocationTracking();
+        
+        // 启动当前配置的语音识别服务
+        this.startRecognition();
 
         this.updateUI();
         this.showNotification('开始测试记录');
@@ -2075,40 +1751,154 @@ class RoadTestRecorder {
         this.state = RoadTestRecorder.STATES.PAUSING;
         this.isRecording = false;
         this.stopTimer();
+        this.stopLocationTracking();
+        this.currentSession.pauses.push({ start: new Date().toISOString(), end: null });
+        this.persistActiveSession();
         
-        // 停止录音和语音识别
-        this.stopAudioRecording();
+        // 语音识别继续运行，暂停期间只响应语音指令，方便说"继续测试"
+        this.flushPendingClips();
         
-        this.state = RoadTestRecorder.STATES.STOPPED;
+        this.state = RoadTestRecorder.STATES.PAUSED;
+        this.updateUI();
+        this.showNotification('测试已暂停，说"继续测试"可恢复');
+    }
+
+    // 继续暂停的测试，沿用原会话和计时
+    resumeTest() {
+        if (this.state !== RoadTestRecorder.STATES.PAUSED) return;
+
+        this.state = RoadTestRecorder.STATES.STARTING;
+        closeOpenPause(this.currentSession);
+        this.persistActiveSession();
+
+        // 暂停期间的音频不属于任何问题
+        if (this.clipBuffer) {
+            this.clipBuffer.clear();
+        }
+
+        this.isRecording = true;
+        this.state = RoadTestRecorder.STATES.RECORDING;
+        this.updateTimer();
+        this.startTimer();
+        this.startLocationTracking();
+
+        // 暂停期间的识别流可能已超时或断开，重新开始一次识别
+        this.stopRecognition().then(() => {
+            if (this.isRecording) {
+                this.startRecognition();
+            }
+        });
+
         this.updateUI();
-        this.showNotification('测试已暂停');
+        this.showNotification(`继续测试 - ${this.currentSession.name}`);
     }
 
     stopTest() {
-        if (!this.isRecording) return;
+        if (!this.isRecording && this.state !== RoadTestRecorder.STATES.PAUSED) return;
 
         this.state = RoadTestRecorder.STATES.PAUSING;
         this.isRecording = false;
         this.stopTimer();
+        this.stopLocationTracking();
         
         if (this.currentSession) {
             this.currentSession.endTime = new Date().toISOString();
+            closeOpenPause(this.currentSession, this.currentSession.endTime);
             // 统计本次测试的记录数量
             this.currentSession.recordCount = this.getCurrentSessionRecords().length;
+            this.queueSync({ sessions: [this.currentSession] });
             
             // 保存到测试历史
             this.testSessions.push({ ...this.currentSession });
-            this.saveSessionData();
+            this.persistSession(this.currentSession);
         }
 
         // 停止录音和语音识别
-        this.stopAudioRecording();
+        this.clearPendingConfirmation();
+        this.stopRecognition();
+        this.flushPendingClips();
+        this.clipBuffer = null;
+
+        // 是否保存音频片段需要每次测试重新选择
+        const clipEnabledInput = document.getElementById('clipEnabled');
+        if (clipEnabledInput) {
+            clipEnabledInput.checked = false;
+        }
 
         this.state = RoadTestRecorder.STATES.STOPPED;
         this.updateUI();
         this.showNotification(`测试记录已停止 - ${this.currentSession?.name}`);
     }
     
+    // 测试期间持续获取位置、速度和航向，写入会话轨迹
+    startLocationTracking() {
+        if (!navigator.geolocation) {
+            console.warn('⚠️ 浏览器不支持定位');
+            this.updateLocationStatus('不支持');
+            return;
+        }
+        
+        this.stopLocationTracking();
+        this.updateLocationStatus('定位中...');
+        
+        this.locationWatchId = navigator.geolocation.watchPosition(
+            (position) => this.handlePositionUpdate(position),
+            (error) => {
+                console.warn('⚠️ 定位失败:', { 错误码: error.code, 错误信息: error.message });
+                this.updateLocationStatus(describeLocationError(error));
+            },
+            {
+                enableHighAccuracy: true,
+                maximumAge: 1000,
+                timeout: 15000
+            }
+        );
+    }
+    
+    stopLocationTracking() {
+        if (this.locationWatchId !== null && navigator.geolocation) {
+            navigator.geolocation.clearWatch(this.locationWatchId);
+        }
+        this.locationWatchId = null;
+        this.lastLocationFix = null;
+        this.updateLocationStatus('--');
+    }
+    
+    handlePositionUpdate(position) {
+        const fix = toLocationFix(position);
+        
+        // 轨迹点最多每秒一个
+        const lastFix = this.lastLocationFix;
+        this.lastLocationFix = fix;
+        if (this.currentSession && (!lastFix || position.timestamp - new Date(lastFix.timestamp).getTime() >= 1000)) {
+            this.currentSession.track.push(fix);
+
+            // 轨迹变化频繁，最多每15秒保存一次
+            if (Date.now() - this.lastSessionPersistAt >= 15000) {
+                this.persistActiveSession();
+            }
+        }
+        
+        this.updateLocationStatus(`±${fix.accuracy}m`);
+    }
+    
+    // 取时间上最接近的定位点，太旧的定位不关联
+    getNearestFix(time, session = this.currentSession) {
+        return pickRecordLocation(time, {
+            track: session && session.track ? session.track : [],
+            lastFix: this.lastLocationFix,
+            isCurrentSession: session === this.currentSession,
+            maxAge: this.maxFixAge
+        });
+    }
+    
+    updateLocationStatus(text) {
+        const locationStatus = document.getElementById('locationStatus');
+        if (locationStatus) {
+            locationStatus.textContent = text;
+        }
+    }
+    
     startTimer() {
         this.timerInterval = setInterval(() => {
             this.updateTimer();
@@ -2123,9 +1913,9 @@ class RoadTestRecorder {
     }
     
     updateTimer() {
-        if (!this.startTime) return;
+        if (!this.currentSession) return;
         
-        const elapsed = Date.now() - this.startTime;
+        const elapsed = getActiveDuration(this.currentSession);
         const hours = Math.floor(elapsed / 3600000);
         const minutes = Math.floor((elapsed % 3600000) / 60000);
         const seconds = Math.floor((elapsed % 60000) / 1000);
@@ -2156,9 +1946,14 @@ class RoadTestRecorder {
 
     saveSessionData() {
         try {
-            localStorage.setItem('roadTestSessions', JSON.stringify(this.testSessions));
+            // 进行中的会话一起保存，页面被关闭后可以恢复
+            const sessions = this.currentSession && !this.currentSession.endTime
+                ? [...this.testSessions, this.currentSession]
+                : this.testSessions;
+            localStorage.setItem('roadTestSessions', JSON.stringify(sessions));
         } catch (error) {
             console.error('保存会话数据失败:', error);
+            this.handleStorageError(error);
         }
     }
 
@@ -2183,9 +1978,9 @@ class RoadTestRecorder {
         this.cleanupUrlObjects();
         this.stopTimer();
         
-        if (this.recognition) {
+        if (this.speechProvider) {
             try {
-                this.recognition.stop();
+                this.speechProvider.disconnect();
             } catch (error) {
                 console.warn('停止语音识别失败:', error);
             }
@@ -2193,25 +1988,339 @@ class RoadTestRecorder {
     }
 
     handleQuickRecord(type) {
-        if (!this.currentSession) {
-            // 如果没有活动会话，先开始测试
+        if (this.state === RoadTestRecorder.STATES.PAUSED) {
+            this.resumeTest();
+        } else if (!this.isRecording) {
+            // 如果没有进行中的测试，先开始测试
             this.startTest();
         }
         
-        let typeText = '';
-        switch(type) {
-            case 'safety':
-                typeText = '安全接管';
-                break;
-            case 'efficiency':
-                typeText = '效率接管';
-                break;
-            case 'experience':
-                typeText = '体验问题';
-                break;
+        const category = this.getCategoryByKey(type);
+        if (!category) {
+            console.warn('未知的问题类型:', type);
+            return;
         }
         
-        this.addRecord(typeText, '手动记录', `快速记录：${typeText}`);
+        this.addRecord(category.name, '手动记录', `快速记录：${category.name}`);
+    }
+
+    // 应用分类定义，识别规则和快速记录按钮随之更新
+    applyTaxonomy(taxonomy) {
+        this.taxonomy = taxonomy;
+        if (this.recognizer) {
+            this.recognizer.setTaxonomy(taxonomy);
+        } else {
+            this.recognizer = new IssueRecognizer(taxonomy, { log: console.log.bind(console) });
+        }
+        this.lastRecentData = null;
+        this.renderQuickRecordButtons();
+    }
+
+    renderQuickRecordButtons() {
+        const container = document.getElementById('problemButtons');
+        if (!container) return;
+
+        container.innerHTML = this.taxonomy.categories.map(category => `
+            <button class="problem-btn ${category.key}-btn" data-type="${category.key}" style="background-color: ${this.escapeHtml(category.color)};">
+                <span class="problem-icon">${this.escapeHtml(category.icon)}</span>
+                <span class="problem-text">${this.escapeHtml(category.name)}</span>
+                <span class="problem-count" id="${category.key}Count">0</span>
+            </button>
+        `).join('');
+    }
+
+    exportTaxonomy() {
+        const content = JSON.stringify(this.taxonomy, null, 2);
+        const blob = new Blob([content], { type: 'application/json;charset=utf-8;' });
+        this.downloadBlob(blob, `问题分类_${new Date().toISOString().split('T')[0]}.json`);
+    }
+
+    async importTaxonomy(file) {
+        try {
+            const taxonomy = normalizeTaxonomy(JSON.parse(await file.text()));
+            const summary = taxonomy.categories.map(category => `${category.name}(${category.subTypes.length})`).join('、');
+            if (!confirm(`导入以下问题分类并替换当前分类？\n${summary}`)) return;
+
+            saveTaxonomy(taxonomy);
+            this.applyTaxonomy(taxonomy);
+            this.updateUI();
+            this.showNotification('问题分类已更新');
+        } catch (error) {
+            console.error('导入分类失败:', error);
+            alert('导入分类失败: ' + error.message);
+        }
+    }
+
+    // 不含密钥的设置：识别服务选择、非 secret 的配置项和音频片段长度
+    getBackupSettings() {
+        const fields = Object.fromEntries(
+            Object.values(SPEECH_PROVIDERS).map(ProviderClass => [ProviderClass.id, ProviderClass.configFields])
+        );
+        return {
+            speech: {
+                provider: this.speechConfig.provider,
+                configs: stripSecretSettings(this.speechConfig.configs, fields)
+            },
+            clipSettings: { ...this.clipSettings }
+        };
+    }
+
+    // 恢复设置时保留本机已填写的密钥
+    applyBackupSettings(settings) {
+        if (settings.speech) {
+            const configs = { ...this.speechConfig.configs };
+            Object.entries(settings.speech.configs || {}).forEach(([providerId, config]) => {
+                if (SPEECH_PROVIDERS[providerId]) {
+                    configs[providerId] = { ...configs[providerId], ...config };
+                }
+            });
+            this.speechConfig = {
+                provider: SPEECH_PROVIDERS[settings.speech.provider] ? settings.speech.provider : this.speechConfig.provider,
+                configs
+            };
+            this.saveSpeechConfig();
+            this.createSpeechProvider();
+        }
+
+        if (settings.clipSettings) {
+            this.clipSettings = {
+                before: this.clampClipSeconds(settings.clipSettings.before, this.clipSettings.before),
+                after: this.clampClipSeconds(settings.clipSettings.after, this.clipSettings.after)
+            };
+            localStorage.setItem('roadTestClipSettings', JSON.stringify(this.clipSettings));
+            this.renderClipSettings();
+        }
+    }
+
+    // 完整备份：全部记录、测试、问题分类和设置，音频片段不包含在内
+    exportBackup() {
+        // 进行中的测试还没有结束，不放进备份
+        const activeSessionId = this.currentSession && !this.currentSession.endTime ? this.currentSession.id : null;
+        const records = this.testData.filter(record => activeSessionId === null || record.sessionId !== activeSessionId);
+
+        const backup = createBackup({
+            records,
+            sessions: this.testSessions,
+            taxonomy: this.taxonomy,
+            settings: this.getBackupSettings()
+        });
+        const blob = new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json;charset=utf-8;' });
+        this.downloadBlob(blob, `道路测试备份_${new Date().toISOString().split('T')[0]}.json`);
+
+        console.log('💾 已导出备份:', { 测试数: this.testSessions.length, 记录数: records.length });
+        this.showNotification(activeSessionId
+            ? '备份已导出，进行中的测试未包含在内'
+            : `备份已导出：${this.testSessions.length} 个测试、${records.length} 条记录`);
+    }
+
+    async importBackup(file) {
+        if (this.state !== RoadTestRecorder.STATES.STOPPED) {
+            alert('请先结束当前测试再恢复备份');
+            return;
+        }
+
+        let backup;
+        try {
+            backup = parseBackup(JSON.parse(await file.text()));
+        } catch (error) {
+            console.error('读取备份失败:', error);
+            alert('读取备份失败: ' + error.message);
+            return;
+        }
+
+        this.showRestoreModal(backup);
+    }
+
+    // 恢复前预览：按测试ID列出新增、相同和冲突的测试，由用户选择合并或替换
+    showRestoreModal(backup) {
+        if (document.getElementById('restoreModal')) return;
+
+        const preview = previewRestore(backup, { sessions: this.testSessions, records: this.testData });
+        const exportedAt = backup.exportedAt ? new Date(backup.exportedAt).toLocaleString('zh-CN') : '未知';
+        const conflictItems = preview.conflicts.map(({ session, existing, recordCount }) => {
+            const localCount = this.testData.filter(record => record.sessionId === existing.id).length;
+            return `
+                <div class="restore-conflict">
+                    <span>${this.escapeHtml(existing.name)}</span>
+                    <small>本机 ${localCount} 条 / 备份 ${recordCount} 条</small>
+                </div>
+            `;
+        }).join('');
+
+        const modalHtml = `
+            <div class="modal restore-modal" id="restoreModal">
+                <div class="modal-content">
+                    <h3>恢复备份</h3>
+                    <p>备份时间：${exportedAt}<br>包含 ${backup.sessions.length} 个测试、${backup.records.length} 条记录</p>
+                    <ul class="restore-summary">
+                        <li>新增测试：${preview.newCount}</li>
+                        <li>与本机相同：${preview.identicalCount}</li>
+                        <li>ID相同但内容不同：${preview.conflicts.length}</li>
+                        <li>仅在本机：${preview.localOnly.length}</li>
+                    </ul>
+                    ${conflictItems ? `<div class="restore-conflicts">${conflictItems}</div>` : ''}
+                    <div class="restore-options">
+                        <label><input type="radio" name="restoreMode" value="merge" checked> 合并：保留本机数据，加入备份中的新测试</label>
+                        <label><input type="radio" name="restoreMode" value="replace"> 替换：删除本机全部测试，改为备份中的数据</label>
+                        ${preview.conflicts.length > 0 ? `
+                            <label class="restore-conflict-option" id="restoreConflictOption">内容不同的测试：
+                                <select id="restoreConflictSelect">
+                                    <option value="skip">保留本机版本</option>
+                                    <option value="copy">备份版本作为新测试导入</option>
+                                    <option value="overwrite">用备份版本覆盖本机</option>
+                                </select>
+                            </label>
+                        ` : ''}
+                        <label><input type="checkbox" id="restoreSettingsCheckbox"> 同时恢复问题分类和设置（不含密钥）</label>
+                    </div>
+                    <div class="modal-buttons">
+                        <button class="btn-secondary" id="restoreCancelBtn">取消</button>
+                        <button class="btn-primary" id="restoreConfirmBtn">恢复</button>
+                    </div>
+                </div>
+            </div>
+        `;
+        document.body.insertAdjacentHTML('beforeend', modalHtml);
+
+        const modal = document.getElementById('restoreModal');
+        const conflictOption = document.getElementById('restoreConflictOption');
+        modal.querySelectorAll('input[name="restoreMode"]').forEach(input => {
+            input.addEventListener('change', () => {
+                if (conflictOption) {
+                    conflictOption.style.display = input.value === 'replace' && input.checked ? 'none' : '';
+                }
+            });
+        });
+
+        document.getElementById('restoreCancelBtn').addEventListener('click', () => modal.remove());
+        document.getElementById('restoreConfirmBtn').addEventListener('click', () => {
+            const mode = modal.querySelector('input[name="restoreMode"]:checked').value;
+            const conflictSelect = document.getElementById('restoreConflictSelect');
+            const options = {
+                mode,
+                onConflict: conflictSelect ? conflictSelect.value : 'skip',
+                restoreSettings: document.getElementById('restoreSettingsCheckbox').checked
+            };
+
+            // 会删除或覆盖本机测试的操作需要再次确认
+            if (mode === 'replace' && (this.testSessions.length > 0 || this.testData.length > 0) && !confirm(
+                `将删除本机全部 ${this.testSessions.length} 个测试、${this.testData.length} 条记录和录音片段，` +
+                `替换为备份中的 ${backup.sessions.length} 个测试。` +
+                (preview.localOnly.length > 0 ? `\n其中 ${preview.localOnly.length} 个测试不在备份中，将永久丢失。` : '') +
+                '\n\n此操作不能撤销，确定继续吗？'
+            )) return;
+            if (mode === 'merge' && options.onConflict === 'overwrite' && !confirm(
+                `将用备份版本覆盖本机的 ${preview.conflicts.length} 个测试，本机的修改会丢失，确定继续吗？`
+            )) return;
+
+            modal.remove();
+            this.restoreBackup(backup, options);
+        });
+    }
+
+    async restoreBackup(backup, { mode, onConflict, restoreSettings }) {
+        let summary;
+        try {
+            if (mode === 'replace') {
+                this.testSessions = [...backup.sessions];
+                this.testData = [...backup.records];
+                if (this.store) {
+                    await this.store.replaceAll(this.testSessions, this.testData);
+                } else {
+                    this.saveData();
+                    this.saveSessionData();
+                }
+                summary = `已用备份替换全部数据：${backup.sessions.length} 个测试、${backup.records.length} 条记录`;
+            } else {
+                const result = mergeBackup(backup, { sessions: this.testSessions, records: this.testData }, { onConflict });
+                const removedIds = new Set(result.removedRecordIds);
+                const incomingIds = new Set(result.records.map(record => record.id));
+
+                this.testData = this.testData
+                    .filter(record => !removedIds.has(record.id) && !incomingIds.has(record.id))
+                    .concat(result.records);
+                result.sessions.forEach(session => {
+                    const index = this.testSessions.findIndex(s => s.id === session.id);
+                    if (index === -1) {
+                        this.testSessions.push(session);
+                    } else {
+                        this.testSessions[index] = session;
+                    }
+                });
+
+                if (this.store) {
+                    await Promise.all([
+                        ...result.removedRecordIds.map(id => this.store.deleteRecord(id)),
+                        this.store.putRecords(result.records),
+                        ...result.sessions.map(session => this.store.putSession(session))
+                    ]);
+                } else {
+                    this.saveData();
+                    this.saveSessionData();
+                }
+
+                summary = [
+                    `新增 ${result.added.length} 个测试`,
+                    result.copied.length > 0 ? `${result.copied.length} 个作为副本导入` : '',
+                    result.overwritten.length > 0 ? `覆盖 ${result.overwritten.length} 个` : '',
+                    result.skipped.length > 0 ? `跳过 ${result.skipped.length} 个冲突的测试` : ''
+                ].filter(Boolean).join('，');
+                console.log('📥 已合并备份:', {
+                    新增: result.added.map(session => session.name),
+                    副本: result.copied.map(session => session.name),
+                    覆盖: result.overwritten.map(session => session.name),
+                    跳过: result.skipped.map(session => session.name)
+                });
+            }
+
+            if (restoreSettings) {
+                if (backup.taxonomy) {
+                    saveTaxonomy(backup.taxonomy);
+                    this.applyTaxonomy(backup.taxonomy);
+                }
+                this.applyBackupSettings(backup.settings);
+            }
+        } catch (error) {
+            console.error('恢复备份失败:', error);
+            this.handleStorageError(error);
+            alert('恢复备份失败: ' + error.message);
+            return;
+        }
+
+        // 撤销记录引用的是恢复前的数据
+        this.undoHistory.clear();
+        this.recordEditor = null;
+        this.lastRecentData = null;
+        this.updateUI();
+        this.showNotification(`✅ ${summary}`, 5000);
+    }
+
+    downloadBlob(blob, filename) {
+        const link = document.createElement('a');
+        if (link.download === undefined) {
+            alert('浏览器不支持文件下载功能');
+            return;
+        }
+
+        const url = URL.createObjectURL(blob);
+        this.urlObjectsToCleanup.add(url);
+
+        link.setAttribute('href', url);
+        link.setAttribute('download', filename);
+        link.style.visibility = 'hidden';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+
+        // 延迟清理URL对象
+        setTimeout(() => {
+            try {
+                URL.revokeObjectURL(url);
+                this.urlObjectsToCleanup.delete(url);
+            } catch (error) {
+                console.warn('清理URL对象失败:', error);
+            }
+        }, 1000);
     }
 
     exportData() {
@@ -2220,45 +2329,154 @@ class RoadTestRecorder {
             return;
         }
 
-        const csvContent = this.generateCSV();
+        const csvContent = this.generateAllDataCSV();
         const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
-        const link = document.createElement('a');
-        
-        if (link.download !== undefined) {
-            const url = URL.createObjectURL(blob);
-            this.urlObjectsToCleanup.add(url);
-            
-            link.setAttribute('href', url);
-            link.setAttribute('download', `道路测试记录_${new Date().toISOString().split('T')[0]}.csv`);
-            link.style.visibility = 'hidden';
-            document.body.appendChild(link);
-            link.click();
-            document.body.removeChild(link);
-            
-            // 延迟清理URL对象
-            setTimeout(() => {
-                try {
-                    URL.revokeObjectURL(url);
-                    this.urlObjectsToCleanup.delete(url);
-                } catch (error) {
-                    console.warn('清理URL对象失败:', error);
-                }
-            }, 1000);
+        this.downloadBlob(blob, `道路测试记录_${new Date().toISOString().split('T')[0]}.csv`);
+    }
+
+    // CSV 单元格：统一加引号，内容中的引号写成两个，逗号和换行不会拆开单元格
+    csvCell(value) {
+        return `"${String(value ?? '').replace(/"/g, '""')}"`;
+    }
+
+    // 导出Excel：汇总表 + 每个测试一张表
+    exportXlsx(sessions, filename) {
+        const sessionsWithRecords = sessions.filter(session =>
+            this.testData.some(record => record.sessionId === session.id)
+        );
+        if (sessionsWithRecords.length === 0) {
+            alert('没有数据可以导出');
+            return;
+        }
+
+        try {
+            const sheets = [
+                this.buildSummarySheet(sessions),
+                ...sessionsWithRecords.map(session => this.buildSessionSheet(session))
+            ];
+            const blob = new Blob([buildXlsx(sheets)], { type: XLSX_MIME_TYPE });
+            this.downloadBlob(blob, filename);
+            console.log('✅ Excel导出成功:', { 文件: filename, 工作表: sheets.length });
+        } catch (error) {
+            console.error('❌ Excel导出失败:', error);
+            alert('导出失败: ' + error.message);
         }
     }
 
+    exportAllXlsx() {
+        this.exportXlsx(this.testSessions, `道路测试记录_${new Date().toISOString().split('T')[0]}.xlsx`);
+    }
+
+    // 每个测试一行，各类型数量列按分类颜色标注
+    buildSummarySheet(sessions) {
+        const categories = this.taxonomy.categories;
+        // 测试信息列放在最后，不影响按位置求和的数量列
+        const toRow = (session, endTime, duration, stats) => {
+            const metadata = normalizeSessionMetadata(session);
+            return [
+                session.name,
+                session.startTime ? new Date(session.startTime) : null,
+                endTime ? new Date(endTime) : null,
+                duration,
+                stats.total,
+                ...categories.map(category => stats[category.key]),
+                ...SESSION_METADATA_FIELDS.map(field => metadata[field.key] || null)
+            ];
+        };
+
+        const rows = sessions.map(session => {
+            const stats = this.getSessionStatistics(session.id);
+            const total = this.testData.filter(record => record.sessionId === session.id).length;
+            return toRow(session, session.endTime, this.calculateSessionDuration(session), { total, ...stats });
+        });
+
+        // 尚未结束的测试
+        if (this.currentSession && !this.currentSession.endTime) {
+            rows.push(toRow(this.currentSession, null, '进行中', this.calculateStatistics()));
+        }
+
+        const totals = categories.map((_, index) => rows.reduce((sum, row) => sum + row[5 + index], 0));
+        rows.push([
+            { value: '合计', style: { bold: true } },
+            null,
+            null,
+            null,
+            { value: rows.reduce((sum, row) => sum + row[4], 0), style: { bold: true } },
+            ...totals.map(total => ({ value: total, style: { bold: true } }))
+        ]);
+
+        return {
+            name: '汇总',
+            columns: [
+                { header: '测试名称', width: 24 },
+                { header: '开始时间', width: 20 },
+                { header: '结束时间', width: 20 },
+                { header: '测试时长', width: 12 },
+                { header: '问题总数', width: 10 },
+                ...categories.map(category => ({
+                    header: category.name,
+                    width: 12,
+                    style: { fill: category.color, color: '#ffffff' }
+                })),
+                ...SESSION_METADATA_FIELDS.map(field => ({ header: field.label, width: field.multiline ? 30 : 14 }))
+            ],
+            rows
+        };
+    }
+
+    // 测试的全部记录，类型列按分类颜色填充
+    buildSessionSheet(session) {
+        const records = this.testData.filter(record => record.sessionId === session.id);
+        return {
+            name: session.name,
+            columns: [
+                { header: '时间', width: 20 },
+                { header: '类型', width: 12 },
+                { header: '子类型', width: 14 },
+                { header: '严重程度', width: 10 },
+                { header: '原始语音', width: 40 },
+                { header: '备注', width: 30 },
+                { header: '纬度', width: 12 },
+                { header: '经度', width: 12 },
+                { header: '速度(km/h)', width: 12 }
+            ],
+            rows: records.map(record => {
+                const category = this.getCategoryByName(record.type);
+                const location = record.location;
+                const speed = location && location.speed !== null && location.speed !== undefined
+                    ? Math.round(location.speed * 36) / 10
+                    : null;
+                return [
+                    new Date(record.timestamp),
+                    { value: record.type, style: category ? { fill: category.color, color: '#ffffff' } : {} },
+                    record.subType,
+                    RoadTestRecorder.SEVERITY_LEVELS[record.severity] || null,
+                    record.originalText,
+                    record.note || null,
+                    location ? location.lat : null,
+                    location ? location.lon : null,
+                    speed
+                ];
+            })
+        };
+    }
+
     generateCurrentSessionCSV() {
         const currentRecords = this.getCurrentSessionRecords();
-        const headers = ['测试名称', '时间戳', '类型', '子类型', '原始语音'];
+        const headers = ['测试名称', '时间戳', '类型', '子类型', '原始语音', '备注', '严重程度', ...this.getLocationCSVHeaders(), ...this.getMetadataCSVHeaders()];
         const rows = [headers.join(',')];
 
         currentRecords.forEach(record => {
             const row = [
-                `"${record.sessionName || '当前测试'}"`,
-                `"${new Date(record.timestamp).toLocaleString('zh-CN')}"`,
-                `"${record.type}"`,
-                `"${record.subType}"`,
-                `"${record.originalText}"`
+                this.csvCell(record.sessionName || '当前测试'),
+                this.csvCell(new Date(record.timestamp).toLocaleString('zh-CN')),
+                this.csvCell(record.type),
+                this.csvCell(record.subType),
+                this.csvCell(record.originalText),
+                this.csvCell(record.note),
+                this.csvCell(RoadTestRecorder.SEVERITY_LEVELS[record.severity]),
+                ...this.getLocationCSVColumns(record),
+                ...this.getMetadataCSVColumns(this.currentSession)
             ];
             rows.push(row.join(','));
         });
@@ -2267,11 +2485,11 @@ class RoadTestRecorder {
     }
 
     generateAllDataCSV() {
-        const headers = ['测试名称', '时间戳', '类型', '子类型', '原始语音', '会话ID'];
+        const headers = ['测试名称', '时间戳', '类型', '子类型', '原始语音', '备注', '严重程度', '会话ID', ...this.getLocationCSVHeaders(), ...this.getMetadataCSVHeaders()];
         const rows = [headers.join(',')];
 
-        // 按测试会话分组排序
-        this.testData.sort((a, b) => {
+        // 按测试会话分组排序（不改变 testData 本身的顺序）
+        const sortedRecords = [...this.testData].sort((a, b) => {
             const sessionA = this.testSessions.find(s => s.id === a.sessionId);
             const sessionB = this.testSessions.find(s => s.id === b.sessionId);
             const timeA = sessionA ? new Date(sessionA.startTime) : new Date(a.timestamp);
@@ -2279,14 +2497,20 @@ class RoadTestRecorder {
             return timeB - timeA; // 新的在前
         });
 
-        this.testData.forEach(record => {
+        sortedRecords.forEach(record => {
+            const session = this.testSessions.find(s => s.id === record.sessionId) ||
+                (this.currentSession && this.currentSession.id === record.sessionId ? this.currentSession : null);
             const row = [
-                `"${record.sessionName || '未知测试'}"`,
-                `"${new Date(record.timestamp).toLocaleString('zh-CN')}"`,
-                `"${record.type}"`,
-                `"${record.subType}"`,
-                `"${record.originalText}"`,
-                `"${record.sessionId}"`
+                this.csvCell(record.sessionName || '未知测试'),
+                this.csvCell(new Date(record.timestamp).toLocaleString('zh-CN')),
+                this.csvCell(record.type),
+                this.csvCell(record.subType),
+                this.csvCell(record.originalText),
+                this.csvCell(record.note),
+                this.csvCell(RoadTestRecorder.SEVERITY_LEVELS[record.severity]),
+                this.csvCell(record.sessionId),
+                ...this.getLocationCSVColumns(record),
+                ...this.getMetadataCSVColumns(session)
             ];
             rows.push(row.join(','));
         });
@@ -2295,35 +2519,202 @@ class RoadTestRecorder {
     }
 
 
-    loadApiKey() {
+    loadData() {
         try {
-            const savedApiKey = localStorage.getItem('aliCloudApiKey');
-            if (savedApiKey) {
-                this.aliCloudConfig.apiKey = savedApiKey;
+            const savedData = localStorage.getItem('roadTestData');
+            if (savedData) {
+                this.testData = JSON.parse(savedData);
             }
         } catch (error) {
-            console.error('加载API Key失败:', error);
+            console.error('加载数据失败:', error);
+            this.testData = [];
+        }
+    }
+
+    saveData() {
+        try {
+            localStorage.setItem('roadTestData', JSON.stringify(this.testData));
+        } catch (error) {
+            console.error('保存数据失败:', error);
+            this.handleStorageError(error);
+        }
+    }
+
+    // 打开IndexedDB并迁移旧数据，不支持时回退到localStorage
+    async initStorage() {
+        if (RecordStore.isSupported()) {
+            try {
+                const store = new RecordStore();
+                await store.open();
+                const migrated = await store.migrateFromLocalStorage();
+                this.testData = await store.getAllRecords();
+                this.testSessions = await store.getAllSessions();
+                this.store = store;
+
+                // 申请持久化存储，避免浏览器在空间紧张时清理数据
+                if (navigator.storage && navigator.storage.persist) {
+                    navigator.storage.persist().catch(() => {});
+                }
+
+                console.log('🗄️ IndexedDB存储已就绪:', { 记录数: this.testData.length, 会话数: this.testSessions.length });
+                if (migrated > 0) {
+                    this.showNotification('历史数据已迁移到新的存储');
+                }
+                this.storageReady = true;
+                this.recoverSessions();
+                this.queueUnsyncedData();
+                this.updateUI();
+
+                this.audioQueue.store = {
+                    put: (entry) => store.putQueuedAudio(entry),
+                    delete: (id) => store.deleteQueuedAudio(id),
+                    getAll: () => store.getQueuedAudio()
+                };
+                this.loadAudioQueue();
+                return;
+            } catch (error) {
+                console.error('IndexedDB初始化失败，回退到localStorage:', error);
+            }
+        }
+
+        this.loadData();
+        this.loadSessionData();
+        this.storageReady = true;
+        this.recoverSessions();
+        this.queueUnsyncedData();
+        this.updateUI();
+    }
+
+    // 启动时处理上次未正常结束的测试，并为找不到会话的记录补建会话
+    recoverSessions() {
+        const unfinished = this.testSessions
+            .filter(session => !session.endTime)
+            .sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
+        this.testSessions = this.testSessions.filter(session => session.endTime);
+
+        // 只询问最近的一个，更早的直接结束
+        const latest = unfinished.pop();
+        unfinished.forEach(session => this.closeRecoveredSession(session));
+
+        if (latest) {
+            const records = this.testData.filter(record => record.sessionId === latest.id);
+            const shouldResume = confirm(
+                `检测到未正常结束的测试"${latest.name}"（${records.length} 条记录）。\n\n` +
+                '点击"确定"继续该测试，点击"取消"将其结束并保存到测试记录。'
+            );
+
+            if (shouldResume) {
+                this.currentSession = reopenUnfinishedSession(latest, records);
+                this.state = RoadTestRecorder.STATES.PAUSED;
+                this.persistActiveSession();
+                this.updateTimer();
+                console.log('♻️ 已恢复未结束的测试:', latest.name);
+                this.showNotification('已恢复未结束的测试，点击"继续测试"接着记录');
+            } else {
+                this.closeRecoveredSession(latest);
+            }
+        }
+
+        const orphanSessions = buildOrphanSessions(this.testData, [...this.testSessions, ...(latest ? [latest] : [])]);
+        orphanSessions.forEach(session => {
+            this.testSessions.push(session);
+            this.persistSession(session);
+        });
+        if (orphanSessions.length > 0) {
+            console.log('🩹 已为孤立记录补建会话:', orphanSessions.map(session => session.name));
+            this.showNotification(`已为 ${orphanSessions.length} 个丢失的测试补建会话`);
+        }
+    }
+
+    closeRecoveredSession(session) {
+        const records = this.testData.filter(record => record.sessionId === session.id);
+        const closed = closeUnfinishedSession(session, records);
+        this.testSessions.push(closed);
+        this.persistSession(closed);
+        console.log('🔚 已结束未完成的测试:', { 名称: closed.name, 结束时间: closed.endTime });
+    }
+
+    // 同一毫秒内可能连续添加多条记录，保证ID唯一且递增
+    generateRecordId() {
+        const maxExisting = this.testData.reduce((max, record) => Math.max(max, record.id || 0), 0);
+        this.lastRecordId = Math.max(Date.now(), this.lastRecordId + 1, maxExisting + 1);
+        return this.lastRecordId;
+    }
+
+    persistRecord(record) {
+        if (!this.store) {
+            this.saveData();
+            return;
+        }
+        this.store.putRecord(record).catch(error => this.handleStorageError(error));
+    }
+
+    persistRecords(records) {
+        if (!this.store) {
+            this.saveData();
+            return;
         }
+        this.store.putRecords(records).catch(error => this.handleStorageError(error));
     }
 
+    persistRecordRemoval(recordId) {
+        if (!this.store) {
+            this.saveData();
+            return;
+        }
+        this.store.deleteRecord(recordId).catch(error => this.handleStorageError(error));
+    }
+
+    // 进行中的会话每次变化都保存，结束后由 stopTest 保存最终结果
+    persistActiveSession() {
+        const session = this.currentSession;
+        if (!session || session.endTime) return;
+
+        session.recordCount = this.getCurrentSessionRecords().length;
+        session.updatedAt = new Date().toISOString();
+        this.lastSessionPersistAt = Date.now();
+        this.persistSession(session);
+    }
+
+    persistSession(session) {
+        if (!this.store) {
+            this.saveSessionData();
+            return;
+        }
+        this.store.putSession({ ...session }).catch(error => this.handleStorageError(error));
+    }
+
+    // 删除会话时其记录一并删除
+    persistSessionRemoval(sessionId) {
+        if (!this.store) {
+            this.saveData();
+            this.saveSessionData();
+            return;
+        }
+        this.store.deleteSession(sessionId).catch(error => this.handleStorageError(error));
+    }
 
-    loadData() {
-        try {
-            const savedData = localStorage.getItem('roadTestData');
-            if (savedData) {
-                this.testData = JSON.parse(savedData);
-            }
-        } catch (error) {
-            console.error('加载数据失败:', error);
-            this.testData = [];
+    // 按会话、类型和时间范围查询记录
+    async queryRecords(filter = {}) {
+        if (this.store) {
+            return this.store.queryRecords(filter);
         }
+        return this.testData.filter(record =>
+            (filter.sessionId === undefined || record.sessionId === filter.sessionId) &&
+            (filter.type === undefined || record.type === filter.type) &&
+            (!filter.from || record.timestamp >= filter.from) &&
+            (!filter.to || record.timestamp <= filter.to)
+        );
     }
 
-    saveData() {
-        try {
-            localStorage.setItem('roadTestData', JSON.stringify(this.testData));
-        } catch (error) {
-            console.error('保存数据失败:', error);
+    handleStorageError(error) {
+        console.error('❌ 数据保存失败:', error);
+        const isFull = error instanceof StorageFullError || (error && error.name === 'QuotaExceededError');
+        if (isFull) {
+            // 数据仍在内存中，提示用户导出后清理
+            this.showNotification('⚠️ 存储空间已满，新记录未能保存，请导出并删除旧的测试记录');
+        } else {
+            this.showNotification('⚠️ 数据保存失败，请导出当前记录以免丢失');
         }
     }
 
@@ -2353,18 +2744,27 @@ class RoadTestRecorder {
             // 更新语音状态显示
             this.updateVoiceStatus();
         } else {
-            // 显示开始按钮，隐藏暂停和停止按钮
-            if (startBtn) startBtn.style.display = 'flex';
+            // 显示开始按钮，隐藏暂停按钮；暂停时开始按钮用于继续，仍可结束测试
+            const isPaused = this.state === RoadTestRecorder.STATES.PAUSED;
+            if (startBtn) {
+                startBtn.style.display = 'flex';
+                startBtn.disabled = !this.storageReady;
+                startBtn.querySelector('.btn-text').textContent = isPaused ? '继续测试' : '开始测试';
+            }
             if (pauseBtn) pauseBtn.style.display = 'none';
-            if (stopBtn) stopBtn.style.display = 'none';
+            if (stopBtn) stopBtn.style.display = isPaused ? 'flex' : 'none';
             
             if (statusIndicator) {
-                statusIndicator.textContent = '未录制';
+                statusIndicator.textContent = isPaused ? '已暂停' : '未录制';
                 statusIndicator.className = 'stopped';
             }
             if (currentStatus) {
                 const lastSession = this.testSessions[this.testSessions.length - 1];
-                currentStatus.textContent = lastSession ? `上次测试: ${lastSession.name}` : '未开始';
+                if (isPaused) {
+                    currentStatus.textContent = `已暂停: ${this.currentSession?.name}`;
+                } else {
+                    currentStatus.textContent = lastSession ? `上次测试: ${lastSession.name}` : '未开始';
+                }
             }
             
             // 更新语音状态显示
@@ -2377,11 +2777,21 @@ class RoadTestRecorder {
         // 更新最近记录
         this.updateRecentRecords();
         
+        // 音频片段设置和测试信息
+        this.renderClipSettings();
+        this.updateSessionMetadataForm();
+        
         // 更新快速记录计数
         this.updateQuickRecordCounts();
         
         // 更新测试历史
         this.updateTestHistory();
+        
+        // 数据分析展开时一起更新
+        this.renderAnalytics();
+        
+        // 同步状态
+        this.updateSyncStatus();
     }
 
     updateStatistics() {
@@ -2394,55 +2804,90 @@ class RoadTestRecorder {
     updateQuickRecordCounts() {
         const stats = this.calculateStatistics();
         
-        const safetyCount = document.getElementById('safetyCount');
-        const efficiencyCount = document.getElementById('efficiencyCount');
-        const experienceCount = document.getElementById('experienceCount');
-        
-        if (safetyCount) safetyCount.textContent = stats.safety;
-        if (efficiencyCount) efficiencyCount.textContent = stats.efficiency;
-        if (experienceCount) experienceCount.textContent = stats.experience;
+        this.taxonomy.categories.forEach(category => {
+            const countElement = document.getElementById(`${category.key}Count`);
+            if (countElement) countElement.textContent = stats[category.key];
+        });
     }
 
     calculateStatistics() {
         // 只统计当前测试周期的数据
         const currentRecords = this.getCurrentSessionRecords();
-        const stats = {
+        return {
             total: currentRecords.length,
-            experience: 0,
-            safety: 0,
-            efficiency: 0
+            ...this.countRecordsByCategory(currentRecords)
         };
+    }
 
-        currentRecords.forEach(record => {
-            switch (record.type) {
-                case '体验问题':
-                    stats.experience++;
-                    break;
-                case '安全接管':
-                    stats.safety++;
-                    break;
-                case '效率接管':
-                    stats.efficiency++;
-                    break;
+    // 按分类定义统计各类型数量，返回 { [category.key]: count }
+    countRecordsByCategory(records) {
+        const stats = {};
+        this.taxonomy.categories.forEach(category => {
+            stats[category.key] = 0;
+        });
+
+        records.forEach(record => {
+            const category = this.getCategoryByName(record.type);
+            if (category) {
+                stats[category.key]++;
             }
         });
 
         return stats;
     }
 
+    getCategoryByKey(key) {
+        return this.taxonomy.categories.find(category => category.key === key) || null;
+    }
+
+    getCategoryByName(name) {
+        return this.taxonomy.categories.find(category => category.name === name) || null;
+    }
+
     getTypeClass(type) {
-        const typeMapping = {
-            '安全接管': 'type-safety-takeover',
-            '效率接管': 'type-efficiency-takeover', 
-            '体验问题': 'type-experience-issue'
-        };
-        return typeMapping[type] || `type-${type}`;
+        const category = this.getCategoryByName(type);
+        return category ? `type-${category.key}` : 'type-unknown';
+    }
+
+    getTypeStyle(type) {
+        const category = this.getCategoryByName(type);
+        return category ? `background: ${this.escapeHtml(category.color)};` : '';
+    }
+
+    renderDeferredBadge(record) {
+        return record.deferred ? '<span class="deferred-badge" title="离线期间录音，恢复后识别补记">补记</span>' : '';
+    }
+
+    // 只在启用同步后显示
+    renderSyncBadge(record) {
+        if (!this.syncClient.isConfigured) return '';
+        if (record.syncStatus === 'error') {
+            return `<span class="sync-badge sync-failed" title="${this.escapeHtml(record.syncError || '')}">同步失败</span>`;
+        }
+        return record.syncStatus === 'pending' ? '<span class="sync-badge">待同步</span>' : '';
+    }
+
+    renderSeverityBadge(record) {
+        const label = RoadTestRecorder.SEVERITY_LEVELS[record.severity];
+        return label ? `<span class="severity-badge severity-${record.severity}">${label}</span>` : '';
+    }
+
+    // 备注等用户输入的内容写入HTML前转义
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
     }
 
     updateRecentRecords() {
         const container = document.getElementById('recentRecords');
         if (!container) return;
         
+        // 编辑表单打开时不重新渲染，避免丢失正在输入的内容
+        if (this.recordEditor && this.recordEditor.location === 'recent') return;
+
         // 只显示当前测试周期的最近记录
         const currentRecords = this.getCurrentSessionRecords();
         const recentData = currentRecords.slice(-5).reverse();
@@ -2463,18 +2908,28 @@ class RoadTestRecorder {
         recentData.forEach(record => {
             const recordElement = document.createElement('div');
             recordElement.className = 'record-item';
+            recordElement.dataset.recordItem = record.id;
             
             // 转换类名为英文
             const typeClass = this.getTypeClass(record.type);
             
             recordElement.innerHTML = `
                 <div class="record-header">
-                    <span class="record-type ${typeClass}">${record.type}</span>
+                    <span class="record-type ${typeClass}" style="${this.getTypeStyle(record.type)}">${this.escapeHtml(record.type)}</span>
+                    ${this.renderSeverityBadge(record)}
+                    ${this.renderDeferredBadge(record)}
+                    ${this.renderSyncBadge(record)}
                     <span class="record-time">${new Date(record.timestamp).toLocaleTimeString('zh-CN')}</span>
                 </div>
                 <div class="record-content">
-                    <div class="record-subtype">${record.subType}</div>
-                    <div class="record-text">${record.originalText}</div>
+                    <div class="record-subtype">${this.escapeHtml(record.subType)}</div>
+                    <div class="record-text">${this.escapeHtml(record.originalText)}</div>
+                    ${record.note ? `<div class="record-note">📝 ${this.escapeHtml(record.note)}</div>` : ''}
+                    <div class="record-actions">
+                        ${record.clip ? `<button class="btn-mini record-play" data-record-id="${record.id}" title="播放问题前后的录音">▶ 播放片段 (${Math.round(record.clip.duration / 1000)}秒)</button>` : ''}
+                        <button class="btn-mini" data-record-action="edit" data-record-id="${record.id}">编辑</button>
+                        <button class="btn-mini btn-danger" data-record-action="delete" data-record-id="${record.id}">删除</button>
+                    </div>
                 </div>
             `;
             container.appendChild(recordElement);
@@ -2485,15 +2940,23 @@ class RoadTestRecorder {
         const container = document.getElementById('historyList');
         if (!container) return;
 
+        // 编辑表单打开时不重新渲染
+        if (this.recordEditor && this.recordEditor.location === 'history') return;
+
         if (this.testSessions.length === 0) {
             container.innerHTML = '<div class="empty-state"><p>暂无历史测试</p><small>完成测试后将显示历史记录</small></div>';
             return;
         }
 
-        // 按时间倒序显示
-        const sortedSessions = [...this.testSessions].reverse();
+        // 按时间倒序显示，按搜索条件过滤
+        const sortedSessions = [...this.testSessions]
+            .reverse()
+            .filter(session => matchesSessionSearch(session, this.historySearch));
         
         container.innerHTML = '';
+        if (sortedSessions.length === 0) {
+            container.innerHTML = '<div class="empty-state"><p>没有符合条件的测试</p><small>可以搜索测试名称、车辆、软件版本、人员、路线或备注</small></div>';
+        }
         
         // 添加事件委托处理历史记录操作
         container.removeEventListener('click', this.handleHistoryActions);
@@ -2515,6 +2978,14 @@ class RoadTestRecorder {
                         console.error('❌ 导出失败:', error);
                         alert('导出失败: ' + error.message);
                     }
+                } else if (action === 'xlsx') {
+                    this.exportSession(sessionId, 'xlsx');
+                } else if (action === 'report') {
+                    this.openSessionReport(sessionId);
+                } else if (action === 'map') {
+                    this.toggleSessionMap(sessionId);
+                } else if (action === 'records') {
+                    this.toggleSessionRecords(sessionId);
                 } else if (action === 'delete') {
                     console.log('🗑️ 开始删除会话:', sessionId);
                     try {
@@ -2527,6 +2998,10 @@ class RoadTestRecorder {
             }
         };
         container.addEventListener('click', this.handleHistoryActions);
+        if (!this.handleHistoryRecordActions) {
+            this.handleHistoryRecordActions = (e) => this.handleRecordAction(e, 'history');
+            container.addEventListener('click', this.handleHistoryRecordActions);
+        }
         
         sortedSessions.forEach(session => {
             const historyElement = document.createElement('div');
@@ -2537,30 +3012,137 @@ class RoadTestRecorder {
             
             historyElement.innerHTML = `
                 <div class="history-header">
-                    <span class="history-name">${session.name}</span>
+                    <span class="history-name">${this.escapeHtml(session.name)}</span>
                     <span class="history-time">${duration}</span>
                 </div>
                 <div class="history-stats">
                     <span class="stat">总计: ${session.recordCount || 0}</span>
-                    <span class="stat safety">安全: ${sessionStats.safety}</span>
-                    <span class="stat efficiency">效率: ${sessionStats.efficiency}</span>
-                    <span class="stat experience">体验: ${sessionStats.experience}</span>
+                    ${this.taxonomy.categories.map(category => `
+                    <span class="stat ${category.key}" style="background: ${this.escapeHtml(category.color)};">${this.escapeHtml(category.shortName)}: ${sessionStats[category.key]}</span>`).join('')}
                 </div>
+                ${this.renderSessionMetadata(session)}
                 <div class="history-actions">
                     <button class="btn-mini" data-action="export" data-session-id="${session.id}">导出</button>
+                    <button class="btn-mini" data-action="xlsx" data-session-id="${session.id}">Excel</button>
+                    <button class="btn-mini" data-action="report" data-session-id="${session.id}">报告</button>
+                    <button class="btn-mini" data-action="map" data-session-id="${session.id}">地图</button>
+                    <button class="btn-mini" data-action="records" data-session-id="${session.id}">记录</button>
                     <button class="btn-mini btn-danger" data-action="delete" data-session-id="${session.id}">删除</button>
                 </div>
+                <div class="route-map" data-map-session-id="${session.id}" style="display: none;"></div>
+                <div class="session-records" data-records-session-id="${session.id}" style="display: none;"></div>
             `;
             container.appendChild(historyElement);
         });
+        
+        // 重新渲染后保持已展开的地图和记录列表
+        if (this.openMapSessionId !== null) {
+            this.renderSessionMap(this.openMapSessionId);
+        }
+        if (this.openRecordsSessionId !== null) {
+            this.renderSessionRecords(this.openRecordsSessionId);
+        }
+    }
+
+    toggleSessionRecords(sessionId) {
+        const isOpen = String(this.openRecordsSessionId) === String(sessionId);
+        document.querySelectorAll('.session-records').forEach(panel => {
+            panel.style.display = 'none';
+            panel.innerHTML = '';
+        });
+
+        this.openRecordsSessionId = isOpen ? null : sessionId;
+        if (!isOpen) {
+            this.renderSessionRecords(sessionId);
+        }
+    }
+
+    // 在测试记录中列出会话的全部问题记录，可逐条编辑或删除
+    renderSessionRecords(sessionId) {
+        const session = this.testSessions.find(s => String(s.id) === String(sessionId));
+        const panel = document.querySelector(`.session-records[data-records-session-id="${sessionId}"]`);
+        if (!session || !panel) {
+            this.openRecordsSessionId = null;
+            return;
+        }
+
+        const records = this.testData.filter(record => record.sessionId === session.id);
+        panel.innerHTML = (records.length === 0
+            ? '<div class="no-records">该测试没有记录</div>'
+            : records.map(record => `
+                <div class="session-record-item" data-record-item="${record.id}">
+                    <div class="record-header">
+                        <span class="record-type" style="${this.getTypeStyle(record.type)}">${this.escapeHtml(record.type)}</span>
+                        ${this.renderSeverityBadge(record)}
+                        ${this.renderDeferredBadge(record)}
+                        ${this.renderSyncBadge(record)}
+                        <span class="record-time">${new Date(record.timestamp).toLocaleTimeString('zh-CN')}</span>
+                    </div>
+                    <div class="record-subtype">${this.escapeHtml(record.subType)}</div>
+                    ${record.note ? `<div class="record-note">📝 ${this.escapeHtml(record.note)}</div>` : ''}
+                    <div class="record-actions">
+                        <button class="btn-mini" data-record-action="edit" data-record-id="${record.id}">编辑</button>
+                        <button class="btn-mini btn-danger" data-record-action="delete" data-record-id="${record.id}">删除</button>
+                    </div>
+                </div>
+            `).join('')) + this.renderDeletedRecords(session);
+        panel.style.display = 'block';
+    }
+
+    // 已删除的记录只列出类型、删除时间和删除前的修改历史
+    renderDeletedRecords(session) {
+        const deleted = session.deletedRecords || [];
+        if (deleted.length === 0) return '';
+
+        const items = deleted.map(item => {
+            const source = RoadTestRecorder.RECORD_EDIT_SOURCES[item.source] || item.source;
+            return `
+                <li>
+                    ${new Date(item.timestamp).toLocaleTimeString('zh-CN')} ${this.escapeHtml(item.type)} - ${this.escapeHtml(item.subType)}
+                    <small>（${new Date(item.deletedAt).toLocaleString('zh-CN')} ${this.escapeHtml(source)}删除）</small>
+                    ${this.renderRecordAudit(item)}
+                </li>`;
+        }).join('');
+        return `<details class="deleted-records"><summary>已删除的记录 (${deleted.length})</summary><ul>${items}</ul></details>`;
+    }
+
+    toggleSessionMap(sessionId) {
+        const isOpen = String(this.openMapSessionId) === String(sessionId);
+        document.querySelectorAll('.route-map').forEach(panel => {
+            panel.style.display = 'none';
+            panel.innerHTML = '';
+        });
+        
+        this.openMapSessionId = isOpen ? null : sessionId;
+        if (!isOpen) {
+            this.renderSessionMap(sessionId);
+        }
+    }
+
+    // 在测试记录中绘制会话路线，图钉颜色取自问题分类
+    renderSessionMap(sessionId) {
+        const session = this.testSessions.find(s => String(s.id) === String(sessionId));
+        const panel = document.querySelector(`.route-map[data-map-session-id="${sessionId}"]`);
+        if (!session || !panel) {
+            this.openMapSessionId = null;
+            return;
+        }
+        
+        const records = this.testData.filter(record => record.sessionId === session.id);
+        const map = new RouteMap(panel, {
+            getPinColor: (type) => {
+                const category = this.getCategoryByName(type);
+                return category ? category.color : '#a0aec0';
+            }
+        });
+        map.render(session, records);
+        panel.style.display = 'block';
     }
 
     calculateSessionDuration(session) {
         if (!session.endTime) return '进行中';
         
-        const start = new Date(session.startTime);
-        const end = new Date(session.endTime);
-        const diff = end - start;
+        const diff = getActiveDuration(session);
         
         const hours = Math.floor(diff / 3600000);
         const minutes = Math.floor((diff % 3600000) / 60000);
@@ -2577,17 +3159,124 @@ class RoadTestRecorder {
 
     getSessionStatistics(sessionId) {
         const sessionRecords = this.testData.filter(record => record.sessionId === sessionId);
-        const stats = { safety: 0, efficiency: 0, experience: 0 };
-        
-        sessionRecords.forEach(record => {
-            switch (record.type) {
-                case '体验问题': stats.experience++; break;
-                case '安全接管': stats.safety++; break;
-                case '效率接管': stats.efficiency++; break;
+        return this.countRecordsByCategory(sessionRecords);
+    }
+
+    toggleAnalytics() {
+        const body = document.getElementById('analyticsBody');
+        const toggleBtn = document.getElementById('analyticsToggleBtn');
+        if (!body) return;
+
+        const isVisible = body.style.display !== 'none';
+        body.style.display = isVisible ? 'none' : 'block';
+        toggleBtn.textContent = isVisible ? '展开' : '收起';
+        this.renderAnalytics();
+    }
+
+    // 跨测试分析：趋势、高频子类型和测试对比，只统计已结束的测试
+    renderAnalytics() {
+        const body = document.getElementById('analyticsBody');
+        if (!body || body.style.display === 'none') return;
+
+        const finishedSessions = this.testSessions.filter(session => session.endTime);
+        this.renderAnalyticsFilterOptions(finishedSessions);
+
+        const sessions = filterSessions(finishedSessions, this.analyticsFilters);
+        const sessionIds = new Set(sessions.map(session => session.id));
+        const records = this.testData.filter(record => sessionIds.has(record.sessionId));
+        const getDuration = (session) => getActiveDuration(session);
+        const activeMs = sessions.reduce((total, session) => total + getDuration(session), 0);
+        const perHour = issuesPerHour(records.length, activeMs);
+
+        document.getElementById('analyticsSummary').innerHTML = [
+            ['测试数', sessions.length],
+            ['测试时长', `${(activeMs / 3600000).toFixed(1)} 小时`],
+            ['问题总数', records.length],
+            ['每小时问题数', perHour === null ? '--' : perHour.toFixed(1)]
+        ].map(([label, value]) => `
+            <div class="stat-item">
+                <div class="stat-value">${value}</div>
+                <div class="stat-label">${label}</div>
+            </div>
+        `).join('');
+
+        document.getElementById('analyticsTrend').innerHTML =
+            renderTrendChart(buildDailyTrend(sessions, records, this.taxonomy, getDuration), this.taxonomy);
+        document.getElementById('analyticsTopSubTypes').innerHTML = renderTopSubTypesChart(
+            getTopSubTypes(records, 10),
+            (type) => {
+                const category = this.getCategoryByName(type);
+                return category ? category.color : '#a0aec0';
+            }
+        );
+        this.renderAnalyticsTable(compareSessions(sessions, records, this.taxonomy, getDuration));
+    }
+
+    // 测试信息筛选项来自已有测试，只显示有值的字段，保留当前选择
+    // 筛选项来自参与分析的（已结束的）测试，字段值由开始测试前填写的测试信息保存到会话上
+    renderAnalyticsFilterOptions(sessions) {
+        const container = document.getElementById('analyticsMetaFilters');
+        if (!container) return;
+
+        const fields = SESSION_METADATA_FIELDS.filter(field => field.filterable);
+        const options = listFilterOptions(sessions, fields.map(field => field.key));
+        container.innerHTML = fields
+            .filter(field => options[field.key].length > 0)
+            .map(field => {
+                const values = options[field.key];
+                const current = values.includes(this.analyticsFilters[field.key]) ? this.analyticsFilters[field.key] : '';
+                return `
+                    <label>${field.label} <select data-filter="${field.key}">
+                        <option value="">全部</option>
+                        ${values.map(value => `<option value="${this.escapeHtml(value)}"${value === current ? ' selected' : ''}>${this.escapeHtml(value)}</option>`).join('')}
+                    </select></label>
+                `;
+            }).join('');
+
+        fields.forEach(field => {
+            if (!options[field.key].includes(this.analyticsFilters[field.key])) {
+                delete this.analyticsFilters[field.key];
             }
         });
-        
-        return stats;
+    }
+
+    renderAnalyticsTable(rows) {
+        const container = document.getElementById('analyticsTable');
+        if (rows.length === 0) {
+            container.innerHTML = '<div class="empty-state"><p>没有符合条件的测试</p></div>';
+            return;
+        }
+
+        const categories = this.taxonomy.categories;
+        container.innerHTML = `
+            <table class="analytics-table">
+                <thead>
+                    <tr>
+                        <th>测试</th>
+                        <th>车辆</th>
+                        <th>版本</th>
+                        <th>路线</th>
+                        <th>时长</th>
+                        <th>问题数</th>
+                        <th>每小时</th>
+                        ${categories.map(category => `<th>${this.escapeHtml(category.shortName)}</th>`).join('')}
+                    </tr>
+                </thead>
+                <tbody>
+                    ${rows.map(row => `
+                    <tr>
+                        <td>${this.escapeHtml(row.session.name)}</td>
+                        <td>${this.escapeHtml(row.session.vehicleId || '--')}</td>
+                        <td>${this.escapeHtml(row.session.softwareVersion || '--')}</td>
+                        <td>${this.escapeHtml(row.session.routeName || '--')}</td>
+                        <td>${this.calculateSessionDuration(row.session)}</td>
+                        <td>${row.total}</td>
+                        <td>${row.perHour === null ? '--' : row.perHour.toFixed(1)}</td>
+                        ${categories.map(category => `<td>${row.counts[category.name]}</td>`).join('')}
+                    </tr>`).join('')}
+                </tbody>
+            </table>
+        `;
     }
 
     toggleTestHistory() {
@@ -2607,7 +3296,7 @@ class RoadTestRecorder {
         }
     }
 
-    exportSession(sessionId) {
+    async exportSession(sessionId, format = 'csv') {
         console.log('🚀 exportSession 调用:', { sessionId, type: typeof sessionId });
         console.log('📊 当前会话列表:', this.testSessions.map(s => ({ id: s.id, name: s.name, idType: typeof s.id })));
         
@@ -2629,11 +3318,7 @@ class RoadTestRecorder {
             return;
         }
         
-        const sessionRecords = this.testData.filter(record => 
-            record.sessionId === sessionId || 
-            record.sessionId === numericSessionId || 
-            record.sessionId === stringSessionId
-        );
+        const sessionRecords = await this.queryRecords({ sessionId: session.id });
         
         console.log('📝 找到的记录:', sessionRecords.length, sessionRecords);
         
@@ -2642,73 +3327,136 @@ class RoadTestRecorder {
             return;
         }
 
+        if (format === 'xlsx') {
+            this.exportXlsx([session], `${session.name}.xlsx`);
+            return;
+        }
+
         try {
             const csvContent = this.generateSessionCSV(sessionRecords, session);
             console.log('📄 生成的CSV内容长度:', csvContent.length);
             
             const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
-            const link = document.createElement('a');
-            
-            if (link.download !== undefined) {
-                const url = URL.createObjectURL(blob);
-                this.urlObjectsToCleanup.add(url);
-                
-                link.setAttribute('href', url);
-                link.setAttribute('download', `${session.name}.csv`);
-                link.style.visibility = 'hidden';
-                document.body.appendChild(link);
-                link.click();
-                document.body.removeChild(link);
-                
-                console.log('✅ 导出成功:', session.name);
-                
-                setTimeout(() => {
-                    try {
-                        URL.revokeObjectURL(url);
-                        this.urlObjectsToCleanup.delete(url);
-                    } catch (error) {
-                        console.warn('清理URL对象失败:', error);
-                    }
-                }, 1000);
-            } else {
-                console.error('❌ 浏览器不支持下载功能');
-                alert('浏览器不支持文件下载功能');
-            }
+            this.downloadBlob(blob, `${session.name}.csv`);
+            console.log('✅ 导出成功:', session.name);
         } catch (error) {
             console.error('❌ 导出过程出错:', error);
             alert('导出失败: ' + error.message);
         }
     }
 
+    // 在新窗口打开可打印的测试报告，浏览器拦截弹窗时改为下载HTML文件
+    openSessionReport(sessionId) {
+        const session = this.testSessions.find(s => String(s.id) === String(sessionId));
+        if (!session) return;
+
+        const records = this.testData.filter(record => record.sessionId === session.id);
+        const html = buildSessionReport({
+            session,
+            records,
+            taxonomy: this.taxonomy,
+            duration: this.calculateSessionDuration(session),
+            activeMs: getActiveDuration(session),
+            details: getSessionMetadataEntries(session),
+            severityLabels: RoadTestRecorder.SEVERITY_LEVELS,
+            routeMapHtml: this.renderReportRouteMap(session, records)
+        });
+
+        const blob = new Blob([html], { type: 'text/html;charset=utf-8;' });
+        const url = URL.createObjectURL(blob);
+        this.urlObjectsToCleanup.add(url);
+        const reportWindow = window.open(url, '_blank');
+        if (!reportWindow) {
+            this.downloadBlob(blob, `${session.name}_测试报告.html`);
+            this.showNotification('报告已下载，用浏览器打开后可打印或另存为PDF');
+        }
+
+        // 新窗口加载完成后再释放
+        setTimeout(() => {
+            URL.revokeObjectURL(url);
+            this.urlObjectsToCleanup.delete(url);
+        }, 60000);
+    }
+
+    // 报告中的路线图，没有定位数据时返回空字符串
+    renderReportRouteMap(session, records) {
+        const container = document.createElement('div');
+        new RouteMap(container, {
+            getPinColor: (type) => {
+                const category = this.getCategoryByName(type);
+                return category ? category.color : '#a0aec0';
+            }
+        }).render(session, records);
+        const svg = container.querySelector('svg');
+        return svg ? svg.outerHTML : '';
+    }
+
     deleteSession(sessionId) {
-        if (!confirm('确定要删除这个测试记录吗？此操作不可恢复。')) return;
+        if (!confirm('确定要删除这个测试记录吗？删除后可以撤销。')) return;
+        
+        // data-session-id 传入的是字符串
+        const session = this.testSessions.find(s => String(s.id) === String(sessionId));
+        if (!session) return;
         
-        // 删除会话记录
-        this.testSessions = this.testSessions.filter(s => s.id !== sessionId);
+        let removed = this.removeSession(session.id);
+        this.undoHistory.push({
+            label: `删除测试 ${session.name}`,
+            undo: () => this.restoreSession(removed),
+            redo: () => { removed = this.removeSession(session.id); }
+        });
+        this.showUndoableNotification('测试记录已删除');
+    }
+
+    // 删除会话及其记录，返回恢复所需的信息 { session, index, records, clips }
+    removeSession(sessionId) {
+        const index = this.testSessions.findIndex(s => s.id === sessionId);
+        if (index === -1) return null;
+
+        const [session] = this.testSessions.splice(index, 1);
+        const records = this.testData.filter(record => record.sessionId === sessionId);
+        // 删除前先读出音频片段，撤销时写回
+        const clips = this.store ? this.store.getClipsBySession(sessionId).catch(() => []) : Promise.resolve([]);
+        this.recordEditor = null;
         
         // 删除相关的测试数据
         this.testData = this.testData.filter(record => record.sessionId !== sessionId);
         
         // 保存数据
-        this.saveData();
-        this.saveSessionData();
+        this.persistSessionRemoval(sessionId);
         
         // 更新UI
         this.updateUI();
-        this.showNotification('测试记录已删除');
+        return { session, index, records, clips };
+    }
+
+    restoreSession({ session, index, records, clips }) {
+        this.testSessions.splice(Math.min(index, this.testSessions.length), 0, session);
+        // 删除后可能又有新记录，按时间放回原来的位置
+        records.forEach(record => this.insertRecord(record));
+        this.persistSession(session);
+        this.persistRecords(records);
+        clips.then(list => this.store && Promise.all(list.map(clip => this.store.putClip(clip))))
+            .catch(error => this.handleStorageError(error));
+
+        this.lastRecentData = null;
+        this.updateUI();
     }
 
     generateSessionCSV(records, session) {
-        const headers = ['测试名称', '时间戳', '类型', '子类型', '原始语音'];
+        const headers = ['测试名称', '时间戳', '类型', '子类型', '原始语音', '备注', '严重程度', ...this.getLocationCSVHeaders(), ...this.getMetadataCSVHeaders()];
         const rows = [headers.join(',')];
 
         records.forEach(record => {
             const row = [
-                `"${session.name}"`,
-                `"${new Date(record.timestamp).toLocaleString('zh-CN')}"`,
-                `"${record.type}"`,
-                `"${record.subType}"`,
-                `"${record.originalText}"`
+                this.csvCell(session.name),
+                this.csvCell(new Date(record.timestamp).toLocaleString('zh-CN')),
+                this.csvCell(record.type),
+                this.csvCell(record.subType),
+                this.csvCell(record.originalText),
+                this.csvCell(record.note),
+                this.csvCell(RoadTestRecorder.SEVERITY_LEVELS[record.severity]),
+                ...this.getLocationCSVColumns(record),
+                ...this.getMetadataCSVColumns(session)
             ];
             rows.push(row.join(','));
         });
@@ -2716,6 +3464,28 @@ class RoadTestRecorder {
         return '\uFEFF' + rows.join('\n');
     }
 
+    getMetadataCSVHeaders() {
+        return SESSION_METADATA_FIELDS.map(field => field.label);
+    }
+
+    getMetadataCSVColumns(session) {
+        const metadata = normalizeSessionMetadata(session);
+        return SESSION_METADATA_FIELDS.map(field => this.csvCell(metadata[field.key]));
+    }
+
+    getLocationCSVHeaders() {
+        return ['纬度', '经度', '速度(km/h)'];
+    }
+
+    // 没有定位的记录留空
+    getLocationCSVColumns(record) {
+        const location = record.location;
+        if (!location) return ['', '', ''];
+        
+        const speed = location.speed === null || location.speed === undefined ? '' : (location.speed * 3.6).toFixed(1);
+        return [location.lat.toFixed(6), location.lon.toFixed(6), speed];
+    }
+
     updateRecognitionDisplay(text) {
         const display = document.getElementById('recognitionDisplay');
         const statusText = document.getElementById('voiceStatusText');
@@ -2751,7 +3521,7 @@ class RoadTestRecorder {
                 voiceStatusText.textContent = '语音激活';
             } else {
                 voiceDot.className = 'voice-dot';
-                voiceStatusText.textContent = '语音待机';
+                voiceStatusText.textContent = this.state === RoadTestRecorder.STATES.PAUSED ? '指令待命' : '语音待机';
             }
         }
     }
@@ -2775,22 +3545,74 @@ class RoadTestRecorder {
         }, 5000);
     }
 
-    showNotification(message) {
+    showNotification(message, duration = 3000) {
         const notification = document.getElementById('notification');
         notification.textContent = message;
         notification.style.display = 'block';
+        notification.style.animationDuration = `${duration}ms`;
         
-        setTimeout(() => {
+        // 新提示出现时旧提示的定时器不再生效
+        clearTimeout(this.notificationTimer);
+        this.notificationTimer = setTimeout(() => {
             notification.style.display = 'none';
-        }, 3000);
+        }, duration);
+    }
+
+    // 带操作按钮的提示，显示时间稍长，方便点击
+    showActionNotification(message, actionLabel, onAction) {
+        this.showNotification(message, 5000);
+
+        const notification = document.getElementById('notification');
+        const button = document.createElement('button');
+        button.className = 'notification-action';
+        button.textContent = actionLabel;
+        button.addEventListener('click', () => {
+            notification.style.display = 'none';
+            onAction();
+        });
+        notification.appendChild(button);
+    }
+
+    // 刚执行的操作可以在提示上直接撤销
+    showUndoableNotification(message) {
+        const command = this.undoHistory.peekUndo();
+        if (!command) {
+            this.showNotification(message);
+            return;
+        }
+
+        this.showActionNotification(message, '撤销', () => {
+            // 之后又有新操作时不能越过它撤销
+            if (this.undoHistory.peekUndo() !== command) {
+                this.showNotification('之后已有新的操作，请按 Ctrl+Z 逐步撤销');
+                return;
+            }
+            this.showNotification(this.undoLastOperation());
+        });
+    }
+
+    undoLastOperation() {
+        const command = this.undoHistory.undo();
+        if (!command) return '没有可撤销的操作';
+
+        console.log('↩️ 已撤销:', command.label);
+        return `已撤销：${command.label}`;
+    }
+
+    redoLastOperation() {
+        const command = this.undoHistory.redo();
+        if (!command) return '没有可恢复的操作';
+
+        console.log('↪️ 已恢复:', command.label);
+        return `已恢复：${command.label}`;
     }
 
     showRecordNotification(record) {
-        this.showNotification(`已记录: ${record.type} - ${record.subType}`);
+        this.showUndoableNotification(`已记录: ${record.type} - ${record.subType}`);
     }
 
     showDeleteNotification(record) {
-        this.showNotification(`已删除: ${record.type} - ${record.subType}`);
+        this.showUndoableNotification(`已删除: ${record.type} - ${record.subType}`);
     }
 
 
@@ -2820,7 +3642,11 @@ class RoadTestRecorder {
             console.log('✅ 绑定开始测试按钮事件');
             startBtn.addEventListener('click', () => {
                 console.log('🖱️ 开始测试按钮被点击');
-                this.startTest();
+                if (this.state === RoadTestRecorder.STATES.PAUSED) {
+                    this.resumeTest();
+                } else {
+                    this.startTest();
+                }
             });
         } else {
             console.error('❌ 找不到开始测试按钮元素');
@@ -2834,14 +3660,56 @@ class RoadTestRecorder {
             stopBtn.addEventListener('click', () => this.stopTest());
         }
         
-        // 快速记录按钮
-        const problemBtns = document.querySelectorAll('.problem-btn');
-        problemBtns.forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                const type = e.currentTarget.dataset.type;
-                this.handleQuickRecord(type);
+        // 快速记录按钮（按分类定义动态生成，使用事件委托）
+        const problemButtons = document.getElementById('problemButtons');
+        if (problemButtons) {
+            problemButtons.addEventListener('click', (e) => {
+                const btn = e.target.closest('.problem-btn');
+                if (btn) {
+                    this.handleQuickRecord(btn.dataset.type);
+                }
             });
-        });
+        }
+
+        // 问题分类导入/导出
+        const importTaxonomyBtn = document.getElementById('importTaxonomyBtn');
+        const exportTaxonomyBtn = document.getElementById('exportTaxonomyBtn');
+        const taxonomyFileInput = document.getElementById('taxonomyFileInput');
+
+        if (importTaxonomyBtn && taxonomyFileInput) {
+            importTaxonomyBtn.addEventListener('click', () => taxonomyFileInput.click());
+            taxonomyFileInput.addEventListener('change', (e) => {
+                const file = e.target.files[0];
+                if (file) {
+                    this.importTaxonomy(file);
+                }
+                e.target.value = '';
+            });
+        }
+
+        if (exportTaxonomyBtn) {
+            exportTaxonomyBtn.addEventListener('click', () => this.exportTaxonomy());
+        }
+
+        // 完整备份与恢复
+        const backupBtn = document.getElementById('backupBtn');
+        const restoreBtn = document.getElementById('restoreBtn');
+        const backupFileInput = document.getElementById('backupFileInput');
+
+        if (backupBtn) {
+            backupBtn.addEventListener('click', () => this.exportBackup());
+        }
+
+        if (restoreBtn && backupFileInput) {
+            restoreBtn.addEventListener('click', () => backupFileInput.click());
+            backupFileInput.addEventListener('change', (e) => {
+                const file = e.target.files[0];
+                if (file) {
+                    this.importBackup(file);
+                }
+                e.target.value = '';
+            });
+        }
         
         // 测试记录管理按钮
         const exportCurrentBtn = document.getElementById('exportCurrentBtn');
@@ -2851,27 +3719,115 @@ class RoadTestRecorder {
         if (exportCurrentBtn) {
             exportCurrentBtn.addEventListener('click', () => this.exportData());
         }
+
+        const exportXlsxBtn = document.getElementById('exportXlsxBtn');
+        if (exportXlsxBtn) {
+            exportXlsxBtn.addEventListener('click', () => this.exportAllXlsx());
+        }
         
         if (refreshBtn) {
             refreshBtn.addEventListener('click', () => this.updateRecentRecords());
         }
 
+        // 最近记录中的音频片段播放
+        const recentRecords = document.getElementById('recentRecords');
+        if (recentRecords) {
+            recentRecords.addEventListener('click', (e) => {
+                const btn = e.target.closest('.record-play');
+                if (btn) {
+                    this.playRecordClip(Number(btn.dataset.recordId));
+                    return;
+                }
+                this.handleRecordAction(e, 'recent');
+            });
+        }
+
         if (historyToggleBtn) {
             historyToggleBtn.addEventListener('click', () => this.toggleTestHistory());
         }
 
+        // 数据分析
+        const analyticsToggleBtn = document.getElementById('analyticsToggleBtn');
+        if (analyticsToggleBtn) {
+            analyticsToggleBtn.addEventListener('click', () => this.toggleAnalytics());
+        }
+        // 测试信息筛选项会重新生成，用事件委托
+        const analyticsFilters = document.querySelector('.analytics-filters');
+        if (analyticsFilters) {
+            analyticsFilters.addEventListener('change', (e) => {
+                const filter = e.target.dataset.filter;
+                if (!filter) return;
+                this.analyticsFilters[filter] = e.target.value;
+                this.renderAnalytics();
+            });
+        }
+
+        // 测试信息
+        const sessionMetaFields = document.getElementById('sessionMetaFields');
+        if (sessionMetaFields) {
+            sessionMetaFields.addEventListener('change', (e) => {
+                if (e.target.dataset.metaKey) {
+                    this.handleSessionMetadataChange(e.target);
+                }
+            });
+        }
+
+        const historySearch = document.getElementById('historySearch');
+        if (historySearch) {
+            historySearch.addEventListener('input', () => {
+                this.historySearch = historySearch.value;
+                this.updateTestHistory();
+            });
+        }
+
+        const speechConfigBtn = document.getElementById('speechConfigBtn');
+        if (speechConfigBtn) {
+            speechConfigBtn.addEventListener('click', () => this.showConfigModal());
+        }
+        const syncConfigBtn = document.getElementById('syncConfigBtn');
+        if (syncConfigBtn) {
+            syncConfigBtn.addEventListener('click', () => this.showSyncModal());
+        }
+        const syncBadge = document.getElementById('syncBadge');
+        if (syncBadge) {
+            syncBadge.addEventListener('click', () => this.showSyncModal());
+        }
+
         // 防止页面意外关闭
         window.addEventListener('beforeunload', (e) => {
-            if (this.isRecording) {
+            if (this.isRecording || this.state === RoadTestRecorder.STATES.PAUSED) {
                 e.preventDefault();
                 return '测试正在进行中，确定要离开吗？';
             }
         });
 
-        // 页面获得焦点时重启语音识别
+        // 撤销/恢复快捷键，输入框内保留浏览器自带的文字撤销
+        document.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+            if (e.target.closest && e.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                this.showNotification(this.undoLastOperation());
+            } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+                e.preventDefault();
+                this.showNotification(this.redoLastOperation());
+            }
+        });
+
+        // 手机切到后台后页面随时可能被杀掉，先保存进行中的会话
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') {
+                this.persistActiveSession();
+            }
+        });
+
+        // 页面获得焦点时恢复断开的语音识别
         window.addEventListener('focus', () => {
-            if (this.isRecording && this.recognition && this.state === RoadTestRecorder.STATES.RECORDING) {
-                this.startSpeechRecognition();
+            if (this.isRecording && this.speechProvider && !this.speechProvider.isConnected() &&
+                this.state === RoadTestRecorder.STATES.RECORDING) {
+                this.startRecognition();
             }
         });
         
@@ -2883,42 +3839,31 @@ class RoadTestRecorder {
 
     // 显示配置模态框
     showConfigModal() {
-        // 检查是否已有配置
-        const savedConfig = this.loadConfigFromStorage();
-        if (savedConfig) {
-            this.aliyunConfig.accessKeyId = savedConfig.accessKeyId;
-            this.aliyunConfig.accessKeySecret = savedConfig.accessKeySecret;
-            this.aliyunConfig.appKey = savedConfig.appKey;
-            console.log('✅ 从本地存储加载配置成功');
-            setTimeout(() => {
-                this.initWebSocketConnection();
-            }, 1000);
-            return;
-        }
+        if (document.getElementById('configModal')) return;
 
-        // 显示配置输入界面
-        this.showNotification('请配置阿里云语音识别API凭证后使用', 5000);
+        const inputStyle = 'width: 100%; padding: 10px; border: 1px solid #ddd; border-radius: 4px; margin-bottom: 15px;';
+        const labelStyle = 'display: block; margin: 10px 0 5px 0; font-weight: 600;';
+        const options = Object.values(SPEECH_PROVIDERS).map(ProviderClass =>
+            `<option value="${ProviderClass.id}">${ProviderClass.label}</option>`
+        ).join('');
         
         // 创建配置表单
         const configHtml = `
             <div class="config-modal" id="configModal" style="position: fixed; top: 0; left: 0; width: 100%; height: 100%; background: rgba(0,0,0,0.8); display: flex; align-items: center; justify-content: center; z-index: 2000;">
-                <div class="modal-content" style="background: white; padding: 30px; border-radius: 16px; max-width: 400px; width: 90%;">
-                    <h3>阿里云API配置</h3>
-                    <p>请输入您的阿里云智能语音交互API凭证：</p>
+                <div class="modal-content" style="background: white; padding: 30px; border-radius: 16px; max-width: 400px; width: 90%; max-height: 90vh; overflow-y: auto;">
+                    <h3>语音识别配置</h3>
+                    <p>选择语音识别服务并填写API凭证：</p>
                     
                     <div class="config-form" style="margin: 20px 0;">
-                        <label style="display: block; margin: 10px 0 5px 0; font-weight: 600;">AccessKey ID:</label>
-                        <input type="text" id="accessKeyId" placeholder="请输入AccessKey ID" style="width: 100%; padding: 10px; border: 1px solid #ddd; border-radius: 4px; margin-bottom: 15px;" />
-                        
-                        <label style="display: block; margin: 10px 0 5px 0; font-weight: 600;">AccessKey Secret:</label>
-                        <input type="password" id="accessKeySecret" placeholder="请输入AccessKey Secret" style="width: 100%; padding: 10px; border: 1px solid #ddd; border-radius: 4px; margin-bottom: 15px;" />
+                        <label style="${labelStyle}">识别服务:</label>
+                        <select id="speechProviderSelect" style="${inputStyle}">${options}</select>
                         
-                        <label style="display: block; margin: 10px 0 5px 0; font-weight: 600;">App Key:</label>
-                        <input type="text" id="appKey" placeholder="请输入App Key" style="width: 100%; padding: 10px; border: 1px solid #ddd; border-radius: 4px; margin-bottom: 20px;" />
+                        <div id="speechProviderNotice" style="color: #c05621; font-size: 13px; margin-bottom: 10px;"></div>
+                        <div id="speechProviderFields"></div>
                         
                         <div class="config-actions" style="display: flex; gap: 10px; justify-content: center;">
-                            <button onclick="recorder.saveConfig()" style="padding: 10px 20px; background: #4299e1; color: white; border: none; border-radius: 6px; cursor: pointer;">保存配置</button>
-                            <button onclick="window.open('https://help.aliyun.com/zh/isi', '_blank')" style="padding: 10px 20px; background: #48bb78; color: white; border: none; border-radius: 6px; cursor: pointer;">获取API凭证</button>
+                            <button id="saveConfigBtn" style="padding: 10px 20px; background: #4299e1; color: white; border: none; border-radius: 6px; cursor: pointer;">保存配置</button>
+                            <button id="cancelConfigBtn" style="padding: 10px 20px; background: #a0aec0; color: white; border: none; border-radius: 6px; cursor: pointer;">取消</button>
                         </div>
                     </div>
                     
@@ -2931,61 +3876,146 @@ class RoadTestRecorder {
         
         // 添加到页面
         document.body.insertAdjacentHTML('beforeend', configHtml);
+
+        const select = document.getElementById('speechProviderSelect');
+        const fieldsContainer = document.getElementById('speechProviderFields');
+        const notice = document.getElementById('speechProviderNotice');
+
+        // 按所选服务生成输入项，已保存的值自动回填
+        const renderFields = () => {
+            const ProviderClass = SPEECH_PROVIDERS[select.value];
+            const saved = this.speechConfig.configs[ProviderClass.id] || {};
+            notice.textContent = ProviderClass.notice || '';
+            fieldsContainer.innerHTML = ProviderClass.configFields.map(field => `
+                <label style="${labelStyle}">${field.label}${field.optional ? ' (可选)' : ''}:</label>
+                <input type="${field.type || 'text'}" data-key="${field.key}" placeholder="${field.placeholder || `请输入${field.label}`}" style="${inputStyle}" />
+            `).join('');
+            fieldsContainer.querySelectorAll('input').forEach(input => {
+                input.value = saved[input.dataset.key] || '';
+            });
+        };
+
+        select.value = this.getSpeechProviderClass().id;
+        renderFields();
+        select.addEventListener('change', renderFields);
+
+        document.getElementById('saveConfigBtn').addEventListener('click', () => this.saveConfig());
+        document.getElementById('cancelConfigBtn').addEventListener('click', () => {
+            document.getElementById('configModal').remove();
+        });
     }
 
     // 保存配置
     saveConfig() {
-        const accessKeyId = document.getElementById('accessKeyId').value.trim();
-        const accessKeySecret = document.getElementById('accessKeySecret').value.trim();
-        const appKey = document.getElementById('appKey').value.trim();
-        
-        if (!accessKeyId || !accessKeySecret || !appKey) {
-            this.showNotification('请填写完整的API配置信息');
+        const ProviderClass = SPEECH_PROVIDERS[document.getElementById('speechProviderSelect').value];
+        const config = {};
+        document.querySelectorAll('#speechProviderFields input').forEach(input => {
+            const value = input.value.trim();
+            if (value) {
+                config[input.dataset.key] = value;
+            }
+        });
+
+        const missing = ProviderClass.configFields.filter(field => !field.optional && !config[field.key]);
+        if (missing.length > 0) {
+            this.showNotification(`请填写: ${missing.map(field => field.label).join('、')}`);
             return;
         }
         
-        // 保存到本地存储
-        const config = { accessKeyId, accessKeySecret, appKey };
-        localStorage.setItem('aliyun_voice_config', JSON.stringify(config));
-        
-        // 应用配置
-        this.aliyunConfig.accessKeyId = accessKeyId;
-        this.aliyunConfig.accessKeySecret = accessKeySecret;
-        this.aliyunConfig.appKey = appKey;
-        
         // 移除配置界面
         const modal = document.getElementById('configModal');
         if (modal) {
             modal.remove();
         }
         
-        this.showNotification('✅ 配置已保存，正在连接...');
-        
-        // 初始化连接
-        setTimeout(() => {
-            this.initWebSocketConnection();
-        }, 1000);
+        this.applySpeechConfig(ProviderClass.id, config);
+        this.showNotification(`✅ 已切换到${ProviderClass.label}`);
     }
 
-    // 从本地存储加载配置
-    loadConfigFromStorage() {
-        try {
-            const configStr = localStorage.getItem('aliyun_voice_config');
-            if (configStr) {
-                return JSON.parse(configStr);
-            }
-        } catch (error) {
-            console.warn('加载本地配置失败:', error);
+    // 同步设置：服务地址、API密钥，以及当前的同步情况
+    showSyncModal() {
+        if (document.getElementById('syncModal')) return;
+
+        const inputStyle = 'width: 100%; padding: 10px; border: 1px solid #ddd; border-radius: 4px; margin-bottom: 15px;';
+        const labelStyle = 'display: block; margin: 10px 0 5px 0; font-weight: 600;';
+        const buttonStyle = 'padding: 10px 20px; color: white; border: none; border-radius: 6px; cursor: pointer;';
+        const items = [...this.testData, ...this.testSessions];
+        const synced = items.filter(item => item.syncStatus === 'synced').length;
+        const failed = items.filter(item => item.syncStatus === 'error').length;
+        const retryAt = this.syncClient.nextRetryAt;
+        const lastError = this.syncClient.lastError;
+
+        const modalHtml = `
+            <div class="config-modal" id="syncModal" style="position: fixed; top: 0; left: 0; width: 100%; height: 100%; background: rgba(0,0,0,0.8); display: flex; align-items: center; justify-content: center; z-index: 2000;">
+                <div class="modal-content" style="background: white; padding: 30px; border-radius: 16px; max-width: 400px; width: 90%; max-height: 90vh; overflow-y: auto;">
+                    <h3>数据同步</h3>
+                    <p>新记录和结束的测试会自动上传到同步服务，网络不好时自动重试。</p>
+
+                    <div class="config-form" style="margin: 20px 0;">
+                        <label style="${labelStyle}">服务地址:</label>
+                        <input type="url" id="syncEndpointInput" placeholder="例如 http://localhost:8787/api" style="${inputStyle}" />
+                        <label style="${labelStyle}">API密钥 (可选):</label>
+                        <input type="password" id="syncApiKeyInput" placeholder="服务端设置了密钥时填写" style="${inputStyle}" />
+
+                        <div class="sync-summary" style="margin-bottom: 15px; color: #4a5568; font-size: 14px;">
+                            已同步 ${synced} · 待同步 ${this.syncClient.size} · 失败 ${failed}
+                            ${retryAt ? `<br>${new Date(retryAt).toLocaleTimeString('zh-CN')} 自动重试` : ''}
+                            ${lastError ? `<br><span style="color: #c53030;">${this.escapeHtml(lastError.message)}</span>` : ''}
+                        </div>
+
+                        <div class="config-actions" style="display: flex; gap: 10px; justify-content: center;">
+                            <button id="saveSyncBtn" style="${buttonStyle} background: #4299e1;">保存</button>
+                            <button id="syncNowBtn" style="${buttonStyle} background: #48bb78;">立即同步</button>
+                            <button id="cancelSyncBtn" style="${buttonStyle} background: #a0aec0;">关闭</button>
+                        </div>
+                    </div>
+
+                    <div class="config-notice" style="text-align: center; margin-top: 15px;">
+                        <small style="color: #718096;">💡 设备ID: ${this.escapeHtml(this.syncClient.deviceId)}，删除的记录不会同步删除</small>
+                    </div>
+                </div>
+            </div>
+        `;
+        document.body.insertAdjacentHTML('beforeend', modalHtml);
+
+        document.getElementById('syncEndpointInput').value = this.syncClient.endpoint;
+        document.getElementById('syncApiKeyInput').value = this.syncClient.apiKey;
+        const close = () => document.getElementById('syncModal').remove();
+
+        document.getElementById('saveSyncBtn').addEventListener('click', () => {
+            this.saveSyncSettings({
+                endpoint: document.getElementById('syncEndpointInput').value,
+                apiKey: document.getElementById('syncApiKeyInput').value.trim()
+            });
+            close();
+        });
+        document.getElementById('syncNowBtn').addEventListener('click', () => {
+            close();
+            this.syncNow();
+        });
+        document.getElementById('cancelSyncBtn').addEventListener('click', close);
+    }
+
+    // 服务地址为空时停用同步
+    saveSyncSettings(config) {
+        const saved = saveSyncConfig(config);
+        this.syncClient.configure(saved);
+        if (!this.syncClient.isConfigured) {
+            this.syncClient.stop();
+            this.showNotification('已停用数据同步');
+        } else {
+            const count = this.queueUnsyncedData();
+            this.showNotification(count > 0 ? `✅ 同步设置已保存，正在上传 ${count} 条数据` : '✅ 同步设置已保存');
         }
-        return null;
+        this.lastRecentData = null;
+        this.updateUI();
     }
 
     // 清除配置
     clearConfig() {
-        localStorage.removeItem('aliyun_voice_config');
-        this.aliyunConfig.accessKeyId = '';
-        this.aliyunConfig.accessKeySecret = '';
-        this.aliyunConfig.appKey = '';
+        localStorage.removeItem(SPEECH_CONFIG_STORAGE_KEY);
+        this.speechConfig = this.loadSpeechConfig();
+        this.createSpeechProvider();
         this.showNotification('配置已清除', 2000);
     }
 }
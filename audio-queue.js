@@ -0,0 +1,101 @@
+// 离线语音队列
+// 语音识别不可用时（断网、连接失败、重连放弃），按静音切分的语音片段连同采集时间保存下来，
+// 恢复后按采集顺序逐段识别，识别结果按原来的时间补记。
+// 存储由调用方提供（IndexedDB），不提供时只保存在内存中；不依赖浏览器，Node (测试) 中也可以使用。
+
+// Node 中从 audio-utils.js 引入，浏览器中使用全局常量
+const audioQueueUtils = typeof require === 'function' ? require('./audio-utils.js') : { PCM_SAMPLE_RATE };
+
+const AUDIO_QUEUE_MAX_MS = 30 * 60 * 1000; // 最多缓存30分钟语音，约55MB
+
+class OfflineAudioQueue {
+    // store: { put(entry), delete(id), getAll() }，均返回 Promise
+    constructor({ store = null, maxMs = AUDIO_QUEUE_MAX_MS, sampleRate = audioQueueUtils.PCM_SAMPLE_RATE } = {}) {
+        this.store = store;
+        this.maxMs = maxMs;
+        this.sampleRate = sampleRate;
+        this.entries = [];
+        this.lastId = 0;
+        this.draining = false;
+    }
+
+    get size() {
+        return this.entries.length;
+    }
+
+    get totalMs() {
+        return this.entries.reduce((total, entry) => total + entry.durationMs, 0);
+    }
+
+    // 读出上次页面关闭前未识别的片段
+    async load() {
+        if (!this.store) return this.size;
+
+        const saved = await this.store.getAll();
+        const ids = new Set(this.entries.map(entry => entry.id));
+        this.entries = [...this.entries, ...saved.filter(entry => !ids.has(entry.id))]
+            .sort((a, b) => a.capturedAt.localeCompare(b.capturedAt) || a.id - b.id);
+        this.lastId = this.entries.reduce((max, entry) => Math.max(max, entry.id), this.lastId);
+        return this.size;
+    }
+
+    // samples 为 Int16Array，capturedAt 为片段开始的时间 (ISO)；超出容量时不保存，返回 null
+    async enqueue({ sessionId, capturedAt, samples }) {
+        const durationMs = Math.round(samples.length * 1000 / this.sampleRate);
+        if (this.totalMs + durationMs > this.maxMs) return null;
+
+        this.lastId = Math.max(Date.now(), this.lastId + 1);
+        const entry = { id: this.lastId, sessionId, capturedAt, durationMs, samples };
+        this.entries.push(entry);
+        if (this.store) {
+            await this.store.put(entry);
+        }
+        return entry;
+    }
+
+    async remove(id) {
+        this.entries = this.entries.filter(entry => entry.id !== id);
+        if (this.store) {
+            await this.store.delete(id);
+        }
+    }
+
+    // 按采集顺序逐段识别：transcribe(samples) 返回 [{ text, offset }]，offset 为句子在片段中的毫秒数。
+    // 识别失败时停止并抛出错误，片段留在队列中下次重试；error.permanent 表示这段音频本身无法识别，丢弃后继续。
+    // 先交给 onResult 再移出队列：中途页面关闭时片段会再识别一次，重复的结果由调用方去重，不会丢失。
+    // 返回识别完成的片段数
+    async drain(transcribe, onResult, onDiscard = () => {}) {
+        if (this.draining) return 0;
+
+        this.draining = true;
+        let done = 0;
+        try {
+            while (this.entries.length > 0) {
+                const entry = this.entries[0];
+                let results;
+                try {
+                    results = await transcribe(entry.samples);
+                } catch (error) {
+                    if (!error.permanent) throw error;
+                    onDiscard(entry, error);
+                    await this.remove(entry.id);
+                    continue;
+                }
+
+                onResult(entry, results);
+                await this.remove(entry.id);
+                done++;
+            }
+        } finally {
+            this.draining = false;
+        }
+        return done;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        AUDIO_QUEUE_MAX_MS,
+        OfflineAudioQueue
+    };
+}
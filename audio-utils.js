@@ -0,0 +1,215 @@
+// 音频处理工具
+// PCM格式转换、WAV封装、保留最近音频的环形缓冲区，以及按静音切分语音片段（供非流式识别服务使用）。
+
+const PCM_SAMPLE_RATE = 16000;
+
+// Float32 [-1, 1] 转 16bit PCM
+function floatTo16BitPCM(float32Array) {
+    const int16Array = new Int16Array(float32Array.length);
+    for (let i = 0; i < float32Array.length; i++) {
+        const sample = Math.max(-1, Math.min(1, float32Array[i]));
+        int16Array[i] = sample < 0 ? sample * 0x8000 : sample * 0x7FFF;
+    }
+    return int16Array;
+}
+
+function concatInt16(chunks) {
+    const total = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+    const result = new Int16Array(total);
+    let offset = 0;
+    chunks.forEach(chunk => {
+        result.set(chunk, offset);
+        offset += chunk.length;
+    });
+    return result;
+}
+
+// 把16bit单声道PCM封装成WAV文件
+function encodeWav(samples, sampleRate = PCM_SAMPLE_RATE) {
+    const buffer = new ArrayBuffer(44 + samples.length * 2);
+    const view = new DataView(buffer);
+    const writeString = (offset, text) => {
+        for (let i = 0; i < text.length; i++) {
+            view.setUint8(offset + i, text.charCodeAt(i));
+        }
+    };
+
+    writeString(0, 'RIFF');
+    view.setUint32(4, 36 + samples.length * 2, true);
+    writeString(8, 'WAVE');
+    writeString(12, 'fmt ');
+    view.setUint32(16, 16, true);          // fmt块大小
+    view.setUint16(20, 1, true);           // PCM格式
+    view.setUint16(22, 1, true);           // 单声道
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * 2, true); // 字节率
+    view.setUint16(32, 2, true);           // 块对齐
+    view.setUint16(34, 16, true);          // 位深
+    writeString(36, 'data');
+    view.setUint32(40, samples.length * 2, true);
+
+    new Int16Array(buffer, 44).set(samples);
+    return buffer;
+}
+
+function bytesToBase64(bytes) {
+    let binary = '';
+    const chunkSize = 0x8000;
+    for (let i = 0; i < bytes.length; i += chunkSize) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + chunkSize));
+    }
+    return btoa(binary);
+}
+
+// 计算一帧PCM的能量 (RMS, 0~1)
+function pcmRms(samples) {
+    if (samples.length === 0) return 0;
+    let sum = 0;
+    for (let i = 0; i < samples.length; i++) {
+        const value = samples[i] / 0x8000;
+        sum += value * value;
+    }
+    return Math.sqrt(sum / samples.length);
+}
+
+// 基于能量的简单语音活动检测：检测到说话开始缓存，静音超过阈值后输出一个片段
+class SilenceSegmenter {
+    constructor(options = {}) {
+        this.sampleRate = options.sampleRate || PCM_SAMPLE_RATE;
+        this.threshold = options.threshold || 0.015;
+        this.silenceSamples = this.msToSamples(options.silenceMs || 800);
+        this.minSpeechSamples = this.msToSamples(options.minSpeechMs || 300);
+        this.maxSegmentSamples = this.msToSamples(options.maxSegmentMs || 50000);
+        this.preRollSamples = this.msToSamples(options.preRollMs || 300);
+        this.onSegment = options.onSegment || (() => {});
+        this.reset();
+    }
+
+    msToSamples(ms) {
+        return Math.round(ms * this.sampleRate / 1000);
+    }
+
+    reset() {
+        this.chunks = [];
+        this.segmentSamples = 0;
+        this.speechSamples = 0;
+        this.silentSamples = 0;
+        this.segmentStartedAt = null;
+        this.preRoll = [];
+        this.preRollLength = 0;
+    }
+
+    push(samples, capturedAt = Date.now()) {
+        const isSpeech = pcmRms(samples) >= this.threshold;
+
+        if (this.segmentStartedAt === null) {
+            if (!isSpeech) {
+                this.keepPreRoll(samples);
+                return;
+            }
+            // 说话开始，带上之前的一小段音频避免吞字
+            const preRollMs = this.preRollLength * 1000 / this.sampleRate;
+            this.segmentStartedAt = capturedAt - preRollMs;
+            this.chunks = [...this.preRoll];
+            this.segmentSamples = this.preRollLength;
+            this.preRoll = [];
+            this.preRollLength = 0;
+        }
+
+        this.chunks.push(samples);
+        this.segmentSamples += samples.length;
+
+        if (isSpeech) {
+            this.speechSamples += samples.length;
+            this.silentSamples = 0;
+        } else {
+            this.silentSamples += samples.length;
+        }
+
+        if (this.silentSamples >= this.silenceSamples || this.segmentSamples >= this.maxSegmentSamples) {
+            this.flush();
+        }
+    }
+
+    keepPreRoll(samples) {
+        this.preRoll.push(samples);
+        this.preRollLength += samples.length;
+        while (this.preRoll.length > 1 && this.preRollLength - this.preRoll[0].length >= this.preRollSamples) {
+            this.preRollLength -= this.preRoll.shift().length;
+        }
+    }
+
+    // 输出当前片段；说话时间太短的视为噪声丢弃
+    flush() {
+        if (this.segmentStartedAt !== null && this.speechSamples >= this.minSpeechSamples) {
+            this.onSegment(concatInt16(this.chunks), { startedAt: this.segmentStartedAt });
+        }
+        this.reset();
+    }
+}
+
+// 保留最近 maxMs 毫秒PCM的环形缓冲区，可按采集时间截取片段（用于保存问题前后的音频）
+class PcmRingBuffer {
+    constructor(maxMs, sampleRate = PCM_SAMPLE_RATE) {
+        this.sampleRate = sampleRate;
+        this.maxSamples = Math.round(maxMs * sampleRate / 1000);
+        this.clear();
+    }
+
+    clear() {
+        this.chunks = [];
+        this.length = 0;
+    }
+
+    // capturedAt 为这段音频最后一个样本的采集时间
+    push(samples, capturedAt = Date.now()) {
+        this.chunks.push({
+            samples,
+            startTime: capturedAt - samples.length * 1000 / this.sampleRate
+        });
+        this.length += samples.length;
+
+        while (this.chunks.length > 1 && this.length - this.chunks[0].samples.length >= this.maxSamples) {
+            this.length -= this.chunks.shift().samples.length;
+        }
+    }
+
+    // 截取 [from, to] 时间范围内仍在缓冲区中的音频，没有数据时返回 null
+    slice(from, to) {
+        const parts = [];
+        let startTime = null;
+
+        this.chunks.forEach(({ samples, startTime: chunkStart }) => {
+            const begin = Math.max(0, Math.round((from - chunkStart) * this.sampleRate / 1000));
+            const end = Math.min(samples.length, Math.round((to - chunkStart) * this.sampleRate / 1000));
+            if (end <= begin) return;
+
+            if (startTime === null) {
+                startTime = chunkStart + begin * 1000 / this.sampleRate;
+            }
+            parts.push(samples.subarray(begin, end));
+        });
+
+        if (parts.length === 0) return null;
+
+        const samples = concatInt16(parts);
+        return {
+            samples,
+            startTime,
+            duration: samples.length * 1000 / this.sampleRate
+        };
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PCM_SAMPLE_RATE,
+        floatTo16BitPCM,
+        concatInt16,
+        encodeWav,
+        bytesToBase64,
+        pcmRms,
+        PcmRingBuffer,
+        SilenceSegmenter
+    };
+}
@@ -0,0 +1,223 @@
+// 数据备份与恢复
+// 备份是带版本号的 JSON 文档，包含全部记录、测试会话、问题分类和不含密钥的设置，
+// 用于在车上的平板和办公室的电脑之间转移数据。这里只处理数据，不依赖DOM，浏览器和Node (测试) 中都可以使用。
+
+// Node 中从 taxonomy.js 引入，浏览器中使用全局函数
+const backupTaxonomy = typeof require === 'function' ? require('./taxonomy.js') : { normalizeTaxonomy };
+
+const BACKUP_FORMAT = 'road-test-recorder-backup';
+const BACKUP_VERSION = 1;
+
+function createBackup({ records, sessions, taxonomy, settings }, exportedAt = new Date().toISOString()) {
+    return {
+        format: BACKUP_FORMAT,
+        version: BACKUP_VERSION,
+        exportedAt,
+        data: {
+            testData: records,
+            testSessions: sessions,
+            taxonomy: taxonomy || null,
+            settings: settings || {}
+        }
+    };
+}
+
+function isValidTime(value) {
+    return typeof value === 'string' && !isNaN(new Date(value).getTime());
+}
+
+// 程序生成的ID都是数字，界面直接把ID写进 data-* 属性，不接受其他类型
+function isValidId(value) {
+    return typeof value === 'number' && isFinite(value);
+}
+
+// 校验备份文件，不合法时抛出说明原因的错误，返回 { exportedAt, version, sessions, records, taxonomy, settings }
+function parseBackup(raw) {
+    if (!raw || typeof raw !== 'object' || raw.format !== BACKUP_FORMAT) {
+        throw new Error('不是道路测试记录的备份文件');
+    }
+    if (!Number.isInteger(raw.version) || raw.version < 1) {
+        throw new Error('备份文件缺少版本号');
+    }
+    if (raw.version > BACKUP_VERSION) {
+        throw new Error(`备份文件版本 (v${raw.version}) 比当前程序支持的版本 (v${BACKUP_VERSION}) 新，请先更新页面`);
+    }
+
+    const data = raw.data || {};
+    if (!Array.isArray(data.testSessions) || !Array.isArray(data.testData)) {
+        throw new Error('备份文件缺少测试记录');
+    }
+
+    const sessionIds = new Set();
+    data.testSessions.forEach((session, index) => {
+        if (!session || !isValidId(session.id)) {
+            throw new Error(`第 ${index + 1} 个测试缺少ID`);
+        }
+        if (sessionIds.has(session.id)) {
+            throw new Error(`测试ID重复: ${session.id}`);
+        }
+        if (!isValidTime(session.startTime) || (session.endTime && !isValidTime(session.endTime))) {
+            throw new Error(`测试"${session.name || session.id}"的时间无效`);
+        }
+        sessionIds.add(session.id);
+    });
+
+    const recordIds = new Set();
+    data.testData.forEach((record, index) => {
+        if (!record || !isValidId(record.id)) {
+            throw new Error(`第 ${index + 1} 条记录缺少ID`);
+        }
+        if (recordIds.has(record.id)) {
+            throw new Error(`记录ID重复: ${record.id}`);
+        }
+        if (!isValidTime(record.timestamp) || typeof record.type !== 'string') {
+            throw new Error(`记录 ${record.id} 缺少时间或类型`);
+        }
+        // 早期版本的记录可能没有会话ID，指向不存在的会话则是文件损坏
+        if (record.sessionId !== undefined && record.sessionId !== null && !sessionIds.has(record.sessionId)) {
+            throw new Error(`记录 ${record.id} 所属的测试 ${record.sessionId} 不在备份中`);
+        }
+        recordIds.add(record.id);
+    });
+
+    if (data.settings !== undefined && (typeof data.settings !== 'object' || Array.isArray(data.settings))) {
+        throw new Error('备份文件中的设置格式不正确');
+    }
+
+    let taxonomy = null;
+    if (data.taxonomy) {
+        try {
+            taxonomy = backupTaxonomy.normalizeTaxonomy(data.taxonomy);
+        } catch (error) {
+            throw new Error(`备份文件中的问题分类无效: ${error.message}`);
+        }
+    }
+
+    return {
+        version: raw.version,
+        exportedAt: raw.exportedAt || null,
+        sessions: data.testSessions,
+        records: data.testData,
+        taxonomy,
+        settings: data.settings || {}
+    };
+}
+
+function getSessionRecords(records, sessionId) {
+    return records.filter(record => record.sessionId === sessionId);
+}
+
+// 会话及其记录完全相同时，导入不需要做任何事
+function isSameSession(a, aRecords, b, bRecords) {
+    const byId = (x, y) => String(x.id).localeCompare(String(y.id));
+    return JSON.stringify(a) === JSON.stringify(b) &&
+        JSON.stringify([...aRecords].sort(byId)) === JSON.stringify([...bRecords].sort(byId));
+}
+
+// 按会话ID对比备份和本机数据:
+//   status: 'new' 本机没有 | 'identical' 完全相同 | 'conflict' 同ID但内容不同
+// localOnly 是只在本机存在的会话，替换时会被删除；looseRecords 是不属于任何会话、本机还没有的记录
+function previewRestore(backup, current) {
+    const localSessions = new Map(current.sessions.map(session => [session.id, session]));
+    const backupIds = new Set(backup.sessions.map(session => session.id));
+
+    const sessions = backup.sessions.map(session => {
+        const records = getSessionRecords(backup.records, session.id);
+        const existing = localSessions.get(session.id) || null;
+        let status = 'new';
+        if (existing) {
+            const existingRecords = getSessionRecords(current.records, session.id);
+            status = isSameSession(session, records, existing, existingRecords) ? 'identical' : 'conflict';
+        }
+        return { session, recordCount: records.length, existing, status };
+    });
+
+    return {
+        sessions,
+        newCount: sessions.filter(item => item.status === 'new').length,
+        identicalCount: sessions.filter(item => item.status === 'identical').length,
+        conflicts: sessions.filter(item => item.status === 'conflict'),
+        localOnly: current.sessions.filter(session => !backupIds.has(session.id)),
+        looseRecords: backup.records.filter(record =>
+            (record.sessionId === undefined || record.sessionId === null) &&
+            !current.records.some(existing => existing.id === record.id)
+        )
+    };
+}
+
+// 合并备份到本机数据，返回需要写入和删除的内容，不修改传入的数据:
+//   { sessions, records, removedRecordIds, added, copied, overwritten, skipped }
+// 冲突的会话按 onConflict 处理: 'skip' 保留本机 | 'copy' 作为新会话导入 | 'overwrite' 用备份覆盖
+// 新导入记录的ID与本机其他记录重复时分配新ID
+function mergeBackup(backup, current, { onConflict = 'skip' } = {}) {
+    const preview = previewRestore(backup, current);
+    const localRecordIds = new Set(current.records.map(record => record.id));
+    let lastId = [...current.records, ...backup.records, ...current.sessions, ...backup.sessions]
+        .reduce((max, item) => Math.max(max, Number(item.id) || 0), 0);
+    const nextId = () => ++lastId;
+
+    const result = { sessions: [], records: [], removedRecordIds: [], added: [], copied: [], overwritten: [], skipped: [] };
+
+    const importRecords = (records, sessionId, { renumber = false, ownIds = new Set() } = {}) => {
+        records.forEach(record => {
+            const clash = localRecordIds.has(record.id) && !ownIds.has(record.id);
+            result.records.push({
+                ...record,
+                id: renumber || clash ? nextId() : record.id,
+                sessionId
+            });
+        });
+    };
+
+    preview.sessions.forEach(({ session, status }) => {
+        const records = getSessionRecords(backup.records, session.id);
+
+        if (status === 'new') {
+            result.sessions.push(session);
+            importRecords(records, session.id);
+            result.added.push(session);
+        } else if (status === 'conflict' && onConflict === 'overwrite') {
+            const localRecords = getSessionRecords(current.records, session.id);
+            const ownIds = new Set(localRecords.map(record => record.id));
+            const incomingIds = new Set(records.map(record => record.id));
+            result.sessions.push(session);
+            importRecords(records, session.id, { ownIds });
+            result.removedRecordIds.push(...localRecords.filter(record => !incomingIds.has(record.id)).map(record => record.id));
+            result.overwritten.push(session);
+        } else if (status === 'conflict' && onConflict === 'copy') {
+            const copy = { ...session, id: nextId(), name: `${session.name}（导入）` };
+            result.sessions.push(copy);
+            importRecords(records, copy.id, { renumber: true });
+            result.copied.push(copy);
+        } else if (status === 'conflict') {
+            result.skipped.push(session);
+        }
+    });
+
+    result.records.push(...preview.looseRecords);
+    return result;
+}
+
+// 设置中去掉 secret 字段，fields 为 { [providerId]: configFields }
+function stripSecretSettings(configs, fields) {
+    const result = {};
+    Object.entries(configs || {}).forEach(([providerId, config]) => {
+        const secretKeys = (fields[providerId] || []).filter(field => field.secret).map(field => field.key);
+        result[providerId] = Object.fromEntries(
+            Object.entries(config || {}).filter(([key]) => !secretKeys.includes(key))
+        );
+    });
+    return result;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        BACKUP_FORMAT,
+        BACKUP_VERSION,
+        createBackup,
+        parseBackup,
+        previewRestore,
+        mergeBackup,
+        stripSecretSettings
+    };
+}
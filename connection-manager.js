@@ -0,0 +1,238 @@
+// 识别服务连接管理
+// 断线后按指数退避加随机抖动重新连接，测试进行中不限次数；发出说话的音频后长时间收不到任何
+// 识别事件时判定连接已停滞，主动断开重连。不依赖浏览器，Node (测试) 中也可以使用。
+//
+// 状态: idle 未在识别 / connecting 正在连接 / connected 正在识别 / reconnecting 等待或正在重新连接 /
+//       failed 无法自动恢复（如认证失败），需要检查配置
+
+const CONNECTION_STATES = {
+    IDLE: 'idle',
+    CONNECTING: 'connecting',
+    CONNECTED: 'connected',
+    RECONNECTING: 'reconnecting',
+    FAILED: 'failed'
+};
+
+const RECONNECT_BASE_MS = 1000;
+const RECONNECT_MAX_MS = 30000;
+const CONNECT_TIMEOUT_MS = 15000; // 一次连接从发起到可以识别的最长时间
+const STALL_TIMEOUT_MS = 15000; // 说话后这么久没有任何识别事件判定为停滞
+const HEALTH_CHECK_INTERVAL_MS = 1000;
+
+// 第 attempt 次重连前等待的时间：上限按 1、2、4、8秒……增长，最长30秒，
+// 实际等待在上限的一半到上限之间随机，避免多台设备断网恢复后同时重连
+function getReconnectDelay(attempt, { baseMs = RECONNECT_BASE_MS, maxMs = RECONNECT_MAX_MS, random = Math.random } = {}) {
+    const ceiling = Math.min(maxMs, baseMs * 2 ** Math.max(0, attempt - 1));
+    return Math.round(ceiling / 2 + random() * ceiling / 2);
+}
+
+class ConnectionManager {
+    // connect(): 发起一次连接，失败时 reject；可以识别后由调用方调用 markConnected
+    // shouldReconnect(): 是否还需要连接（测试进行中）；canConnect(): 能否发起连接（如是否联网）
+    // onAbort(reason): 判定停滞或连接超时，调用方丢弃当前连接（不需要再调用 markLost）
+    // onStateChange(state, info): info 为 { attempt, reason, delayMs, downtimeMs }
+    constructor({
+        connect,
+        shouldReconnect = () => true,
+        canConnect = () => true,
+        onAbort = () => {},
+        onStateChange = () => {},
+        baseDelayMs = RECONNECT_BASE_MS,
+        maxDelayMs = RECONNECT_MAX_MS,
+        connectTimeoutMs = CONNECT_TIMEOUT_MS,
+        stallTimeoutMs = STALL_TIMEOUT_MS,
+        checkIntervalMs = HEALTH_CHECK_INTERVAL_MS,
+        now = () => Date.now(),
+        random = Math.random
+    }) {
+        this.connect = connect;
+        this.shouldReconnect = shouldReconnect;
+        this.canConnect = canConnect;
+        this.onAbort = onAbort;
+        this.onStateChange = onStateChange;
+        this.baseDelayMs = baseDelayMs;
+        this.maxDelayMs = maxDelayMs;
+        this.connectTimeoutMs = connectTimeoutMs;
+        this.stallTimeoutMs = stallTimeoutMs;
+        this.checkIntervalMs = checkIntervalMs;
+        this.now = now;
+        this.random = random;
+
+        this.state = CONNECTION_STATES.IDLE;
+        this.attempt = 0; // 本次断线后的重连次数
+        this.attemptId = 0; // 区分过期的连接结果
+        this.attemptStartedAt = null; // 正在进行的连接发起的时间
+        this.lostAt = null; // 本次断线的时间
+        this.unansweredSince = null; // 发出说话的音频后还没有收到识别事件的起始时间
+        this.retryTimer = null;
+        this.healthTimer = null;
+    }
+
+    get isWaiting() {
+        return this.retryTimer !== null;
+    }
+
+    // 开始识别时调用；已在连接或已连接时不重复发起
+    start() {
+        if (this.state !== CONNECTION_STATES.IDLE && this.state !== CONNECTION_STATES.FAILED) return;
+
+        this.attempt = 0;
+        this.lostAt = null;
+        this.setState(CONNECTION_STATES.CONNECTING, { attempt: 0 });
+        this.startHealthCheck();
+        this.runAttempt();
+    }
+
+    // 结束识别，不再重连
+    stop() {
+        this.clearTimers();
+        this.attemptId++;
+        this.attemptStartedAt = null;
+        this.unansweredSince = null;
+        if (this.state !== CONNECTION_STATES.IDLE) {
+            this.setState(CONNECTION_STATES.IDLE, {});
+        }
+    }
+
+    // 连接已可以识别
+    markConnected() {
+        if (this.state === CONNECTION_STATES.IDLE) return;
+
+        const info = { attempt: this.attempt };
+        if (this.lostAt !== null) {
+            info.downtimeMs = this.now() - this.lostAt;
+        }
+        this.clearRetryTimer();
+        this.attempt = 0;
+        this.attemptStartedAt = null;
+        this.lostAt = null;
+        this.unansweredSince = null;
+        if (!this.healthTimer) this.startHealthCheck();
+        this.setState(CONNECTION_STATES.CONNECTED, info);
+    }
+
+    // 连接断开或连接失败；permanent 表示重试也不会成功。minDelayMs 用于服务端要求稍后再连的情况
+    markLost(reason, { permanent = false, minDelayMs = 0 } = {}) {
+        if (this.state === CONNECTION_STATES.IDLE || this.state === CONNECTION_STATES.FAILED) return;
+        // 同一次断线可能同时收到连接失败和关闭事件
+        if (this.isWaiting) return;
+
+        this.attemptId++;
+        this.attemptStartedAt = null;
+        this.unansweredSince = null;
+        if (this.lostAt === null) {
+            this.lostAt = this.now();
+        }
+
+        if (permanent) {
+            this.clearTimers();
+            this.setState(CONNECTION_STATES.FAILED, { attempt: this.attempt, reason });
+            return;
+        }
+        if (!this.shouldReconnect()) {
+            this.stop();
+            return;
+        }
+
+        this.attempt++;
+        const delayMs = Math.max(minDelayMs, getReconnectDelay(this.attempt, {
+            baseMs: this.baseDelayMs,
+            maxMs: this.maxDelayMs,
+            random: this.random
+        }));
+        this.setState(CONNECTION_STATES.RECONNECTING, { attempt: this.attempt, reason, delayMs });
+        this.retryTimer = setTimeout(() => {
+            this.retryTimer = null;
+            this.runAttempt();
+        }, delayMs);
+    }
+
+    // 网络恢复等情况下不再等待，立即重连
+    retryNow() {
+        if (!this.isWaiting) return;
+        this.clearRetryTimer();
+        this.runAttempt();
+    }
+
+    // 收到服务端的任何消息
+    noteActivity() {
+        this.unansweredSince = null;
+    }
+
+    // 发出一段音频；voiced 表示其中有人说话，服务端应当很快返回识别事件
+    noteAudioSent(voiced) {
+        if (voiced && this.state === CONNECTION_STATES.CONNECTED && this.unansweredSince === null) {
+            this.unansweredSince = this.now();
+        }
+    }
+
+    runAttempt() {
+        if (!this.shouldReconnect()) {
+            this.stop();
+            return;
+        }
+        if (!this.canConnect()) {
+            this.markLost('网络已断开');
+            return;
+        }
+
+        const attemptId = ++this.attemptId;
+        this.attemptStartedAt = this.now();
+        Promise.resolve()
+            .then(() => this.connect())
+            .catch(error => {
+                if (attemptId !== this.attemptId) return;
+                this.markLost(error && error.message ? error.message : String(error));
+            });
+    }
+
+    // 定时检查连接超时和停滞
+    checkHealth() {
+        const now = this.now();
+        if (this.state === CONNECTION_STATES.CONNECTED) {
+            if (this.unansweredSince !== null && now - this.unansweredSince >= this.stallTimeoutMs) {
+                this.abort(`${Math.round(this.stallTimeoutMs / 1000)}秒没有识别结果，连接可能已停滞`);
+            }
+        } else if (this.attemptStartedAt !== null && now - this.attemptStartedAt >= this.connectTimeoutMs) {
+            this.abort('连接超时');
+        }
+    }
+
+    abort(reason) {
+        this.onAbort(reason);
+        this.markLost(reason);
+    }
+
+    startHealthCheck() {
+        clearInterval(this.healthTimer);
+        this.healthTimer = setInterval(() => this.checkHealth(), this.checkIntervalMs);
+    }
+
+    clearRetryTimer() {
+        clearTimeout(this.retryTimer);
+        this.retryTimer = null;
+    }
+
+    clearTimers() {
+        this.clearRetryTimer();
+        clearInterval(this.healthTimer);
+        this.healthTimer = null;
+    }
+
+    setState(state, info) {
+        this.state = state;
+        try {
+            this.onStateChange(state, info);
+        } catch (error) {
+            console.error('❌ 处理连接状态变化失败:', error);
+        }
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ConnectionManager,
+        CONNECTION_STATES,
+        getReconnectDelay
+    };
+}
@@ -0,0 +1,57 @@
+// 定位工具
+// 把浏览器的定位结果转换为轨迹点，并为问题记录选择时间上最接近的定位。
+// 不依赖浏览器，Node (测试) 中也可以使用。
+
+const locationRouteMap = typeof require === 'function' ? require('./route-map.js') : { findNearestFix };
+
+const MAX_FIX_AGE_MS = 30000; // 超过30秒的定位不再关联到记录
+const LIVE_TRACK_FIXES = 20; // 实时记录只在最近的轨迹点中查找
+
+// 浏览器 GeolocationPosition 转为轨迹点，速度为米/秒，无法测得的速度和航向为 null
+function toLocationFix(position) {
+    const { latitude, longitude, accuracy, speed, heading } = position.coords;
+    return {
+        timestamp: new Date(position.timestamp).toISOString(),
+        lat: latitude,
+        lon: longitude,
+        accuracy: Math.round(accuracy),
+        speed: speed === null || isNaN(speed) ? null : speed,
+        heading: heading === null || isNaN(heading) ? null : Math.round(heading)
+    };
+}
+
+// 定位失败时状态栏显示的文字；超时和无法定位通常是信号不好，之后还会继续尝试
+function describeLocationError(error) {
+    if (error.code === error.PERMISSION_DENIED) return '未授权';
+    if (error.code === error.TIMEOUT) return '定位超时';
+    return '信号弱';
+}
+
+// 为发生在 time 的记录选择定位，返回记录的 location 字段，没有足够新的定位时返回 null
+// 实时记录（当前测试中刚发生的）只看最近的轨迹点和最新定位；补记的记录时间较早，在整条轨迹中查找
+function pickRecordLocation(time, { track = [], lastFix = null, isCurrentSession = false, now = Date.now(), maxAge = MAX_FIX_AGE_MS } = {}) {
+    const isLive = isCurrentSession && now - time < maxAge;
+    const candidates = !isLive ? track
+        : lastFix ? [...track.slice(-LIVE_TRACK_FIXES), lastFix] : track.slice(-LIVE_TRACK_FIXES);
+
+    const nearest = locationRouteMap.findNearestFix(candidates, time, maxAge);
+    if (!nearest) return null;
+
+    return {
+        lat: nearest.lat,
+        lon: nearest.lon,
+        accuracy: nearest.accuracy,
+        speed: nearest.speed,
+        heading: nearest.heading,
+        fixTime: nearest.timestamp
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        MAX_FIX_AGE_MS,
+        toLocationFix,
+        describeLocationError,
+        pickRecordLocation
+    };
+}
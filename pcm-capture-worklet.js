@@ -0,0 +1,112 @@
+// 录音采集：重采样到16kHz、转换为16bit PCM并按固定时长分包
+// 同一个文件有三种用法：
+//   - audioWorklet.addModule 加载时注册 AudioWorklet 处理器 pcm-capture，在音频线程中完成全部处理，
+//     界面卡顿时也不会丢音频
+//   - index.html 中作为普通脚本加载，不支持 AudioWorklet 的浏览器在 ScriptProcessor 回调中使用 PcmFramer
+//   - Node (测试) 中 require
+// AudioWorklet 中看不到页面的其它脚本，这里不依赖 audio-utils.js。
+
+const CAPTURE_SAMPLE_RATE = 16000; // 识别服务要求16kHz
+const CAPTURE_FRAME_MS = 100; // 每包100ms (3200字节)，与阿里云建议的发送间隔一致
+
+// 把任意采样率的 Float32 音频流转换成 outputSampleRate 的 Int16 包，每包 frameSamples 个样本
+class PcmFramer {
+    constructor({ inputSampleRate, outputSampleRate = CAPTURE_SAMPLE_RATE, frameMs = CAPTURE_FRAME_MS, onFrame = () => {} }) {
+        this.inputSampleRate = inputSampleRate;
+        this.outputSampleRate = outputSampleRate;
+        this.ratio = inputSampleRate / outputSampleRate; // 每个输出样本对应的输入样本数
+        this.frameSamples = Math.round(outputSampleRate * frameMs / 1000);
+        this.onFrame = onFrame;
+        this.reset();
+    }
+
+    reset() {
+        this.pending = new Float32Array(0); // 上一次没有用完的输入
+        this.pendingStart = 0; // pending[0] 在整个输入流中的序号
+        this.outputCount = 0; // 已输出的样本数；位置按序号计算，分块方式不影响结果
+        this.frame = new Int16Array(this.frameSamples);
+        this.frameLength = 0;
+    }
+
+    push(input) {
+        const buffer = new Float32Array(this.pending.length + input.length);
+        buffer.set(this.pending);
+        buffer.set(input, this.pending.length);
+
+        // 第 n 个输出样本位于输入流的 n * ratio 处
+        const positionOf = (n) => n * this.ratio - this.pendingStart;
+        if (this.ratio > 1) {
+            // 降采样：取每个输出样本覆盖的输入样本的平均值，同时起到简单低通滤波的作用
+            while (positionOf(this.outputCount + 1) <= buffer.length) {
+                const start = Math.floor(positionOf(this.outputCount));
+                const end = Math.floor(positionOf(this.outputCount + 1));
+                let sum = 0;
+                for (let i = start; i < end; i++) {
+                    sum += buffer[i];
+                }
+                this.writeSample(sum / (end - start));
+            }
+        } else {
+            // 采样率相同或升采样：相邻两个输入样本线性插值
+            while (Math.floor(positionOf(this.outputCount)) + 1 < buffer.length) {
+                const position = positionOf(this.outputCount);
+                const index = Math.floor(position);
+                const fraction = position - index;
+                this.writeSample(buffer[index] + (buffer[index + 1] - buffer[index]) * fraction);
+            }
+        }
+
+        const consumed = Math.min(Math.floor(positionOf(this.outputCount)), buffer.length);
+        this.pending = buffer.slice(consumed);
+        this.pendingStart += consumed;
+    }
+
+    writeSample(value) {
+        const sample = Math.max(-1, Math.min(1, value));
+        this.outputCount++;
+        this.frame[this.frameLength++] = sample < 0 ? sample * 0x8000 : sample * 0x7FFF;
+        if (this.frameLength === this.frameSamples) {
+            const frame = this.frame;
+            this.frame = new Int16Array(this.frameSamples);
+            this.frameLength = 0;
+            this.onFrame(frame);
+        }
+    }
+
+}
+
+// AudioWorklet 处理器：每包通过 port 转交（transfer）给页面，不复制数据
+// 多声道输入由节点的 channelCount: 1 混合成单声道
+if (typeof registerProcessor === 'function') {
+    class PcmCaptureProcessor extends AudioWorkletProcessor {
+        constructor(options) {
+            super();
+            const { outputSampleRate, frameMs } = options.processorOptions || {};
+            this.framer = new PcmFramer({
+                inputSampleRate: sampleRate, // AudioWorkletGlobalScope 中的实际采样率
+                outputSampleRate,
+                frameMs,
+                onFrame: (frame) => this.port.postMessage(frame, [frame.buffer])
+            });
+        }
+
+        // 没有输入（麦克风未连接）时 inputs[0] 为空数组
+        process(inputs) {
+            const channel = inputs[0] && inputs[0][0];
+            if (channel) {
+                this.framer.push(channel);
+            }
+            return true;
+        }
+    }
+
+    registerProcessor('pcm-capture', PcmCaptureProcessor);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        CAPTURE_SAMPLE_RATE,
+        CAPTURE_FRAME_MS,
+        PcmFramer
+    };
+}
@@ -0,0 +1,280 @@
+// 语音文本识别
+// 把一句识别结果解析成问题记录或操作，不依赖DOM，浏览器和Node (测试) 中都可以使用。
+// 识别顺序: 语音指令 → 问题记录（"类型-子类型" 格式、类型别名、子类型触发词，长的匹配优先） → 用户疑问
+
+// Node 中从 taxonomy.js 引入，浏览器中使用全局函数
+const recognizerTaxonomy = typeof require === 'function' ? require('./taxonomy.js') : { compileTaxonomy };
+
+const WHITESPACE_PATTERN = /[\s\u00A0\u1680\u2000-\u200A\u2028\u2029\u202F\u205F\u3000]/g;
+const PUNCTUATION_PATTERN = /[，,。.！!？?；;：:""''「」【】（）()]/g;
+
+// 长度相同的匹配按此顺序取舍
+const MATCH_SOURCE_PRIORITY = { keyword: 0, direct: 1, smart: 2 };
+
+// 语音指令语法，按顺序匹配去掉空格和标点后的整句（raw 的指令匹配原文）。
+// 除删除和撤销外都要求整句就是指令，避免"车子停止不动"之类的描述被当成指令。
+// destructive 的指令执行前需要说"确认"。
+const VOICE_COMMANDS = [
+    { name: 'confirm', pattern: /^(确认|确定|是的|对的?|好的?)$/ },
+    { name: 'cancel', pattern: /^(取消|不用了?|算了|不是)$/ },
+    { name: 'start', pattern: /^请?(开始|启动)(测试|记录)吧?$/ },
+    { name: 'pause', pattern: /^请?暂停(测试|记录)?(一下)?$/ },
+    { name: 'resume', pattern: /^请?(继续|恢复)(测试|记录)吧?$/ },
+    { name: 'stop', pattern: /^请?(结束|停止)(测试|记录)吧?$/, destructive: true },
+    { name: 'deleteLast', pattern: /删除上一条/, destructive: true },
+    { name: 'undo', pattern: /撤销/ },
+    { name: 'redo', pattern: /^(恢复|重做)(上一步|刚才的?操作)?$/ },
+    { name: 'editLast', pattern: /^请?(?:把上一条(?:记录)?(?:修改|更改|改)(?:为|成)|(?:修改|更改)上一条(?:记录)?(?:为|成|到))(.+)$/ },
+    { name: 'addNote', pattern: /^请?(?:添加|增加|加个?)备注[：:，,\s]*(.+)$/, raw: true },
+    { name: 'count', pattern: /^(当前|现在|目前|一共|总共)?(有|记录了)?(几|多少)(个|条)(问题|记录)了?$/ }
+];
+
+class IssueRecognizer {
+    constructor(taxonomy, options = {}) {
+        this.log = options.log || (() => {});
+        this.setTaxonomy(taxonomy);
+    }
+
+    setTaxonomy(taxonomy) {
+        this.taxonomy = taxonomy;
+        this.compiledTaxonomy = recognizerTaxonomy.compileTaxonomy(taxonomy);
+    }
+
+    // 返回识别结果:
+    //   { action: 'command', command: { name, destructive, ... } }
+    //   { action: 'record', source: 'direct' | 'smart' | 'keyword', records: [{ type, subType, matchedText }] }
+    //   { action: 'question', response }
+    //   { action: 'none' }
+    recognize(text) {
+        // 语音指令
+        const command = this.parseCommand(text);
+        if (command) {
+            return { action: 'command', command };
+        }
+
+        // 问题记录 - 支持一句话多个问题
+        const issues = this.findIssues(text);
+        if (issues) {
+            return { action: 'record', ...issues };
+        }
+
+        // 检查是否是用户疑问或需要帮助
+        const response = this.handleUserQuestions(text);
+        if (response) {
+            return { action: 'question', response };
+        }
+
+        return { action: 'none' };
+    }
+
+    // 解析语音指令，不是指令时返回 null
+    parseCommand(text) {
+        const cleanText = text.replace(WHITESPACE_PATTERN, '').replace(PUNCTUATION_PATTERN, '');
+        const rawText = text.trim();
+
+        for (const definition of VOICE_COMMANDS) {
+            const match = (definition.raw ? rawText : cleanText).match(definition.pattern);
+            if (!match) continue;
+
+            const command = { name: definition.name, destructive: !!definition.destructive };
+            if (definition.name === 'editLast') {
+                command.targetText = match[1];
+                command.target = this.resolveTarget(match[1]);
+            } else if (definition.name === 'addNote') {
+                command.note = match[1].trim();
+            }
+            this.log(`🎙️ 语音指令: ${definition.name}`, command);
+            return command;
+        }
+
+        return null;
+    }
+
+    // 解析"修改上一条为…"的目标，返回 { type, subType }，说出子类型时取子类型
+    resolveTarget(text) {
+        const issues = this.findIssues(text);
+        if (!issues) return null;
+
+        const { type, subType } = issues.records[0];
+        return { type, subType };
+    }
+
+    // 检查是否成功匹配到问题类型
+    isSuccessfulMatch(text) {
+        return !!this.findIssues(text);
+    }
+
+    // 找出一句话中的所有问题，返回 { source, records }，没有问题时返回 null
+    // 三种触发方式一起参与匹配: "类型-子类型" 格式 (keyword)、类型别名 (direct)、子类型触发词 (smart)。
+    // 长的匹配优先，与已选中的匹配重叠的短匹配丢弃，避免"反应慢"中的"慢"再记一条；
+    // 同一类型说出了具体子类型时，类型名本身只用来说明类型，不单独记录。
+    findIssues(text) {
+        const candidates = [
+            ...this.findKeywordMatches(text),
+            ...this.findAliasMatches(text),
+            ...this.findSubTypeMatches(text)
+        ].sort((a, b) => (b.end - b.start) - (a.end - a.start)
+            || MATCH_SOURCE_PRIORITY[a.source] - MATCH_SOURCE_PRIORITY[b.source]
+            || a.start - b.start);
+
+        const selected = [];
+        candidates.forEach(candidate => {
+            if (!selected.some(item => candidate.start < item.end && item.start < candidate.end)) {
+                selected.push(candidate);
+            }
+        });
+
+        const specificTypes = new Set(selected.filter(item => item.subType !== item.type).map(item => item.type));
+        const seen = new Set();
+        const matches = selected
+            .filter(item => item.subType !== item.type || !specificTypes.has(item.type))
+            .sort((a, b) => a.start - b.start)
+            .filter(item => {
+                const key = `${item.type}\u0000${item.subType}`;
+                if (seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            });
+
+        if (matches.length === 0) {
+            this.log(`❌ 未识别到问题: "${text}"`);
+            return null;
+        }
+
+        const sources = new Set(matches.map(item => item.source));
+        const source = sources.has('keyword') ? 'keyword' : sources.has('smart') ? 'smart' : 'direct';
+        this.log(`✅ 识别到 ${matches.length} 个问题 (${source}):`, matches.map(item => `${item.type}-${item.subType} "${item.matchedText}"`));
+
+        return {
+            source,
+            records: matches.map(({ type, subType, matchedText, source: matchSource }) => ({
+                type,
+                subType,
+                // 只说了类型时用整句原文
+                matchedText: matchSource === 'direct' ? text : matchedText
+            }))
+        };
+    }
+
+    // 类型别名，忽略空格、标点和大小写；位置换算回原文
+    findAliasMatches(text) {
+        const positions = [];
+        let cleanText = '';
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i].replace(WHITESPACE_PATTERN, '').replace(PUNCTUATION_PATTERN, '');
+            if (!char) continue;
+            cleanText += char.toLowerCase();
+            positions.push(i);
+        }
+
+        const matches = [];
+        this.compiledTaxonomy.forEach(category => {
+            category.aliases.forEach(alias => {
+                const cleanAlias = alias.toLowerCase().replace(WHITESPACE_PATTERN, '');
+                if (!cleanAlias) return;
+
+                let index = cleanText.indexOf(cleanAlias);
+                while (index >= 0) {
+                    matches.push({
+                        source: 'direct',
+                        type: category.name,
+                        subType: category.name,
+                        matchedText: alias,
+                        start: positions[index],
+                        end: positions[index + cleanAlias.length - 1] + 1
+                    });
+                    index = cleanText.indexOf(cleanAlias, index + 1);
+                }
+            });
+        });
+        return matches;
+    }
+
+    // 分类定义中的子类型触发词和正则
+    findSubTypeMatches(text) {
+        const matches = [];
+        this.compiledTaxonomy.forEach(category => {
+            category.subTypeMatchers.forEach(matcher => {
+                for (const match of text.matchAll(matcher.pattern)) {
+                    if (!match[0]) continue;
+                    matches.push({
+                        source: 'smart',
+                        type: category.name,
+                        subType: matcher.name,
+                        matchedText: match[0],
+                        start: match.index,
+                        end: match.index + match[0].length
+                    });
+                }
+            });
+        });
+        return matches;
+    }
+
+    // "类型-子类型" 格式，如 "体验问题-重刹"
+    findKeywordMatches(text) {
+        const matches = [];
+        this.compiledTaxonomy.forEach(category => {
+            for (const match of text.matchAll(category.keywordPattern)) {
+                const subType = match[1].trim();
+                if (!subType) continue;
+                matches.push({
+                    source: 'keyword',
+                    type: category.name,
+                    subType,
+                    matchedText: match[0],
+                    start: match.index,
+                    end: match.index + match[0].length
+                });
+            }
+        });
+        return matches;
+    }
+
+    handleUserQuestions(text) {
+        const cleanText = text.toLowerCase().trim();
+
+        // 疑问词汇模式
+        const questionPatterns = [
+            {
+                patterns: ['我想知道', '想知道', '怎么', '如何', '什么', '帮助', '帮我', '我不知道', '不知道'],
+                response: `💡 使用提示：说出具体问题类型，如${this.taxonomy.categories
+                    .filter(category => category.subTypes.length > 0)
+                    .slice(0, 3)
+                    .map(category => `"${category.name}-${category.subTypes[0].name}"`)
+                    .join('、')}`
+            },
+            {
+                patterns: ['有什么', '都有什么', '支持什么', '可以说什么'],
+                response: `📋 支持的问题类型：${this.taxonomy.categories.map(category =>
+                    `${category.name}(${category.subTypes.slice(0, 3).map(subType => subType.name).join('/')})`
+                ).join('、')}`
+            },
+            {
+                patterns: ['测试', '开始', '开始测试', '怎么开始'],
+                response: '🚀 点击"开始测试"按钮，然后说话描述遇到的问题即可自动记录'
+            },
+            {
+                patterns: ['说什么', '怎么说', '格式', '怎么操作'],
+                response: '🗣️ 直接说问题，如："安全接管压线"、"刹车很重"、"车子卡死了"等'
+            }
+        ];
+
+        for (const pattern of questionPatterns) {
+            if (pattern.patterns.some(p => cleanText.includes(p))) {
+                return pattern.response;
+            }
+        }
+
+        // 检查是否是空白或无意义输入
+        if (cleanText.length === 0 || /^[。，,.\s]*$/.test(cleanText)) {
+            return '🎤 请清楚地说出遇到的问题';
+        }
+
+        return null;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { IssueRecognizer };
+}
@@ -0,0 +1,77 @@
+// 问题记录的修改历史
+// 修改记录时逐个字段比较，变化写入记录自带的 audit；删除记录时在所属会话的 deletedRecords 中留下墓碑，
+// 保留记录的类型、时间和删除前的修改历史，撤销删除时再移除墓碑。
+// 不依赖浏览器，Node (测试) 中也可以使用。
+
+// 比较 fields 中的字段，返回 { 字段: { from, to } }；空字符串视为清空该字段
+function diffRecordFields(record, changes, fields) {
+    const diff = {};
+    fields.forEach(field => {
+        if (!(field in changes)) return;
+        const from = record[field] ?? null;
+        const to = changes[field] === '' ? null : changes[field];
+        if (from !== to) {
+            diff[field] = { from, to };
+        }
+    });
+    return diff;
+}
+
+// 把修改写入记录并追加一条 audit，返回这条 audit
+function applyRecordDiff(record, diff, { source, at = new Date().toISOString() }) {
+    Object.entries(diff).forEach(([field, { to }]) => {
+        if (to === null) {
+            delete record[field];
+        } else {
+            record[field] = to;
+        }
+    });
+    const entry = { at, source, changes: diff };
+    record.audit = [...(record.audit || []), entry];
+    return entry;
+}
+
+// 撤销和恢复时传给 diffRecordFields 的字段值
+function splitRecordDiff(diff) {
+    const before = {};
+    const after = {};
+    Object.entries(diff).forEach(([field, { from, to }]) => {
+        before[field] = from;
+        after[field] = to;
+    });
+    return { before, after };
+}
+
+// 删除记录时留在会话上的墓碑，同一记录只保留最后一次删除
+function addRecordTombstone(session, record, { source, at = new Date().toISOString() }) {
+    const tombstone = {
+        id: record.id,
+        timestamp: record.timestamp,
+        type: record.type,
+        subType: record.subType,
+        deletedAt: at,
+        source,
+        audit: record.audit || []
+    };
+    session.deletedRecords = [...(session.deletedRecords || []).filter(item => item.id !== record.id), tombstone];
+    return tombstone;
+}
+
+// 撤销删除：记录回到列表中，不再需要墓碑
+function removeRecordTombstone(session, recordId) {
+    if (!session.deletedRecords) return;
+    session.deletedRecords = session.deletedRecords.filter(item => item.id !== recordId);
+    if (session.deletedRecords.length === 0) {
+        delete session.deletedRecords;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        diffRecordFields,
+        applyRecordDiff,
+        splitRecordDiff,
+        addRecordTombstone,
+        removeRecordTombstone
+    };
+}
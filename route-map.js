@@ -0,0 +1,202 @@
+// 测试路线地图
+// 用纯SVG把会话的GPS轨迹投影到平面上并标出问题记录，不依赖在线地图瓦片，离线也能查看。
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const METERS_PER_DEGREE = 111320;
+const TRACK_MATCH_MAX_DIFF_MS = 30000; // 没有定位的记录只匹配前后30秒内的轨迹点
+
+// 等距圆柱投影，按轨迹中心纬度修正经度比例，并缩放到画布内
+// 返回 point => [x, y]，附带 metersPerPixel；只有一个点时画在中心
+function createRouteProjection(points, { width, height, padding }) {
+    const lats = points.map(p => p.lat);
+    const lons = points.map(p => p.lon);
+    const minLat = Math.min(...lats);
+    const maxLat = Math.max(...lats);
+    const minLon = Math.min(...lons);
+    const maxLon = Math.max(...lons);
+
+    const lonScale = Math.cos(((minLat + maxLat) / 2) * Math.PI / 180);
+    const spanX = Math.max((maxLon - minLon) * lonScale * METERS_PER_DEGREE, 1);
+    const spanY = Math.max((maxLat - minLat) * METERS_PER_DEGREE, 1);
+
+    const drawWidth = width - padding * 2;
+    const drawHeight = height - padding * 2;
+    const metersPerPixel = Math.max(spanX / drawWidth, spanY / drawHeight, 0.05);
+    const centerLat = (minLat + maxLat) / 2;
+    const centerLon = (minLon + maxLon) / 2;
+
+    // 以轨迹中心对齐画布中心
+    const project = (point) => {
+        const x = width / 2 + (point.lon - centerLon) * lonScale * METERS_PER_DEGREE / metersPerPixel;
+        const y = height / 2 + (centerLat - point.lat) * METERS_PER_DEGREE / metersPerPixel;
+        return [Math.round(x * 10) / 10, Math.round(y * 10) / 10];
+    };
+    project.metersPerPixel = metersPerPixel;
+    return project;
+}
+
+// 比例尺取 1/2/5 × 10^n 米中不超过画布四分之一宽度的最大值，返回 { meters, length, label }
+function getScaleBar(metersPerPixel, width) {
+    const maxMeters = metersPerPixel * width / 4;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(maxMeters)));
+    const meters = [5, 2, 1].map(step => step * magnitude).find(value => value <= maxMeters) || magnitude;
+    return {
+        meters,
+        length: meters / metersPerPixel,
+        label: meters >= 1000 ? `${meters / 1000} km` : `${meters} m`
+    };
+}
+
+// 取时间上最接近的定位点，相差超过 maxDiffMs 时返回 null
+function findNearestFix(fixes, time, maxDiffMs) {
+    let nearest = null;
+    let nearestDiff = Infinity;
+    fixes.forEach(fix => {
+        const diff = Math.abs(new Date(fix.timestamp).getTime() - time);
+        if (diff < nearestDiff) {
+            nearest = fix;
+            nearestDiff = diff;
+        }
+    });
+    return nearestDiff <= maxDiffMs ? nearest : null;
+}
+
+class RouteMap {
+    constructor(container, options = {}) {
+        this.container = container;
+        this.width = options.width || 600;
+        this.height = options.height || 360;
+        this.padding = options.padding || 24;
+        // 根据记录类型返回图钉颜色
+        this.getPinColor = options.getPinColor || (() => '#4299e1');
+    }
+
+    // 渲染轨迹和问题图钉；records 中没有定位的记录按时间匹配到最近的轨迹点
+    render(session, records) {
+        this.container.innerHTML = '';
+
+        const track = (session.track || []).filter(fix => isFinite(fix.lat) && isFinite(fix.lon));
+        const pins = records
+            .map(record => ({ record, position: record.location || this.findTrackPosition(track, record.timestamp) }))
+            .filter(pin => pin.position);
+
+        const points = [...track, ...pins.map(pin => pin.position)];
+        if (points.length === 0) {
+            this.container.innerHTML = '<div class="route-map-empty">该测试没有GPS轨迹</div>';
+            return;
+        }
+
+        const project = this.createProjection(points);
+        const svg = this.createSvgElement('svg', {
+            viewBox: `0 0 ${this.width} ${this.height}`,
+            class: 'route-map-svg',
+            role: 'img',
+            'aria-label': `${session.name} 行驶路线`
+        });
+
+        if (track.length > 1) {
+            svg.appendChild(this.createSvgElement('polyline', {
+                points: track.map(fix => project(fix).join(',')).join(' '),
+                class: 'route-map-track'
+            }));
+        }
+
+        if (track.length > 0) {
+            const [startX, startY] = project(track[0]);
+            const [endX, endY] = project(track[track.length - 1]);
+            svg.appendChild(this.createSvgElement('circle', { cx: startX, cy: startY, r: 5, class: 'route-map-start' }));
+            svg.appendChild(this.createSvgElement('rect', { x: endX - 5, y: endY - 5, width: 10, height: 10, class: 'route-map-end' }));
+        }
+
+        const info = document.createElement('div');
+        info.className = 'route-map-info';
+        info.textContent = `${pins.length} 个问题位置，点击图钉查看详情`;
+
+        pins.forEach(({ record, position }) => {
+            const [x, y] = project(position);
+            const pin = this.createSvgElement('circle', {
+                cx: x,
+                cy: y,
+                r: 7,
+                fill: this.getPinColor(record.type),
+                class: 'route-map-pin',
+                tabindex: 0
+            });
+            const title = this.createSvgElement('title');
+            title.textContent = `${record.type} - ${record.subType}`;
+            pin.appendChild(title);
+
+            const showDetails = () => {
+                svg.querySelectorAll('.route-map-pin.selected').forEach(el => el.classList.remove('selected'));
+                pin.classList.add('selected');
+                this.showRecordDetails(info, record);
+            };
+            pin.addEventListener('click', showDetails);
+            pin.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ' ') showDetails();
+            });
+            svg.appendChild(pin);
+        });
+
+        svg.appendChild(this.createScaleBar(project.metersPerPixel));
+
+        this.container.appendChild(svg);
+        this.container.appendChild(info);
+    }
+
+    createProjection(points) {
+        return createRouteProjection(points, { width: this.width, height: this.height, padding: this.padding });
+    }
+
+    createScaleBar(metersPerPixel) {
+        const { length, label: text } = getScaleBar(metersPerPixel, this.width);
+        const x = this.padding;
+        const y = this.height - 10;
+
+        const group = this.createSvgElement('g', { class: 'route-map-scale' });
+        group.appendChild(this.createSvgElement('line', { x1: x, y1: y, x2: x + length, y2: y }));
+        const label = this.createSvgElement('text', { x: x + length + 6, y: y + 4 });
+        label.textContent = text;
+        group.appendChild(label);
+        return group;
+    }
+
+    findTrackPosition(track, timestamp) {
+        return findNearestFix(track, new Date(timestamp).getTime(), TRACK_MATCH_MAX_DIFF_MS);
+    }
+
+    showRecordDetails(info, record) {
+        info.innerHTML = '';
+
+        const header = document.createElement('div');
+        header.className = 'route-map-info-header';
+        const subType = document.createElement('strong');
+        subType.textContent = record.subType;
+        const time = document.createElement('span');
+        time.textContent = new Date(record.timestamp).toLocaleString('zh-CN');
+        header.appendChild(subType);
+        header.appendChild(time);
+
+        const text = document.createElement('div');
+        text.className = 'route-map-info-text';
+        text.textContent = record.originalText;
+
+        info.appendChild(header);
+        info.appendChild(text);
+    }
+
+    createSvgElement(tag, attributes = {}) {
+        const element = document.createElementNS(SVG_NS, tag);
+        Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+        return element;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        RouteMap,
+        createRouteProjection,
+        getScaleBar,
+        findNearestFix
+    };
+}
@@ -0,0 +1,76 @@
+// 测试信息：车辆、软件版本、人员、路线、天气和备注
+// 字段直接保存在会话上（session.vehicleId 等），开始测试前填写，除备注外上次填写的内容作为下次的默认值。
+// 除读写默认值外不依赖浏览器，Node (测试) 中也可以使用。
+
+const SESSION_METADATA_STORAGE_KEY = 'roadTestSessionDefaults';
+
+// filterable 的字段可以在数据分析中按值筛选；remember 的字段记住上次的值
+const SESSION_METADATA_FIELDS = [
+    { key: 'vehicleId', label: '车辆编号', filterable: true, remember: true },
+    { key: 'softwareVersion', label: '软件版本', filterable: true, remember: true },
+    { key: 'safetyDriver', label: '安全员', filterable: true, remember: true },
+    { key: 'tester', label: '测试员', filterable: true, remember: true },
+    { key: 'routeName', label: '路线', filterable: true, remember: true },
+    { key: 'weather', label: '天气', filterable: true, remember: true, suggestions: ['晴', '多云', '阴', '小雨', '大雨', '雪', '雾'] },
+    { key: 'notes', label: '测试备注', multiline: true }
+];
+
+// 只保留已定义的字段，去掉首尾空白和空值
+function normalizeSessionMetadata(raw) {
+    const metadata = {};
+    SESSION_METADATA_FIELDS.forEach(field => {
+        const value = raw && typeof raw[field.key] === 'string' ? raw[field.key].trim() : '';
+        if (value) {
+            metadata[field.key] = value;
+        }
+    });
+    return metadata;
+}
+
+// 已填写的字段 [{ key, label, value }]，按字段定义的顺序
+function getSessionMetadataEntries(session) {
+    const metadata = normalizeSessionMetadata(session);
+    return SESSION_METADATA_FIELDS
+        .filter(field => metadata[field.key])
+        .map(field => ({ key: field.key, label: field.label, value: metadata[field.key] }));
+}
+
+// 按名称和测试信息搜索，空格分隔的多个关键词都要命中，不区分大小写
+function matchesSessionSearch(session, query) {
+    const terms = String(query || '').toLowerCase().split(/\s+/).filter(Boolean);
+    if (terms.length === 0) return true;
+
+    const text = [session.name, ...getSessionMetadataEntries(session).map(entry => entry.value)]
+        .join('\n')
+        .toLowerCase();
+    return terms.every(term => text.includes(term));
+}
+
+function loadSessionMetadataDefaults() {
+    try {
+        return normalizeSessionMetadata(JSON.parse(localStorage.getItem(SESSION_METADATA_STORAGE_KEY) || '{}'));
+    } catch (error) {
+        console.warn('加载测试信息默认值失败:', error);
+        return {};
+    }
+}
+
+function saveSessionMetadataDefaults(metadata) {
+    const defaults = {};
+    SESSION_METADATA_FIELDS
+        .filter(field => field.remember && metadata[field.key])
+        .forEach(field => {
+            defaults[field.key] = metadata[field.key];
+        });
+    localStorage.setItem(SESSION_METADATA_STORAGE_KEY, JSON.stringify(defaults));
+    return defaults;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SESSION_METADATA_FIELDS,
+        normalizeSessionMetadata,
+        getSessionMetadataEntries,
+        matchesSessionSearch
+    };
+}
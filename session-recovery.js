@@ -0,0 +1,83 @@
+// 测试会话恢复
+// 页面被关闭或浏览器被杀掉后，进行中的会话只留下未结束的会话数据（没有 endTime）和它的记录。
+// 这里的函数只处理数据，不依赖DOM，浏览器和Node (测试) 中都可以使用。
+
+// 会话最后一次有动静的时间：保存时间、最后一条记录、轨迹点或暂停
+function getSessionLastActivity(session, records) {
+    const times = [session.startTime, session.updatedAt];
+    records.forEach(record => times.push(record.timestamp));
+    (session.track || []).slice(-1).forEach(fix => times.push(fix.timestamp));
+    (session.pauses || []).forEach(pause => times.push(pause.start, pause.end));
+
+    const latest = times
+        .filter(Boolean)
+        .reduce((max, time) => Math.max(max, new Date(time).getTime()), 0);
+    return new Date(latest).toISOString();
+}
+
+// 结束未闭合的暂停区间（继续或结束测试时），直接修改 session
+function closeOpenPause(session, endTime = new Date().toISOString()) {
+    const lastPause = session.pauses?.[session.pauses.length - 1];
+    if (lastPause && !lastPause.end) {
+        lastPause.end = endTime;
+    }
+}
+
+// 以最后活动时间结束会话，未闭合的暂停在同一时间结束
+function closeUnfinishedSession(session, records) {
+    const endTime = getSessionLastActivity(session, records);
+    return {
+        ...session,
+        endTime,
+        recordCount: records.length,
+        pauses: (session.pauses || []).map(pause => (pause.end ? pause : { ...pause, end: endTime }))
+    };
+}
+
+// 继续未结束的会话：中断期间算作暂停，等待用户点"继续测试"
+function reopenUnfinishedSession(session, records) {
+    const pauses = [...(session.pauses || [])];
+    const lastPause = pauses[pauses.length - 1];
+    if (!lastPause || lastPause.end) {
+        pauses.push({ start: getSessionLastActivity(session, records), end: null });
+    }
+    return { ...session, recordCount: records.length, pauses };
+}
+
+// 为会话ID找不到对应会话的记录补建会话，按记录时间确定起止
+function buildOrphanSessions(records, sessions) {
+    const knownIds = new Set(sessions.map(session => session.id));
+    const groups = new Map();
+
+    records.forEach(record => {
+        if (record.sessionId === undefined || record.sessionId === null || knownIds.has(record.sessionId)) return;
+        if (!groups.has(record.sessionId)) {
+            groups.set(record.sessionId, []);
+        }
+        groups.get(record.sessionId).push(record);
+    });
+
+    return [...groups.entries()].map(([sessionId, sessionRecords]) => {
+        const times = sessionRecords.map(record => record.timestamp).sort();
+        return {
+            id: sessionId,
+            name: sessionRecords[0].sessionName || `恢复的测试_${sessionId}`,
+            startTime: times[0],
+            endTime: times[times.length - 1],
+            recordCount: sessionRecords.length,
+            pauses: [],
+            track: [],
+            recovered: true
+        };
+    });
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        getSessionLastActivity,
+        closeOpenPause,
+        closeUnfinishedSession,
+        reopenUnfinishedSession,
+        buildOrphanSessions
+    };
+}
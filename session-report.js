@@ -0,0 +1,271 @@
+// 单次测试报告
+// 生成一个独立的HTML页面（样式内联，带打印样式），在浏览器中"打印 → 另存为PDF"即可得到报告文档。
+// 这里只拼接HTML，不依赖DOM，浏览器和Node (测试) 中都可以使用。
+
+const REPORT_UNKNOWN_COLOR = '#a0aec0';
+
+function escapeReportHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// 按类型和子类型计数，顺序与分类定义一致，分类中没有的类型和子类型排在后面
+function countRecordsBySubType(records, taxonomy) {
+    const groups = taxonomy.categories.map(category => ({
+        name: category.name,
+        color: category.color,
+        count: 0,
+        subTypes: category.subTypes.map(subType => ({ name: subType.name, count: 0 }))
+    }));
+
+    records.forEach(record => {
+        let group = groups.find(item => item.name === record.type);
+        if (!group) {
+            group = { name: record.type, color: REPORT_UNKNOWN_COLOR, count: 0, subTypes: [] };
+            groups.push(group);
+        }
+        group.count++;
+
+        const subTypeName = record.subType || record.type;
+        let subType = group.subTypes.find(item => item.name === subTypeName);
+        if (!subType) {
+            subType = { name: subTypeName, count: 0 };
+            group.subTypes.push(subType);
+        }
+        subType.count++;
+    });
+
+    return groups.map(group => ({ ...group, subTypes: group.subTypes.filter(subType => subType.count > 0) }));
+}
+
+// 每小时问题数，保留一位小数；测试不足一分钟时数据没有意义，返回 null
+function issuesPerHour(count, activeMs) {
+    if (!activeMs || activeMs < 60000) return null;
+    return Math.round(count / (activeMs / 3600000) * 10) / 10;
+}
+
+// 从测试开始到 time 经过的有效时长（扣除其间的暂停）
+function getActiveElapsed(session, time) {
+    const at = new Date(time).getTime();
+    const paused = (session.pauses || []).reduce((total, pause) => {
+        const start = new Date(pause.start).getTime();
+        const end = pause.end ? new Date(pause.end).getTime() : at;
+        return total + Math.max(0, Math.min(end, at) - start);
+    }, 0);
+    return Math.max(0, at - new Date(session.startTime).getTime() - paused);
+}
+
+// 会话实际测试时长（毫秒），扣除暂停区间；未结束的会话和暂停算到 now
+function getActiveDuration(session, now = Date.now()) {
+    return getActiveElapsed(session, session.endTime || now);
+}
+
+// 1:05:09 或 05:09
+function formatElapsed(ms) {
+    const totalSeconds = Math.floor(ms / 1000);
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+    const pad = (value) => String(value).padStart(2, '0');
+    return hours > 0 ? `${hours}:${pad(minutes)}:${pad(seconds)}` : `${pad(minutes)}:${pad(seconds)}`;
+}
+
+// 语音识别断线后恢复的次数和中断总时长，来自会话的 connectionEvents
+function summarizeConnectionOutages(session) {
+    const recovered = (session.connectionEvents || []).filter(event => event.state === 'connected');
+    return {
+        count: recovered.length,
+        downtimeMs: recovered.reduce((total, event) => total + (event.downtimeMs || 0), 0)
+    };
+}
+
+function formatReportTime(time) {
+    return time ? new Date(time).toLocaleString('zh-CN', { hour12: false }) : '--';
+}
+
+// 纬度, 经度 · 车速，速度以 m/s 保存
+function formatReportLocation(location) {
+    if (!location || !isFinite(location.lat) || !isFinite(location.lon)) return '';
+    const speed = typeof location.speed === 'number' && isFinite(location.speed)
+        ? ` · ${Math.round(location.speed * 3.6)} km/h`
+        : '';
+    return `${location.lat.toFixed(5)}, ${location.lon.toFixed(5)}${speed}`;
+}
+
+// 时间轴：按有效时长排列的问题刻度
+function renderTimelineStrip(entries, activeMs, colorOf) {
+    const width = 1000;
+    const span = Math.max(activeMs, ...entries.map(entry => entry.elapsed), 1);
+    const ticks = entries.map(entry => {
+        const x = Math.round(entry.elapsed / span * (width - 20) + 10);
+        return `<line x1="${x}" y1="8" x2="${x}" y2="32" stroke="${escapeReportHtml(colorOf(entry.record.type))}" stroke-width="3"><title>${escapeReportHtml(`${formatElapsed(entry.elapsed)} ${entry.record.type} - ${entry.record.subType}`)}</title></line>`;
+    }).join('');
+
+    return `
+        <svg class="timeline-strip" viewBox="0 0 ${width} 56" role="img" aria-label="问题时间轴">
+            <line x1="10" y1="20" x2="${width - 10}" y2="20" stroke="#cbd5e0" stroke-width="2" />
+            ${ticks}
+            <text x="10" y="50" font-size="12" fill="#718096">00:00</text>
+            <text x="${width - 10}" y="50" font-size="12" fill="#718096" text-anchor="end">${formatElapsed(span)}</text>
+        </svg>
+    `;
+}
+
+// 生成报告页面
+// options: { session, records, taxonomy, duration (显示用的测试时长), activeMs (不含暂停的毫秒数),
+//            details (测试信息 [{ label, value }]), severityLabels, routeMapHtml (可选的路线SVG), generatedAt }
+function buildSessionReport({ session, records, taxonomy, duration, activeMs, details = [], severityLabels = {}, routeMapHtml = '', generatedAt = new Date() }) {
+    const sorted = [...records].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    const entries = sorted.map(record => ({ record, elapsed: getActiveElapsed(session, record.timestamp) }));
+    const groups = countRecordsBySubType(sorted, taxonomy);
+    const colorOf = (type) => (groups.find(group => group.name === type) || {}).color || REPORT_UNKNOWN_COLOR;
+    const rate = (count) => {
+        const value = issuesPerHour(count, activeMs);
+        return value === null ? '--' : value.toFixed(1);
+    };
+    const pauses = (session.pauses || []).filter(pause => pause.start);
+    const outages = summarizeConnectionOutages(session);
+
+    const summaryRows = [
+        ['开始时间', formatReportTime(session.startTime)],
+        ['结束时间', session.endTime ? formatReportTime(session.endTime) : '进行中'],
+        ['测试时长', `${duration}${pauses.length > 0 ? `（不含 ${pauses.length} 次暂停）` : ''}`],
+        ...details.map(detail => [detail.label, detail.value]),
+        ['问题总数', String(sorted.length)],
+        ['每小时问题数', rate(sorted.length)],
+        ...(outages.count > 0 ? [['识别中断', `${outages.count} 次，共 ${formatElapsed(outages.downtimeMs)}`]] : [])
+    ];
+
+    const statisticsRows = groups.map(group => `
+        <tr class="type-row">
+            <td><span class="swatch" style="background: ${escapeReportHtml(group.color)};"></span>${escapeReportHtml(group.name)}</td>
+            <td></td>
+            <td class="number">${group.count}</td>
+            <td class="number">${rate(group.count)}</td>
+        </tr>
+        ${group.subTypes.map(subType => `
+        <tr>
+            <td></td>
+            <td>${escapeReportHtml(subType.name)}</td>
+            <td class="number">${subType.count}</td>
+            <td class="number">${rate(subType.count)}</td>
+        </tr>`).join('')}
+    `).join('');
+
+    const timelineRows = entries.map(({ record, elapsed }) => `
+        <tr>
+            <td class="nowrap">${escapeReportHtml(new Date(record.timestamp).toLocaleTimeString('zh-CN', { hour12: false }))}</td>
+            <td class="nowrap number">${formatElapsed(elapsed)}</td>
+            <td class="nowrap"><span class="swatch" style="background: ${escapeReportHtml(colorOf(record.type))};"></span>${escapeReportHtml(record.type)}</td>
+            <td>${escapeReportHtml(record.subType)}</td>
+            <td class="nowrap">${escapeReportHtml(severityLabels[record.severity] || '')}</td>
+            <td>${escapeReportHtml(record.note || '')}</td>
+            <td class="nowrap small">${escapeReportHtml(formatReportLocation(record.location))}</td>
+        </tr>`).join('');
+
+    const transcriptItems = entries.map(({ record, elapsed }) => `
+        <li>
+            <div class="transcript-meta">${formatElapsed(elapsed)} · ${escapeReportHtml(record.type)} - ${escapeReportHtml(record.subType)}</div>
+            <div class="transcript-text">${escapeReportHtml(record.originalText || '')}</div>
+        </li>
+    `).join('');
+
+    return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${escapeReportHtml(session.name)} - 测试报告</title>
+<style>
+    * { box-sizing: border-box; }
+    body { margin: 0 auto; padding: 24px; max-width: 960px; font-family: -apple-system, BlinkMacSystemFont, "PingFang SC", "Microsoft YaHei", sans-serif; color: #2d3748; font-size: 14px; line-height: 1.5; }
+    h1 { font-size: 22px; margin: 0 0 4px; }
+    h2 { font-size: 16px; margin: 28px 0 10px; padding-bottom: 4px; border-bottom: 2px solid #e2e8f0; }
+    .subtitle { color: #718096; margin: 0 0 16px; }
+    .toolbar { margin-bottom: 16px; }
+    .toolbar button { padding: 8px 16px; border: none; border-radius: 6px; background: #4299e1; color: white; font-size: 14px; cursor: pointer; }
+    table { width: 100%; border-collapse: collapse; }
+    th, td { padding: 6px 8px; border-bottom: 1px solid #e2e8f0; text-align: left; vertical-align: top; }
+    th { background: #f7fafc; font-weight: 600; }
+    .summary th { width: 140px; }
+    .type-row td { font-weight: 600; background: #f7fafc; }
+    .number { text-align: right; font-variant-numeric: tabular-nums; }
+    .nowrap { white-space: nowrap; }
+    .pre-line { white-space: pre-line; }
+    .small { font-size: 12px; color: #4a5568; }
+    .swatch { display: inline-block; width: 10px; height: 10px; margin-right: 6px; border-radius: 2px; vertical-align: baseline; }
+    .timeline-strip { display: block; width: 100%; height: auto; margin-bottom: 12px; }
+    .route svg { display: block; width: 100%; height: auto; border: 1px solid #e2e8f0; border-radius: 8px; background: #f7fafc; }
+    .route-map-track { fill: none; stroke: #4a5568; stroke-width: 3; stroke-linejoin: round; stroke-linecap: round; opacity: 0.7; }
+    .route-map-start { fill: #48bb78; stroke: white; stroke-width: 2; }
+    .route-map-end { fill: #2d3748; stroke: white; stroke-width: 2; }
+    .route-map-pin { stroke: white; stroke-width: 2; }
+    .route-map-scale line { stroke: #4a5568; stroke-width: 2; }
+    .route-map-scale text { font-size: 11px; fill: #4a5568; }
+    .transcripts { list-style: none; padding: 0; margin: 0; }
+    .transcripts li { padding: 6px 0; border-bottom: 1px solid #edf2f7; }
+    .transcript-meta { font-size: 12px; color: #718096; }
+    .empty { color: #718096; }
+    footer { margin-top: 32px; font-size: 12px; color: #a0aec0; }
+
+    @page { size: A4; margin: 15mm; }
+    @media print {
+        body { padding: 0; max-width: none; font-size: 12px; }
+        .toolbar { display: none; }
+        * { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+        h2 { break-after: avoid; }
+        thead { display: table-header-group; }
+        tr, .transcripts li, .route { break-inside: avoid; }
+    }
+</style>
+</head>
+<body>
+<div class="toolbar"><button type="button" onclick="window.print()">🖨️ 打印 / 另存为PDF</button></div>
+
+<h1>${escapeReportHtml(session.name)}</h1>
+<p class="subtitle">道路测试报告</p>
+<table class="summary">
+    ${summaryRows.map(([label, value]) => `<tr><th>${escapeReportHtml(label)}</th><td class="pre-line">${escapeReportHtml(value)}</td></tr>`).join('')}
+</table>
+
+<h2>问题统计</h2>
+<table>
+    <thead><tr><th>类型</th><th>子类型</th><th class="number">数量</th><th class="number">每小时</th></tr></thead>
+    <tbody>${statisticsRows}</tbody>
+</table>
+
+<h2>问题时间线</h2>
+${entries.length > 0 ? `
+${renderTimelineStrip(entries, activeMs, colorOf)}
+<table>
+    <thead><tr><th>时间</th><th>用时</th><th>类型</th><th>子类型</th><th>严重程度</th><th>备注</th><th>位置</th></tr></thead>
+    <tbody>${timelineRows}</tbody>
+</table>` : '<p class="empty">本次测试没有记录问题</p>'}
+
+${routeMapHtml ? `<h2>行驶路线</h2>\n<div class="route">${routeMapHtml}</div>` : ''}
+
+<h2>原始语音</h2>
+${entries.length > 0 ? `<ol class="transcripts">${transcriptItems}</ol>` : '<p class="empty">无</p>'}
+
+<footer>生成时间：${escapeReportHtml(formatReportTime(generatedAt))}</footer>
+</body>
+</html>
+`;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        escapeReportHtml,
+        countRecordsBySubType,
+        issuesPerHour,
+        getActiveElapsed,
+        getActiveDuration,
+        formatElapsed,
+        summarizeConnectionOutages,
+        buildSessionReport
+    };
+}
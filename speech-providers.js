@@ -0,0 +1,1425 @@
+// 语音识别服务提供方
+// 每个提供方实现 connect/start/sendAudio/stop/disconnect，识别结果通过事件回传：
+//   partial(text)          中间结果
+//   final(text, details)   一句话的最终结果
+//   error({ code, message })
+//   status(message)        连接状态等提示信息
+//   connection(state, info) 需要保持连接的服务的连接状态 (connection-manager.js)
+//   segmentFailed(samples, { startedAt })  按片段识别的服务因网络等原因没能识别的语音，交给离线队列重试
+// sendAudio 接收 16kHz 单声道 Int16Array。
+// 支持 transcribe 的提供方还可以补充识别识别不可用期间缓存的语音 (audio-queue.js)。
+
+// Node 中从 audio-utils.js 和 connection-manager.js 引入，浏览器中使用全局变量
+const speechAudio = typeof require === 'function'
+    ? require('./audio-utils.js')
+    : { PCM_SAMPLE_RATE, SilenceSegmenter, bytesToBase64, encodeWav, pcmRms };
+const speechConnection = typeof require === 'function' ? require('./connection-manager.js') : { ConnectionManager };
+
+// 识别失败的错误，permanent 表示这段音频本身无法识别，重试也不会成功
+function createSpeechError(code, message, permanent = false) {
+    const error = new Error(message);
+    error.code = code;
+    error.permanent = permanent;
+    return error;
+}
+
+class SpeechProvider {
+    static id = '';
+    static label = '';
+    // 配置弹窗中显示的字段，secret 字段不在日志中输出
+    static configFields = [];
+    // 配置弹窗中选择该服务时显示的提示
+    static notice = '';
+
+    constructor(config = {}) {
+        this.config = { ...config };
+        this.listeners = {};
+        this.active = false;
+    }
+
+    on(event, handler) {
+        (this.listeners[event] = this.listeners[event] || []).push(handler);
+        return this;
+    }
+
+    off(event, handler) {
+        this.listeners[event] = (this.listeners[event] || []).filter(h => h !== handler);
+        return this;
+    }
+
+    emit(event, ...args) {
+        (this.listeners[event] || []).forEach(handler => {
+            try {
+                handler(...args);
+            } catch (error) {
+                console.error(`❌ 处理识别事件 ${event} 失败:`, error);
+            }
+        });
+    }
+
+    isConfigured() {
+        return this.constructor.configFields
+            .filter(field => !field.optional)
+            .every(field => !!this.config[field.key]);
+    }
+
+    isConnected() {
+        return true;
+    }
+
+    // 是否需要联网才能识别，离线时 app 不再尝试连接
+    requiresNetwork() {
+        return true;
+    }
+
+    // 现在交给 sendAudio 的音频能否被识别，不能时 app 把语音放进离线队列
+    isReady() {
+        return this.active;
+    }
+
+    // 连接失败或断线后是否自己在后台重连；是时 app 照常开始识别，不用等连接成功
+    reconnectsAutomatically() {
+        return false;
+    }
+
+    // 网络恢复时调用，正在等待重连的服务立即重连
+    reconnectNow() {}
+
+    // 能否用 transcribe 补充识别离线队列中的语音
+    canTranscribe() {
+        return false;
+    }
+
+    // 识别一段 Int16Array 音频，返回 [{ text, offset }]，offset 为句子在这段音频中的毫秒数
+    async transcribe(samples) {
+        throw createSpeechError('NOT_SUPPORTED', `${this.constructor.label}不支持补充识别`, true);
+    }
+
+    async connect() {}
+
+    async start() {
+        this.active = true;
+    }
+
+    sendAudio(pcm16) {}
+
+    async stop() {
+        this.active = false;
+    }
+
+    disconnect() {
+        this.active = false;
+    }
+}
+
+// 阿里云智能语音交互 - 实时语音识别 (WebSocket)
+// 在浏览器中用 AccessKey 签名获取Token，密钥保存在本机，只用于本地调试；正式使用 AliyunBrokerProvider
+class AliyunRealtimeProvider extends SpeechProvider {
+    static id = 'aliyun';
+    static label = '阿里云实时语音识别（本机AccessKey）';
+    static notice = '⚠️ AccessKey Secret 会保存在本机浏览器中，仅用于本地调试；正式使用请选择"阿里云实时语音识别（Token服务）"';
+    static DEFAULT_WS_URL = 'wss://nls-gateway.cn-shanghai.aliyuncs.com/ws/v1';
+    static DEFAULT_TOKEN_URL = 'https://nls-meta.cn-shanghai.aliyuncs.com/';
+    static TOKEN_REFRESH_MARGIN_MS = 5 * 60 * 1000; // Token到期前5分钟换新
+    static MAX_REPLAY_MS = 30000; // 重新连接后最多补发30秒还没有识别完的音频
+    static VOICED_RMS = 0.03; // 音量超过该值的音频应当很快有识别事件，用于判断连接是否停滞
+    static CONNECT_LIMIT_RETRY_MS = 5000; // 超过并发连接数时至少等5秒再连
+    static configFields = [
+        { key: 'accessKeyId', label: 'AccessKey ID' },
+        { key: 'accessKeySecret', label: 'AccessKey Secret', type: 'password', secret: true },
+        { key: 'appKey', label: 'App Key' },
+        { key: 'wsUrl', label: 'WebSocket地址', optional: true, placeholder: AliyunRealtimeProvider.DEFAULT_WS_URL },
+        // 本地调试时可指向 tools/mock-nls-server.js
+        { key: 'tokenUrl', label: 'Token服务地址', optional: true, placeholder: AliyunRealtimeProvider.DEFAULT_TOKEN_URL }
+    ];
+
+    constructor(config) {
+        super(config);
+        this.websocket = null;
+        this.connectPromise = null;
+        this.token = null;
+        this.tokenExpireTime = null; // Unix时间戳（秒），与 CreateToken 的 ExpireTime 一致
+        this.tokenRefreshTimer = null;
+        this.refreshing = false; // 正在换用新Token重新连接，期间的音频先缓存
+        this.unconfirmed = []; // 已发送但还没有识别出完整句子的音频 [{ samples, at }]，重新连接后补发
+        this.unconfirmedSamples = 0;
+        this.unconfirmedStartMs = 0; // unconfirmed 第一段在本次识别音频流中的时间
+        this.currentTaskId = null;
+        this.isTranscriptionStarted = false;
+        this.closeFailure = null; // TaskFailed 的原因，服务端随后关闭连接时使用
+        this.pcmSendCount = 0;
+
+        // 断线后不限次数重连，直到停止识别
+        this.connection = new speechConnection.ConnectionManager({
+            connect: () => this.startTranscription(),
+            shouldReconnect: () => this.active,
+            canConnect: () => typeof navigator === 'undefined' || navigator.onLine !== false,
+            onAbort: (reason) => this.dropConnection(reason),
+            onStateChange: (state, info) => this.emit('connection', state, info)
+        });
+    }
+
+    isConnected() {
+        return !!this.websocket && this.websocket.readyState === WebSocket.OPEN;
+    }
+
+    // 换用新Token期间音频缓存在本地，新连接开始识别后补发，不需要放进离线队列
+    isReady() {
+        return (this.isConnected() && this.isTranscriptionStarted) || this.refreshing;
+    }
+
+    canTranscribe() {
+        return this.isConfigured();
+    }
+
+    reconnectsAutomatically() {
+        return true;
+    }
+
+    reconnectNow() {
+        this.connection.retryNow();
+    }
+
+    // 建立WebSocket连接，连接打开后resolve
+    connect() {
+        if (this.isConnected()) return Promise.resolve();
+        if (this.connectPromise) return this.connectPromise;
+
+        this.connectPromise = this.openWebSocket().finally(() => {
+            this.connectPromise = null;
+        });
+        return this.connectPromise;
+    }
+
+    async openWebSocket() {
+        // 先关闭已存在的连接
+        if (this.websocket && this.websocket.readyState !== WebSocket.CLOSED) {
+            console.log('🔄 关闭现有WebSocket连接...');
+            this.websocket.onclose = null;
+            this.websocket.close();
+            this.websocket = null;
+        }
+
+        console.log('🔗 初始化阿里云实时语音识别连接...');
+
+        const wsUrl = await this.buildWebSocketUrl();
+        console.log('📡 连接阿里云WebSocket...', wsUrl.replace(/token=[^&]+/, 'token=***'));
+
+        return new Promise((resolve, reject) => {
+            const websocket = new WebSocket(wsUrl);
+            websocket.binaryType = 'arraybuffer';
+            this.websocket = websocket;
+
+            // 设置连接超时
+            const connectionTimeout = setTimeout(() => {
+                if (websocket.readyState === WebSocket.CONNECTING) {
+                    console.log('⏰ WebSocket连接超时');
+                    websocket.close();
+                    reject(new Error('WebSocket连接超时'));
+                }
+            }, 10000); // 10秒超时
+
+            websocket.onopen = () => {
+                clearTimeout(connectionTimeout);
+                console.log('✅ 阿里云WebSocket连接已建立');
+                this.emit('status', '✅ 阿里云实时语音识别已连接');
+                resolve();
+            };
+
+            websocket.onmessage = (event) => {
+                this.handleMessage(event.data);
+            };
+
+            websocket.onclose = (event) => {
+                clearTimeout(connectionTimeout);
+                reject(new Error(`WebSocket连接关闭 (${event.code})`));
+                this.handleClose(event);
+            };
+
+            websocket.onerror = (error) => {
+                clearTimeout(connectionTimeout);
+                console.error('❌ 阿里云WebSocket错误:', error);
+                this.emit('status', '❌ 阿里云WebSocket连接错误');
+            };
+        });
+    }
+
+    // 带认证参数的WebSocket地址
+    async buildWebSocketUrl() {
+        // Token离到期还早时继续使用，否则重新获取
+        let authParams;
+        if (this.token && this.getTokenRemainingMs() > AliyunRealtimeProvider.TOKEN_REFRESH_MARGIN_MS) {
+            authParams = `token=${this.token}`;
+        } else {
+            if (this.token) {
+                console.log('🔄 Token即将过期，重新获取...');
+            }
+            this.token = null;
+            this.tokenExpireTime = null;
+            authParams = await this.generateAuth();
+        }
+
+        // 构建WebSocket URL - 阿里云实时语音识别规范格式
+        const baseUrl = this.config.wsUrl || AliyunRealtimeProvider.DEFAULT_WS_URL;
+        const separator = baseUrl.includes('?') ? '&' : '?';
+        if (authParams) {
+            return `${baseUrl}${separator}appkey=${this.config.appKey}&${authParams}`;
+        }
+        // 无认证的URL（通常需要在其他地方进行认证）
+        console.warn('⚠️ 无认证Token，可能导致连接失败');
+        return `${baseUrl}${separator}appkey=${this.config.appKey}`;
+    }
+
+    // 补充识别缓存的语音：单独建立一个连接，发完整段音频后等待识别完成，不影响实时识别
+    async transcribe(samples) {
+        const wsUrl = await this.buildWebSocketUrl();
+        const durationMs = samples.length * 1000 / speechAudio.PCM_SAMPLE_RATE;
+
+        return new Promise((resolve, reject) => {
+            const websocket = new WebSocket(wsUrl);
+            websocket.binaryType = 'arraybuffer';
+            const taskId = this.generate32HexId();
+            const sentences = [];
+            let finished = false;
+
+            const finish = (error) => {
+                if (finished) return;
+                finished = true;
+                clearTimeout(timeout);
+                websocket.onclose = null;
+                if (websocket.readyState === WebSocket.OPEN || websocket.readyState === WebSocket.CONNECTING) {
+                    websocket.close(1000);
+                }
+                if (error) {
+                    reject(error);
+                } else {
+                    resolve(sentences);
+                }
+            };
+            const timeout = setTimeout(() => {
+                finish(createSpeechError('TIMEOUT', '补充识别超时'));
+            }, 15000 + durationMs);
+
+            websocket.onopen = () => {
+                websocket.send(JSON.stringify(this.createStartMessage(taskId)));
+            };
+
+            websocket.onmessage = async (event) => {
+                let message;
+                try {
+                    message = JSON.parse(event.data);
+                } catch (error) {
+                    console.warn('⚠️ 无法解析补充识别消息:', event.data);
+                    return;
+                }
+
+                const { header, payload } = message;
+                if (header.status && header.status !== 20000000) {
+                    // 参数无效说明这段音频本身有问题，其余错误（Token过期、服务端错误）稍后重试
+                    finish(createSpeechError(header.status, this.describeStatus(header), header.status === 40000000));
+                } else if (header.name === 'TranscriptionStarted') {
+                    // 每次发送100ms，比实时快约10倍
+                    const chunkSamples = speechAudio.PCM_SAMPLE_RATE / 10;
+                    for (let offset = 0; offset < samples.length && !finished; offset += chunkSamples) {
+                        websocket.send(samples.slice(offset, offset + chunkSamples).buffer);
+                        await new Promise(resolve => setTimeout(resolve, 10));
+                    }
+                    if (!finished) {
+                        websocket.send(JSON.stringify(this.createStopMessage(taskId)));
+                    }
+                } else if (header.name === 'SentenceEnd') {
+                    if (payload.result) {
+                        sentences.push({ text: payload.result, offset: payload.begin_time || 0 });
+                    }
+                } else if (header.name === 'TranscriptionCompleted') {
+                    finish();
+                }
+            };
+
+            websocket.onclose = (event) => {
+                finish(createSpeechError(event.code, `补充识别连接关闭 (${event.code})`));
+            };
+        });
+    }
+
+    handleClose(event) {
+        console.log('🔌 阿里云WebSocket连接关闭:', {
+            code: event.code,
+            reason: event.reason,
+            wasClean: event.wasClean
+        });
+
+        this.isTranscriptionStarted = false;
+        const failure = this.closeFailure;
+        this.closeFailure = null;
+
+        // 正在换用新Token，新连接建立后接着识别
+        if (this.refreshing) return;
+
+        // 根据错误码判断处理方式
+        if (event.code === 4402) {
+            console.error('❌ 认证失败 (4402)，检查Token和配置');
+            this.emit('error', { code: 4402, message: '认证失败，请检查阿里云配置' });
+            // 认证失败不重试，需要用户检查配置
+            this.releaseUnconfirmedAudio();
+            this.connection.markLost('认证失败', { permanent: true });
+            return;
+        }
+        if (!this.active) {
+            console.log('✅ WebSocket正常关闭');
+            this.emit('status', '✅ 语音识别连接已关闭');
+            return;
+        }
+        if (failure && failure.permanent) {
+            this.releaseUnconfirmedAudio();
+            this.connection.markLost(failure.reason, { permanent: true });
+            return;
+        }
+
+        if ((event.reason || '').includes('over max connect limit')) {
+            console.log('⚠️ 检测到连接数限制，延迟重试...');
+            this.connection.markLost('连接数限制', { minDelayMs: AliyunRealtimeProvider.CONNECT_LIMIT_RETRY_MS });
+            return;
+        }
+        const reason = failure ? failure.reason : `连接断开 (${event.code})`;
+        console.log(`⚠️ ${reason}，尝试重连`);
+        this.connection.markLost(reason);
+    }
+
+    // 连接管理发起的一次连接：打开WebSocket并开始识别，收到 TranscriptionStarted 后连接才算可用
+    async startTranscription() {
+        await this.connect();
+        if (!this.isTranscriptionStarted) {
+            this.sendStartMessage();
+        }
+    }
+
+    // 连接停滞或超时：丢弃当前连接，不等它关闭，由连接管理重新连接
+    dropConnection(reason) {
+        console.warn(`⚠️ ${reason}，断开重连`);
+        this.isTranscriptionStarted = false;
+        this.connectPromise = null;
+        const websocket = this.websocket;
+        this.websocket = null;
+        if (websocket) {
+            websocket.onopen = null;
+            websocket.onmessage = null;
+            websocket.onclose = null;
+            websocket.onerror = null;
+            if (websocket.readyState === WebSocket.OPEN || websocket.readyState === WebSocket.CONNECTING) {
+                websocket.close(1000);
+            }
+        }
+    }
+
+    getTokenRemainingMs() {
+        return this.tokenExpireTime ? this.tokenExpireTime * 1000 - Date.now() : 0;
+    }
+
+    // 在Token到期前换用新Token；有效期很短时（如模拟服务的 --token-ttl 60）在剩余一半时换
+    scheduleTokenRefresh() {
+        clearTimeout(this.tokenRefreshTimer);
+        const remaining = this.getTokenRemainingMs();
+        const delay = Math.max(remaining - AliyunRealtimeProvider.TOKEN_REFRESH_MARGIN_MS, remaining / 2, 0);
+        console.log(`⏰ ${Math.round(delay / 60000)}分钟后更新Token`);
+
+        // 未在识别时不用重新连接，下次连接时会重新获取Token
+        this.tokenRefreshTimer = setTimeout(() => {
+            this.tokenRefreshTimer = null;
+            if (this.active && this.isReady()) {
+                this.refreshConnection('Token即将过期');
+            }
+        }, Math.min(delay, 0x7fffffff));
+    }
+
+    // 换用新Token建立新连接：新连接开始识别后补发还没有识别完的音频，再关闭旧连接，会话和音频都不中断
+    async refreshConnection(reason) {
+        if (!this.active || this.refreshing) return;
+
+        this.refreshing = true;
+        console.log(`🔄 ${reason}，换用新Token重新连接`);
+        this.emit('status', `🔄 ${reason}，正在更新Token`);
+        try {
+            this.token = null;
+            this.tokenExpireTime = null;
+            const wsUrl = await this.buildWebSocketUrl();
+            if (!this.token) {
+                throw new Error('获取Token失败');
+            }
+
+            const replacement = await this.openReplacementSocket(wsUrl);
+            if (!this.active) {
+                replacement.websocket.close(1000);
+                return;
+            }
+            this.switchToSocket(replacement);
+            this.emit('status', '✅ 已更新Token，继续识别');
+        } catch (error) {
+            console.error('❌ 更新Token后重新连接失败:', error.message);
+            this.emit('status', `⚠️ 更新Token失败: ${error.message}`);
+        } finally {
+            this.refreshing = false;
+        }
+
+        // 旧连接已经不可用时按断线处理
+        if (this.active && !this.isReady()) {
+            this.connection.markLost('更新Token失败');
+        }
+    }
+
+    // 新连接发送 StartTranscription，收到 TranscriptionStarted 后返回 { websocket, taskId }
+    openReplacementSocket(wsUrl) {
+        return new Promise((resolve, reject) => {
+            const websocket = new WebSocket(wsUrl);
+            websocket.binaryType = 'arraybuffer';
+            const taskId = this.generate32HexId();
+
+            const fail = (error) => {
+                clearTimeout(timeout);
+                websocket.onmessage = null;
+                websocket.onclose = null;
+                if (websocket.readyState === WebSocket.OPEN || websocket.readyState === WebSocket.CONNECTING) {
+                    websocket.close(1000);
+                }
+                reject(error);
+            };
+            const timeout = setTimeout(() => fail(new Error('新连接超时')), 10000);
+
+            websocket.onopen = () => {
+                websocket.send(JSON.stringify(this.createStartMessage(taskId)));
+            };
+            websocket.onmessage = (event) => {
+                let message;
+                try {
+                    message = JSON.parse(event.data);
+                } catch (error) {
+                    return;
+                }
+                const { header } = message;
+                if (header.status && header.status !== 20000000) {
+                    fail(createSpeechError(header.status, this.describeStatus(header)));
+                } else if (header.name === 'TranscriptionStarted') {
+                    clearTimeout(timeout);
+                    resolve({ websocket, taskId });
+                }
+            };
+            websocket.onclose = (event) => {
+                fail(new Error(`新连接关闭 (${event.code})`));
+            };
+        });
+    }
+
+    // 关闭旧连接（不发送 StopTranscription，没说完的句子由新连接重新识别）
+    switchToSocket({ websocket, taskId }) {
+        const previous = this.websocket;
+        if (previous) {
+            previous.onmessage = null;
+            previous.onclose = null;
+            previous.onerror = null;
+            if (previous.readyState === WebSocket.OPEN || previous.readyState === WebSocket.CONNECTING) {
+                previous.close(1000);
+            }
+        }
+
+        this.websocket = websocket;
+        this.currentTaskId = taskId;
+        websocket.onmessage = (event) => this.handleMessage(event.data);
+        websocket.onclose = (event) => this.handleClose(event);
+        websocket.onerror = (error) => {
+            console.error('❌ 阿里云WebSocket错误:', error);
+            this.emit('status', '❌ 阿里云WebSocket连接错误');
+        };
+        this.isTranscriptionStarted = true;
+        this.replayUnconfirmedAudio();
+    }
+
+    // 记录发送的音频，识别出完整句子后再丢弃
+    bufferUnconfirmedAudio(pcm16) {
+        this.unconfirmed.push({ samples: pcm16, at: Date.now() - pcm16.length * 1000 / speechAudio.PCM_SAMPLE_RATE });
+        this.unconfirmedSamples += pcm16.length;
+
+        const maxSamples = AliyunRealtimeProvider.MAX_REPLAY_MS * speechAudio.PCM_SAMPLE_RATE / 1000;
+        while (this.unconfirmedSamples > maxSamples && this.unconfirmed.length > 1) {
+            const dropped = this.unconfirmed.shift();
+            this.unconfirmedSamples -= dropped.samples.length;
+            this.unconfirmedStartMs += dropped.samples.length * 1000 / speechAudio.PCM_SAMPLE_RATE;
+        }
+    }
+
+    // SentenceEnd 的 time 之前的音频已经识别完成
+    confirmAudio(endMs) {
+        while (this.unconfirmed.length > 0) {
+            const chunkMs = this.unconfirmed[0].samples.length * 1000 / speechAudio.PCM_SAMPLE_RATE;
+            if (this.unconfirmedStartMs + chunkMs > endMs) break;
+            this.unconfirmedSamples -= this.unconfirmed.shift().samples.length;
+            this.unconfirmedStartMs += chunkMs;
+        }
+    }
+
+    // 新的识别任务开始时补发，这些音频成为新音频流的开头
+    replayUnconfirmedAudio() {
+        this.unconfirmedStartMs = 0;
+        if (this.unconfirmed.length === 0) return;
+
+        console.log(`🔁 补发 ${Math.round(this.unconfirmedSamples * 1000 / speechAudio.PCM_SAMPLE_RATE)}ms 还没有识别完的音频`);
+        this.unconfirmed.forEach(chunk => this.websocket.send(chunk.samples.buffer));
+    }
+
+    clearUnconfirmedAudio() {
+        this.unconfirmed = [];
+        this.unconfirmedSamples = 0;
+        this.unconfirmedStartMs = 0;
+    }
+
+    // 无法重新连接或断线时停止识别，还没识别完的音频交给离线队列
+    releaseUnconfirmedAudio() {
+        if (this.unconfirmed.length === 0) return;
+
+        const samples = new Int16Array(this.unconfirmedSamples);
+        let offset = 0;
+        this.unconfirmed.forEach(chunk => {
+            samples.set(chunk.samples, offset);
+            offset += chunk.samples.length;
+        });
+        const startedAt = this.unconfirmed[0].at;
+        this.clearUnconfirmedAudio();
+        this.emit('segmentFailed', samples, { startedAt });
+    }
+
+    async start() {
+        this.active = true;
+        this.connection.start();
+    }
+
+    sendAudio(pcm16) {
+        if (!this.isReady()) return;
+
+        this.bufferUnconfirmedAudio(pcm16);
+        if (!this.isConnected() || !this.isTranscriptionStarted) return;
+
+        this.websocket.send(pcm16.buffer);
+        this.connection.noteAudioSent(speechAudio.pcmRms(pcm16) >= AliyunRealtimeProvider.VOICED_RMS);
+
+        // 定期显示发送状态
+        if (this.pcmSendCount % 50 === 0) { // 每50次显示一次
+            console.log('📡 发送PCM数据到阿里云:', {
+                样本数: pcm16.length,
+                PCM字节数: pcm16.byteLength,
+                发送次数: this.pcmSendCount
+            });
+        }
+        this.pcmSendCount++;
+    }
+
+    async stop() {
+        this.active = false;
+        this.connection.stop();
+        if (this.isReady()) {
+            this.sendFinishFrame();
+            this.clearUnconfirmedAudio();
+        } else {
+            this.releaseUnconfirmedAudio();
+        }
+    }
+
+    disconnect() {
+        this.active = false;
+        this.connection.stop();
+        clearTimeout(this.tokenRefreshTimer);
+        this.tokenRefreshTimer = null;
+        this.clearUnconfirmedAudio();
+        if (this.websocket) {
+            this.websocket.close(1000);
+        }
+    }
+
+    async generateAuth() {
+        try {
+            // 阿里云实时语音识别使用Token认证
+            console.log('🔐 获取阿里云语音识别Token...');
+            const data = await this.requestToken();
+
+            if (data.Token && data.Token.Id) {
+                console.log('✅ 获取Token成功:', data.Token.Id.substring(0, 20) + '...');
+                this.token = data.Token.Id;
+                this.tokenExpireTime = data.Token.ExpireTime; // 保存过期时间
+                this.scheduleTokenRefresh();
+                return `token=${data.Token.Id}`;
+            } else if (data.Code) {
+                console.error('❌ 阿里云API错误:', {
+                    错误代码: data.Code,
+                    错误消息: data.Message,
+                    请求ID: data.RequestId
+                });
+                throw new Error(`阿里云API错误: ${data.Code} - ${data.Message}`);
+            } else {
+                console.error('❌ Token响应格式异常:', data);
+                throw new Error('Token响应格式异常');
+            }
+
+        } catch (error) {
+            console.error('❌ 生成阿里云认证失败:', {
+                错误类型: error.name,
+                错误消息: error.message,
+                错误堆栈: error.stack
+            });
+            return '';
+        }
+    }
+
+    // 用 AccessKey 在浏览器中签名调用 CreateToken，返回接口的原始响应
+    async requestToken() {
+        // 正确的时间戳格式 - UTC格式
+        const now = new Date();
+        const timestamp = now.toISOString().replace(/\.\d{3}Z$/, 'Z');
+        const nonce = Math.random().toString(36).substring(2, 15) + Math.random().toString(36).substring(2, 15);
+
+        // 构建请求参数
+        const params = {
+            AccessKeyId: this.config.accessKeyId,
+            Action: 'CreateToken',
+            Format: 'JSON',
+            RegionId: 'cn-shanghai',
+            SignatureMethod: 'HMAC-SHA1',
+            SignatureNonce: nonce,
+            SignatureVersion: '1.0',
+            Timestamp: timestamp,
+            Version: '2019-02-28'
+        };
+
+        // 按字典序排序参数 - 确保正确编码
+        const sortedKeys = Object.keys(params).sort();
+        const sortedParams = sortedKeys.map(key =>
+            `${encodeURIComponent(key)}=${encodeURIComponent(params[key])}`
+        ).join('&');
+
+        // 构建签名字符串 - 按照阿里云规范
+        const stringToSign = `GET&${encodeURIComponent('/')}&${encodeURIComponent(sortedParams)}`;
+
+        // 生成签名 - 注意密钥格式
+        const signingKey = this.config.accessKeySecret + '&';
+        const signature = await this.hmacSha1(stringToSign, signingKey);
+
+        // 请求Token
+        const tokenBaseUrl = this.config.tokenUrl || AliyunRealtimeProvider.DEFAULT_TOKEN_URL;
+        const tokenUrl = `${tokenBaseUrl}?${sortedParams}&Signature=${encodeURIComponent(signature)}`;
+
+        console.log('📡 请求Token URL:', tokenUrl.replace(this.config.accessKeyId, 'ACCESS_KEY_HIDDEN'));
+
+        const response = await fetch(tokenUrl);
+        console.log('📥 Token请求响应状态:', response.status, response.statusText);
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            console.error('❌ Token请求失败:', response.status, errorText);
+            throw new Error(`Token请求失败: ${response.status} ${errorText}`);
+        }
+
+        return response.json();
+    }
+
+    // HMAC-SHA1签名方法 (阿里云需要)
+    async hmacSha1(text, key) {
+        const encoder = new TextEncoder();
+        const keyData = encoder.encode(key);
+        const messageData = encoder.encode(text);
+
+        const cryptoKey = await crypto.subtle.importKey(
+            'raw',
+            keyData,
+            { name: 'HMAC', hash: 'SHA-1' },
+            false,
+            ['sign']
+        );
+
+        const signatureBuffer = await crypto.subtle.sign('HMAC', cryptoKey, messageData);
+        return btoa(String.fromCharCode(...new Uint8Array(signatureBuffer)));
+    }
+
+    // 发送开始识别消息
+    sendStartMessage() {
+        if (!this.isConnected()) {
+            console.error('❌ WebSocket未连接，无法发送开始消息');
+            return;
+        }
+
+        // 生成唯一的task_id
+        this.currentTaskId = this.generate32HexId();
+
+        const startMessage = this.createStartMessage(this.currentTaskId);
+        console.log('📤 发送开始识别消息:', startMessage);
+        this.websocket.send(JSON.stringify(startMessage));
+    }
+
+    createStartMessage(taskId) {
+        return {
+            header: {
+                message_id: this.generate32HexId(),
+                task_id: taskId,
+                namespace: 'SpeechTranscriber',
+                name: 'StartTranscription',
+                appkey: this.config.appKey
+            },
+            payload: {
+                format: 'pcm',
+                sample_rate: speechAudio.PCM_SAMPLE_RATE,
+                enable_intermediate_result: true,
+                enable_punctuation_prediction: true,
+                enable_inverse_text_normalization: true,
+                enable_words: false // 是否返回词级别时间戳
+            }
+        };
+    }
+
+    // 阿里云API规范的结束消息
+    createStopMessage(taskId) {
+        return {
+            header: {
+                message_id: this.generate32HexId(),
+                task_id: taskId,
+                namespace: 'SpeechTranscriber',
+                name: 'StopTranscription',
+                appkey: this.config.appKey
+            },
+            payload: {}
+        };
+    }
+
+    sendFinishFrame() {
+        if (this.isConnected() && this.isTranscriptionStarted) {
+            const stopMessage = this.createStopMessage(this.currentTaskId);
+
+            console.log('📤 发送阿里云结束识别消息:', stopMessage);
+            this.websocket.send(JSON.stringify(stopMessage));
+            this.isTranscriptionStarted = false;
+        } else {
+            console.warn('⚠️ WebSocket未连接或识别未开始，无法发送结束标志');
+        }
+    }
+
+    // 处理阿里云WebSocket消息
+    handleMessage(data) {
+        try {
+            const message = JSON.parse(data);
+            console.log('📥 收到阿里云WebSocket消息:', message);
+
+            const header = message.header;
+            const payload = message.payload;
+            this.connection.noteActivity();
+
+            // 检查错误状态码
+            if (header.status && header.status !== 20000000) {
+                console.error('❌ 阿里云API错误:', {
+                    状态码: header.status,
+                    状态信息: header.status_text,
+                    消息ID: header.message_id,
+                    任务ID: header.task_id
+                });
+
+                // 识别过程中Token过期：换用新Token重新连接，不中断识别；开始识别时就被拒绝说明Token本身不可用
+                const wasStarted = this.isTranscriptionStarted;
+                this.isTranscriptionStarted = false;
+                if (header.status === 40400018 && wasStarted && this.active) {
+                    this.refreshConnection('Token已过期');
+                    return;
+                }
+                // 服务端随后关闭连接：参数无效重试也不会成功；Token被拒绝时下次连接重新获取
+                if (header.status === 40400018) {
+                    this.token = null;
+                    this.tokenExpireTime = null;
+                }
+                this.closeFailure = { reason: this.describeStatus(header), permanent: header.status === 40000000 };
+                this.emit('error', { code: header.status, message: this.describeStatus(header) });
+                return;
+            }
+
+            // 处理正常消息
+            if (header.name === 'TranscriptionStarted') {
+                console.log('✅ 阿里云识别会话已开始');
+                // 收到TranscriptionStarted后才能发送音频；断线前没识别完的音频先补发
+                this.isTranscriptionStarted = true;
+                this.replayUnconfirmedAudio();
+                this.connection.markConnected();
+                this.emit('status', '✅ 阿里云识别会话已开始');
+            } else if (header.name === 'TranscriptionResultChanged') {
+                // 中间识别结果
+                this.emit('partial', payload.result);
+            } else if (header.name === 'SentenceEnd') {
+                // 最终识别结果，begin_time/time 为句子在音频流中的起止毫秒
+                console.log('✅ 最终识别结果:', payload.result);
+                this.confirmAudio(payload.time ?? Infinity);
+                this.emit('final', payload.result, {
+                    beginTime: payload.begin_time,
+                    endTime: payload.time
+                });
+            } else if (header.name === 'TranscriptionCompleted') {
+                console.log('✅ 阿里云识别完成');
+                this.emit('status', '✅ 语音识别完成');
+            } else {
+                console.log('📢 其他阿里云消息:', message);
+            }
+
+        } catch (error) {
+            console.error('❌ 处理阿里云WebSocket消息失败:', {
+                错误类型: error.name,
+                错误信息: error.message,
+                原始数据: data,
+                错误堆栈: error.stack
+            });
+        }
+    }
+
+    describeStatus(header) {
+        switch (header.status) {
+            case 40000000:
+                return '客户端错误：参数无效';
+            case 40000001:
+                return '客户端错误：任务不存在';
+            case 40000002:
+                return '客户端错误：任务已完成';
+            case 40000003:
+                return '客户端错误：任务正在处理中';
+            case 40400018:
+                return '认证错误：Token无效或已过期';
+            case 50000000:
+                return '服务器内部错误';
+            default:
+                return `未知错误: ${header.status} - ${header.status_text}`;
+        }
+    }
+
+    // 生成符合阿里云要求的32位十六进制ID
+    generate32HexId() {
+        let result = '';
+        const characters = '0123456789abcdef';
+        for (let i = 0; i < 32; i++) {
+            result += characters.charAt(Math.floor(Math.random() * characters.length));
+        }
+        return result;
+    }
+}
+
+// 阿里云实时语音识别 - 通过 Token 服务 (api/nls-token.js) 获取Token
+// 浏览器只知道 Token 服务地址和 App Key，AccessKey 保存在服务端
+class AliyunBrokerProvider extends AliyunRealtimeProvider {
+    static id = 'aliyun-broker';
+    static label = '阿里云实时语音识别（Token服务）';
+    static notice = '';
+    // 相对于页面地址，与页面部署在同一个 Vercel 项目时不用填写
+    static DEFAULT_BROKER_URL = 'api/nls-token';
+    static configFields = [
+        { key: 'appKey', label: 'App Key' },
+        { key: 'brokerUrl', label: 'Token服务地址', optional: true, placeholder: AliyunBrokerProvider.DEFAULT_BROKER_URL },
+        // Token服务设置了 NLS_BROKER_KEY 时填写
+        { key: 'brokerKey', label: 'Token服务密钥', type: 'password', secret: true, optional: true },
+        { key: 'wsUrl', label: 'WebSocket地址', optional: true, placeholder: AliyunRealtimeProvider.DEFAULT_WS_URL }
+    ];
+
+    async requestToken() {
+        const brokerUrl = this.config.brokerUrl || AliyunBrokerProvider.DEFAULT_BROKER_URL;
+        const separator = brokerUrl.includes('?') ? '&' : '?';
+        const headers = this.config.brokerKey ? { 'X-Broker-Key': this.config.brokerKey } : {};
+        const response = await fetch(`${brokerUrl}${separator}appkey=${encodeURIComponent(this.config.appKey)}`, { cache: 'no-store', headers });
+        console.log('📥 Token服务响应状态:', response.status, response.statusText);
+
+        // Token服务的错误与 CreateToken 格式相同 ({ Code, Message })，交给 generateAuth 输出
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok && !data.Code) {
+            throw new Error(`Token服务请求失败: ${response.status}`);
+        }
+        return data;
+    }
+}
+
+// 非流式识别服务的公共部分：按静音切分语音片段，每段单独提交识别
+class SegmentedSpeechProvider extends SpeechProvider {
+    constructor(config) {
+        super(config);
+        this.segmenter = null;
+    }
+
+    async start() {
+        this.active = true;
+        this.segmenter = new speechAudio.SilenceSegmenter({
+            onSegment: (samples, info) => this.recognizeSegment(samples, info)
+        });
+    }
+
+    sendAudio(pcm16) {
+        if (this.active && this.segmenter) {
+            this.segmenter.push(pcm16);
+        }
+    }
+
+    async stop() {
+        if (this.segmenter) {
+            this.segmenter.flush();
+            this.segmenter = null;
+        }
+        this.active = false;
+    }
+
+    canTranscribe() {
+        return this.isConfigured();
+    }
+
+    async recognizeSegment(samples, info) {
+        try {
+            const results = await this.transcribe(samples);
+            results.forEach(result => this.emit('final', result.text, {}));
+        } catch (error) {
+            console.error(`❌ ${this.constructor.label}识别失败:`, error);
+            this.emit('error', { code: error.code || 'REQUEST_FAILED', message: error.message });
+            if (!error.permanent) {
+                this.emit('segmentFailed', samples, info);
+            }
+        }
+    }
+}
+
+// 百度短语音识别 (REST)
+class BaiduRestProvider extends SegmentedSpeechProvider {
+    static id = 'baidu';
+    static label = '百度短语音识别';
+    static configFields = [
+        { key: 'apiKey', label: 'API Key' },
+        { key: 'secretKey', label: 'Secret Key', type: 'password', secret: true }
+    ];
+
+    // 音频本身的问题（质量差、过长过短、格式错误），重试也不会成功
+    static AUDIO_ERRORS = [3300, 3301, 3308, 3309, 3310, 3311, 3312, 3314, 3316];
+
+    constructor(config) {
+        super(config);
+        this.tokenUrl = 'https://aip.baidubce.com/oauth/2.0/token';
+        this.asrUrl = 'https://vop.baidu.com/server_api';
+        this.accessToken = null;
+        this.tokenExpireTime = 0;
+    }
+
+    async connect() {
+        await this.getAccessToken();
+        this.emit('status', '✅ 百度API连接正常');
+    }
+
+    async getAccessToken() {
+        try {
+            // 检查是否已有有效的token
+            if (this.accessToken && this.tokenExpireTime > Date.now()) {
+                console.log('✅ 使用缓存的百度access_token');
+                return this.accessToken;
+            }
+
+            console.log('🔄 获取新的百度access_token...');
+
+            const params = new URLSearchParams({
+                grant_type: 'client_credentials',
+                client_id: this.config.apiKey,
+                client_secret: this.config.secretKey
+            });
+
+            let response;
+            try {
+                response = await fetch(`${this.tokenUrl}?${params}`, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/x-www-form-urlencoded'
+                    }
+                });
+            } catch (corsError) {
+                console.warn('⚠️ CORS错误，尝试no-cors模式:', corsError.message);
+                // 这种模式下我们无法读取响应内容，但可以确认是否是CORS问题
+                response = await fetch(`${this.tokenUrl}?${params}`, {
+                    method: 'POST',
+                    mode: 'no-cors',
+                    headers: {
+                        'Content-Type': 'application/x-www-form-urlencoded'
+                    }
+                });
+
+                if (response.type === 'opaque') {
+                    throw new Error('CORS策略阻止了请求。需要服务器端代理或百度API白名单设置。');
+                }
+            }
+
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            const result = await response.json();
+
+            if (result.access_token) {
+                this.accessToken = result.access_token;
+                // Token通常有效期30天，这里设置29天
+                this.tokenExpireTime = Date.now() + (29 * 24 * 60 * 60 * 1000);
+                console.log('✅ Token获取成功:', {
+                    token长度: result.access_token.length,
+                    过期时间: result.expires_in ? `${result.expires_in}秒后` : '未知'
+                });
+                return result.access_token;
+            } else {
+                const errorMsg = result.error_description || result.error || '未知错误';
+                throw new Error(`API错误: ${errorMsg}`);
+            }
+        } catch (error) {
+            console.error('❌ Token获取异常详情:', {
+                错误类型: error.name,
+                错误信息: error.message,
+                是否网络错误: error instanceof TypeError
+            });
+
+            if (error instanceof TypeError && error.message.includes('fetch')) {
+                console.error('🚫 这是CORS或网络连接问题');
+            }
+
+            throw createSpeechError('TOKEN_FAILED', `百度Token获取失败: ${error.message}`);
+        }
+    }
+
+    async transcribe(samples) {
+        this.emit('status', '🔄 正在使用百度语音识别...');
+
+        const token = await this.getAccessToken();
+        let result;
+        try {
+            const bytes = new Uint8Array(samples.buffer, samples.byteOffset, samples.byteLength);
+            const requestBody = {
+                format: 'pcm',
+                rate: speechAudio.PCM_SAMPLE_RATE,  // 采样率
+                channel: 1,             // 单声道
+                cuid: 'roadtest_recorder_' + Date.now(), // 用户唯一标识
+                token: token,
+                speech: speechAudio.bytesToBase64(bytes),
+                len: bytes.length,
+                dev_pid: 1537           // 普通话（支持简单的英文识别）
+            };
+
+            const response = await fetch(this.asrUrl, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(requestBody)
+            });
+
+            result = await response.json();
+        } catch (error) {
+            console.error('❌ 百度API调用异常:', error);
+            throw createSpeechError('REQUEST_FAILED', `API调用失败: ${error.message}`);
+        }
+
+        if (result.err_no === 0) {
+            const text = (result.result || []).join('');
+            console.log('✅ 语音识别成功:', text);
+            return text ? [{ text, offset: 0 }] : [];
+        }
+
+        console.error('❌ 百度API识别失败详情:', {
+            错误码: result.err_no,
+            错误描述: result.err_msg
+        });
+        throw createSpeechError(
+            result.err_no,
+            `识别失败: [${result.err_no}] ${result.err_msg || '未知错误'}`,
+            BaiduRestProvider.AUDIO_ERRORS.includes(result.err_no)
+        );
+    }
+}
+
+// 阿里云百炼 DashScope 音频理解模型 (REST)
+class DashScopeProvider extends SegmentedSpeechProvider {
+    static id = 'dashscope';
+    static label = '阿里云百炼 (DashScope)';
+    static configFields = [
+        { key: 'apiKey', label: 'API Key', type: 'password', secret: true },
+        { key: 'model', label: '模型', optional: true, placeholder: 'qwen-audio-turbo' }
+    ];
+
+    constructor(config) {
+        super(config);
+        this.endpoint = 'https://dashscope.aliyuncs.com/api/v1/services/aigc/multimodal-generation/generation';
+        this.taskEndpoint = 'https://dashscope.aliyuncs.com/api/v1/tasks';
+    }
+
+    async transcribe(samples) {
+        this.emit('status', '🔄 正在识别语音...');
+
+        let response;
+        let result;
+        try {
+            const wavBytes = new Uint8Array(speechAudio.encodeWav(samples));
+            const requestBody = {
+                model: this.config.model || 'qwen-audio-turbo',
+                input: {
+                    messages: [
+                        {
+                            role: 'user',
+                            content: [
+                                { audio: `data:audio/wav;base64,${speechAudio.bytesToBase64(wavBytes)}` },
+                                { text: '请将这段音频转换为文字，只输出转换后的文字内容，不要添加任何额外说明。' }
+                            ]
+                        }
+                    ]
+                },
+                parameters: {
+                    result_format: 'message'
+                }
+            };
+
+            response = await fetch(this.endpoint, {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Bearer ${this.config.apiKey}`,
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(requestBody)
+            });
+
+            result = await response.json();
+        } catch (error) {
+            console.error('❌ 阿里云API调用异常:', error);
+            throw createSpeechError('REQUEST_FAILED', `API调用失败: ${error.message}`);
+        }
+
+        if (!response.ok) {
+            console.error('❌ API请求失败:', result);
+            // 400 是请求（音频）本身的问题，鉴权、限流和服务端错误可以稍后重试
+            throw createSpeechError(
+                result.code || response.status,
+                `API调用失败: ${result.message || result.error || '未知错误'}`,
+                response.status === 400
+            );
+        }
+
+        // 异步任务需要轮询结果
+        if (result.output && result.output.task_id && !result.output.choices) {
+            const text = await this.pollResult(result.output.task_id);
+            return text ? [{ text, offset: 0 }] : [];
+        }
+
+        const text = this.extractText(result.output);
+        if (!text) {
+            console.error('❌ API响应格式异常:', result);
+            throw createSpeechError('BAD_RESPONSE', '识别失败: 响应格式异常', true);
+        }
+        return [{ text, offset: 0 }];
+    }
+
+    extractText(output) {
+        const message = output && output.choices && output.choices[0] && output.choices[0].message;
+        if (!message || !message.content) return '';
+
+        // content 可能是字符串，也可能是 [{ text }] 数组
+        if (typeof message.content === 'string') return message.content.trim();
+        return message.content.map(part => part.text || '').join('').trim();
+    }
+
+    async pollResult(taskId) {
+        const maxAttempts = 10;
+
+        for (let attempt = 0; attempt < maxAttempts; attempt++) {
+            try {
+                const response = await fetch(`${this.taskEndpoint}/${taskId}`, {
+                    headers: {
+                        'Authorization': `Bearer ${this.config.apiKey}`
+                    }
+                });
+                const result = await response.json();
+                const status = result.output && result.output.task_status;
+
+                if (status === 'SUCCEEDED') {
+                    return this.extractText(result.output);
+                } else if (status === 'FAILED') {
+                    throw createSpeechError('TASK_FAILED', '识别失败', true);
+                }
+            } catch (error) {
+                if (error.code === 'TASK_FAILED') throw error;
+                console.error('轮询结果失败:', error);
+                throw createSpeechError('POLL_FAILED', '获取结果失败');
+            }
+
+            // 继续轮询
+            await new Promise(resolve => setTimeout(resolve, 1000));
+        }
+
+        throw createSpeechError('TIMEOUT', '识别超时');
+    }
+}
+
+// 浏览器自带的语音识别 (Web Speech API)
+// 浏览器支持设备端识别 (processLocally) 时离线也能使用；由浏览器自己录音，不使用 sendAudio
+class WebSpeechProvider extends SpeechProvider {
+    static id = 'webspeech';
+    static label = '浏览器语音识别 (支持设备端离线)';
+    static configFields = [
+        { key: 'lang', label: '识别语言', optional: true, placeholder: 'zh-CN' }
+    ];
+
+    // 这些错误重试也不会恢复，不再自动重启
+    static FATAL_ERRORS = ['not-allowed', 'service-not-allowed', 'language-not-supported', 'audio-capture'];
+
+    static getRecognitionClass() {
+        if (typeof window === 'undefined') return null;
+        return window.SpeechRecognition || window.webkitSpeechRecognition || null;
+    }
+
+    constructor(config) {
+        super(config);
+        this.recognition = null;
+        this.onDevice = false;
+        this.restartTimer = null;
+    }
+
+    get lang() {
+        return this.config.lang || 'zh-CN';
+    }
+
+    // 能否设备端识别要在 connect 时才知道，由 connect 自己判断离线
+    requiresNetwork() {
+        return false;
+    }
+
+    async connect() {
+        const Recognition = WebSpeechProvider.getRecognitionClass();
+        if (!Recognition) {
+            throw new Error('当前浏览器不支持语音识别');
+        }
+
+        this.onDevice = await this.checkOnDeviceSupport(Recognition);
+        if (this.onDevice) {
+            this.emit('status', '📱 使用设备端语音识别，离线可用');
+        } else if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+            throw new Error('当前离线，且浏览器不支持设备端识别');
+        } else {
+            this.emit('status', '☁️ 浏览器不支持设备端识别，使用在线识别');
+        }
+    }
+
+    // 设备端语言包未下载时在联网状态下尝试下载
+    async checkOnDeviceSupport(Recognition) {
+        if (typeof Recognition.available !== 'function') return false;
+
+        const options = { langs: [this.lang], processLocally: true };
+        try {
+            const availability = await Recognition.available(options);
+            if (availability === 'available') return true;
+            const online = typeof navigator === 'undefined' || navigator.onLine !== false;
+            if (availability === 'downloadable' && typeof Recognition.install === 'function' && online) {
+                this.emit('status', '⬇️ 正在下载设备端识别语言包...');
+                return await Recognition.install(options);
+            }
+        } catch (error) {
+            console.warn('检查设备端识别失败:', error);
+        }
+        return false;
+    }
+
+    async start() {
+        this.active = true;
+        this.startRecognition();
+    }
+
+    startRecognition() {
+        const Recognition = WebSpeechProvider.getRecognitionClass();
+        const recognition = new Recognition();
+        recognition.lang = this.lang;
+        recognition.continuous = true;
+        recognition.interimResults = true;
+        if (this.onDevice) {
+            recognition.processLocally = true;
+        }
+
+        recognition.onresult = (event) => {
+            let interim = '';
+            for (let i = event.resultIndex; i < event.results.length; i++) {
+                const result = event.results[i];
+                const text = result[0].transcript.trim();
+                if (result.isFinal) {
+                    if (text) {
+                        this.emit('final', text, { confidence: result[0].confidence });
+                    }
+                } else {
+                    interim += text;
+                }
+            }
+            if (interim) {
+                this.emit('partial', interim);
+            }
+        };
+
+        recognition.onerror = (event) => {
+            // 没说话或主动停止不算错误
+            if (event.error === 'no-speech' || event.error === 'aborted') return;
+
+            if (WebSpeechProvider.FATAL_ERRORS.includes(event.error)) {
+                this.active = false;
+            }
+            const message = event.error === 'network'
+                ? '浏览器语音识别需要网络，当前设备不支持离线识别'
+                : `浏览器语音识别错误: ${event.error}`;
+            this.emit('error', { code: event.error, message });
+        };
+
+        // 浏览器在长时间静音后会自动结束，测试进行中时重新开始
+        recognition.onend = () => {
+            if (this.recognition !== recognition || !this.active) return;
+            this.restartTimer = setTimeout(() => {
+                this.restartTimer = null;
+                if (this.active) {
+                    this.startRecognition();
+                }
+            }, 300);
+        };
+
+        this.recognition = recognition;
+        recognition.start();
+    }
+
+    async stop() {
+        this.active = false;
+        clearTimeout(this.restartTimer);
+        this.restartTimer = null;
+        if (this.recognition) {
+            this.recognition.stop();
+            this.recognition = null;
+        }
+    }
+
+    disconnect() {
+        this.active = false;
+        clearTimeout(this.restartTimer);
+        this.restartTimer = null;
+        if (this.recognition) {
+            this.recognition.abort();
+            this.recognition = null;
+        }
+    }
+}
+
+const SPEECH_PROVIDERS = {
+    [AliyunBrokerProvider.id]: AliyunBrokerProvider,
+    [AliyunRealtimeProvider.id]: AliyunRealtimeProvider,
+    [BaiduRestProvider.id]: BaiduRestProvider,
+    [DashScopeProvider.id]: DashScopeProvider,
+    [WebSpeechProvider.id]: WebSpeechProvider
+};
+
+const DEFAULT_SPEECH_PROVIDER = AliyunBrokerProvider.id;
+
+const SPEECH_CONFIG_STORAGE_KEY = 'speech_provider_config';
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        createSpeechError,
+        SpeechProvider,
+        AliyunRealtimeProvider,
+        AliyunBrokerProvider,
+        SegmentedSpeechProvider,
+        BaiduRestProvider,
+        DashScopeProvider,
+        WebSpeechProvider,
+        SPEECH_PROVIDERS,
+        DEFAULT_SPEECH_PROVIDER,
+        SPEECH_CONFIG_STORAGE_KEY
+    };
+}
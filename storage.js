@@ -0,0 +1,317 @@
+// IndexedDB 数据存储
+// 记录和测试会话逐条写入 IndexedDB，不再在每次记录时把全部数据序列化进 localStorage。
+// 数据库结构按版本号升级，新增结构时在 SCHEMA_MIGRATIONS 末尾追加一步即可。
+
+const STORAGE_DB_NAME = 'roadTestRecorder';
+const LEGACY_DATA_KEY = 'roadTestData';
+const LEGACY_SESSIONS_KEY = 'roadTestSessions';
+
+// 存储空间不足（浏览器配额用尽）
+class StorageFullError extends Error {
+    constructor(message = '存储空间已满') {
+        super(message);
+        this.name = 'StorageFullError';
+    }
+}
+
+// 第 N 项把数据库从版本 N 升级到 N+1
+const SCHEMA_MIGRATIONS = [
+    // v1: 问题记录、测试会话和元数据
+    (db) => {
+        const records = db.createObjectStore('records', { keyPath: 'id' });
+        records.createIndex('sessionId', 'sessionId');
+        records.createIndex('type', 'type');
+        records.createIndex('timestamp', 'timestamp');
+
+        const sessions = db.createObjectStore('sessions', { keyPath: 'id' });
+        sessions.createIndex('startTime', 'startTime');
+
+        db.createObjectStore('meta', { keyPath: 'key' });
+    },
+    // v2: 问题记录的音频片段，与记录同ID
+    (db) => {
+        const clips = db.createObjectStore('clips', { keyPath: 'recordId' });
+        clips.createIndex('sessionId', 'sessionId');
+    },
+    // v3: 识别不可用时缓存的语音片段，等待补充识别
+    (db) => {
+        db.createObjectStore('audioQueue', { keyPath: 'id' });
+    }
+];
+
+const STORAGE_DB_VERSION = SCHEMA_MIGRATIONS.length;
+
+// 旧版用 Date.now() 作为记录ID，同一毫秒内的多条记录会重复；缺少ID、ID不是数字或重复时重新分配
+// 新ID大于现有ID和 now，直接修改 records，返回重新分配的条数
+function reassignLegacyRecordIds(records, now = Date.now()) {
+    const usedIds = new Set(records.map(record => record.id).filter(Number.isFinite));
+    let nextId = [...usedIds].reduce((max, id) => Math.max(max, id), now) + 1;
+    const seenIds = new Set();
+    let reassigned = 0;
+    records.forEach(record => {
+        if (!Number.isFinite(record.id) || seenIds.has(record.id)) {
+            while (usedIds.has(nextId)) nextId++;
+            record.id = nextId;
+            usedIds.add(nextId);
+            reassigned++;
+        }
+        seenIds.add(record.id);
+    });
+    return reassigned;
+}
+
+// 从索引取出的记录再按其余条件过滤，按时间排序；from/to 为 toISOString() 格式的时间
+function filterRecords(records, { type, from, to } = {}) {
+    return records
+        .filter(record => type === undefined || record.type === type)
+        .filter(record => !from || record.timestamp >= from)
+        .filter(record => !to || record.timestamp <= to)
+        .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+}
+
+class RecordStore {
+    constructor(dbName = STORAGE_DB_NAME) {
+        this.dbName = dbName;
+        this.db = null;
+    }
+
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    open() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, STORAGE_DB_VERSION);
+
+            request.onupgradeneeded = (event) => {
+                const db = request.result;
+                console.log(`🗄️ 升级数据库结构: v${event.oldVersion} → v${event.newVersion}`);
+                for (let version = event.oldVersion; version < event.newVersion; version++) {
+                    SCHEMA_MIGRATIONS[version](db, request.transaction);
+                }
+            };
+
+            request.onsuccess = () => {
+                this.db = request.result;
+                // 其他标签页升级数据库时主动关闭，避免阻塞升级
+                this.db.onversionchange = () => {
+                    this.db.close();
+                    this.db = null;
+                };
+                resolve(this);
+            };
+
+            request.onerror = () => reject(this.wrapError(request.error));
+            request.onblocked = () => reject(new Error('数据库被其他标签页占用，请关闭其他页面后重试'));
+        });
+    }
+
+    // 一次性把旧版 localStorage 数据迁移到 IndexedDB
+    async migrateFromLocalStorage() {
+        const migrated = await this.getMeta('legacyMigrated');
+        if (migrated) return 0;
+
+        const records = this.readLegacyArray(LEGACY_DATA_KEY);
+        const sessions = this.readLegacyArray(LEGACY_SESSIONS_KEY);
+
+        reassignLegacyRecordIds(records);
+
+        await this.transaction(['records', 'sessions', 'meta'], 'readwrite', (stores) => {
+            records.forEach(record => stores.records.put(record));
+            sessions.forEach(session => stores.sessions.put(session));
+            stores.meta.put({ key: 'legacyMigrated', value: new Date().toISOString() });
+        });
+
+        // 迁移成功后释放 localStorage 配额
+        localStorage.removeItem(LEGACY_DATA_KEY);
+        localStorage.removeItem(LEGACY_SESSIONS_KEY);
+
+        console.log('✅ localStorage 数据已迁移到 IndexedDB:', { 记录数: records.length, 会话数: sessions.length });
+        return records.length + sessions.length;
+    }
+
+    readLegacyArray(key) {
+        try {
+            const saved = localStorage.getItem(key);
+            const parsed = saved ? JSON.parse(saved) : [];
+            return Array.isArray(parsed) ? parsed : [];
+        } catch (error) {
+            console.warn(`读取旧数据 ${key} 失败:`, error);
+            return [];
+        }
+    }
+
+    getAllRecords() {
+        return this.getAllByIndex('records', 'timestamp');
+    }
+
+    getAllSessions() {
+        return this.getAllByIndex('sessions', 'startTime');
+    }
+
+    // 按会话、类型和时间范围查询记录，from/to 为 toISOString() 格式的时间
+    queryRecords({ sessionId, type, from, to } = {}) {
+        return this.transaction(['records'], 'readonly', (stores) => {
+            let request;
+            if (sessionId !== undefined) {
+                request = stores.records.index('sessionId').getAll(sessionId);
+            } else if (type !== undefined) {
+                request = stores.records.index('type').getAll(type);
+            } else if (from || to) {
+                const range = from && to ? IDBKeyRange.bound(from, to)
+                    : from ? IDBKeyRange.lowerBound(from) : IDBKeyRange.upperBound(to);
+                request = stores.records.index('timestamp').getAll(range);
+            } else {
+                request = stores.records.index('timestamp').getAll();
+            }
+            return request;
+        }).then(records => filterRecords(records, { type, from, to }));
+    }
+
+    putRecord(record) {
+        return this.transaction(['records'], 'readwrite', (stores) => {
+            stores.records.put(record);
+        });
+    }
+
+    putRecords(records) {
+        return this.transaction(['records'], 'readwrite', (stores) => {
+            records.forEach(record => stores.records.put(record));
+        });
+    }
+
+    // 删除记录及其音频片段
+    deleteRecord(id) {
+        return this.transaction(['records', 'clips'], 'readwrite', (stores) => {
+            stores.records.delete(id);
+            stores.clips.delete(id);
+        });
+    }
+
+    putSession(session) {
+        return this.transaction(['sessions'], 'readwrite', (stores) => {
+            stores.sessions.put(session);
+        });
+    }
+
+    // 删除会话及其全部记录和音频片段
+    deleteSession(sessionId) {
+        return this.transaction(['sessions', 'records', 'clips'], 'readwrite', (stores) => {
+            stores.sessions.delete(sessionId);
+            ['records', 'clips'].forEach(storeName => {
+                const store = stores[storeName];
+                const cursorRequest = store.index('sessionId').openKeyCursor(IDBKeyRange.only(sessionId));
+                cursorRequest.onsuccess = () => {
+                    const cursor = cursorRequest.result;
+                    if (cursor) {
+                        store.delete(cursor.primaryKey);
+                        cursor.continue();
+                    }
+                };
+            });
+        });
+    }
+
+    // 用备份替换全部数据：清空后写入，在同一个事务中完成
+    replaceAll(sessions, records) {
+        return this.transaction(['sessions', 'records', 'clips'], 'readwrite', (stores) => {
+            stores.sessions.clear();
+            stores.records.clear();
+            stores.clips.clear();
+            sessions.forEach(session => stores.sessions.put(session));
+            records.forEach(record => stores.records.put(record));
+        });
+    }
+
+    // clip: { recordId, sessionId, wav (ArrayBuffer), startTime, duration, sampleRate }
+    putClip(clip) {
+        return this.transaction(['clips'], 'readwrite', (stores) => {
+            stores.clips.put(clip);
+        });
+    }
+
+    getClip(recordId) {
+        return this.transaction(['clips'], 'readonly', (stores) => stores.clips.get(recordId));
+    }
+
+    getClipsBySession(sessionId) {
+        return this.transaction(['clips'], 'readonly', (stores) => stores.clips.index('sessionId').getAll(sessionId));
+    }
+
+    // entry: { id, sessionId, capturedAt, durationMs, samples (Int16Array) }
+    putQueuedAudio(entry) {
+        return this.transaction(['audioQueue'], 'readwrite', (stores) => {
+            stores.audioQueue.put(entry);
+        });
+    }
+
+    getQueuedAudio() {
+        return this.transaction(['audioQueue'], 'readonly', (stores) => stores.audioQueue.getAll());
+    }
+
+    deleteQueuedAudio(id) {
+        return this.transaction(['audioQueue'], 'readwrite', (stores) => {
+            stores.audioQueue.delete(id);
+        });
+    }
+
+    getMeta(key) {
+        return this.transaction(['meta'], 'readonly', (stores) => stores.meta.get(key))
+            .then(entry => entry ? entry.value : undefined);
+    }
+
+    setMeta(key, value) {
+        return this.transaction(['meta'], 'readwrite', (stores) => {
+            stores.meta.put({ key, value });
+        });
+    }
+
+    getAllByIndex(storeName, indexName) {
+        return this.transaction([storeName], 'readonly', (stores) => stores[storeName].index(indexName).getAll());
+    }
+
+    // 在事务中执行 work，事务完成后返回 work 中请求的结果
+    transaction(storeNames, mode, work) {
+        if (!this.db) {
+            return Promise.reject(new Error('数据库未打开'));
+        }
+
+        return new Promise((resolve, reject) => {
+            let tx;
+            try {
+                tx = this.db.transaction(storeNames, mode);
+            } catch (error) {
+                reject(this.wrapError(error));
+                return;
+            }
+
+            const stores = {};
+            storeNames.forEach(name => {
+                stores[name] = tx.objectStore(name);
+            });
+
+            const request = work(stores);
+            tx.oncomplete = () => resolve(request ? request.result : undefined);
+            tx.onerror = () => reject(this.wrapError(tx.error));
+            tx.onabort = () => reject(this.wrapError(tx.error));
+        });
+    }
+
+    wrapError(error) {
+        if (error && error.name === 'QuotaExceededError') {
+            return new StorageFullError();
+        }
+        return error || new Error('未知数据库错误');
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        STORAGE_DB_VERSION,
+        SCHEMA_MIGRATIONS,
+        StorageFullError,
+        RecordStore,
+        reassignLegacyRecordIds,
+        filterRecords
+    };
+}
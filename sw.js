@@ -0,0 +1,93 @@
+// Service Worker：缓存应用外壳，隧道、郊区等没有网络的地方也能打开页面并记录问题
+// 页面和脚本先从缓存返回，同时在后台更新，新版本在下次打开页面时生效。
+// 识别服务等跨域请求不经过缓存。
+
+// 修改 APP_SHELL 或需要强制更新时修改版本号
+const CACHE_VERSION = 'v7';
+const CACHE_NAME = `road-test-recorder-${CACHE_VERSION}`;
+
+// index.html 引用的全部文件（tests/offline.test.js 检查两者一致）
+const APP_SHELL = [
+    './',
+    'index.html',
+    'style.css',
+    'manifest.webmanifest',
+    'icons/icon.svg',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+    'taxonomy.js',
+    'recognizer.js',
+    'storage.js',
+    'session-recovery.js',
+    'route-map.js',
+    'location-utils.js',
+    'audio-utils.js',
+    'pcm-capture-worklet.js',
+    'audio-queue.js',
+    'connection-manager.js',
+    'speech-providers.js',
+    'undo-history.js',
+    'record-audit.js',
+    'xlsx-writer.js',
+    'backup.js',
+    'session-metadata.js',
+    'session-report.js',
+    'analytics.js',
+    'sync-client.js',
+    'app.js'
+];
+
+self.addEventListener('install', (event) => {
+    // cache: 'reload' 跳过浏览器的HTTP缓存，保证缓存的是刚部署的版本
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(APP_SHELL.map(url => new Request(url, { cache: 'reload' }))))
+            .then(() => self.skipWaiting())
+    );
+});
+
+// 删除旧版本的缓存
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('road-test-recorder-') && key !== CACHE_NAME)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    const url = new URL(request.url);
+    // Token服务等接口 (api/) 每次都要请求服务器
+    if (request.method !== 'GET' || url.origin !== self.location.origin || url.pathname.includes('/api/')) return;
+
+    event.respondWith(
+        caches.open(CACHE_NAME).then(async (cache) => {
+            // 带查询参数的页面地址也使用缓存的页面
+            const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+            const update = fetch(request)
+                .then(response => {
+                    if (response.ok) {
+                        cache.put(request, response.clone());
+                    }
+                    return response;
+                })
+                .catch(error => {
+                    if (cached) return cached;
+                    // 离线时打开的是未缓存的地址，返回应用首页
+                    if (request.mode === 'navigate') {
+                        return cache.match('index.html').then(page => page || Promise.reject(error));
+                    }
+                    throw error;
+                });
+
+            if (cached) {
+                event.waitUntil(update.catch(() => {}));
+                return cached;
+            }
+            return update;
+        })
+    );
+});
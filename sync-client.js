@@ -0,0 +1,255 @@
+// 数据同步客户端
+// 把新增和修改的记录、结束的测试会话推送到服务器（REST接口，参考实现见 tools/sync-server.js），
+// 失败时按指数退避重试。待同步的数据只保存在内存中，页面重新打开时由调用方按记录的
+// syncStatus 重新加入。不依赖浏览器，Node (测试) 中也可以使用。
+//
+// 接口: POST {endpoint}/sync，请求体 { deviceId, sessions: [...], records: [...] }，
+// 返回 { syncedAt, rejected: [{ kind: 'session' | 'record', id, error }] }
+
+const SYNC_CONFIG_STORAGE_KEY = 'roadTestSyncConfig';
+const SYNC_DEVICE_ID_STORAGE_KEY = 'roadTestDeviceId';
+
+const SYNC_BATCH_SIZE = 50;
+const SYNC_DEBOUNCE_MS = 1000; // 连续记录时合并成一次请求
+const SYNC_RETRY_BASE_MS = 2000;
+const SYNC_RETRY_MAX_MS = 5 * 60 * 1000;
+
+// 只保存在本机的同步状态，不发送到服务器
+const LOCAL_SYNC_FIELDS = ['syncStatus', 'syncedAt', 'syncError'];
+
+// 第 attempt 次失败后等待的时间：2秒、4秒、8秒……最长5分钟
+function getSyncRetryDelay(attempt, baseMs = SYNC_RETRY_BASE_MS, maxMs = SYNC_RETRY_MAX_MS) {
+    return Math.min(maxMs, baseMs * 2 ** Math.max(0, attempt - 1));
+}
+
+// 408/429 和 5xx 可以重试；其它 4xx 说明地址、密钥或数据有问题，重试也不会成功
+function isPermanentSyncStatus(status) {
+    return status >= 400 && status < 500 && status !== 408 && status !== 429;
+}
+
+function createSyncError(message, permanent = false, status = null) {
+    const error = new Error(message);
+    error.permanent = permanent;
+    error.status = status;
+    return error;
+}
+
+function normalizeSyncEndpoint(endpoint) {
+    return String(endpoint || '').trim().replace(/\/+$/, '');
+}
+
+function toSyncPayload(item) {
+    const payload = { ...item };
+    LOCAL_SYNC_FIELDS.forEach(field => delete payload[field]);
+    return payload;
+}
+
+class SyncClient {
+    // onSynced(items, syncedAt) / onFailed(items, error)：items 为 [{ kind, id }]，
+    // 同步期间又被修改的数据不回调，留在队列中等下一次同步
+    constructor({
+        endpoint = '',
+        apiKey = '',
+        deviceId = '',
+        fetch: fetchImpl = typeof fetch === 'function' ? (...args) => fetch(...args) : null,
+        batchSize = SYNC_BATCH_SIZE,
+        debounceMs = SYNC_DEBOUNCE_MS,
+        baseDelayMs = SYNC_RETRY_BASE_MS,
+        maxDelayMs = SYNC_RETRY_MAX_MS,
+        onSynced = () => {},
+        onFailed = () => {}
+    } = {}) {
+        this.configure({ endpoint, apiKey });
+        this.deviceId = deviceId;
+        this.fetch = fetchImpl;
+        this.batchSize = batchSize;
+        this.debounceMs = debounceMs;
+        this.baseDelayMs = baseDelayMs;
+        this.maxDelayMs = maxDelayMs;
+        this.onSynced = onSynced;
+        this.onFailed = onFailed;
+
+        this.pending = new Map(); // `${kind}:${id}` -> { kind, id, data, version }
+        this.version = 0;
+        this.attempt = 0; // 连续失败次数
+        this.nextRetryAt = null;
+        this.lastError = null;
+        this.timer = null;
+        this.flushing = null;
+    }
+
+    configure({ endpoint = '', apiKey = '' }) {
+        this.endpoint = normalizeSyncEndpoint(endpoint);
+        this.apiKey = apiKey;
+    }
+
+    get isConfigured() {
+        return !!this.endpoint && !!this.fetch;
+    }
+
+    get size() {
+        return this.pending.size;
+    }
+
+    has(kind, id) {
+        return this.pending.has(`${kind}:${id}`);
+    }
+
+    // 加入队列，同一条数据只保留最新的内容
+    push({ sessions = [], records = [] }) {
+        sessions.forEach(session => this.enqueue('session', session));
+        records.forEach(record => this.enqueue('record', record));
+
+        // 退避等待期间不提前发送
+        if (!this.nextRetryAt) {
+            this.schedule(this.debounceMs);
+        }
+    }
+
+    enqueue(kind, data) {
+        this.pending.set(`${kind}:${data.id}`, { kind, id: data.id, data: toSyncPayload(data), version: ++this.version });
+    }
+
+    schedule(delay) {
+        clearTimeout(this.timer);
+        this.timer = null;
+        if (!this.isConfigured || this.pending.size === 0) return;
+
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.flush().catch(() => {});
+        }, delay);
+    }
+
+    // 立即发送队列中的全部数据，返回同步成功的条数；可重试的失败会抛出错误并安排下一次重试
+    flush() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        if (this.flushing) return this.flushing;
+        if (!this.isConfigured || this.pending.size === 0) return Promise.resolve(0);
+
+        this.flushing = this.sendAll().finally(() => {
+            this.flushing = null;
+        });
+        return this.flushing;
+    }
+
+    stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    async sendAll() {
+        let synced = 0;
+        this.lastError = null;
+        while (this.pending.size > 0 && this.isConfigured) {
+            const batch = [...this.pending.values()].slice(0, this.batchSize);
+            try {
+                synced += await this.sendBatch(batch);
+            } catch (error) {
+                this.lastError = error;
+                if (error.permanent) {
+                    const failed = batch.filter(item => this.removeIfUnchanged(item));
+                    if (failed.length > 0) this.onFailed(failed.map(({ kind, id }) => ({ kind, id })), error);
+                    continue;
+                }
+
+                this.attempt++;
+                const delay = getSyncRetryDelay(this.attempt, this.baseDelayMs, this.maxDelayMs);
+                this.nextRetryAt = Date.now() + delay;
+                console.warn(`☁️ 同步失败，${Math.round(delay / 1000)}秒后重试:`, error.message);
+                this.schedule(delay);
+                throw error;
+            }
+        }
+
+        this.attempt = 0;
+        this.nextRetryAt = null;
+        return synced;
+    }
+
+    async sendBatch(batch) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.apiKey) {
+            headers.Authorization = `Bearer ${this.apiKey}`;
+        }
+        const body = {
+            deviceId: this.deviceId,
+            sessions: batch.filter(item => item.kind === 'session').map(item => item.data),
+            records: batch.filter(item => item.kind === 'record').map(item => item.data)
+        };
+
+        let response;
+        try {
+            response = await this.fetch(`${this.endpoint}/sync`, { method: 'POST', headers, body: JSON.stringify(body) });
+        } catch (error) {
+            throw createSyncError(`网络连接失败: ${error.message}`);
+        }
+
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw createSyncError(result.error || `服务器返回 HTTP ${response.status}`, isPermanentSyncStatus(response.status), response.status);
+        }
+
+        // 服务器拒绝的数据（如缺少ID）重试也不会成功，标记为失败
+        const rejected = new Map((result.rejected || []).map(item => [`${item.kind}:${item.id}`, item.error]));
+        const synced = [];
+        const failed = [];
+        batch.forEach(item => {
+            if (!this.removeIfUnchanged(item)) return;
+            if (rejected.has(`${item.kind}:${item.id}`)) {
+                failed.push({ kind: item.kind, id: item.id, error: rejected.get(`${item.kind}:${item.id}`) });
+            } else {
+                synced.push({ kind: item.kind, id: item.id });
+            }
+        });
+
+        if (synced.length > 0) this.onSynced(synced, result.syncedAt || new Date().toISOString());
+        if (failed.length > 0) this.onFailed(failed, createSyncError('服务器拒绝了部分数据', true));
+        return synced.length;
+    }
+
+    // 发送期间数据又被修改时保留新版本
+    removeIfUnchanged(item) {
+        const key = `${item.kind}:${item.id}`;
+        const current = this.pending.get(key);
+        if (!current || current.version !== item.version) return false;
+        this.pending.delete(key);
+        return true;
+    }
+}
+
+function loadSyncConfig() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(SYNC_CONFIG_STORAGE_KEY) || '{}');
+        return { endpoint: normalizeSyncEndpoint(saved.endpoint), apiKey: saved.apiKey || '' };
+    } catch (error) {
+        console.warn('加载同步配置失败:', error);
+        return { endpoint: '', apiKey: '' };
+    }
+}
+
+function saveSyncConfig(config) {
+    const saved = { endpoint: normalizeSyncEndpoint(config.endpoint), apiKey: config.apiKey || '' };
+    localStorage.setItem(SYNC_CONFIG_STORAGE_KEY, JSON.stringify(saved));
+    return saved;
+}
+
+// 区分不同设备上传的数据，首次使用时生成
+function getSyncDeviceId() {
+    let deviceId = localStorage.getItem(SYNC_DEVICE_ID_STORAGE_KEY);
+    if (!deviceId) {
+        deviceId = `device-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+        localStorage.setItem(SYNC_DEVICE_ID_STORAGE_KEY, deviceId);
+    }
+    return deviceId;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SyncClient,
+        getSyncRetryDelay,
+        isPermanentSyncStatus,
+        normalizeSyncEndpoint
+    };
+}
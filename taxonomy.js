@@ -0,0 +1,210 @@
+// 问题分类定义 (taxonomy)
+// 问题类型、子类型、同义词/正则触发词和高亮颜色都集中在这里定义，
+// 语音识别、关键词高亮、快速记录按钮和统计都由这份定义驱动。
+// 团队可以直接修改 DEFAULT_TAXONOMY，或在页面上导入/导出 JSON。
+
+const TAXONOMY_STORAGE_KEY = 'roadTestTaxonomy';
+const TAXONOMY_VERSION = 1;
+
+const DEFAULT_TAXONOMY = {
+    version: TAXONOMY_VERSION,
+    categories: [
+        {
+            key: 'safety',
+            name: '安全接管',
+            shortName: '安全',
+            icon: '⚠️',
+            color: '#f56565',
+            highlightColor: '#f56565',
+            // 说出这些词即直接记录为该类型（优先级最高）
+            aliases: [
+                '安全接管', '安全问题', '安全',
+                'safety', '接管安全', '安全的接管',
+                '安全事件', '安全状况', '安全情况'
+            ],
+            // 字幕中需要高亮的关键词
+            highlight: ['安全接管', '安全', '压线', '碰撞', '撞', '危险', '逆行', '闯红灯', '红灯'],
+            subTypes: [
+                { name: '碰撞风险', synonyms: ['碰撞', '撞', '危险', '要撞', '快撞', '撞车', '碰车'] },
+                { name: '压线', synonyms: ['压线', '越线', '跨线', '踩线', '出线', '过线'] },
+                { name: '逆行', synonyms: ['逆行', '反向', '开反了', '走反', '方向反'] },
+                { name: '闯红灯', synonyms: ['闯红灯', '红灯', '冲红灯', '闯灯'] },
+                { name: '安全接管', synonyms: ['安全接管', '安全问题', '安全', 'safety'] }
+            ]
+        },
+        {
+            key: 'efficiency',
+            name: '效率接管',
+            shortName: '效率',
+            icon: '⚡',
+            color: '#ed8936',
+            highlightColor: '#ed8936',
+            aliases: [
+                '效率接管', '效率问题', '效率',
+                'efficiency', '接管效率', '效率的接管',
+                '效率事件', '效率状况', '效率情况'
+            ],
+            highlight: ['效率接管', '效率', '卡死', '卡住', '不动', '慢', '龟速', '反应慢', '迟钝'],
+            subTypes: [
+                { name: '卡死不动', synonyms: ['卡死', '卡住', '不动', '停住', '卡顿', '死机', '停车', '不走'] },
+                { name: '速度过慢', synonyms: ['慢', '龟速', '太慢', '速度慢', '很慢', '超慢', '开得慢', '跑得慢'] },
+                { name: '反应迟钝', synonyms: ['反应慢', '迟钝', '延迟', '反应迟钝', '响应慢', '慢半拍'] },
+                { name: '路径错误', synonyms: ['路径错误', '走错', '路线错', '路径错', '走错路', '线路错'] },
+                { name: '效率接管', synonyms: ['效率接管', '效率问题', '效率', 'efficiency'] }
+            ]
+        },
+        {
+            key: 'experience',
+            name: '体验问题',
+            shortName: '体验',
+            icon: '😕',
+            color: '#4299e1',
+            highlightColor: '#9f7aea',
+            aliases: [
+                '体验问题', '体验', 'experience', '体验不好',
+                '体验事件', '体验状况', '体验情况', '用户体验'
+            ],
+            highlight: ['体验问题', '体验', '重刹', '刹车', '急加速', '加速', '颠簸', '震动', '画龙', '蛇行'],
+            subTypes: [
+                { name: '画龙', synonyms: ['画龙', '画蛇', '龙', '蛇行', '摆尾', '左右摆', '摇摆'] },
+                { name: '重刹', synonyms: ['重刹', '刹车重', '急刹', '制动重', '刹车', '急停', '突然刹车'] },
+                { name: '急加速', synonyms: ['急加速', '加速急', '冲击', '突然加速', '猛加速', '提速快'] },
+                { name: '颠簸', synonyms: ['颠簸', '震动', '不平稳', '抖动', '摇晃', '晃动', '不稳'] },
+                { name: '转向重', synonyms: ['转向重', '方向盘重', '打方向重', '方向重', '转向沉', '打方向沉'] }
+            ]
+        }
+    ],
+    // 操作类关键词（删除、撤销等）的高亮
+    actions: {
+        color: '#38b2ac',
+        keywords: ['删除', '撤销', '开始', '停止', '暂停', '继续', '结束', '修改', '备注', '确认', '取消']
+    }
+};
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// 颜色会写进 style 和 SVG 属性，只接受十六进制和 rgb()/rgba()，防止导入的 JSON 注入标记
+function isSafeColor(color) {
+    return typeof color === 'string'
+        && (/^#(?:[0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i.test(color) || /^rgba?\(\s*[\d.%\s,/]+\)$/i.test(color));
+}
+
+function pickColor(...colors) {
+    return colors.find(isSafeColor);
+}
+
+function pickStrings(list, fallback) {
+    return Array.isArray(list) ? list.filter(item => typeof item === 'string' && item) : fallback;
+}
+
+// 校验并补全分类定义，格式错误时抛出带说明的异常
+function normalizeTaxonomy(raw) {
+    if (!raw || typeof raw !== 'object' || !Array.isArray(raw.categories) || raw.categories.length === 0) {
+        throw new Error('分类定义无效: 至少需要一个问题类型');
+    }
+
+    const keys = new Set();
+    const names = new Set();
+
+    const categories = raw.categories.map((category, index) => {
+        const label = `第${index + 1}个类型`;
+        if (!category || typeof category.key !== 'string' || !/^[a-z][a-z0-9_-]*$/i.test(category.key)) {
+            throw new Error(`分类定义无效: ${label}的 key 必须是英文标识`);
+        }
+        if (typeof category.name !== 'string' || !category.name.trim()) {
+            throw new Error(`分类定义无效: ${label}缺少名称`);
+        }
+        if (keys.has(category.key) || names.has(category.name)) {
+            throw new Error(`分类定义无效: 类型 "${category.name}" 重复`);
+        }
+        keys.add(category.key);
+        names.add(category.name);
+
+        const subTypes = (category.subTypes || []).map(subType => {
+            if (!subType || typeof subType.name !== 'string' || !subType.name.trim()) {
+                throw new Error(`分类定义无效: "${category.name}" 中存在未命名的子类型`);
+            }
+            if (subType.pattern) {
+                try {
+                    new RegExp(subType.pattern);
+                } catch (error) {
+                    throw new Error(`分类定义无效: 子类型 "${subType.name}" 的正则无效 (${error.message})`);
+                }
+            }
+            return {
+                name: subType.name.trim(),
+                synonyms: pickStrings(subType.synonyms, []),
+                pattern: typeof subType.pattern === 'string' ? subType.pattern : ''
+            };
+        });
+
+        return {
+            key: category.key,
+            name: category.name.trim(),
+            shortName: typeof category.shortName === 'string' && category.shortName ? category.shortName : category.name.trim().slice(0, 2),
+            icon: typeof category.icon === 'string' && category.icon ? category.icon : '📝',
+            color: pickColor(category.color, '#a0aec0'),
+            highlightColor: pickColor(category.highlightColor, category.color, '#a0aec0'),
+            aliases: pickStrings(category.aliases, [category.name]),
+            highlight: pickStrings(category.highlight, [category.name]),
+            subTypes
+        };
+    });
+
+    const actions = raw.actions || DEFAULT_TAXONOMY.actions;
+
+    return {
+        version: TAXONOMY_VERSION,
+        categories,
+        actions: {
+            color: pickColor(actions.color, DEFAULT_TAXONOMY.actions.color),
+            keywords: pickStrings(actions.keywords, [])
+        }
+    };
+}
+
+// 预编译子类型触发正则，识别时不用每次重新构造
+// 触发词按长度排列，同一位置优先匹配长的（"撞车"而不是"撞"）；识别时要找出所有位置，都带 g 标志
+function compileTaxonomy(taxonomy) {
+    return taxonomy.categories.map(category => ({
+        ...category,
+        keywordPattern: new RegExp(`${escapeRegExp(category.name)}[-－]([^，,；;。.!！\\s]+)`, 'g'),
+        subTypeMatchers: category.subTypes
+            .filter(subType => subType.pattern || subType.synonyms.length > 0)
+            .map(subType => ({
+                name: subType.name,
+                pattern: subType.pattern
+                    ? new RegExp(subType.pattern, 'g')
+                    : new RegExp(`(${subType.synonyms.slice().sort((a, b) => b.length - a.length).map(escapeRegExp).join('|')})`, 'g')
+            }))
+    }));
+}
+
+function loadTaxonomy() {
+    try {
+        const saved = localStorage.getItem(TAXONOMY_STORAGE_KEY);
+        if (saved) {
+            return normalizeTaxonomy(JSON.parse(saved));
+        }
+    } catch (error) {
+        console.warn('加载自定义分类失败，使用默认分类:', error);
+    }
+    return normalizeTaxonomy(DEFAULT_TAXONOMY);
+}
+
+function saveTaxonomy(taxonomy) {
+    localStorage.setItem(TAXONOMY_STORAGE_KEY, JSON.stringify(taxonomy));
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DEFAULT_TAXONOMY,
+        TAXONOMY_VERSION,
+        escapeRegExp,
+        isSafeColor,
+        normalizeTaxonomy,
+        compileTaxonomy
+    };
+}
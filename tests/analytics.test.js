@@ -0,0 +1,115 @@
+// 跨测试数据分析测试
+// 运行: node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    getSessionDateKey,
+    filterSessions,
+    listFilterOptions,
+    buildDailyTrend,
+    getTopSubTypes,
+    compareSessions,
+    renderTrendChart,
+    renderTopSubTypesChart
+} = require('../analytics.js');
+const { DEFAULT_TAXONOMY, normalizeTaxonomy } = require('../taxonomy.js');
+const { SESSION_METADATA_FIELDS, normalizeSessionMetadata } = require('../session-metadata.js');
+
+const taxonomy = normalizeTaxonomy(DEFAULT_TAXONOMY);
+const HOUR = 3600000;
+
+// 中午开始，任何时区下日期都不变
+const sessions = [
+    { id: 1, name: 'A', startTime: '2025-03-01T12:00:00.000Z', vehicleId: '车1', routeName: '环线' },
+    { id: 2, name: 'B', startTime: '2025-03-01T12:30:00.000Z', vehicleId: '车2', routeName: '环线' },
+    { id: 3, name: 'C', startTime: '2025-03-03T12:00:00.000Z', vehicleId: '车1', routeName: '高速' },
+    { id: 4, name: 'D', startTime: '2025-03-04T12:00:00.000Z' }
+];
+
+const records = [
+    { id: 10, sessionId: 1, type: '安全接管', subType: '压线' },
+    { id: 11, sessionId: 1, type: '安全接管', subType: '压线' },
+    { id: 12, sessionId: 2, type: '体验问题', subType: '画龙' },
+    { id: 13, sessionId: 3, type: '安全接管', subType: '压线' },
+    { id: 14, sessionId: 3, type: '效率接管', subType: '效率接管' }
+];
+
+// 每个测试 1 小时，D 只有 30 秒
+const getDuration = (session) => (session.id === 4 ? 30000 : HOUR);
+
+test('按日期范围和测试信息筛选测试', () => {
+    const ids = (filters) => filterSessions(sessions, filters).map(session => session.id);
+
+    assert.equal(getSessionDateKey(sessions[0]), '2025-03-01');
+    assert.deepEqual(ids({}), [1, 2, 3, 4]);
+    assert.deepEqual(ids({ from: '2025-03-02', to: '2025-03-03' }), [3]);
+    assert.deepEqual(ids({ vehicleId: '车1' }), [1, 3]);
+    assert.deepEqual(ids({ routeName: '环线', vehicleId: '车2' }), [2]);
+});
+
+test('筛选项只列出出现过的车辆和路线', () => {
+    assert.deepEqual(listFilterOptions(sessions, ['vehicleId', 'routeName', 'weather']), {
+        vehicleId: ['车1', '车2'],
+        routeName: ['环线', '高速'],
+        weather: []
+    });
+});
+
+test('测试信息表单保存的字段都可以作为筛选项', () => {
+    const fields = SESSION_METADATA_FIELDS.filter(field => field.filterable).map(field => field.key);
+    const started = [
+        { id: 5, startTime: '2025-03-05T12:00:00.000Z', ...normalizeSessionMetadata({ vehicleId: ' 车3 ', routeName: '环线', weather: '小雨' }) },
+        { id: 6, startTime: '2025-03-05T13:00:00.000Z', ...normalizeSessionMetadata({ vehicleId: '车4', softwareVersion: 'v2.1' }) }
+    ];
+
+    const options = listFilterOptions(started, fields);
+    assert.deepEqual(options.vehicleId, ['车3', '车4']);
+    assert.deepEqual(options.routeName, ['环线']);
+    assert.deepEqual(options.softwareVersion, ['v2.1']);
+    assert.deepEqual(options.weather, ['小雨']);
+    assert.deepEqual(filterSessions(started, { vehicleId: options.vehicleId[0] }).map(session => session.id), [5]);
+    assert.deepEqual(filterSessions(started, { softwareVersion: 'v2.1', routeName: '' }).map(session => session.id), [6]);
+});
+
+test('按日期汇总每类问题的每小时问题数', () => {
+    const trend = buildDailyTrend(sessions, records, taxonomy, getDuration);
+
+    assert.deepEqual(trend.map(day => day.date), ['2025-03-01', '2025-03-03', '2025-03-04']);
+    assert.equal(trend[0].activeMs, 2 * HOUR);
+    assert.equal(trend[0].total, 3);
+    assert.equal(trend[0].rates['安全接管'], 1);
+    assert.equal(trend[0].rates['体验问题'], 0.5);
+    // 不足一分钟的测试没有速率
+    assert.equal(trend[2].rates['安全接管'], null);
+});
+
+test('高频子类型按次数排序', () => {
+    const top = getTopSubTypes(records, 2);
+    assert.equal(top.length, 2);
+    assert.deepEqual(top[0], { type: '安全接管', subType: '压线', count: 3 });
+    assert.equal(top[1].count, 1);
+});
+
+test('测试对比按开始时间倒序', () => {
+    const rows = compareSessions(sessions, records, taxonomy, getDuration);
+
+    assert.deepEqual(rows.map(row => row.session.id), [4, 3, 2, 1]);
+    assert.equal(rows[1].total, 2);
+    assert.equal(rows[1].perHour, 2);
+    assert.equal(rows[1].counts['效率接管'], 1);
+    assert.equal(rows[0].perHour, null);
+});
+
+test('图表输出SVG，没有数据时显示提示', () => {
+    const trend = buildDailyTrend(sessions, records, taxonomy, getDuration);
+    const chart = renderTrendChart(trend, taxonomy);
+    assert.match(chart, /<svg class="analytics-chart"/);
+    assert.match(chart, /<polyline/);
+    assert.match(chart, /03-01/);
+
+    assert.match(renderTrendChart([], taxonomy), /analytics-empty/);
+    assert.match(renderTopSubTypesChart([], () => '#000'), /没有问题记录/);
+    assert.match(renderTopSubTypesChart(getTopSubTypes(records), () => '#f56565'), /安全接管 - 压线/);
+});
@@ -0,0 +1,102 @@
+// 页面主程序测试
+// 运行: node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadApp } = require('./helpers/load-app.js');
+
+const { RoadTestRecorder } = loadApp();
+
+// 不运行构造函数，只设置被测方法用到的字段，保存、同步和界面更新都不做
+// undoHistory 只收集撤销项，测试中直接调用其中的 undo/redo
+function createRecorder(fields = {}) {
+    const undoEntries = [];
+    return Object.assign(Object.create(RoadTestRecorder.prototype), {
+        testSessions: [],
+        testData: [],
+        currentSession: null,
+        store: null,
+        recordEditor: null,
+        undoEntries,
+        undoHistory: { push: entry => undoEntries.push(entry) },
+        queueSync() {},
+        persistRecord() {},
+        persistRecordRemoval() {},
+        persistSession() {},
+        persistRecords() {},
+        persistSessionRemoval() {},
+        cancelClipCapture() {},
+        showDeleteNotification() {},
+        updateUI() {}
+    }, fields);
+}
+
+// app.js 在 vm 中创建的对象原型不同，比较前转为普通对象
+const plain = (value) => JSON.parse(JSON.stringify(value));
+const at = (minute) => new Date(Date.UTC(2025, 0, 1, 8, minute)).toISOString();
+
+test('撤销删除测试时记录按时间放回原来的位置', () => {
+    const recorder = createRecorder({
+        testSessions: [{ id: 1 }, { id: 2 }],
+        testData: [
+            { id: 10, sessionId: 1, timestamp: at(0) },
+            { id: 20, sessionId: 2, timestamp: at(5) },
+            { id: 11, sessionId: 1, timestamp: at(10) },
+            { id: 21, sessionId: 2, timestamp: at(15) }
+        ]
+    });
+
+    const removed = recorder.removeSession(1);
+    assert.deepEqual(recorder.testData.map(record => record.id), [20, 21]);
+    // 删除后又记录了一条
+    recorder.insertRecord({ id: 22, sessionId: 2, timestamp: at(20) });
+
+    recorder.restoreSession(removed);
+    assert.deepEqual(recorder.testSessions.map(session => session.id), [1, 2]);
+    assert.deepEqual(recorder.testData.map(record => record.id), [10, 20, 11, 21, 22]);
+});
+
+test('修改记录写入修改历史，撤销和恢复也留下记录', () => {
+    const record = { id: 10, sessionId: 1, timestamp: at(0), type: '安全接管', subType: '压线' };
+    const recorder = createRecorder({ testSessions: [{ id: 1, endTime: at(30) }], testData: [record] });
+
+    assert.equal(recorder.updateRecord(10, { subType: '压线', note: '' }), false);
+    assert.equal(recorder.undoEntries.length, 0);
+
+    assert.equal(recorder.updateRecord(10, { subType: '画龙', severity: 'high' }, 'voice'), true);
+    assert.equal(record.subType, '画龙');
+    assert.deepEqual(plain(record.audit[0].changes), {
+        subType: { from: '压线', to: '画龙' },
+        severity: { from: null, to: 'high' }
+    });
+
+    recorder.undoEntries[0].undo();
+    assert.equal(record.subType, '压线');
+    assert.equal('severity' in record, false);
+    recorder.undoEntries[0].redo();
+    assert.equal(record.severity, 'high');
+    assert.deepEqual(plain(record.audit.map(entry => entry.source)), ['voice', 'undo', 'redo']);
+});
+
+test('删除修改过的记录后会话上仍能看到修改历史，撤销删除后墓碑移除', () => {
+    const record = { id: 10, sessionId: 1, timestamp: at(0), type: '安全接管', subType: '压线' };
+    const session = { id: 1, endTime: at(30), recordCount: 1 };
+    const recorder = createRecorder({ testSessions: [session], testData: [record] });
+    recorder.updateRecord(10, { note: '右转时' });
+
+    recorder.deleteRecord(10);
+    assert.deepEqual(recorder.testData, []);
+    assert.equal(session.recordCount, 0);
+    assert.equal(session.deletedRecords.length, 1);
+    assert.equal(session.deletedRecords[0].source, 'manual');
+    assert.deepEqual(plain(session.deletedRecords[0].audit.map(entry => entry.changes)), [{ note: { from: null, to: '右转时' } }]);
+
+    const deletion = recorder.undoEntries[recorder.undoEntries.length - 1];
+    deletion.undo();
+    assert.deepEqual(recorder.testData.map(item => item.id), [10]);
+    assert.equal('deletedRecords' in session, false);
+
+    deletion.redo();
+    assert.equal(session.deletedRecords[0].source, 'redo');
+});
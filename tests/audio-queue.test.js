@@ -0,0 +1,127 @@
+// 离线语音队列测试
+// 运行: node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { OfflineAudioQueue } = require('../audio-queue.js');
+
+// 内存中的存储，模拟 IndexedDB 的 audioQueue 表
+function createStore(initial = []) {
+    const entries = new Map(initial.map(entry => [entry.id, entry]));
+    return {
+        entries,
+        put: async (entry) => { entries.set(entry.id, entry); },
+        delete: async (id) => { entries.delete(id); },
+        getAll: async () => [...entries.values()]
+    };
+}
+
+const oneSecond = () => new Int16Array(16000);
+
+test('入队时保存采集时间和时长，并写入存储', async () => {
+    const store = createStore();
+    const queue = new OfflineAudioQueue({ store });
+
+    const entry = await queue.enqueue({ sessionId: 1, capturedAt: '2025-03-01T12:00:05.000Z', samples: oneSecond() });
+    await queue.enqueue({ sessionId: 1, capturedAt: '2025-03-01T12:00:09.000Z', samples: oneSecond() });
+
+    assert.equal(entry.durationMs, 1000);
+    assert.equal(entry.capturedAt, '2025-03-01T12:00:05.000Z');
+    assert.equal(queue.size, 2);
+    assert.equal(queue.totalMs, 2000);
+    assert.equal(store.entries.size, 2);
+    assert.ok(store.entries.get(entry.id).samples instanceof Int16Array);
+});
+
+test('超出容量时不再入队', async () => {
+    const queue = new OfflineAudioQueue({ maxMs: 1500 });
+
+    assert.ok(await queue.enqueue({ sessionId: 1, capturedAt: '2025-03-01T12:00:00.000Z', samples: oneSecond() }));
+    assert.equal(await queue.enqueue({ sessionId: 1, capturedAt: '2025-03-01T12:00:02.000Z', samples: oneSecond() }), null);
+    assert.equal(queue.size, 1);
+});
+
+test('load 读出上次未识别的片段，按采集时间排序', async () => {
+    const store = createStore([
+        { id: 20, sessionId: 1, capturedAt: '2025-03-01T12:00:09.000Z', durationMs: 1000, samples: oneSecond() },
+        { id: 10, sessionId: 1, capturedAt: '2025-03-01T12:00:05.000Z', durationMs: 1000, samples: oneSecond() }
+    ]);
+    const queue = new OfflineAudioQueue({ store });
+
+    assert.equal(await queue.load(), 2);
+    assert.deepEqual(queue.entries.map(entry => entry.id), [10, 20]);
+
+    // 新片段的ID不与已有的重复
+    const entry = await queue.enqueue({ sessionId: 1, capturedAt: '2025-03-01T12:00:12.000Z', samples: oneSecond() });
+    assert.ok(entry.id > 20);
+});
+
+test('drain 按顺序识别并带回原始片段，完成后移出队列', async () => {
+    const store = createStore();
+    const queue = new OfflineAudioQueue({ store });
+    await queue.enqueue({ sessionId: 1, capturedAt: '2025-03-01T12:00:05.000Z', samples: oneSecond() });
+    await queue.enqueue({ sessionId: 2, capturedAt: '2025-03-01T12:00:09.000Z', samples: oneSecond() });
+
+    const texts = ['压线', '画龙'];
+    const results = [];
+    const done = await queue.drain(
+        async () => [{ text: texts.shift(), offset: 200 }],
+        (entry, sentences) => results.push([entry.sessionId, entry.capturedAt, sentences[0].text, sentences[0].offset])
+    );
+
+    assert.equal(done, 2);
+    assert.deepEqual(results, [
+        [1, '2025-03-01T12:00:05.000Z', '压线', 200],
+        [2, '2025-03-01T12:00:09.000Z', '画龙', 200]
+    ]);
+    assert.equal(queue.size, 0);
+    assert.equal(store.entries.size, 0);
+});
+
+test('识别失败时停止并保留片段，无法识别的片段丢弃后继续', async () => {
+    const queue = new OfflineAudioQueue();
+    await queue.enqueue({ sessionId: 1, capturedAt: '2025-03-01T12:00:05.000Z', samples: oneSecond() });
+    await queue.enqueue({ sessionId: 1, capturedAt: '2025-03-01T12:00:09.000Z', samples: oneSecond() });
+    await queue.enqueue({ sessionId: 1, capturedAt: '2025-03-01T12:00:12.000Z', samples: oneSecond() });
+
+    const discarded = [];
+    let calls = 0;
+    const transcribe = async () => {
+        calls++;
+        if (calls === 1) throw Object.assign(new Error('音频质量过差'), { permanent: true });
+        if (calls === 2) return [{ text: '急刹', offset: 0 }];
+        throw new Error('网络连接失败');
+    };
+
+    await assert.rejects(
+        queue.drain(transcribe, () => {}, (entry) => discarded.push(entry.capturedAt)),
+        /网络连接失败/
+    );
+    assert.deepEqual(discarded, ['2025-03-01T12:00:05.000Z']);
+    assert.equal(queue.size, 1);
+    assert.equal(queue.entries[0].capturedAt, '2025-03-01T12:00:12.000Z');
+    assert.equal(queue.draining, false);
+});
+
+test('识别结果交给 onResult 之后才移出队列，移出失败时片段保留以便重试', async () => {
+    const store = createStore();
+    const queue = new OfflineAudioQueue({ store });
+    await queue.enqueue({ sessionId: 1, capturedAt: '2025-03-01T12:00:05.000Z', samples: oneSecond() });
+
+    const queuedDuringResult = [];
+    store.delete = async () => { throw new Error('页面关闭'); };
+    await assert.rejects(
+        queue.drain(async () => [{ text: '压线', offset: 0 }], () => queuedDuringResult.push(store.entries.size)),
+        /页面关闭/
+    );
+    assert.deepEqual(queuedDuringResult, [1]);
+    assert.equal(store.entries.size, 1);
+
+    // 重新加载后再识别一次，重复的结果由调用方去重
+    const reloaded = new OfflineAudioQueue({ store: createStore([...store.entries.values()]) });
+    await reloaded.load();
+    const results = [];
+    assert.equal(await reloaded.drain(async () => [{ text: '压线', offset: 0 }], (entry, sentences) => results.push(sentences[0].text)), 1);
+    assert.deepEqual(results, ['压线']);
+});
@@ -0,0 +1,111 @@
+// 音频处理工具测试
+// 运行: node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    floatTo16BitPCM,
+    encodeWav,
+    PcmRingBuffer,
+    SilenceSegmenter
+} = require('../audio-utils.js');
+
+// 1kHz 采样率下每个样本正好 1 毫秒，便于计算时间
+const SAMPLE_RATE = 1000;
+
+function ramp(start, length) {
+    return Int16Array.from({ length }, (_, i) => start + i);
+}
+
+test('floatTo16BitPCM 截断超出范围的样本', () => {
+    assert.deepEqual(Array.from(floatTo16BitPCM(new Float32Array([-2, -1, 0, 1, 2]))), [-32768, -32768, 0, 32767, 32767]);
+});
+
+test('encodeWav 写入正确的头部', () => {
+    const wav = encodeWav(new Int16Array([1, -1, 2]), 16000);
+    const view = new DataView(wav);
+    const text = (offset) => String.fromCharCode(...new Uint8Array(wav, offset, 4));
+
+    assert.equal(wav.byteLength, 44 + 6);
+    assert.equal(text(0), 'RIFF');
+    assert.equal(text(8), 'WAVE');
+    assert.equal(view.getUint32(24, true), 16000);
+    assert.equal(view.getUint32(40, true), 6);
+    assert.equal(view.getInt16(46, true), -1);
+});
+
+test('PcmRingBuffer 按时间截取跨越多个块的片段', () => {
+    const buffer = new PcmRingBuffer(10000, SAMPLE_RATE);
+    buffer.push(ramp(0, 100), 1100);   // 1000–1100ms
+    buffer.push(ramp(100, 100), 1200); // 1100–1200ms
+
+    const clip = buffer.slice(1050, 1150);
+    assert.equal(clip.startTime, 1050);
+    assert.equal(clip.duration, 100);
+    assert.equal(clip.samples[0], 50);
+    assert.equal(clip.samples[99], 149);
+});
+
+test('PcmRingBuffer 只保留最近的音频', () => {
+    const buffer = new PcmRingBuffer(200, SAMPLE_RATE);
+    for (let i = 1; i <= 5; i++) {
+        buffer.push(ramp(i * 100, 100), 1000 + i * 100);
+    }
+
+    assert.ok(buffer.length >= 200 && buffer.length < 300);
+    assert.equal(buffer.slice(0, 1300), null);
+
+    const clip = buffer.slice(0, 2000);
+    assert.equal(clip.startTime, 1300);
+    assert.equal(clip.samples[clip.samples.length - 1], 599);
+});
+
+test('PcmRingBuffer 截取范围超出已录音频时返回已有部分', () => {
+    const buffer = new PcmRingBuffer(1000, SAMPLE_RATE);
+    buffer.push(ramp(0, 100), 1100);
+
+    const clip = buffer.slice(500, 5000);
+    assert.equal(clip.startTime, 1000);
+    assert.equal(clip.samples.length, 100);
+});
+
+test('SilenceSegmenter 在静音后输出带前置音频的片段', () => {
+    const segments = [];
+    const segmenter = new SilenceSegmenter({
+        sampleRate: SAMPLE_RATE,
+        silenceMs: 200,
+        minSpeechMs: 100,
+        preRollMs: 100,
+        onSegment: (samples, info) => segments.push({ length: samples.length, ...info })
+    });
+    const silence = new Int16Array(50);
+    const speech = new Int16Array(50).fill(10000);
+
+    let time = 0;
+    const push = (samples) => segmenter.push(samples, (time += samples.length));
+
+    [silence, silence, silence].forEach(push);
+    [speech, speech, speech].forEach(push);
+    [silence, silence, silence, silence].forEach(push);
+
+    assert.equal(segments.length, 1);
+    // 前置 100ms + 说话 150ms + 静音 200ms
+    assert.equal(segments[0].length, 450);
+    assert.equal(segments[0].startedAt, 100);
+});
+
+test('SilenceSegmenter 丢弃过短的声音', () => {
+    const segments = [];
+    const segmenter = new SilenceSegmenter({
+        sampleRate: SAMPLE_RATE,
+        silenceMs: 100,
+        minSpeechMs: 200,
+        onSegment: (samples) => segments.push(samples)
+    });
+
+    segmenter.push(new Int16Array(50).fill(10000), 50);
+    segmenter.push(new Int16Array(100), 150);
+
+    assert.equal(segments.length, 0);
+});
@@ -0,0 +1,208 @@
+// 数据备份与恢复测试
+// 运行: node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    BACKUP_VERSION,
+    createBackup,
+    parseBackup,
+    previewRestore,
+    mergeBackup,
+    stripSecretSettings
+} = require('../backup.js');
+const { DEFAULT_TAXONOMY, normalizeTaxonomy } = require('../taxonomy.js');
+const { loadApp } = require('./helpers/load-app.js');
+
+function makeSession(id, extra = {}) {
+    return {
+        id,
+        name: `测试_${id}`,
+        startTime: '2025-01-01T08:00:00.000Z',
+        endTime: '2025-01-01T09:00:00.000Z',
+        recordCount: 1,
+        pauses: [],
+        track: [],
+        ...extra
+    };
+}
+
+function makeRecord(id, sessionId, extra = {}) {
+    return { id, sessionId, timestamp: '2025-01-01T08:30:00.000Z', type: '安全接管', subType: '压线', ...extra };
+}
+
+// 经过一次 JSON 序列化，和从文件读回来一样
+function roundTrip(backup) {
+    return parseBackup(JSON.parse(JSON.stringify(backup)));
+}
+
+test('备份经过 JSON 序列化后可以完整读回', () => {
+    const backup = createBackup({
+        records: [makeRecord(10, 1)],
+        sessions: [makeSession(1)],
+        taxonomy: DEFAULT_TAXONOMY,
+        settings: { clipSettings: { before: 5, after: 3 } }
+    }, '2025-01-02T00:00:00.000Z');
+
+    const parsed = roundTrip(backup);
+    assert.equal(parsed.version, BACKUP_VERSION);
+    assert.equal(parsed.exportedAt, '2025-01-02T00:00:00.000Z');
+    assert.equal(parsed.sessions[0].id, 1);
+    assert.equal(parsed.records[0].id, 10);
+    assert.ok(parsed.taxonomy.categories.length > 0);
+    assert.deepEqual(parsed.settings, { clipSettings: { before: 5, after: 3 } });
+});
+
+test('拒绝格式不对或版本更新的备份', () => {
+    const valid = createBackup({ records: [], sessions: [] });
+
+    assert.throws(() => parseBackup({ categories: [] }), /不是道路测试记录的备份文件/);
+    assert.throws(() => parseBackup({ ...valid, version: undefined }), /版本号/);
+    assert.throws(() => parseBackup({ ...valid, version: BACKUP_VERSION + 1 }), /请先更新页面/);
+    assert.throws(() => parseBackup({ ...valid, data: {} }), /缺少测试记录/);
+});
+
+test('拒绝ID重复、时间无效或找不到所属测试的记录', () => {
+    const backup = (records, sessions = [makeSession(1)]) => createBackup({ records, sessions });
+
+    assert.throws(() => parseBackup(backup([], [makeSession(1), makeSession(1)])), /测试ID重复/);
+    assert.throws(() => parseBackup(backup([], [makeSession('1" onclick="alert(1)')])), /缺少ID/);
+    assert.throws(() => parseBackup(backup([], [makeSession(1, { startTime: 'yesterday' })])), /时间无效/);
+    assert.throws(() => parseBackup(backup([makeRecord(10, 1), makeRecord(10, 1)])), /记录ID重复/);
+    assert.throws(() => parseBackup(backup([makeRecord(10, 1, { timestamp: null })])), /缺少时间或类型/);
+    assert.throws(() => parseBackup(backup([makeRecord(10, 2)])), /不在备份中/);
+});
+
+test('按会话ID区分新增、相同和冲突的测试', () => {
+    const current = {
+        sessions: [makeSession(1), makeSession(2), makeSession(3)],
+        records: [makeRecord(10, 1), makeRecord(20, 2)]
+    };
+    const backup = roundTrip(createBackup({
+        sessions: [makeSession(1), makeSession(2), makeSession(4)],
+        records: [makeRecord(10, 1), makeRecord(20, 2, { note: '备份中修改过' }), makeRecord(40, 4)]
+    }));
+
+    const preview = previewRestore(backup, current);
+    assert.deepEqual(preview.sessions.map(item => item.status), ['identical', 'conflict', 'new']);
+    assert.equal(preview.newCount, 1);
+    assert.equal(preview.identicalCount, 1);
+    assert.deepEqual(preview.conflicts.map(item => item.session.id), [2]);
+    assert.deepEqual(preview.localOnly.map(session => session.id), [3]);
+});
+
+test('合并时默认跳过冲突的测试，本机数据不被覆盖', () => {
+    const current = { sessions: [makeSession(1)], records: [makeRecord(10, 1)] };
+    const backup = roundTrip(createBackup({
+        sessions: [makeSession(1, { name: '另一台设备' }), makeSession(2)],
+        records: [makeRecord(11, 1), makeRecord(20, 2)]
+    }));
+
+    const result = mergeBackup(backup, current);
+    assert.deepEqual(result.sessions.map(session => session.id), [2]);
+    assert.deepEqual(result.records.map(record => record.id), [20]);
+    assert.deepEqual(result.skipped.map(session => session.id), [1]);
+    assert.deepEqual(result.removedRecordIds, []);
+});
+
+test('冲突的测试可以作为副本导入，副本使用新的ID', () => {
+    const current = { sessions: [makeSession(1)], records: [makeRecord(10, 1)] };
+    const backup = roundTrip(createBackup({
+        sessions: [makeSession(1, { name: '另一台设备' })],
+        records: [makeRecord(10, 1, { subType: '画龙' })]
+    }));
+
+    const result = mergeBackup(backup, current, { onConflict: 'copy' });
+    const [copy] = result.sessions;
+    assert.equal(copy.name, '另一台设备（导入）');
+    assert.ok(copy.id > 10);
+    assert.equal(result.records[0].sessionId, copy.id);
+    assert.notEqual(result.records[0].id, 10);
+    assert.notEqual(result.records[0].id, copy.id);
+});
+
+test('选择覆盖时用备份替换冲突的测试，并删除备份中没有的本机记录', () => {
+    const current = { sessions: [makeSession(1)], records: [makeRecord(10, 1), makeRecord(11, 1)] };
+    const backup = roundTrip(createBackup({
+        sessions: [makeSession(1, { name: '另一台设备' })],
+        records: [makeRecord(10, 1, { note: '新备注' })]
+    }));
+
+    const result = mergeBackup(backup, current, { onConflict: 'overwrite' });
+    assert.deepEqual(result.overwritten.map(session => session.name), ['另一台设备']);
+    assert.deepEqual(result.records.map(record => [record.id, record.note]), [[10, '新备注']]);
+    assert.deepEqual(result.removedRecordIds, [11]);
+});
+
+test('新测试中与本机其他记录重复的记录ID会重新分配', () => {
+    const current = { sessions: [makeSession(1)], records: [makeRecord(10, 1)] };
+    const backup = roundTrip(createBackup({
+        sessions: [makeSession(2)],
+        records: [makeRecord(10, 2), makeRecord(30, 2)]
+    }));
+
+    const result = mergeBackup(backup, current);
+    const ids = result.records.map(record => record.id);
+    assert.notEqual(ids[0], 10);
+    assert.equal(ids[1], 30);
+    assert.equal(new Set([...ids, 10]).size, 3);
+});
+
+test('没有会话ID的旧记录可以备份，本机没有时才导入', () => {
+    const current = { sessions: [], records: [makeRecord(1, undefined)] };
+    const backup = roundTrip(createBackup({
+        sessions: [],
+        records: [makeRecord(1, undefined), makeRecord(2, undefined)]
+    }));
+
+    assert.deepEqual(previewRestore(backup, current).looseRecords.map(record => record.id), [2]);
+    assert.deepEqual(mergeBackup(backup, current).records.map(record => record.id), [2]);
+});
+
+test('导入的测试名称和识别原文显示在页面上时经过转义', () => {
+    const payload = '<img src=x onerror="alert(1)">';
+    const backup = roundTrip(createBackup({
+        sessions: [makeSession(1, { name: payload })],
+        records: [makeRecord(10, 1, { originalText: payload })]
+    }));
+    const imported = mergeBackup(backup, { sessions: [], records: [] });
+
+    const { document, RoadTestRecorder } = loadApp();
+    const recorder = Object.assign(Object.create(RoadTestRecorder.prototype), {
+        taxonomy: normalizeTaxonomy(DEFAULT_TAXONOMY),
+        testSessions: imported.sessions,
+        testData: imported.records,
+        currentSession: imported.sessions[0],
+        syncClient: { isConfigured: false },
+        recordEditor: null,
+        historySearch: '',
+        openMapSessionId: null,
+        openRecordsSessionId: null
+    });
+    recorder.updateRecentRecords();
+    recorder.updateTestHistory();
+
+    const [recordHtml] = document.getElementById('recentRecords').children.map(element => element.innerHTML);
+    const [historyHtml] = document.getElementById('historyList').children.map(element => element.innerHTML);
+    [recordHtml, historyHtml].forEach(html => {
+        assert.ok(!html.includes('<img'), html);
+        assert.ok(html.includes('&lt;img src=x onerror=&quot;alert(1)&quot;&gt;'));
+    });
+});
+
+test('设置中不包含 secret 字段', () => {
+    const fields = {
+        aliyun: [{ key: 'accessKeyId' }, { key: 'accessKeySecret', secret: true }, { key: 'appKey' }],
+        dashscope: [{ key: 'apiKey', secret: true }, { key: 'model' }]
+    };
+    const configs = {
+        aliyun: { accessKeyId: 'id', accessKeySecret: 'secret', appKey: 'app' },
+        dashscope: { apiKey: 'key', model: 'qwen-audio-turbo' }
+    };
+
+    assert.deepEqual(stripSecretSettings(configs, fields), {
+        aliyun: { accessKeyId: 'id', appKey: 'app' },
+        dashscope: { model: 'qwen-audio-turbo' }
+    });
+});
@@ -0,0 +1,158 @@
+// 识别连接管理测试
+// 运行: node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { ConnectionManager, CONNECTION_STATES, getReconnectDelay } = require('../connection-manager.js');
+
+const tick = (ms = 0) => new Promise(resolve => setTimeout(resolve, ms));
+
+// connect 按顺序返回预设的结果，true 表示连接成功并可以识别
+function createManager(t, results, { connectMs = 0, ...options } = {}) {
+    const states = [];
+    const aborted = [];
+    let clock = 0;
+    let connects = 0;
+    const manager = new ConnectionManager({
+        connect: async () => {
+            connects++;
+            clock += connectMs;
+            const next = results.length > 1 ? results.shift() : results[0];
+            if (next instanceof Error) throw next;
+            if (next === true) manager.markConnected();
+        },
+        onAbort: (reason) => aborted.push(reason),
+        onStateChange: (state, info) => states.push({ state, ...info }),
+        baseDelayMs: 1,
+        maxDelayMs: 4,
+        checkIntervalMs: 60000,
+        now: () => clock,
+        random: () => 1,
+        ...options
+    });
+    t.after(() => manager.stop());
+    return {
+        manager,
+        states,
+        aborted,
+        advance: (ms) => { clock += ms; },
+        get connects() { return connects; }
+    };
+}
+
+test('重连间隔按指数增长并有上限，在上限的一半到上限之间随机', () => {
+    const options = { baseMs: 1000, maxMs: 8000 };
+    assert.deepEqual([1, 2, 3, 4, 5].map(attempt => getReconnectDelay(attempt, { ...options, random: () => 1 })), [1000, 2000, 4000, 8000, 8000]);
+    assert.deepEqual([1, 2, 3, 4, 5].map(attempt => getReconnectDelay(attempt, { ...options, random: () => 0 })), [500, 1000, 2000, 4000, 4000]);
+});
+
+test('测试进行中连接失败时不限次数重连，恢复后报告中断时长', async (t) => {
+    const failure = new Error('WebSocket连接关闭 (1006)');
+    const ctx = createManager(t, [failure, failure, failure, failure, failure, true], { connectMs: 500 });
+
+    ctx.manager.start();
+    await tick(100);
+
+    assert.equal(ctx.connects, 6);
+    assert.equal(ctx.manager.state, CONNECTION_STATES.CONNECTED);
+    const reconnecting = ctx.states.filter(item => item.state === CONNECTION_STATES.RECONNECTING);
+    assert.deepEqual(reconnecting.map(item => item.attempt), [1, 2, 3, 4, 5]);
+    assert.deepEqual(reconnecting.map(item => item.delayMs), [1, 2, 4, 4, 4]);
+    assert.equal(reconnecting[0].reason, 'WebSocket连接关闭 (1006)');
+    const connected = ctx.states[ctx.states.length - 1];
+    assert.equal(connected.attempt, 5);
+    assert.equal(connected.downtimeMs, 2500);
+    assert.equal(ctx.manager.attempt, 0);
+});
+
+test('连接关闭和连接失败同时到达时只算一次重连，测试结束后不再重连', async (t) => {
+    const ctx = createManager(t, [true]);
+    ctx.manager.start();
+    await tick();
+    assert.equal(ctx.manager.state, CONNECTION_STATES.CONNECTED);
+
+    ctx.manager.markLost('连接断开 (1006)');
+    ctx.manager.markLost('WebSocket连接关闭 (1006)');
+    assert.equal(ctx.manager.attempt, 1);
+
+    ctx.manager.stop();
+    await tick(20);
+    assert.equal(ctx.connects, 1);
+    assert.equal(ctx.manager.state, CONNECTION_STATES.IDLE);
+    ctx.manager.markLost('连接断开 (1000)');
+    assert.equal(ctx.manager.state, CONNECTION_STATES.IDLE);
+});
+
+test('认证失败等无法恢复的错误停止重连，再次开始识别时重新连接', async (t) => {
+    const ctx = createManager(t, [new Error('认证失败'), true]);
+    ctx.manager.start();
+    ctx.manager.markLost('认证失败', { permanent: true });
+    await tick(20);
+
+    assert.equal(ctx.manager.state, CONNECTION_STATES.FAILED);
+    assert.equal(ctx.connects, 1);
+
+    ctx.manager.start();
+    await tick();
+    assert.equal(ctx.manager.state, CONNECTION_STATES.CONNECTED);
+});
+
+test('说话后长时间没有识别事件判定为停滞并重连，静音不判定', async (t) => {
+    const ctx = createManager(t, [true], { stallTimeoutMs: 15000 });
+    ctx.manager.start();
+    await tick();
+
+    // 只发送静音
+    ctx.manager.noteAudioSent(false);
+    ctx.advance(60000);
+    ctx.manager.checkHealth();
+    assert.equal(ctx.aborted.length, 0);
+
+    // 说话后有识别事件
+    ctx.manager.noteAudioSent(true);
+    ctx.advance(10000);
+    ctx.manager.noteActivity();
+    ctx.advance(10000);
+    ctx.manager.checkHealth();
+    assert.equal(ctx.aborted.length, 0);
+
+    ctx.manager.noteAudioSent(true);
+    ctx.advance(15000);
+    ctx.manager.checkHealth();
+    assert.equal(ctx.aborted.length, 1);
+    assert.match(ctx.aborted[0], /停滞/);
+    assert.equal(ctx.manager.state, CONNECTION_STATES.RECONNECTING);
+
+    await tick(20);
+    assert.equal(ctx.manager.state, CONNECTION_STATES.CONNECTED);
+    assert.equal(ctx.connects, 2);
+});
+
+test('连接发起后迟迟不能识别按超时处理，离线时等网络恢复再连', async (t) => {
+    let online = true;
+    const ctx = createManager(t, [undefined], {
+        connectTimeoutMs: 15000,
+        canConnect: () => online,
+        baseDelayMs: 60000,
+        maxDelayMs: 60000
+    });
+    ctx.manager.start();
+    await tick();
+    assert.equal(ctx.manager.state, CONNECTION_STATES.CONNECTING);
+
+    ctx.advance(15000);
+    ctx.manager.checkHealth();
+    assert.deepEqual(ctx.aborted, ['连接超时']);
+    assert.equal(ctx.manager.state, CONNECTION_STATES.RECONNECTING);
+
+    online = false;
+    ctx.manager.retryNow();
+    assert.equal(ctx.connects, 1);
+    assert.equal(ctx.states[ctx.states.length - 1].reason, '网络已断开');
+
+    online = true;
+    ctx.manager.retryNow();
+    await tick();
+    assert.equal(ctx.connects, 2);
+});
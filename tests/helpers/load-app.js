@@ -0,0 +1,60 @@
+// 在 vm 中按 index.html 的顺序加载页面脚本，用于测试 app.js 中 RoadTestRecorder 的方法
+// 只提供脚本加载时用到的 document/window；不创建 RoadTestRecorder 实例（构造函数会初始化录音、存储等），
+// 测试用 Object.create(RoadTestRecorder.prototype) 得到对象后只设置被测方法需要的字段。
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const root = path.join(__dirname, '..', '..');
+
+// 只记录 innerHTML 和子节点的元素
+function createElement(tagName) {
+    return {
+        tagName: tagName.toUpperCase(),
+        className: '',
+        dataset: {},
+        style: {},
+        innerHTML: '',
+        textContent: '',
+        children: [],
+        appendChild(child) {
+            this.children.push(child);
+            return child;
+        },
+        addEventListener() {},
+        removeEventListener() {}
+    };
+}
+
+function createDocument() {
+    const elements = new Map();
+    return {
+        elements,
+        getElementById(id) {
+            if (!elements.has(id)) elements.set(id, createElement('div'));
+            return elements.get(id);
+        },
+        createElement,
+        querySelector: () => null,
+        querySelectorAll: () => [],
+        addEventListener() {}
+    };
+}
+
+function loadApp() {
+    const html = fs.readFileSync(path.join(root, 'index.html'), 'utf8');
+    const scripts = [...html.matchAll(/<script src="([^"]+)"><\/script>/g)].map(match => match[1]);
+
+    const document = createDocument();
+    const context = vm.createContext({ console, document, setTimeout, clearTimeout, URL, Blob, TextEncoder });
+    context.window = context;
+    scripts.forEach(file => {
+        vm.runInContext(fs.readFileSync(path.join(root, file), 'utf8'), context, { filename: file });
+    });
+    // class 声明不会成为全局对象的属性
+    const RoadTestRecorder = vm.runInContext('RoadTestRecorder', context);
+    return { context, document, RoadTestRecorder };
+}
+
+module.exports = { loadApp };
@@ -0,0 +1,127 @@
+// 测试用的 WebSocket 客户端，接口与浏览器的 WebSocket 一致（onopen/onmessage/onclose/onerror、send、close）
+// Node 22 起有全局 WebSocket，Node 20 没有；这里只用内置模块，帧格式复用模拟服务的实现。
+
+const http = require('node:http');
+const crypto = require('node:crypto');
+
+const { encodeFrame, decodeFrame, OPCODES } = require('../../tools/mock-nls-server.js');
+
+// 客户端发出的帧必须加掩码
+function maskFrame(frame) {
+    const lengthByte = frame[1] & 0x7F;
+    const headerLength = lengthByte === 127 ? 10 : lengthByte === 126 ? 4 : 2;
+    const mask = crypto.randomBytes(4);
+    const payload = Buffer.from(frame.subarray(headerLength));
+    for (let i = 0; i < payload.length; i++) {
+        payload[i] ^= mask[i % 4];
+    }
+    const header = Buffer.from(frame.subarray(0, headerLength));
+    header[1] |= 0x80;
+    return Buffer.concat([header, mask, payload]);
+}
+
+class TestWebSocket {
+    constructor(url) {
+        this.url = url;
+        this.readyState = TestWebSocket.CONNECTING;
+        this.binaryType = 'arraybuffer';
+        this.onopen = null;
+        this.onmessage = null;
+        this.onclose = null;
+        this.onerror = null;
+        this.socket = null;
+        this.buffer = Buffer.alloc(0);
+        this.closeCode = null;
+
+        const { hostname, port, pathname, search } = new URL(url);
+        const request = http.request({
+            hostname,
+            port,
+            path: pathname + search,
+            headers: {
+                Connection: 'Upgrade',
+                Upgrade: 'websocket',
+                'Sec-WebSocket-Version': '13',
+                'Sec-WebSocket-Key': crypto.randomBytes(16).toString('base64')
+            }
+        });
+        request.on('upgrade', (res, socket) => this.handleOpen(socket));
+        request.on('response', () => this.handleFailure());
+        request.on('error', () => this.handleFailure());
+        request.end();
+    }
+
+    handleOpen(socket) {
+        // 连接建立前已经调用过 close
+        if (this.readyState === TestWebSocket.CLOSED) {
+            socket.destroy();
+            return;
+        }
+        this.socket = socket;
+        this.readyState = TestWebSocket.OPEN;
+        socket.on('data', (data) => this.handleData(data));
+        socket.on('close', () => this.finish(this.closeCode || 1006));
+        socket.on('error', () => {});
+        if (this.onopen) this.onopen({ type: 'open' });
+    }
+
+    handleFailure() {
+        if (this.readyState === TestWebSocket.CLOSED) return;
+        if (this.onerror) this.onerror({ type: 'error' });
+        this.finish(1006);
+    }
+
+    handleData(data) {
+        this.buffer = Buffer.concat([this.buffer, data]);
+        let frame;
+        while ((frame = decodeFrame(this.buffer))) {
+            this.buffer = this.buffer.subarray(frame.frameLength);
+            if (frame.opcode === OPCODES.CLOSE) {
+                this.closeCode = frame.payload.length >= 2 ? frame.payload.readUInt16BE(0) : 1005;
+                this.socket.end();
+            } else if (frame.opcode === OPCODES.TEXT && this.onmessage) {
+                this.onmessage({ data: frame.payload.toString('utf8') });
+            } else if (frame.opcode === OPCODES.BINARY && this.onmessage) {
+                const { buffer, byteOffset, byteLength } = frame.payload;
+                this.onmessage({ data: buffer.slice(byteOffset, byteOffset + byteLength) });
+            }
+        }
+    }
+
+    finish(code) {
+        if (this.readyState === TestWebSocket.CLOSED) return;
+        this.readyState = TestWebSocket.CLOSED;
+        if (this.onclose) this.onclose({ type: 'close', code, wasClean: code !== 1006 });
+    }
+
+    send(data) {
+        if (this.readyState !== TestWebSocket.OPEN) {
+            throw new Error('WebSocket is not open');
+        }
+        const frame = typeof data === 'string'
+            ? encodeFrame(OPCODES.TEXT, Buffer.from(data, 'utf8'))
+            : encodeFrame(OPCODES.BINARY, Buffer.from(ArrayBuffer.isView(data) ? data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength) : data));
+        this.socket.write(maskFrame(frame));
+    }
+
+    close(code = 1000) {
+        if (this.readyState === TestWebSocket.CONNECTING) {
+            this.readyState = TestWebSocket.CLOSED;
+            return;
+        }
+        if (this.readyState !== TestWebSocket.OPEN) return;
+        this.readyState = TestWebSocket.CLOSING;
+        const payload = Buffer.alloc(2);
+        payload.writeUInt16BE(code, 0);
+        this.closeCode = code;
+        this.socket.write(maskFrame(encodeFrame(OPCODES.CLOSE, payload)));
+        this.socket.end();
+    }
+}
+
+TestWebSocket.CONNECTING = 0;
+TestWebSocket.OPEN = 1;
+TestWebSocket.CLOSING = 2;
+TestWebSocket.CLOSED = 3;
+
+module.exports = { TestWebSocket };
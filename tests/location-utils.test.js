@@ -0,0 +1,83 @@
+// 定位工具测试
+// 运行: node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { MAX_FIX_AGE_MS, toLocationFix, describeLocationError, pickRecordLocation } = require('../location-utils.js');
+
+const START = Date.UTC(2025, 0, 1, 8, 0, 0);
+const fixAt = (second, extra = {}) => ({
+    timestamp: new Date(START + second * 1000).toISOString(),
+    lat: 31.2 + second / 10000,
+    lon: 121.4,
+    accuracy: 5,
+    speed: 10,
+    heading: 90,
+    ...extra
+});
+const time = (second) => START + second * 1000;
+
+// 与浏览器的 GeolocationPositionError 一样，错误码常量在错误对象上
+const positionError = (code) => ({ code, message: '', PERMISSION_DENIED: 1, POSITION_UNAVAILABLE: 2, TIMEOUT: 3 });
+
+test('定位结果转为轨迹点，无法测得的速度和航向为 null', () => {
+    const fix = toLocationFix({
+        timestamp: START,
+        coords: { latitude: 31.2, longitude: 121.4, accuracy: 12.6, speed: NaN, heading: null }
+    });
+    assert.deepEqual(fix, {
+        timestamp: '2025-01-01T08:00:00.000Z',
+        lat: 31.2,
+        lon: 121.4,
+        accuracy: 13,
+        speed: null,
+        heading: null
+    });
+
+    assert.equal(toLocationFix({ timestamp: START, coords: { latitude: 0, longitude: 0, accuracy: 1, speed: 8.5, heading: 179.6 } }).heading, 180);
+});
+
+test('定位失败时区分未授权、超时和信号弱', () => {
+    assert.equal(describeLocationError(positionError(1)), '未授权');
+    assert.equal(describeLocationError(positionError(3)), '定位超时');
+    assert.equal(describeLocationError(positionError(2)), '信号弱');
+});
+
+test('未授权定位时没有任何定位点，记录不带位置', () => {
+    assert.equal(pickRecordLocation(time(0), { isCurrentSession: true, now: time(0) }), null);
+});
+
+test('实时记录使用最新定位，还没写入轨迹的定位也可以使用', () => {
+    const track = [fixAt(0), fixAt(10)];
+    const location = pickRecordLocation(time(11), { track, lastFix: fixAt(10.5), isCurrentSession: true, now: time(11) });
+
+    assert.equal(location.fixTime, fixAt(10.5).timestamp);
+    assert.deepEqual(Object.keys(location), ['lat', 'lon', 'accuracy', 'speed', 'heading', 'fixTime']);
+});
+
+test('定位超时后最后一个定位太旧，不再关联到记录', () => {
+    const track = [fixAt(0), fixAt(10)];
+    const options = { track, lastFix: fixAt(10), isCurrentSession: true };
+
+    const justInTime = time(10) + MAX_FIX_AGE_MS;
+    assert.equal(pickRecordLocation(justInTime, { ...options, now: justInTime }).fixTime, fixAt(10).timestamp);
+    assert.equal(pickRecordLocation(justInTime + 1, { ...options, now: justInTime + 1 }), null);
+    assert.equal(pickRecordLocation(time(50), { ...options, now: time(50), maxAge: 60000 }).fixTime, fixAt(10).timestamp);
+});
+
+test('实时记录只看最近的轨迹点，补记的记录在整条轨迹中查找', () => {
+    const track = Array.from({ length: 100 }, (_, second) => fixAt(second));
+
+    // 时间较早的记录（补记）找到对应时间的定位
+    const deferred = pickRecordLocation(time(5), { track, isCurrentSession: true, now: time(100) });
+    assert.equal(deferred.fixTime, fixAt(5).timestamp);
+
+    // 其他测试的记录同样在整条轨迹中查找
+    const otherSession = pickRecordLocation(time(5), { track, isCurrentSession: false, now: time(6) });
+    assert.equal(otherSession.fixTime, fixAt(5).timestamp);
+
+    // 当前测试中的实时记录：较早的轨迹点不在查找范围内
+    const live = pickRecordLocation(time(79), { track, isCurrentSession: true, now: time(79) });
+    assert.equal(live.fixTime, fixAt(80).timestamp);
+});
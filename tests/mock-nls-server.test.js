@@ -0,0 +1,127 @@
+// 模拟识别服务测试
+// 运行: node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+
+const { createMockNlsServer, STATUS } = require('../tools/mock-nls-server.js');
+const { TestWebSocket } = require('./helpers/websocket-client.js');
+
+const hexId = () => crypto.randomBytes(16).toString('hex');
+const command = (name, taskId, payload = {}) => JSON.stringify({
+    header: { namespace: 'SpeechTranscriber', name, task_id: taskId, message_id: hexId(), appkey: 'test-appkey' },
+    payload
+});
+const audio = (ms) => new Int16Array(16 * ms); // 16kHz 单声道
+
+async function startMock(t, options) {
+    const mock = createMockNlsServer({ quiet: true, ...options });
+    const { port } = await mock.listen(0);
+    t.after(() => mock.close());
+    return { mock, url: `ws://127.0.0.1:${port}/ws/v1` };
+}
+
+// 连接并收集服务端事件，next(name) 等待下一个指定名称的事件
+function connect(url) {
+    const ws = new TestWebSocket(url);
+    const events = [];
+    const waiters = [];
+    const flush = () => {
+        waiters.slice().forEach(waiter => {
+            const index = events.findIndex(event => event.header.name === waiter.name);
+            if (index >= 0) {
+                waiters.splice(waiters.indexOf(waiter), 1);
+                waiter.resolve(events.splice(index, 1)[0]);
+            }
+        });
+    };
+    ws.onmessage = ({ data }) => {
+        events.push(JSON.parse(data));
+        flush();
+    };
+    const closed = new Promise(resolve => {
+        ws.onclose = (event) => resolve(event.code);
+    });
+    const opened = new Promise((resolve, reject) => {
+        ws.onopen = resolve;
+        ws.onerror = () => reject(new Error('连接失败'));
+    });
+    return {
+        ws,
+        opened,
+        closed,
+        events,
+        next: (name) => new Promise(resolve => {
+            waiters.push({ name, resolve });
+            flush();
+        })
+    };
+}
+
+test('识别流程: 开始识别、按音频时长返回句子、结束识别', async (t) => {
+    const { url } = await startMock(t, {
+        script: { loop: false, sentences: [{ text: '安全接管压线了', gapMs: 200, durationMs: 600 }] }
+    });
+    const client = connect(url);
+    await client.opened;
+
+    const taskId = hexId();
+    client.ws.send(command('StartTranscription', taskId, { format: 'pcm', sample_rate: 16000 }));
+    const started = await client.next('TranscriptionStarted');
+    assert.equal(started.header.status, STATUS.SUCCESS);
+    assert.equal(started.header.task_id, taskId);
+
+    for (let i = 0; i < 10; i++) {
+        client.ws.send(audio(100));
+    }
+    const sentenceEnd = await client.next('SentenceEnd');
+    assert.equal(sentenceEnd.payload.result, '安全接管压线了');
+    assert.equal(sentenceEnd.payload.begin_time, 200);
+    assert.equal(sentenceEnd.payload.time, 800);
+
+    client.ws.send(command('StopTranscription', taskId));
+    await client.next('TranscriptionCompleted');
+    const names = client.events.map(event => event.header.name);
+    assert.ok(names.includes('SentenceBegin'));
+    assert.ok(names.includes('TranscriptionResultChanged'));
+    client.ws.close();
+    assert.equal(await client.closed, 1000);
+});
+
+test('需要Token时无效Token返回 40400018 并关闭连接，签发的Token可以识别', async (t) => {
+    const { mock, url } = await startMock(t, { requireToken: true });
+
+    const rejected = connect(`${url}?token=not-issued`);
+    await rejected.opened;
+    rejected.ws.send(command('StartTranscription', hexId()));
+    const failed = await rejected.next('TaskFailed');
+    assert.equal(failed.header.status, STATUS.INVALID_TOKEN);
+    assert.match(failed.header.status_text, /invalid/);
+    assert.equal(await rejected.closed, 1000);
+
+    const accepted = connect(`${url}?token=${mock.issueToken().Id}`);
+    await accepted.opened;
+    accepted.ws.send(command('StartTranscription', hexId()));
+    await accepted.next('TranscriptionStarted');
+    accepted.ws.close();
+    await accepted.closed;
+});
+
+test('脚本中的 drop 事件在指定音频时长处直接断开连接', async (t) => {
+    const { mock, url } = await startMock(t, {
+        script: { sentences: ['压线'], events: [{ atMs: 300, type: 'drop' }] }
+    });
+    const client = connect(url);
+    await client.opened;
+    client.ws.send(command('StartTranscription', hexId()));
+    await client.next('TranscriptionStarted');
+
+    for (let i = 0; i < 5; i++) {
+        client.ws.send(audio(100));
+    }
+    // 没有收到关闭帧，与网络中断一样是 1006
+    assert.equal(await client.closed, 1006);
+    assert.equal(client.events.filter(event => event.header.name === 'TaskFailed').length, 0);
+    assert.equal(mock.connections.size, 0);
+});
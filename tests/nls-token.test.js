@@ -0,0 +1,127 @@
+// Token服务测试
+// 运行: node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const http = require('node:http');
+
+const { createTokenBroker, signCreateTokenUrl, readEnvConfig } = require('../api/nls-token.js');
+const { createMockNlsServer } = require('../tools/mock-nls-server.js');
+
+const KEYS = { accessKeyId: 'test-id', accessKeySecret: 'test-secret' };
+
+// 用 Node 的 http 模块运行处理函数，与 Vercel 的 (req, res) 接口一致
+async function startBroker(options) {
+    const server = http.createServer(createTokenBroker(options));
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const base = `http://127.0.0.1:${server.address().port}/api/nls-token`;
+    return { server, base, close: () => new Promise(resolve => server.close(resolve)) };
+}
+
+test('CreateToken 签名按阿里云规范生成', () => {
+    const url = new URL(signCreateTokenUrl({
+        ...KEYS,
+        tokenUrl: 'https://nls-meta.cn-shanghai.aliyuncs.com/',
+        timestamp: '2025-03-01T12:00:00Z',
+        nonce: 'abc'
+    }));
+    const params = Object.fromEntries(url.searchParams);
+    assert.equal(params.Action, 'CreateToken');
+    assert.equal(params.AccessKeyId, 'test-id');
+
+    const { Signature, ...signed } = params;
+    const query = Object.keys(signed).sort()
+        .map(key => `${encodeURIComponent(key)}=${encodeURIComponent(signed[key])}`)
+        .join('&');
+    const expected = crypto.createHmac('sha1', 'test-secret&')
+        .update(`GET&%2F&${encodeURIComponent(query)}`)
+        .digest('base64');
+    assert.equal(Signature, expected);
+});
+
+test('环境变量中的允许列表按逗号拆分', () => {
+    const config = readEnvConfig({ ALIYUN_ACCESS_KEY_ID: 'id', NLS_APP_KEYS: 'a, b', ALLOWED_ORIGINS: '' });
+    assert.deepEqual(config.appKeys, ['a', 'b']);
+    assert.deepEqual(config.allowedOrigins, []);
+    assert.equal(config.accessKeySecret, '');
+});
+
+test('从 CreateToken 获取Token并在过期前复用', async (t) => {
+    const mock = createMockNlsServer({ script: { sentences: ['压线'] }, quiet: true, tokenTtl: 3600 });
+    const { port } = await mock.listen(0);
+    const broker = await startBroker({ ...KEYS, appKeys: ['app-1'], tokenUrl: `http://127.0.0.1:${port}/` });
+    t.after(() => Promise.all([broker.close(), mock.close()]));
+
+    const first = await fetch(`${broker.base}?appkey=app-1`);
+    assert.equal(first.status, 200);
+    assert.equal(first.headers.get('cache-control'), 'no-store');
+    const { Token } = await first.json();
+    assert.match(Token.Id, /^[0-9a-f]{32}$/);
+    assert.ok(Token.ExpireTime > Date.now() / 1000);
+
+    const second = await (await fetch(`${broker.base}?appkey=app-1`)).json();
+    assert.equal(second.Token.Id, Token.Id);
+});
+
+test('拒绝未配置的 App Key、其它网站和未配置密钥的服务', async (t) => {
+    let calls = 0;
+    const fetchStub = async () => {
+        calls++;
+        return { ok: true, status: 200, json: async () => ({ Token: { Id: 'token-1', ExpireTime: Math.floor(Date.now() / 1000) + 3600 } }) };
+    };
+    const broker = await startBroker({ ...KEYS, appKeys: ['app-1'], allowedOrigins: ['https://recorder.example.com'], fetch: fetchStub });
+    const unconfigured = await startBroker({ accessKeyId: '', accessKeySecret: '', fetch: fetchStub });
+    t.after(() => Promise.all([broker.close(), unconfigured.close()]));
+
+    assert.equal((await fetch(`${broker.base}?appkey=other`)).status, 403);
+    assert.equal((await fetch(`${broker.base}?appkey=app-1`, { headers: { Origin: 'https://evil.example.com' } })).status, 403);
+    assert.equal((await fetch(`${unconfigured.base}?appkey=app-1`)).status, 500);
+    assert.equal(calls, 0);
+
+    const allowed = await fetch(`${broker.base}?appkey=app-1`, { headers: { Origin: 'https://recorder.example.com' } });
+    assert.equal(allowed.status, 200);
+    assert.equal(allowed.headers.get('access-control-allow-origin'), 'https://recorder.example.com');
+});
+
+test('设置了 NLS_BROKER_KEY 时要求请求带相同的密钥，Origin 可以伪造', async (t) => {
+    let calls = 0;
+    const fetchStub = async () => {
+        calls++;
+        return { ok: true, status: 200, json: async () => ({ Token: { Id: 'token-1', ExpireTime: Math.floor(Date.now() / 1000) + 3600 } }) };
+    };
+    const config = readEnvConfig({ ALIYUN_ACCESS_KEY_ID: 'test-id', ALIYUN_ACCESS_KEY_SECRET: 'test-secret', NLS_BROKER_KEY: 'broker-secret', ALLOWED_ORIGINS: 'https://recorder.example.com' });
+    const broker = await startBroker({ ...config, fetch: fetchStub });
+    t.after(() => broker.close());
+
+    const forged = { Origin: 'https://recorder.example.com' };
+    assert.equal((await fetch(`${broker.base}?appkey=app-1`, { headers: forged })).status, 401);
+    const wrongKey = await fetch(`${broker.base}?appkey=app-1`, { headers: { ...forged, 'X-Broker-Key': 'guess' } });
+    assert.equal(wrongKey.status, 401);
+    assert.equal((await wrongKey.json()).Code, 'Unauthorized.BrokerKey');
+    assert.equal(calls, 0);
+
+    const preflight = await fetch(`${broker.base}?appkey=app-1`, { method: 'OPTIONS', headers: forged });
+    assert.equal(preflight.status, 204);
+    assert.match(preflight.headers.get('access-control-allow-headers'), /X-Broker-Key/);
+
+    const allowed = await fetch(`${broker.base}?appkey=app-1`, { headers: { ...forged, 'X-Broker-Key': 'broker-secret' } });
+    assert.equal(allowed.status, 200);
+    assert.equal((await allowed.json()).Token.Id, 'token-1');
+});
+
+test('CreateToken 失败时返回 502 和阿里云的错误信息', async (t) => {
+    const fetchStub = async () => ({
+        ok: false,
+        status: 400,
+        json: async () => ({ Code: 'InvalidAccessKeyId.NotFound', Message: 'Specified access key is not found.' })
+    });
+    const broker = await startBroker({ ...KEYS, fetch: fetchStub });
+    t.after(() => broker.close());
+
+    const response = await fetch(`${broker.base}?appkey=app-1`);
+    assert.equal(response.status, 502);
+    const body = await response.json();
+    assert.equal(body.Code, 'InvalidAccessKeyId.NotFound');
+    assert.match(body.Message, /Specified access key/);
+});
@@ -0,0 +1,48 @@
+// 离线缓存测试
+// 运行: node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+
+const root = path.join(__dirname, '..');
+const read = (file) => fs.readFileSync(path.join(root, file), 'utf8');
+
+// sw.js 运行在Service Worker中，这里只读取其中的 APP_SHELL 列表
+function loadAppShell() {
+    const match = read('sw.js').match(/const APP_SHELL = (\[[\s\S]*?\]);/);
+    assert.ok(match, 'sw.js 中应定义 APP_SHELL');
+    return JSON.parse(match[1].replace(/'/g, '"'));
+}
+
+test('index.html 引用的本地文件都在离线缓存中', () => {
+    const appShell = loadAppShell();
+    const html = read('index.html');
+    const referenced = [...html.matchAll(/(?:src|href)="([^"#:]+)"/g)].map(match => match[1]);
+
+    assert.ok(referenced.includes('app.js'));
+    referenced.forEach(file => {
+        assert.ok(appShell.includes(file), `${file} 不在 APP_SHELL 中`);
+    });
+});
+
+test('manifest 的图标都在离线缓存中', () => {
+    const appShell = loadAppShell();
+    const manifest = JSON.parse(read('manifest.webmanifest'));
+
+    assert.equal(manifest.display, 'standalone');
+    assert.ok(manifest.icons.some(icon => icon.sizes === '192x192'));
+    assert.ok(manifest.icons.some(icon => icon.sizes === '512x512'));
+    manifest.icons.forEach(icon => {
+        assert.ok(appShell.includes(icon.src), `${icon.src} 不在 APP_SHELL 中`);
+    });
+});
+
+test('离线缓存中的文件都存在', () => {
+    loadAppShell()
+        .filter(file => file !== './')
+        .forEach(file => {
+            assert.ok(fs.existsSync(path.join(root, file)), `${file} 不存在`);
+        });
+});
@@ -0,0 +1,52 @@
+// 录音采集测试
+// 运行: node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { PcmFramer } = require('../pcm-capture-worklet.js');
+const { floatTo16BitPCM, concatInt16 } = require('../audio-utils.js');
+
+function sine(length, sampleRate, frequency = 440, amplitude = 0.5) {
+    return Float32Array.from({ length }, (_, i) => amplitude * Math.sin(2 * Math.PI * frequency * i / sampleRate));
+}
+
+// 按 chunkSize 分块送入（AudioWorklet 每次 128 个样本），返回输出的包
+function run(options, input, chunkSize = 128) {
+    const frames = [];
+    const framer = new PcmFramer({ ...options, onFrame: frame => frames.push(frame) });
+    for (let offset = 0; offset < input.length; offset += chunkSize) {
+        framer.push(input.subarray(offset, offset + chunkSize));
+    }
+    return { framer, frames };
+}
+
+test('48kHz 降采样到 16kHz 并按 100ms 分包', () => {
+    const { frames } = run({ inputSampleRate: 48000 }, new Float32Array(48000).fill(0.5));
+
+    assert.equal(frames.length, 10);
+    assert.ok(frames.every(frame => frame instanceof Int16Array && frame.length === 1600));
+    assert.ok(frames.every(frame => frame.every(sample => sample === 16383)));
+});
+
+test('分块送入与一次送入的结果相同，44.1kHz 每秒输出 16000 个样本', () => {
+    const input = sine(44100 * 2, 44100);
+    const collect = (chunkSize) => concatInt16(run({ inputSampleRate: 44100, frameMs: 1 }, input, chunkSize).frames);
+    const chunked = collect(128);
+    const whole = collect(input.length);
+
+    assert.deepEqual(chunked, whole);
+    assert.ok(Math.abs(chunked.length - 32000) <= 16);
+    // 440Hz 低于 8kHz，降采样后仍是同样的正弦波
+    const expected = sine(chunked.length, 16000);
+    const maxError = chunked.reduce((max, sample, i) => Math.max(max, Math.abs(sample / 0x8000 - expected[i])), 0);
+    assert.ok(maxError < 0.05, `误差 ${maxError}`);
+});
+
+test('采样率已是 16kHz 时只转换格式，凑满一包才输出', () => {
+    const input = sine(2000, 16000);
+    const { frames } = run({ inputSampleRate: 16000 }, input, 100);
+
+    assert.equal(frames.length, 1);
+    assert.deepEqual(frames[0], floatTo16BitPCM(input).slice(0, 1600));
+});
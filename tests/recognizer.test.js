@@ -0,0 +1,142 @@
+// 语音文本识别测试
+// 运行: node --test tests/
+// 语料见 fixtures/recognition-corpus.json，修改分类定义或识别规则后若结果变化，需要同步更新语料。
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { DEFAULT_TAXONOMY, isSafeColor, normalizeTaxonomy } = require('../taxonomy.js');
+const { IssueRecognizer } = require('../recognizer.js');
+const corpus = require('./fixtures/recognition-corpus.json');
+
+const recognizer = new IssueRecognizer(normalizeTaxonomy(DEFAULT_TAXONOMY));
+
+// 只比较类型和子类型，matchedText 随触发词变化
+function toRecords(result) {
+    return (result.records || []).map(({ type, subType }) => ({ type, subType }));
+}
+
+test('语料: 识别结果与预期记录一致', async (t) => {
+    for (const item of corpus.cases) {
+        const label = item.note ? `"${item.text}" (${item.note})` : `"${item.text}"`;
+
+        await t.test(label, () => {
+            const result = recognizer.recognize(item.text);
+            const expectedAction = item.action || (item.expected.length > 0 ? 'record' : 'none');
+
+            assert.equal(result.action, expectedAction);
+            if (item.command) {
+                assert.equal(result.command.name, item.command);
+            }
+            if (item.expected) {
+                assert.deepEqual(toRecords(result), item.expected);
+            }
+        });
+    }
+});
+
+test('直接匹配的记录使用整句原文', () => {
+    const result = recognizer.recognize('刚才有个安全问题');
+    assert.equal(result.source, 'direct');
+    assert.equal(result.records[0].matchedText, '刚才有个安全问题');
+});
+
+test('子类型识别返回命中的触发词，同一位置取最长的', () => {
+    const result = recognizer.recognize('差点撞车');
+    assert.equal(result.source, 'smart');
+    assert.equal(result.records[0].matchedText, '撞车');
+});
+
+test('isSuccessfulMatch 只对问题记录返回 true', () => {
+    assert.equal(recognizer.isSuccessfulMatch('刚才压线了'), true);
+    assert.equal(recognizer.isSuccessfulMatch('怎么用'), false);
+    assert.equal(recognizer.isSuccessfulMatch('今天天气不错'), false);
+});
+
+test('疑问提示由分类定义生成', () => {
+    const result = recognizer.recognize('怎么用');
+    assert.match(result.response, /安全接管-碰撞风险/);
+});
+
+test('只有结束和删除指令需要确认', () => {
+    assert.equal(recognizer.recognize('结束测试').command.destructive, true);
+    assert.equal(recognizer.recognize('删除上一条').command.destructive, true);
+    assert.equal(recognizer.recognize('暂停').command.destructive, false);
+});
+
+test('修改指令解析目标分类', () => {
+    const toTarget = (text) => recognizer.recognize(text).command.target;
+
+    assert.deepEqual(toTarget('修改上一条为效率接管'), { type: '效率接管', subType: '效率接管' });
+    assert.deepEqual(toTarget('修改上一条为安全'), { type: '安全接管', subType: '安全接管' });
+    assert.deepEqual(toTarget('把上一条改成画龙'), { type: '体验问题', subType: '画龙' });
+    assert.deepEqual(toTarget('修改上一条为体验问题-异响'), { type: '体验问题', subType: '异响' });
+    assert.equal(toTarget('修改上一条为天气'), null);
+});
+
+test('备注指令保留原文标点', () => {
+    assert.equal(recognizer.recognize('添加备注：前车加塞，距离很近').command.note, '前车加塞，距离很近');
+});
+
+test('自定义分类: 别名不含类型名时走 "类型-子类型" 关键词模式', () => {
+    const custom = new IssueRecognizer(normalizeTaxonomy({
+        categories: [
+            { key: 'noise', name: '噪声问题', aliases: ['噪音'], subTypes: [{ name: '胎噪', synonyms: ['胎噪'] }] }
+        ]
+    }));
+
+    const result = custom.recognize('噪声问题-异响，噪声问题-风噪');
+    assert.equal(result.source, 'keyword');
+    assert.deepEqual(toRecords(result), [
+        { type: '噪声问题', subType: '异响' },
+        { type: '噪声问题', subType: '风噪' }
+    ]);
+});
+
+test('自定义分类: 正则触发词', () => {
+    const custom = new IssueRecognizer(normalizeTaxonomy({
+        categories: [
+            { key: 'lane', name: '车道问题', aliases: [], subTypes: [{ name: '变道失败', pattern: '变道.{0,3}失败' }] }
+        ]
+    }));
+
+    assert.deepEqual(toRecords(custom.recognize('刚才变道又失败了')), [{ type: '车道问题', subType: '变道失败' }]);
+});
+
+test('setTaxonomy 后按新分类识别', () => {
+    const custom = new IssueRecognizer(normalizeTaxonomy(DEFAULT_TAXONOMY));
+    custom.setTaxonomy(normalizeTaxonomy({
+        categories: [{ key: 'other', name: '其他问题', aliases: ['其他'], subTypes: [] }]
+    }));
+
+    assert.equal(custom.recognize('刚才压线了').action, 'none');
+    assert.deepEqual(toRecords(custom.recognize('其他')), [{ type: '其他问题', subType: '其他问题' }]);
+});
+
+test('导入的分类: 颜色只接受十六进制和 rgb()，其它字段必须是字符串', () => {
+    const taxonomy = normalizeTaxonomy({
+        categories: [{
+            key: 'other',
+            name: '其他问题',
+            color: 'red;" onmouseover="alert(1)',
+            highlightColor: 'rgba(255, 0, 0, 0.5)',
+            icon: { html: '<img>' },
+            shortName: 42,
+            aliases: ['其他', 1, null]
+        }],
+        actions: { color: 'url(javascript:alert(1))', keywords: ['接管', {}] }
+    });
+
+    const [category] = taxonomy.categories;
+    assert.equal(category.color, '#a0aec0');
+    assert.equal(category.highlightColor, 'rgba(255, 0, 0, 0.5)');
+    assert.equal(category.icon, '📝');
+    assert.equal(category.shortName, '其他');
+    assert.deepEqual(category.aliases, ['其他']);
+    assert.equal(taxonomy.actions.color, DEFAULT_TAXONOMY.actions.color);
+    assert.deepEqual(taxonomy.actions.keywords, ['接管']);
+
+    assert.ok(['#fff', '#f56565', '#f5656580', 'rgb(1, 2, 3)'].every(isSafeColor));
+    assert.ok(!['red', '#ff', 'rgb(1,2,3);x', 'expression(1)'].some(isSafeColor));
+    assert.throws(() => normalizeTaxonomy({ categories: [{ key: 'a"><script>', name: 'x' }] }), /key 必须是英文标识/);
+});
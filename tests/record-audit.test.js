@@ -0,0 +1,101 @@
+// 记录修改历史测试
+// 运行: node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    diffRecordFields,
+    applyRecordDiff,
+    splitRecordDiff,
+    addRecordTombstone,
+    removeRecordTombstone
+} = require('../record-audit.js');
+
+const FIELDS = ['type', 'subType', 'severity', 'note'];
+const AT = '2025-01-01T09:00:00.000Z';
+
+const makeRecord = (extra = {}) => ({
+    id: 10,
+    sessionId: 1,
+    timestamp: '2025-01-01T08:30:00.000Z',
+    type: '安全接管',
+    subType: '压线',
+    ...extra
+});
+
+test('只比较指定字段中有变化的部分，空字符串和缺少的字段都算作没有值', () => {
+    const record = makeRecord({ note: '右转' });
+
+    assert.deepEqual(diffRecordFields(record, { subType: '压线', note: '右转' }, FIELDS), {});
+    assert.deepEqual(diffRecordFields(record, { severity: '' }, FIELDS), {});
+    assert.deepEqual(diffRecordFields(record, { subType: '画龙', note: '', id: 99 }, FIELDS), {
+        subType: { from: '压线', to: '画龙' },
+        note: { from: '右转', to: null }
+    });
+    assert.deepEqual(diffRecordFields(record, { severity: 'high' }, FIELDS), { severity: { from: null, to: 'high' } });
+});
+
+test('修改写入记录并追加修改历史，清空的字段从记录中删除', () => {
+    const record = makeRecord({ note: '右转' });
+    const diff = diffRecordFields(record, { subType: '画龙', note: '' }, FIELDS);
+
+    const entry = applyRecordDiff(record, diff, { source: 'manual', at: AT });
+    assert.equal(record.subType, '画龙');
+    assert.equal('note' in record, false);
+    assert.deepEqual(record.audit, [{ at: AT, source: 'manual', changes: diff }]);
+    assert.equal(entry, record.audit[0]);
+
+    applyRecordDiff(record, diffRecordFields(record, { severity: 'low' }, FIELDS), { source: 'voice', at: AT });
+    assert.deepEqual(record.audit.map(item => item.source), ['manual', 'voice']);
+});
+
+test('撤销时用修改前的值再修改一次，修改历史中留下撤销', () => {
+    const record = makeRecord();
+    const diff = diffRecordFields(record, { type: '体验问题', subType: '急刹' }, FIELDS);
+    const { before, after } = splitRecordDiff(diff);
+    assert.deepEqual(before, { type: '安全接管', subType: '压线' });
+    assert.deepEqual(after, { type: '体验问题', subType: '急刹' });
+
+    applyRecordDiff(record, diff, { source: 'manual', at: AT });
+    applyRecordDiff(record, diffRecordFields(record, before, FIELDS), { source: 'undo', at: AT });
+    assert.equal(record.type, '安全接管');
+    assert.equal(record.subType, '压线');
+    assert.deepEqual(record.audit.map(item => item.source), ['manual', 'undo']);
+});
+
+test('删除记录后会话上保留墓碑和删除前的修改历史，撤销删除时移除', () => {
+    const session = { id: 1 };
+    const record = makeRecord();
+    applyRecordDiff(record, diffRecordFields(record, { subType: '画龙' }, FIELDS), { source: 'manual', at: AT });
+
+    const tombstone = addRecordTombstone(session, record, { source: 'voice', at: '2025-01-01T09:05:00.000Z' });
+    assert.deepEqual(session.deletedRecords, [tombstone]);
+    assert.deepEqual(tombstone, {
+        id: 10,
+        timestamp: '2025-01-01T08:30:00.000Z',
+        type: '安全接管',
+        subType: '画龙',
+        deletedAt: '2025-01-01T09:05:00.000Z',
+        source: 'voice',
+        audit: record.audit
+    });
+
+    // 撤销后再次删除只保留最后一次
+    addRecordTombstone(session, record, { source: 'redo', at: AT });
+    assert.deepEqual(session.deletedRecords.map(item => item.source), ['redo']);
+
+    removeRecordTombstone(session, 10);
+    assert.equal('deletedRecords' in session, false);
+    removeRecordTombstone(session, 10);
+});
+
+test('没有修改过的记录删除后墓碑的修改历史为空', () => {
+    const session = { id: 1, deletedRecords: [{ id: 5 }] };
+    addRecordTombstone(session, makeRecord(), { source: 'manual', at: AT });
+
+    assert.deepEqual(session.deletedRecords.map(item => item.id), [5, 10]);
+    assert.deepEqual(session.deletedRecords[1].audit, []);
+    removeRecordTombstone(session, 10);
+    assert.deepEqual(session.deletedRecords, [{ id: 5 }]);
+});
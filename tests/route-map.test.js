@@ -0,0 +1,78 @@
+// 路线地图测试
+// 运行: node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { RouteMap, createRouteProjection, getScaleBar, findNearestFix } = require('../route-map.js');
+
+const CANVAS = { width: 600, height: 360, padding: 24 };
+const at = (second) => new Date(Date.UTC(2025, 0, 1, 8, 0, second)).toISOString();
+
+test('投影后北在上、东在右，轨迹居中并留出边距', () => {
+    const points = [{ lat: 31.2, lon: 121.4 }, { lat: 31.21, lon: 121.44 }];
+    const project = createRouteProjection(points, CANVAS);
+    const [southWest, northEast] = points.map(project);
+
+    assert.ok(northEast[0] > southWest[0]);
+    assert.ok(northEast[1] < southWest[1]);
+    [southWest, northEast].forEach(([x, y]) => {
+        assert.ok(x >= CANVAS.padding && x <= CANVAS.width - CANVAS.padding, `x=${x}`);
+        assert.ok(y >= CANVAS.padding && y <= CANVAS.height - CANVAS.padding, `y=${y}`);
+    });
+    // 经度方向更长，横向占满可用宽度，纵向居中
+    assert.equal(southWest[0], CANVAS.padding);
+    assert.equal(northEast[0], CANVAS.width - CANVAS.padding);
+    assert.ok(Math.abs((southWest[1] + northEast[1]) / 2 - CANVAS.height / 2) < 0.1);
+});
+
+test('东西和南北距离相同的两段在图上长度相同', () => {
+    // 纬度60度处经度1度的距离只有纬度1度的一半
+    const origin = { lat: 60, lon: 10 };
+    const project = createRouteProjection([origin, { lat: 60.01, lon: 10.02 }], CANVAS);
+    const [x0, y0] = project(origin);
+    const [x1] = project({ lat: 60, lon: 10.02 });
+    const [, y1] = project({ lat: 60.01, lon: 10 });
+
+    assert.ok(Math.abs((x1 - x0) - (y0 - y1)) < 1, `${x1 - x0} vs ${y0 - y1}`);
+});
+
+test('只有一个点时画在中心，按最小比例尺缩放', () => {
+    const project = createRouteProjection([{ lat: 31.2, lon: 121.4 }], CANVAS);
+
+    assert.deepEqual(project({ lat: 31.2, lon: 121.4 }), [CANVAS.width / 2, CANVAS.height / 2]);
+    assert.equal(project.metersPerPixel, 0.05);
+});
+
+test('比例尺取不超过画布四分之一宽度的整数距离', () => {
+    assert.deepEqual(getScaleBar(1, 600), { meters: 100, length: 100, label: '100 m' });
+    assert.deepEqual(getScaleBar(10, 600), { meters: 1000, length: 100, label: '1 km' });
+    assert.deepEqual(getScaleBar(0.05, 600), { meters: 5, length: 100, label: '5 m' });
+    assert.equal(getScaleBar(3, 600).meters, 200);
+});
+
+test('按时间找最近的轨迹点，相差太久或没有轨迹时找不到', () => {
+    const track = [{ timestamp: at(0), lat: 1 }, { timestamp: at(10), lat: 2 }, { timestamp: at(20), lat: 3 }];
+    const time = (second) => new Date(at(0)).getTime() + second * 1000;
+
+    assert.equal(findNearestFix(track, time(12), 30000).lat, 2);
+    assert.equal(findNearestFix(track, time(16), 30000).lat, 3);
+    assert.equal(findNearestFix(track, time(50), 30000).lat, 3);
+    assert.equal(findNearestFix(track, time(51), 30000), null);
+    assert.equal(findNearestFix([], time(0), 30000), null);
+
+    const map = new RouteMap({}, {});
+    assert.equal(map.findTrackPosition(track, at(9)).lat, 2);
+    assert.equal(map.findTrackPosition([], at(9)), null);
+});
+
+test('没有轨迹也没有带定位的记录时显示提示', () => {
+    const container = { innerHTML: '' };
+    const map = new RouteMap(container);
+
+    map.render({ name: '测试', track: [] }, [{ type: '安全接管', subType: '压线', timestamp: at(0) }]);
+    assert.match(container.innerHTML, /该测试没有GPS轨迹/);
+
+    map.render({ name: '测试' }, []);
+    assert.match(container.innerHTML, /该测试没有GPS轨迹/);
+});
@@ -0,0 +1,55 @@
+// 测试信息测试
+// 运行: node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    SESSION_METADATA_FIELDS,
+    normalizeSessionMetadata,
+    getSessionMetadataEntries,
+    matchesSessionSearch
+} = require('../session-metadata.js');
+
+const session = {
+    id: 1,
+    name: '测试_20250301_120000',
+    startTime: '2025-03-01T12:00:00.000Z',
+    vehicleId: 'A-01',
+    softwareVersion: 'v2.3.1',
+    routeName: '园区环线',
+    weather: '小雨',
+    notes: '傍晚测试'
+};
+
+test('只保留定义过的字段并去掉空白', () => {
+    assert.deepEqual(normalizeSessionMetadata({
+        vehicleId: '  A-01 ',
+        tester: '   ',
+        routeName: 42,
+        unknown: 'x'
+    }), { vehicleId: 'A-01' });
+    assert.deepEqual(normalizeSessionMetadata(null), {});
+});
+
+test('按字段定义的顺序列出已填写的测试信息', () => {
+    const entries = getSessionMetadataEntries(session);
+    assert.deepEqual(entries.map(entry => entry.key), ['vehicleId', 'softwareVersion', 'routeName', 'weather', 'notes']);
+    assert.deepEqual(entries[0], { key: 'vehicleId', label: '车辆编号', value: 'A-01' });
+    assert.deepEqual(getSessionMetadataEntries({ id: 2, name: '旧测试' }), []);
+});
+
+test('按名称和测试信息搜索，多个关键词都要命中', () => {
+    assert.ok(matchesSessionSearch(session, ''));
+    assert.ok(matchesSessionSearch(session, 'a-01'));
+    assert.ok(matchesSessionSearch(session, 'V2.3 环线'));
+    assert.ok(matchesSessionSearch(session, '20250301'));
+    assert.ok(!matchesSessionSearch(session, 'v2.3 高速'));
+});
+
+test('备注不作为筛选项，也不记住上次的值', () => {
+    const notes = SESSION_METADATA_FIELDS.find(field => field.key === 'notes');
+    assert.ok(!notes.filterable);
+    assert.ok(!notes.remember);
+    assert.ok(SESSION_METADATA_FIELDS.filter(field => field.key !== 'notes').every(field => field.filterable && field.remember));
+});
@@ -0,0 +1,95 @@
+// 测试会话恢复测试
+// 运行: node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    getSessionLastActivity,
+    closeOpenPause,
+    closeUnfinishedSession,
+    reopenUnfinishedSession,
+    buildOrphanSessions
+} = require('../session-recovery.js');
+const { getActiveDuration } = require('../session-report.js');
+
+const session = {
+    id: 1,
+    name: '测试_20250101_080000',
+    startTime: '2025-01-01T08:00:00.000Z',
+    endTime: null,
+    updatedAt: '2025-01-01T08:10:00.000Z',
+    pauses: [],
+    track: [{ timestamp: '2025-01-01T08:12:00.000Z', lat: 31, lon: 121 }]
+};
+
+const records = [
+    { id: 10, sessionId: 1, timestamp: '2025-01-01T08:05:00.000Z' },
+    { id: 11, sessionId: 1, timestamp: '2025-01-01T08:15:00.000Z' }
+];
+
+test('最后活动时间取保存时间、记录和轨迹中最晚的一个', () => {
+    assert.equal(getSessionLastActivity(session, records), '2025-01-01T08:15:00.000Z');
+    assert.equal(getSessionLastActivity(session, []), '2025-01-01T08:12:00.000Z');
+});
+
+test('继续测试时结束最后一段暂停，已结束的暂停不受影响', () => {
+    const paused = { ...session, pauses: [{ start: '2025-01-01T08:05:00.000Z', end: '2025-01-01T08:06:00.000Z' }, { start: '2025-01-01T08:20:00.000Z', end: null }] };
+    closeOpenPause(paused, '2025-01-01T08:30:00.000Z');
+    assert.deepEqual(paused.pauses.map(pause => pause.end), ['2025-01-01T08:06:00.000Z', '2025-01-01T08:30:00.000Z']);
+
+    closeOpenPause(paused, '2025-01-01T08:40:00.000Z');
+    assert.equal(paused.pauses[1].end, '2025-01-01T08:30:00.000Z');
+
+    const noPauses = { ...session, pauses: [] };
+    closeOpenPause(noPauses);
+    assert.deepEqual(noPauses.pauses, []);
+});
+
+test('暂停中结束测试时暂停到结束为止，结束后的时间不计入时长', () => {
+    const paused = { ...session, pauses: [{ start: '2025-01-01T08:20:00.000Z', end: null }] };
+    paused.endTime = '2025-01-01T08:50:00.000Z';
+    closeOpenPause(paused, paused.endTime);
+
+    assert.equal(paused.pauses[0].end, '2025-01-01T08:50:00.000Z');
+    assert.equal(getActiveDuration(paused, new Date('2025-01-01T10:00:00.000Z').getTime()), 20 * 60000);
+});
+
+test('结束未完成的会话并闭合暂停区间', () => {
+    const paused = { ...session, pauses: [{ start: '2025-01-01T08:20:00.000Z', end: null }] };
+    const closed = closeUnfinishedSession(paused, records);
+
+    assert.equal(closed.endTime, '2025-01-01T08:20:00.000Z');
+    assert.equal(closed.recordCount, 2);
+    assert.deepEqual(closed.pauses, [{ start: '2025-01-01T08:20:00.000Z', end: '2025-01-01T08:20:00.000Z' }]);
+    assert.equal(paused.pauses[0].end, null);
+});
+
+test('继续会话时把中断时间记为暂停', () => {
+    const reopened = reopenUnfinishedSession(session, records);
+    assert.equal(reopened.endTime, null);
+    assert.deepEqual(reopened.pauses, [{ start: '2025-01-01T08:15:00.000Z', end: null }]);
+});
+
+test('已暂停的会话继续时沿用原来的暂停', () => {
+    const paused = { ...session, pauses: [{ start: '2025-01-01T08:11:00.000Z', end: null }] };
+    assert.equal(reopenUnfinishedSession(paused, records).pauses.length, 1);
+});
+
+test('为孤立记录按会话ID补建会话', () => {
+    const orphans = [
+        { id: 20, sessionId: 2, sessionName: '测试_A', timestamp: '2025-01-02T09:30:00.000Z' },
+        { id: 21, sessionId: 2, sessionName: '测试_A', timestamp: '2025-01-02T09:00:00.000Z' },
+        { id: 22, sessionId: 3, timestamp: '2025-01-03T10:00:00.000Z' },
+        { id: 23, timestamp: '2025-01-03T10:00:00.000Z' }
+    ];
+    const rebuilt = buildOrphanSessions([...records, ...orphans], [session]);
+
+    assert.equal(rebuilt.length, 2);
+    assert.equal(rebuilt[0].name, '测试_A');
+    assert.equal(rebuilt[0].startTime, '2025-01-02T09:00:00.000Z');
+    assert.equal(rebuilt[0].endTime, '2025-01-02T09:30:00.000Z');
+    assert.equal(rebuilt[0].recordCount, 2);
+    assert.equal(rebuilt[1].name, '恢复的测试_3');
+    assert.equal(rebuilt[1].recovered, true);
+});
@@ -0,0 +1,142 @@
+// 测试报告测试
+// 运行: node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    escapeReportHtml,
+    countRecordsBySubType,
+    issuesPerHour,
+    getActiveElapsed,
+    getActiveDuration,
+    formatElapsed,
+    summarizeConnectionOutages,
+    buildSessionReport
+} = require('../session-report.js');
+const { DEFAULT_TAXONOMY, normalizeTaxonomy } = require('../taxonomy.js');
+
+const taxonomy = normalizeTaxonomy(DEFAULT_TAXONOMY);
+
+const session = {
+    id: 1,
+    name: '测试_20250101_080000',
+    startTime: '2025-01-01T08:00:00.000Z',
+    endTime: '2025-01-01T09:10:00.000Z',
+    pauses: [{ start: '2025-01-01T08:20:00.000Z', end: '2025-01-01T08:30:00.000Z' }],
+    track: []
+};
+
+const records = [
+    { id: 11, sessionId: 1, timestamp: '2025-01-01T08:40:00.000Z', type: '体验问题', subType: '画龙', originalText: '有点画龙' },
+    { id: 10, sessionId: 1, timestamp: '2025-01-01T08:10:00.000Z', type: '安全接管', subType: '压线', originalText: '压线了 <注意>', severity: 'high', note: '左转时' },
+    { id: 12, sessionId: 1, timestamp: '2025-01-01T08:50:00.000Z', type: '安全接管', subType: '压线', originalText: '又压线' },
+    { id: 13, sessionId: 1, timestamp: '2025-01-01T08:55:00.000Z', type: '旧类型', subType: '旧子类型', originalText: '' }
+];
+
+test('按分类定义的顺序统计类型和子类型，未知类型排在最后', () => {
+    const groups = countRecordsBySubType(records, taxonomy);
+    const safety = groups.find(group => group.name === '安全接管');
+
+    assert.deepEqual(groups.map(group => group.name), [...taxonomy.categories.map(category => category.name), '旧类型']);
+    assert.equal(safety.count, 2);
+    assert.deepEqual(safety.subTypes, [{ name: '压线', count: 2 }]);
+    assert.deepEqual(groups[groups.length - 1].subTypes, [{ name: '旧子类型', count: 1 }]);
+});
+
+test('每小时问题数按有效时长计算，不足一分钟不计算', () => {
+    assert.equal(issuesPerHour(3, 3600000 * 1.5), 2);
+    assert.equal(issuesPerHour(1, 30000), null);
+});
+
+test('记录的用时扣除此前的暂停', () => {
+    assert.equal(getActiveElapsed(session, '2025-01-01T08:10:00.000Z'), 10 * 60000);
+    assert.equal(getActiveElapsed(session, '2025-01-01T08:25:00.000Z'), 20 * 60000);
+    assert.equal(getActiveElapsed(session, '2025-01-01T08:40:00.000Z'), 30 * 60000);
+    assert.equal(formatElapsed(30 * 60000 + 5000), '30:05');
+    assert.equal(formatElapsed(3 * 3600000 + 61000), '3:01:01');
+});
+
+test('测试时长扣除暂停，暂停后继续和多次暂停都只扣除暂停区间', () => {
+    const minutes = (value) => value * 60000;
+    const at = (minute) => new Date(Date.UTC(2025, 0, 1, 8, minute)).toISOString();
+    const base = { startTime: at(0), endTime: at(60) };
+
+    assert.equal(getActiveDuration({ ...base, pauses: [] }), minutes(60));
+    assert.equal(getActiveDuration({ ...base, pauses: [{ start: at(10), end: at(25) }] }), minutes(45));
+    assert.equal(getActiveDuration({
+        ...base,
+        pauses: [{ start: at(10), end: at(15) }, { start: at(30), end: at(40) }, { start: at(50), end: at(52) }]
+    }), minutes(43));
+    // 没有 pauses 字段的旧会话
+    assert.equal(getActiveDuration({ startTime: at(0), endTime: at(5) }), minutes(5));
+});
+
+test('导出时未结束的测试和未结束的暂停都算到当前时间', () => {
+    const at = (minute) => new Date(Date.UTC(2025, 0, 1, 8, minute)).toISOString();
+    const now = new Date(at(30)).getTime();
+    const running = { startTime: at(0), endTime: null, pauses: [{ start: at(5), end: at(10) }] };
+    const paused = { ...running, pauses: [...running.pauses, { start: at(20), end: null }] };
+
+    assert.equal(getActiveDuration(running, now), 25 * 60000);
+    // 暂停中导出：当前这段暂停不计入，等到继续后才开始计时
+    assert.equal(getActiveDuration(paused, now), 15 * 60000);
+    assert.equal(getActiveDuration(paused, now + 10 * 60000), 15 * 60000);
+    assert.equal(issuesPerHour(3, getActiveDuration(paused, now)), 12);
+});
+
+test('报告包含概要、统计、时间线和转义后的原始语音', () => {
+    const html = buildSessionReport({
+        session,
+        records,
+        taxonomy,
+        duration: '1h 0m 0s',
+        activeMs: 3600000,
+        details: [{ label: '车辆编号', value: 'A-01' }],
+        severityLabels: { high: '严重' }
+    });
+
+    assert.match(html, /<title>测试_20250101_080000 - 测试报告<\/title>/);
+    assert.match(html, /1h 0m 0s（不含 1 次暂停）/);
+    assert.match(html, /<th>每小时问题数<\/th><td class="pre-line">4\.0<\/td>/);
+    assert.match(html, /<th>车辆编号<\/th><td class="pre-line">A-01<\/td>/);
+    assert.match(html, /@media print/);
+    assert.ok(html.includes(escapeReportHtml('压线了 <注意>')));
+    assert.ok(!html.includes('<注意>'));
+    assert.ok(html.includes('严重'));
+    assert.ok(!html.includes('行驶路线'));
+    // 时间线按时间排序
+    assert.ok(html.indexOf('左转时') < html.indexOf('有点画龙'));
+});
+
+test('没有记录时显示空状态，有路线时加入路线', () => {
+    const html = buildSessionReport({
+        session,
+        records: [],
+        taxonomy,
+        duration: '1h 0m 0s',
+        activeMs: 3600000,
+        routeMapHtml: '<svg class="route-map-svg"></svg>'
+    });
+
+    assert.match(html, /本次测试没有记录问题/);
+    assert.match(html, /<h2>行驶路线<\/h2>\s*<div class="route"><svg class="route-map-svg"><\/svg><\/div>/);
+});
+
+test('统计语音识别中断的次数和时长', () => {
+    const interrupted = {
+        ...session,
+        connectionEvents: [
+            { time: '2025-01-01T08:12:00.000Z', state: 'reconnecting', attempt: 1, reason: '连接断开 (1006)', delayMs: 1000 },
+            { time: '2025-01-01T08:12:01.000Z', state: 'reconnecting', attempt: 2, reason: '连接超时', delayMs: 2000 },
+            { time: '2025-01-01T08:12:20.000Z', state: 'connected', attempt: 2, downtimeMs: 20000 },
+            { time: '2025-01-01T08:45:00.000Z', state: 'connected', attempt: 1, downtimeMs: 45000 }
+        ]
+    };
+    assert.deepEqual(summarizeConnectionOutages(interrupted), { count: 2, downtimeMs: 65000 });
+    assert.deepEqual(summarizeConnectionOutages(session), { count: 0, downtimeMs: 0 });
+
+    const html = buildSessionReport({ session: interrupted, records, taxonomy, duration: '1h 0m 0s', activeMs: 3600000 });
+    assert.match(html, /<th>识别中断<\/th><td class="pre-line">2 次，共 01:05<\/td>/);
+    assert.ok(!buildSessionReport({ session, records, taxonomy, duration: '1h 0m 0s', activeMs: 3600000 }).includes('识别中断'));
+});
@@ -0,0 +1,240 @@
+// 语音识别服务测试
+// 运行: node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { WebSpeechProvider, AliyunRealtimeProvider } = require('../speech-providers.js');
+const { createMockNlsServer } = require('../tools/mock-nls-server.js');
+const { TestWebSocket } = require('./helpers/websocket-client.js');
+
+const tick = (ms = 0) => new Promise(resolve => setTimeout(resolve, ms));
+
+// 模拟浏览器的 window.SpeechRecognition 和 navigator.onLine
+// availability 不传时表示浏览器不支持设备端识别（没有 available/install）
+function installSpeechRecognition(t, { availability, installResult = true, online = true } = {}) {
+    const instances = [];
+    const calls = { available: [], install: [] };
+
+    class FakeSpeechRecognition {
+        constructor() {
+            this.started = false;
+            this.stopped = false;
+            this.aborted = false;
+            instances.push(this);
+        }
+
+        start() {
+            this.started = true;
+        }
+
+        stop() {
+            this.stopped = true;
+        }
+
+        abort() {
+            this.aborted = true;
+        }
+    }
+
+    if (availability !== undefined) {
+        FakeSpeechRecognition.available = async (options) => {
+            calls.available.push(options);
+            return availability;
+        };
+        FakeSpeechRecognition.install = async (options) => {
+            calls.install.push(options);
+            return installResult;
+        };
+    }
+
+    const previousWindow = globalThis.window;
+    const previousNavigator = Object.getOwnPropertyDescriptor(globalThis, 'navigator');
+    globalThis.window = { SpeechRecognition: FakeSpeechRecognition };
+    Object.defineProperty(globalThis, 'navigator', { value: { onLine: online }, configurable: true, writable: true });
+    t.after(() => {
+        globalThis.window = previousWindow;
+        if (previousNavigator) {
+            Object.defineProperty(globalThis, 'navigator', previousNavigator);
+        } else {
+            delete globalThis.navigator;
+        }
+    });
+
+    return { instances, calls };
+}
+
+function createProvider(t, config = {}) {
+    const provider = new WebSpeechProvider(config);
+    const events = { status: [], error: [], final: [], partial: [] };
+    Object.keys(events).forEach(name => provider.on(name, (...args) => events[name].push(args)));
+    t.after(() => provider.disconnect());
+    return { provider, events };
+}
+
+test('设备端识别可用时离线也能识别，识别时要求设备端处理', async (t) => {
+    const fake = installSpeechRecognition(t, { availability: 'available', online: false });
+    const { provider, events } = createProvider(t, { lang: 'en-US' });
+
+    await provider.connect();
+    assert.equal(provider.onDevice, true);
+    assert.deepEqual(fake.calls.available, [{ langs: ['en-US'], processLocally: true }]);
+    assert.match(events.status[0][0], /设备端/);
+
+    await provider.start();
+    const [recognition] = fake.instances;
+    assert.equal(recognition.started, true);
+    assert.equal(recognition.processLocally, true);
+    assert.equal(recognition.lang, 'en-US');
+    assert.equal(recognition.continuous, true);
+});
+
+test('语言包可下载时联网状态下先下载，离线时不下载', async (t) => {
+    const fake = installSpeechRecognition(t, { availability: 'downloadable' });
+    const { provider, events } = createProvider(t);
+
+    await provider.connect();
+    assert.equal(fake.calls.install.length, 1);
+    assert.equal(provider.onDevice, true);
+    assert.match(events.status[0][0], /下载/);
+
+    globalThis.navigator.onLine = false;
+    const offline = createProvider(t).provider;
+    await assert.rejects(offline.connect(), /当前离线，且浏览器不支持设备端识别/);
+    assert.equal(fake.calls.install.length, 1);
+});
+
+test('不支持设备端识别时离线拒绝连接，联网时使用在线识别', async (t) => {
+    const fake = installSpeechRecognition(t, { online: false });
+    const { provider, events } = createProvider(t);
+
+    await assert.rejects(provider.connect(), /当前离线/);
+
+    globalThis.navigator.onLine = true;
+    await provider.connect();
+    assert.equal(provider.onDevice, false);
+    assert.match(events.status[0][0], /在线识别/);
+
+    await provider.start();
+    assert.equal(fake.instances[0].processLocally, undefined);
+});
+
+test('浏览器自动结束识别后重新开始，停止后不再重启', async (t) => {
+    const fake = installSpeechRecognition(t, { availability: 'available' });
+    const { provider, events } = createProvider(t);
+    await provider.connect();
+    await provider.start();
+
+    const first = fake.instances[0];
+    first.onresult({
+        resultIndex: 0,
+        results: [
+            Object.assign([{ transcript: ' 压线了 ', confidence: 0.9 }], { isFinal: true }),
+            Object.assign([{ transcript: '刚才' }], { isFinal: false })
+        ]
+    });
+    assert.deepEqual(events.final, [['压线了', { confidence: 0.9 }]]);
+    assert.deepEqual(events.partial, [['刚才']]);
+
+    first.onerror({ error: 'no-speech' });
+    first.onend();
+    await tick(350);
+    assert.equal(events.error.length, 0);
+    assert.equal(fake.instances.length, 2);
+    assert.equal(fake.instances[1].started, true);
+
+    await provider.stop();
+    assert.equal(fake.instances[1].stopped, true);
+    fake.instances[1].onend();
+    await tick(350);
+    assert.equal(fake.instances.length, 2);
+});
+
+test('无法恢复的错误停止识别，网络错误照常重启', async (t) => {
+    const fake = installSpeechRecognition(t, { availability: 'unavailable' });
+    const { provider, events } = createProvider(t);
+    await provider.connect();
+    await provider.start();
+
+    fake.instances[0].onerror({ error: 'network' });
+    fake.instances[0].onend();
+    await tick(350);
+    assert.equal(events.error[0][0].code, 'network');
+    assert.match(events.error[0][0].message, /需要网络/);
+    assert.equal(fake.instances.length, 2);
+
+    for (const error of WebSpeechProvider.FATAL_ERRORS) {
+        const recognition = fake.instances[fake.instances.length - 1];
+        provider.active = true;
+        recognition.onerror({ error });
+        assert.equal(provider.active, false, error);
+        assert.equal(events.error[events.error.length - 1][0].code, error);
+
+        const count = fake.instances.length;
+        recognition.onend();
+        await tick(350);
+        assert.equal(fake.instances.length, count, error);
+        provider.startRecognition();
+    }
+});
+
+// Node 20 没有全局 WebSocket，用测试客户端代替
+function installWebSocket(t) {
+    if (typeof globalThis.WebSocket === 'function') return;
+    globalThis.WebSocket = TestWebSocket;
+    t.after(() => {
+        delete globalThis.WebSocket;
+    });
+}
+
+test('Token到期前换用新Token重新连接，识别结果不中断', async (t) => {
+    installWebSocket(t);
+    // 阿里云识别每条消息都打印日志，输出太多时 Node 20 的测试进程无法正常汇报结果
+    ['log', 'warn', 'error'].forEach(method => t.mock.method(console, method, () => {}));
+    const mock = createMockNlsServer({
+        quiet: true,
+        requireToken: true,
+        tokenTtl: 4,
+        script: { sentences: [{ text: '压线', gapMs: 100, durationMs: 300 }] }
+    });
+    const { port } = await mock.listen(0);
+    t.after(() => mock.close());
+
+    const provider = new AliyunRealtimeProvider({
+        accessKeyId: 'test-id',
+        accessKeySecret: 'test-secret',
+        appKey: 'test-appkey',
+        wsUrl: `ws://127.0.0.1:${port}/ws/v1`,
+        tokenUrl: `http://127.0.0.1:${port}/`
+    });
+    const finals = [];
+    const errors = [];
+    const statuses = [];
+    const refreshes = [];
+    provider.on('final', (text) => finals.push({ text, at: Date.now() }));
+    provider.on('error', (error) => errors.push(error));
+    provider.on('status', (status) => {
+        statuses.push(status);
+        if (/已更新Token/.test(status)) refreshes.push(Date.now());
+    });
+    t.after(() => provider.disconnect());
+
+    await provider.start();
+    // 按实时速度发送音频，每 100ms 一包，直到第二次换Token后又收到识别结果（最多 10 秒）
+    const chunk = new Int16Array(1600);
+    const finalAfter = (at) => finals.some(final => final.at > at);
+    for (let i = 0; i < 100 && !(refreshes.length >= 2 && finalAfter(refreshes[1])); i++) {
+        provider.sendAudio(chunk);
+        await tick(100);
+    }
+
+    // 4 秒的Token在剩余一半时换新，不等服务端返回 40400018
+    assert.ok(refreshes.length >= 2, `只换了 ${refreshes.length} 次Token`);
+    assert.deepEqual(errors, []);
+    // 收到 40400018 时也会换Token重连，但不会报错，只能从状态看出来
+    assert.ok(!statuses.some(status => /Token已过期/.test(status)), '服务端返回了Token过期');
+    assert.ok(finals.every(final => final.text === '压线'));
+    assert.ok(finals.some(final => final.at < refreshes[0]), '换Token前没有识别结果');
+    assert.ok(finals.some(final => final.at > refreshes[0] && final.at < refreshes[1]), '两次换Token之间没有识别结果');
+    assert.ok(finalAfter(refreshes[1]), '换Token后没有识别结果');
+});
@@ -0,0 +1,266 @@
+// 数据存储测试
+// 运行: node --test tests/
+// Node 没有 IndexedDB，这里只模拟 RecordStore 用到的请求和事务回调，不实现真正的数据库。
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    STORAGE_DB_VERSION,
+    SCHEMA_MIGRATIONS,
+    StorageFullError,
+    RecordStore,
+    reassignLegacyRecordIds,
+    filterRecords
+} = require('../storage.js');
+
+// 存储模块的日志在 Node 20 的测试进程中可能打乱结果汇报，测试时不输出
+function quiet(t) {
+    ['log', 'warn'].forEach(method => t.mock.method(console, method, () => {}));
+}
+
+// 记录 createObjectStore/createIndex 的数据库，用于检查升级步骤
+function createSchemaDb(existing = []) {
+    const stores = new Map(existing.map(name => [name, { keyPath: null, indexes: {} }]));
+    return {
+        stores,
+        createObjectStore(name, { keyPath }) {
+            if (stores.has(name)) throw new Error(`${name} 已存在`);
+            const store = {
+                keyPath,
+                indexes: {},
+                createIndex(indexName, indexKeyPath) {
+                    this.indexes[indexName] = indexKeyPath;
+                }
+            };
+            stores.set(name, store);
+            return store;
+        }
+    };
+}
+
+// indexedDB.open 按 oldVersion 触发 onupgradeneeded 后成功
+function installIndexedDB(t, db, oldVersion) {
+    const opened = [];
+    globalThis.indexedDB = {
+        open(name, version) {
+            opened.push({ name, version });
+            const request = { result: db, transaction: {} };
+            setImmediate(() => {
+                if (oldVersion < version) {
+                    request.onupgradeneeded({ oldVersion, newVersion: version });
+                }
+                request.onsuccess();
+            });
+            return request;
+        }
+    };
+    t.after(() => {
+        delete globalThis.indexedDB;
+    });
+    return opened;
+}
+
+// 事务：work 中的请求立即有结果，随后触发 oncomplete；error 时触发 onabort
+function createTransactionDb({ rows = [], error = null, throwOnTransaction = null } = {}) {
+    const requests = [];
+    const store = (storeName) => ({
+        index: (indexName) => ({
+            getAll(query) {
+                requests.push({ storeName, indexName, query });
+                return { result: rows };
+            }
+        })
+    });
+    return {
+        requests,
+        transaction(storeNames) {
+            if (throwOnTransaction) throw throwOnTransaction;
+            const tx = { error, objectStore: store };
+            setImmediate(() => (error ? tx.onabort() : tx.oncomplete()));
+            return tx;
+        }
+    };
+}
+
+function installKeyRange(t) {
+    globalThis.IDBKeyRange = {
+        bound: (lower, upper) => ({ lower, upper }),
+        lowerBound: (lower) => ({ lower }),
+        upperBound: (upper) => ({ upper })
+    };
+    t.after(() => {
+        delete globalThis.IDBKeyRange;
+    });
+}
+
+function installLocalStorage(t, items) {
+    const data = new Map(Object.entries(items));
+    globalThis.localStorage = {
+        getItem: (key) => (data.has(key) ? data.get(key) : null),
+        removeItem: (key) => data.delete(key)
+    };
+    t.after(() => {
+        delete globalThis.localStorage;
+    });
+    return data;
+}
+
+test('新建数据库按顺序执行全部升级步骤', () => {
+    const db = createSchemaDb();
+    SCHEMA_MIGRATIONS.forEach(migrate => migrate(db));
+
+    assert.equal(STORAGE_DB_VERSION, 3);
+    assert.deepEqual([...db.stores.keys()], ['records', 'sessions', 'meta', 'clips', 'audioQueue']);
+    assert.equal(db.stores.get('records').keyPath, 'id');
+    assert.deepEqual(db.stores.get('records').indexes, { sessionId: 'sessionId', type: 'type', timestamp: 'timestamp' });
+    assert.deepEqual(db.stores.get('sessions').indexes, { startTime: 'startTime' });
+    assert.equal(db.stores.get('clips').keyPath, 'recordId');
+    assert.deepEqual(db.stores.get('clips').indexes, { sessionId: 'sessionId' });
+});
+
+test('从 v1 打开时只执行 v2、v3 的升级，已有的表不重建', async (t) => {
+    quiet(t);
+    const db = createSchemaDb(['records', 'sessions', 'meta']);
+    const opened = installIndexedDB(t, db, 1);
+
+    const store = await new RecordStore('test-db').open();
+    assert.deepEqual(opened, [{ name: 'test-db', version: STORAGE_DB_VERSION }]);
+    assert.deepEqual([...db.stores.keys()], ['records', 'sessions', 'meta', 'clips', 'audioQueue']);
+    assert.equal(store.db, db);
+
+    // 其他标签页升级数据库时关闭连接
+    db.close = () => { db.closed = true; };
+    db.onversionchange();
+    assert.equal(db.closed, true);
+    assert.equal(store.db, null);
+});
+
+test('已是最新版本时不执行升级', async (t) => {
+    quiet(t);
+    const db = createSchemaDb(['records', 'sessions', 'meta', 'clips', 'audioQueue']);
+    installIndexedDB(t, db, STORAGE_DB_VERSION);
+
+    await new RecordStore().open();
+    assert.equal(db.stores.size, 5);
+});
+
+test('旧记录缺少ID、ID不是数字或重复时分配新ID，其余不变', () => {
+    const records = [
+        { id: 1000, type: 'a' },
+        { id: 1000, type: 'b' },
+        { type: 'c' },
+        { id: 'x', type: 'd' },
+        { id: 5000, type: 'e' },
+        { id: NaN, type: 'f' }
+    ];
+
+    assert.equal(reassignLegacyRecordIds(records, 2000), 4);
+    const ids = records.map(record => record.id);
+    assert.deepEqual([ids[0], ids[4]], [1000, 5000]);
+    // 新ID比现有的最大ID和当前时间都大，且互不相同
+    assert.deepEqual(ids.slice(1, 4).concat(ids[5]), [5001, 5002, 5003, 5004]);
+    assert.equal(new Set(ids).size, records.length);
+
+    const clean = [{ id: 1 }, { id: 2 }];
+    assert.equal(reassignLegacyRecordIds(clean, 10), 0);
+    assert.deepEqual(clean, [{ id: 1 }, { id: 2 }]);
+});
+
+test('localStorage 旧数据迁移一次，迁移后删除旧数据', async (t) => {
+    quiet(t);
+    const data = installLocalStorage(t, {
+        roadTestData: JSON.stringify([{ id: 1, timestamp: 't1' }, { id: 1, timestamp: 't2' }, { timestamp: 't3' }]),
+        roadTestSessions: JSON.stringify([{ id: 9 }]),
+        other: 'keep'
+    });
+    const store = new RecordStore();
+    const meta = new Map();
+    const written = { records: [], sessions: [], meta: [] };
+    store.getMeta = async (key) => meta.get(key);
+    store.transaction = async (storeNames, mode, work) => {
+        assert.equal(mode, 'readwrite');
+        const stores = Object.fromEntries(storeNames.map(name => [name, { put: item => written[name].push(item) }]));
+        work(stores);
+        written.meta.forEach(entry => meta.set(entry.key, entry.value));
+    };
+
+    assert.equal(await store.migrateFromLocalStorage(), 4);
+    assert.equal(written.records.length, 3);
+    assert.equal(new Set(written.records.map(record => record.id)).size, 3);
+    assert.equal(written.records[0].id, 1);
+    assert.deepEqual(written.sessions, [{ id: 9 }]);
+    assert.deepEqual([...data.keys()], ['other']);
+
+    // 已迁移过，不再读取
+    data.set('roadTestData', JSON.stringify([{ id: 2 }]));
+    assert.equal(await store.migrateFromLocalStorage(), 0);
+    assert.equal(written.records.length, 3);
+});
+
+test('旧数据损坏时当作没有数据', async (t) => {
+    quiet(t);
+    installLocalStorage(t, { roadTestData: '{broken', roadTestSessions: '{"id":1}' });
+    const store = new RecordStore();
+    assert.deepEqual(store.readLegacyArray('roadTestData'), []);
+    assert.deepEqual(store.readLegacyArray('roadTestSessions'), []);
+    assert.deepEqual(store.readLegacyArray('missing'), []);
+});
+
+test('按类型和时间范围过滤记录并按时间排序', () => {
+    const records = [
+        { id: 3, type: '安全接管', timestamp: '2025-01-01T08:30:00.000Z' },
+        { id: 1, type: '安全接管', timestamp: '2025-01-01T08:10:00.000Z' },
+        { id: 2, type: '体验问题', timestamp: '2025-01-01T08:20:00.000Z' }
+    ];
+    const ids = (options) => filterRecords(records, options).map(record => record.id);
+
+    assert.deepEqual(ids(), [1, 2, 3]);
+    assert.deepEqual(ids({ type: '安全接管' }), [1, 3]);
+    assert.deepEqual(ids({ from: '2025-01-01T08:20:00.000Z' }), [2, 3]);
+    assert.deepEqual(ids({ to: '2025-01-01T08:20:00.000Z' }), [1, 2]);
+    assert.deepEqual(ids({ type: '安全接管', from: '2025-01-01T08:15:00.000Z', to: '2025-01-01T08:30:00.000Z' }), [3]);
+});
+
+test('查询时按条件选择索引，再过滤其余条件', async (t) => {
+    installKeyRange(t);
+    const rows = [
+        { id: 2, sessionId: 1, type: '体验问题', timestamp: '2025-01-01T08:20:00.000Z' },
+        { id: 1, sessionId: 1, type: '安全接管', timestamp: '2025-01-01T08:10:00.000Z' }
+    ];
+    const db = createTransactionDb({ rows });
+    const store = new RecordStore();
+    store.db = db;
+
+    const result = await store.queryRecords({ sessionId: 1, type: '安全接管' });
+    assert.deepEqual(result.map(record => record.id), [1]);
+    await store.queryRecords({ type: '体验问题' });
+    await store.queryRecords({ from: 'a', to: 'b' });
+    await store.queryRecords({ to: 'b' });
+    assert.deepEqual((await store.queryRecords()).map(record => record.id), [1, 2]);
+
+    assert.deepEqual(db.requests, [
+        { storeName: 'records', indexName: 'sessionId', query: 1 },
+        { storeName: 'records', indexName: 'type', query: '体验问题' },
+        { storeName: 'records', indexName: 'timestamp', query: { lower: 'a', upper: 'b' } },
+        { storeName: 'records', indexName: 'timestamp', query: { upper: 'b' } },
+        { storeName: 'records', indexName: 'timestamp', query: undefined }
+    ]);
+});
+
+test('存储空间不足时返回 StorageFullError，其他错误原样返回', async () => {
+    const quota = Object.assign(new Error('quota'), { name: 'QuotaExceededError' });
+    const store = new RecordStore();
+
+    await assert.rejects(store.putRecord({ id: 1 }), /数据库未打开/);
+
+    store.db = createTransactionDb({ error: quota });
+    await assert.rejects(store.getAllRecords(), StorageFullError);
+
+    store.db = createTransactionDb({ throwOnTransaction: quota });
+    await assert.rejects(store.getAllRecords(), (error) => error instanceof StorageFullError && error.message === '存储空间已满');
+
+    const other = new Error('磁盘错误');
+    store.db = createTransactionDb({ error: other });
+    await assert.rejects(store.getAllRecords(), other);
+});
@@ -0,0 +1,194 @@
+// 数据同步测试
+// 运行: node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const { SyncClient, getSyncRetryDelay, isPermanentSyncStatus } = require('../sync-client.js');
+const { createSyncServer } = require('../tools/sync-server.js');
+
+const record = (id, extra = {}) => ({ id, sessionId: 1, timestamp: '2025-03-01T12:00:00.000Z', type: '安全接管', subType: '压线', ...extra });
+const session = (id, extra = {}) => ({ id, name: '城区路测', startTime: '2025-03-01T11:30:00.000Z', endTime: '2025-03-01T12:30:00.000Z', ...extra });
+
+// 记录请求并按顺序返回预设的响应，响应为 Error 时模拟网络失败
+function createFetch(responses) {
+    const requests = [];
+    const fetch = async (url, options) => {
+        requests.push({ url, headers: options.headers, body: JSON.parse(options.body) });
+        const next = responses.length > 1 ? responses.shift() : responses[0];
+        if (next instanceof Error) throw next;
+        return { ok: next.status < 400, status: next.status, json: async () => next.body || {} };
+    };
+    return { fetch, requests };
+}
+
+function createClient(fetch, options = {}) {
+    const synced = [];
+    const failed = [];
+    const client = new SyncClient({
+        endpoint: 'https://sync.example.com/api/',
+        apiKey: 'secret',
+        deviceId: 'device-a',
+        fetch,
+        debounceMs: 0,
+        baseDelayMs: 1,
+        maxDelayMs: 10,
+        onSynced: (items) => synced.push(...items.map(item => `${item.kind}:${item.id}`)),
+        onFailed: (items, error) => failed.push(...items.map(item => `${item.kind}:${item.id}:${error.permanent}`)),
+        ...options
+    });
+    return { client, synced, failed };
+}
+
+test('重试间隔按指数增长并有上限，4xx（408/429除外）不重试', () => {
+    assert.deepEqual([1, 2, 3, 4].map(attempt => getSyncRetryDelay(attempt, 1000, 5000)), [1000, 2000, 4000, 5000]);
+    assert.equal(isPermanentSyncStatus(401), true);
+    assert.equal(isPermanentSyncStatus(400), true);
+    assert.equal(isPermanentSyncStatus(429), false);
+    assert.equal(isPermanentSyncStatus(408), false);
+    assert.equal(isPermanentSyncStatus(503), false);
+});
+
+test('合并发送会话和记录，带上设备ID和密钥，不发送本机的同步状态', async () => {
+    const { fetch, requests } = createFetch([{ status: 200, body: { syncedAt: '2025-03-01T12:31:00.000Z' } }]);
+    const { client, synced } = createClient(fetch);
+
+    client.push({ sessions: [session(1)], records: [record(10, { syncStatus: 'pending' }), record(11)] });
+    client.push({ records: [record(10, { note: '左转时' })] });
+    const count = await client.flush();
+
+    assert.equal(count, 3);
+    assert.equal(requests.length, 1);
+    assert.equal(requests[0].url, 'https://sync.example.com/api/sync');
+    assert.equal(requests[0].headers.Authorization, 'Bearer secret');
+    assert.equal(requests[0].body.deviceId, 'device-a');
+    assert.equal(requests[0].body.sessions.length, 1);
+    // 同一条记录只发送最新内容
+    assert.deepEqual(requests[0].body.records.map(item => [item.id, item.note]), [[10, '左转时'], [11, undefined]]);
+    assert.equal('syncStatus' in requests[0].body.records[0], false);
+    assert.deepEqual(synced.sort(), ['record:10', 'record:11', 'session:1']);
+    assert.equal(client.size, 0);
+});
+
+test('网络失败时保留数据并按退避时间自动重试', async () => {
+    const { fetch, requests } = createFetch([new Error('Failed to fetch'), { status: 503 }, { status: 200 }]);
+    const { client, synced } = createClient(fetch);
+
+    client.push({ records: [record(10)] });
+    await assert.rejects(client.flush(), /网络连接失败/);
+    assert.equal(client.size, 1);
+    assert.equal(client.attempt, 1);
+    assert.ok(client.nextRetryAt);
+
+    // 第二次 503 仍可重试，第三次成功
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.equal(requests.length, 3);
+    assert.deepEqual(synced, ['record:10']);
+    assert.equal(client.size, 0);
+    assert.equal(client.attempt, 0);
+    assert.equal(client.nextRetryAt, null);
+});
+
+test('密钥错误等不可重试的失败和服务器拒绝的数据标记为失败', async () => {
+    const { fetch } = createFetch([
+        { status: 401, body: { error: 'API密钥无效' } },
+        { status: 200, body: { rejected: [{ kind: 'record', id: 21, error: '缺少 sessionId' }] } }
+    ]);
+    const { client, synced, failed } = createClient(fetch);
+
+    client.push({ records: [record(10)] });
+    await client.flush();
+    assert.deepEqual(failed, ['record:10:true']);
+    assert.equal(client.size, 0);
+    assert.equal(client.lastError.status, 401);
+
+    client.push({ records: [record(20), record(21, { sessionId: null })] });
+    await client.flush();
+    assert.deepEqual(synced, ['record:20']);
+    assert.deepEqual(failed, ['record:10:true', 'record:21:true']);
+});
+
+test('发送期间被修改的记录留在队列中再次发送', async () => {
+    let client;
+    const requests = [];
+    const fetch = async (url, options) => {
+        const body = JSON.parse(options.body);
+        requests.push(body);
+        if (requests.length === 1) {
+            client.push({ records: [record(10, { severity: 'high' })] });
+        }
+        return { ok: true, status: 200, json: async () => ({}) };
+    };
+    const created = createClient(fetch, { debounceMs: 60000 });
+    client = created.client;
+
+    client.push({ records: [record(10)] });
+    await client.flush();
+
+    assert.equal(requests.length, 2);
+    assert.equal(requests[1].records[0].severity, 'high');
+    assert.deepEqual(created.synced, ['record:10']);
+    client.stop();
+});
+
+test('未配置服务地址时不发送', async () => {
+    const { fetch, requests } = createFetch([{ status: 200 }]);
+    const { client } = createClient(fetch, { endpoint: '' });
+
+    client.push({ records: [record(10)] });
+    assert.equal(await client.flush(), 0);
+    assert.equal(requests.length, 0);
+    assert.equal(client.size, 1);
+});
+
+test('参考服务保存到文件，重启后仍能按设备和会话查询', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sync-server-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const dataPath = path.join(dir, 'data.json');
+
+    let sync = createSyncServer({ dataPath, apiKey: 'secret', quiet: true });
+    let { port } = await sync.listen(0);
+    const { client, synced, failed } = createClient(undefined, { endpoint: `http://127.0.0.1:${port}/api` });
+
+    client.push({ sessions: [session(1)], records: [record(10), record(11, { timestamp: undefined })] });
+    await client.flush();
+    assert.deepEqual(synced.sort(), ['record:10', 'session:1']);
+    assert.deepEqual(failed, ['record:11:true']);
+
+    // 没有密钥时拒绝访问
+    const unauthorized = await fetch(`http://127.0.0.1:${port}/api/sessions`);
+    assert.equal(unauthorized.status, 401);
+    await sync.close();
+
+    sync = createSyncServer({ dataPath, apiKey: 'secret', quiet: true });
+    ({ port } = await sync.listen(0));
+    t.after(() => sync.close());
+    const headers = { Authorization: 'Bearer secret' };
+
+    const health = await (await fetch(`http://127.0.0.1:${port}/api/health`)).json();
+    assert.deepEqual(health, { ok: true, sessions: 1, records: 1 });
+
+    const { records } = await (await fetch(`http://127.0.0.1:${port}/api/records?sessionId=1`, { headers })).json();
+    assert.equal(records.length, 1);
+    assert.equal(records[0].deviceId, 'device-a');
+    assert.equal(records[0].subType, '压线');
+
+    const invalid = await fetch(`http://127.0.0.1:${port}/api/sync`, { method: 'POST', headers, body: '{"records": []}' });
+    assert.equal(invalid.status, 400);
+});
+
+test('参考服务对过大的请求返回 413 后关闭连接', async (t) => {
+    const sync = createSyncServer({ dataPath: null, maxBodyBytes: 1024, quiet: true });
+    const { port } = await sync.listen(0);
+    t.after(() => sync.close());
+
+    const body = JSON.stringify({ deviceId: 'device-a', records: [record(10, { note: 'x'.repeat(256 * 1024) })] });
+    const response = await fetch(`http://127.0.0.1:${port}/api/sync`, { method: 'POST', body });
+    assert.equal(response.status, 413);
+    assert.equal(response.headers.get('connection'), 'close');
+    assert.deepEqual(await response.json(), { error: '请求数据过大' });
+    assert.equal(sync.store.count('records'), 0);
+});
@@ -0,0 +1,71 @@
+// 撤销/恢复历史测试
+// 运行: node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { UndoHistory } = require('../undo-history.js');
+
+// 用一个数组模拟记录列表
+function addCommand(list, value, history) {
+    list.push(value);
+    return {
+        label: `添加 ${value}`,
+        undo: () => list.splice(list.indexOf(value), 1),
+        redo: () => {
+            list.push(value);
+            // 恢复时产生的操作不应进入历史
+            history.push({ label: '嵌套', undo() {}, redo() {} });
+        }
+    };
+}
+
+test('撤销和恢复按顺序执行', () => {
+    const history = new UndoHistory();
+    const list = [];
+    history.push(addCommand(list, 'a', history));
+    history.push(addCommand(list, 'b', history));
+
+    assert.equal(history.peekUndo().label, '添加 b');
+    assert.equal(history.undo().label, '添加 b');
+    assert.deepEqual(list, ['a']);
+    assert.equal(history.undo().label, '添加 a');
+    assert.deepEqual(list, []);
+    assert.equal(history.undo(), null);
+
+    assert.equal(history.redo().label, '添加 a');
+    assert.deepEqual(list, ['a']);
+    assert.equal(history.canRedo(), true);
+});
+
+test('恢复过程中产生的操作不记录', () => {
+    const history = new UndoHistory();
+    const list = [];
+    history.push(addCommand(list, 'a', history));
+    history.undo();
+    history.redo();
+
+    assert.equal(history.undoStack.length, 1);
+    assert.equal(history.undo().label, '添加 a');
+});
+
+test('新操作清空可恢复的部分', () => {
+    const history = new UndoHistory();
+    const list = [];
+    history.push(addCommand(list, 'a', history));
+    history.undo();
+    history.push(addCommand(list, 'b', history));
+
+    assert.equal(history.canRedo(), false);
+    assert.equal(history.redo(), null);
+});
+
+test('超过上限时丢弃最早的操作', () => {
+    const changes = [];
+    const history = new UndoHistory({ limit: 2, onChange: () => changes.push(history.undoStack.length) });
+    const list = [];
+    ['a', 'b', 'c'].forEach(value => history.push(addCommand(list, value, history)));
+
+    assert.deepEqual(history.undoStack.map(command => command.label), ['添加 b', '添加 c']);
+    assert.deepEqual(changes, [1, 2, 2]);
+});
@@ -0,0 +1,90 @@
+// Excel 导出测试
+// 运行: node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { buildXlsx, uniqueSheetNames, columnName, toExcelDate, crc32 } = require('../xlsx-writer.js');
+
+// 读取只存储不压缩的ZIP，返回 { 文件名: 文本内容 }
+function readZip(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const decoder = new TextDecoder();
+    const endOffset = bytes.length - 22;
+    assert.equal(view.getUint32(endOffset, true), 0x06054b50);
+
+    const files = {};
+    let offset = view.getUint32(endOffset + 16, true);
+    for (let i = 0; i < view.getUint16(endOffset + 10, true); i++) {
+        assert.equal(view.getUint32(offset, true), 0x02014b50);
+        const size = view.getUint32(offset + 20, true);
+        const nameLength = view.getUint16(offset + 28, true);
+        const localOffset = view.getUint32(offset + 42, true);
+        const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+
+        const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true);
+        const data = bytes.subarray(dataStart, dataStart + size);
+        assert.equal(crc32(data), view.getUint32(offset + 16, true), `${name} CRC`);
+        files[name] = decoder.decode(data);
+
+        offset += 46 + nameLength;
+    }
+    return files;
+}
+
+test('crc32 与标准值一致', () => {
+    assert.equal(crc32(new TextEncoder().encode('123456789')), 0xCBF43926);
+});
+
+test('列名按 A…Z、AA… 编号', () => {
+    assert.equal(columnName(0), 'A');
+    assert.equal(columnName(25), 'Z');
+    assert.equal(columnName(26), 'AA');
+    assert.equal(columnName(701), 'ZZ');
+    assert.equal(columnName(702), 'AAA');
+});
+
+test('工作表名去掉非法字符、截断并去重', () => {
+    assert.deepEqual(uniqueSheetNames(['a/b', 'a:b', '', 'x'.repeat(40)]), ['a_b', 'a_b_2', 'Sheet3', 'x'.repeat(31)]);
+});
+
+test('日期转换为 Excel 序列号', () => {
+    const date = new Date(2025, 0, 1, 12, 0, 0);
+    assert.equal(toExcelDate(date), 45658.5);
+});
+
+test('生成的工作簿包含工作表、样式和带类型的单元格', () => {
+    const files = readZip(buildXlsx([
+        {
+            name: '汇总',
+            columns: [{ header: '名称', width: 20 }, { header: '时间' }, { header: '数量' }],
+            rows: [
+                [{ value: '压线, "引号" <x>', style: { fill: '#e53e3e', color: '#fff' } }, new Date(2025, 0, 1), 3]
+            ]
+        },
+        { name: '汇总', columns: [{ header: '空' }], rows: [] }
+    ]));
+
+    assert.deepEqual(Object.keys(files).sort(), [
+        '[Content_Types].xml',
+        '_rels/.rels',
+        'xl/_rels/workbook.xml.rels',
+        'xl/styles.xml',
+        'xl/workbook.xml',
+        'xl/worksheets/sheet1.xml',
+        'xl/worksheets/sheet2.xml'
+    ]);
+    assert.match(files['xl/workbook.xml'], /<sheet name="汇总" sheetId="1"/);
+    assert.match(files['xl/workbook.xml'], /<sheet name="汇总_2" sheetId="2"/);
+
+    const sheet = files['xl/worksheets/sheet1.xml'];
+    assert.match(sheet, /<c r="A2" s="\d+" t="inlineStr"><is><t xml:space="preserve">压线, &quot;引号&quot; &lt;x&gt;<\/t><\/is><\/c>/);
+    assert.match(sheet, /<c r="B2" s="\d+"><v>45658<\/v><\/c>/);
+    assert.match(sheet, /<c r="C2"><v>3<\/v><\/c>/);
+    assert.match(sheet, /<col min="1" max="1" width="20" customWidth="1"\/>/);
+
+    const styles = files['xl/styles.xml'];
+    assert.match(styles, /<fgColor rgb="FFE53E3E"\/>/);
+    assert.match(styles, /<color rgb="FFFFFFFF"\/>/);
+    assert.match(styles, /formatCode="yyyy-mm-dd hh:mm:ss"/);
+});
@@ -0,0 +1,595 @@
+#!/usr/bin/env node
+// 阿里云智能语音交互 (NLS) 实时语音识别的本地模拟服务
+// 实现 SpeechTranscriber 的 WebSocket 协议和 CreateToken 接口，按脚本回放识别结果，
+// 不需要真实的阿里云账号和网络即可调试语音识别流程。只依赖 Node.js 内置模块。
+//
+// 用法:
+//   node tools/mock-nls-server.js [--port 8765] [--script tools/mock-nls-script.json]
+//                                 [--require-token] [--token-ttl 3600]
+//
+// 应用中把阿里云配置的 WebSocket地址 设为 ws://localhost:8765/ws/v1，
+// Token服务地址 设为 http://localhost:8765/ 即可连接到模拟服务。
+
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const BYTES_PER_MS = 16000 * 2 / 1000; // 16kHz 16bit 单声道 PCM
+const DEFAULT_SCRIPT_PATH = path.join(__dirname, 'mock-nls-script.json');
+
+const STATUS = {
+    SUCCESS: 20000000,
+    INVALID_PARAMETER: 40000000,
+    TASK_NOT_STARTED: 40000001,
+    INVALID_TOKEN: 40400018,
+    SERVER_ERROR: 50000000
+};
+
+const OPCODES = {
+    CONTINUATION: 0x0,
+    TEXT: 0x1,
+    BINARY: 0x2,
+    CLOSE: 0x8,
+    PING: 0x9,
+    PONG: 0xA
+};
+
+// 校验并补全识别脚本，未写时间的句子依次排列
+function normalizeScript(raw) {
+    if (!raw || !Array.isArray(raw.sentences) || raw.sentences.length === 0) {
+        throw new Error('识别脚本无效: 至少需要一句 sentences');
+    }
+
+    return {
+        loop: raw.loop !== false,
+        sentences: raw.sentences.map((sentence, index) => {
+            const item = typeof sentence === 'string' ? { text: sentence } : sentence;
+            if (!item || typeof item.text !== 'string' || !item.text) {
+                throw new Error(`识别脚本无效: 第${index + 1}句缺少 text`);
+            }
+            return {
+                text: item.text,
+                gapMs: item.gapMs !== undefined ? item.gapMs : 1000,
+                durationMs: item.durationMs || Math.max(1000, item.text.length * 250)
+            };
+        }),
+        // 按收到的音频时长触发的事件: { atMs, type: 'error' | 'drop' | 'stall', status, statusText }
+        // stall 保持连接但不再返回任何事件，模拟停滞的连接
+        events: (raw.events || []).slice().sort((a, b) => a.atMs - b.atMs),
+        // StartTranscription 直接失败，例如 { status: 40400018 }
+        startError: raw.startError || null
+    };
+}
+
+function loadScript(scriptPath = DEFAULT_SCRIPT_PATH) {
+    return normalizeScript(JSON.parse(fs.readFileSync(scriptPath, 'utf8')));
+}
+
+function generate32HexId() {
+    return crypto.randomBytes(16).toString('hex');
+}
+
+function encodeFrame(opcode, payload) {
+    const length = payload.length;
+    let header;
+    if (length < 126) {
+        header = Buffer.from([0x80 | opcode, length]);
+    } else if (length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(length), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+// 从缓冲区解析一个完整帧，数据不足时返回 null
+function decodeFrame(buffer) {
+    if (buffer.length < 2) return null;
+
+    const fin = (buffer[0] & 0x80) !== 0;
+    const opcode = buffer[0] & 0x0F;
+    const masked = (buffer[1] & 0x80) !== 0;
+    let length = buffer[1] & 0x7F;
+    let offset = 2;
+
+    if (length === 126) {
+        if (buffer.length < 4) return null;
+        length = buffer.readUInt16BE(2);
+        offset = 4;
+    } else if (length === 127) {
+        if (buffer.length < 10) return null;
+        length = Number(buffer.readBigUInt64BE(2));
+        offset = 10;
+    }
+
+    const maskOffset = offset;
+    if (masked) offset += 4;
+    if (buffer.length < offset + length) return null;
+
+    const payload = Buffer.from(buffer.subarray(offset, offset + length));
+    if (masked) {
+        for (let i = 0; i < payload.length; i++) {
+            payload[i] ^= buffer[maskOffset + (i % 4)];
+        }
+    }
+
+    return { fin, opcode, payload, frameLength: offset + length };
+}
+
+// 一个 WebSocket 连接上的识别会话
+class MockNlsConnection {
+    constructor(socket, { script, token, tokenStatus, tokenExpireTime = null, log }) {
+        this.socket = socket;
+        this.script = script;
+        this.token = token;
+        this.tokenStatus = tokenStatus; // 'valid' | 'missing' | 'invalid' | 'expired'
+        this.tokenExpireTime = tokenExpireTime; // Unix秒，未带Token时为 null
+        this.log = log;
+        this.buffer = Buffer.alloc(0);
+        this.fragments = [];
+        this.fragmentOpcode = null;
+        this.closed = false;
+        this.stalled = false;
+        this.resetTask();
+
+        socket.on('data', (data) => this.handleData(data));
+        socket.on('close', () => {
+            this.closed = true;
+        });
+        socket.on('error', (error) => {
+            this.log('⚠️ 连接异常:', error.message);
+        });
+    }
+
+    resetTask() {
+        this.taskId = null;
+        this.appKey = null;
+        this.started = false;
+        this.audioBytes = 0;
+        this.sentenceIndex = 0;
+        this.nextEvent = 0;
+        this.current = null;
+        this.scheduleSentence(0);
+    }
+
+    get audioMs() {
+        return this.audioBytes / BYTES_PER_MS;
+    }
+
+    // 按脚本排好下一句的起止时间（毫秒，相对于本次识别收到的音频）
+    scheduleSentence(cursorMs) {
+        const sentences = this.script.sentences;
+        const position = this.sentenceIndex % sentences.length;
+        if (!this.script.loop && this.sentenceIndex >= sentences.length) {
+            this.current = null;
+            return;
+        }
+
+        const sentence = sentences[position];
+        const beginMs = cursorMs + sentence.gapMs;
+        const parts = Math.min(3, sentence.text.length);
+        this.current = {
+            index: this.sentenceIndex + 1,
+            text: sentence.text,
+            beginMs,
+            endMs: beginMs + sentence.durationMs,
+            // 中间结果在句子进行到 1/parts、2/parts... 时输出
+            partials: Array.from({ length: parts - 1 }, (_, i) => ({
+                atMs: beginMs + sentence.durationMs * (i + 1) / parts,
+                text: sentence.text.slice(0, Math.ceil(sentence.text.length * (i + 1) / parts))
+            })),
+            begun: false
+        };
+    }
+
+    handleData(data) {
+        this.buffer = Buffer.concat([this.buffer, data]);
+
+        let frame;
+        while (!this.closed && (frame = decodeFrame(this.buffer))) {
+            this.buffer = this.buffer.subarray(frame.frameLength);
+            this.handleFrame(frame);
+        }
+    }
+
+    handleFrame({ fin, opcode, payload }) {
+        if (opcode === OPCODES.CLOSE) {
+            const code = payload.length >= 2 ? payload.readUInt16BE(0) : 1005;
+            this.log(`🔌 客户端关闭连接 (${code})`);
+            this.close(code === 1005 ? 1000 : code);
+            return;
+        }
+        if (opcode === OPCODES.PING) {
+            this.sendFrame(OPCODES.PONG, payload);
+            return;
+        }
+        if (opcode === OPCODES.PONG) return;
+
+        // 分片消息先缓存，收到最后一片再处理
+        if (opcode !== OPCODES.CONTINUATION) {
+            this.fragmentOpcode = opcode;
+            this.fragments = [];
+        }
+        this.fragments.push(payload);
+        if (!fin) return;
+
+        const message = Buffer.concat(this.fragments);
+        const messageOpcode = this.fragmentOpcode;
+        this.fragments = [];
+        this.fragmentOpcode = null;
+
+        if (messageOpcode === OPCODES.TEXT) {
+            this.handleCommand(message.toString('utf8'));
+        } else if (messageOpcode === OPCODES.BINARY) {
+            this.handleAudio(message);
+        }
+    }
+
+    handleCommand(text) {
+        let message;
+        try {
+            message = JSON.parse(text);
+        } catch (error) {
+            this.fail(STATUS.INVALID_PARAMETER, 'Gateway:CLIENT_ERROR:Invalid JSON message');
+            return;
+        }
+
+        const header = message.header || {};
+        if (header.namespace !== 'SpeechTranscriber') {
+            this.fail(STATUS.INVALID_PARAMETER, `Gateway:CLIENT_ERROR:Unsupported namespace '${header.namespace}'`);
+            return;
+        }
+
+        if (header.name === 'StartTranscription') {
+            this.handleStart(header, message.payload || {});
+        } else if (header.name === 'StopTranscription') {
+            this.handleStop(header);
+        } else {
+            this.fail(STATUS.INVALID_PARAMETER, `Gateway:CLIENT_ERROR:Unsupported name '${header.name}'`);
+        }
+    }
+
+    handleStart(header, payload) {
+        if (this.started) {
+            this.fail(STATUS.INVALID_PARAMETER, 'Gateway:CLIENT_ERROR:Transcription already started', header.task_id);
+            return;
+        }
+        if (!/^[0-9a-f]{32}$/.test(header.task_id || '') || !/^[0-9a-f]{32}$/.test(header.message_id || '')) {
+            this.fail(STATUS.INVALID_PARAMETER, 'Gateway:CLIENT_ERROR:task_id and message_id must be 32 hex chars', header.task_id);
+            return;
+        }
+        if (!header.appkey) {
+            this.fail(STATUS.INVALID_PARAMETER, 'Gateway:CLIENT_ERROR:Missing appkey', header.task_id);
+            return;
+        }
+        if (this.tokenStatus !== 'valid') {
+            this.fail(STATUS.INVALID_TOKEN, `Gateway:ACCESS_DENIED:The token '${this.token || ''}' is ${this.tokenStatus}!`, header.task_id);
+            return;
+        }
+        if (payload.format && payload.format !== 'pcm') {
+            this.fail(STATUS.INVALID_PARAMETER, `Gateway:CLIENT_ERROR:Unsupported format '${payload.format}'`, header.task_id);
+            return;
+        }
+        if (payload.sample_rate && payload.sample_rate !== 16000) {
+            this.fail(STATUS.INVALID_PARAMETER, `Gateway:CLIENT_ERROR:Unsupported sample_rate '${payload.sample_rate}'`, header.task_id);
+            return;
+        }
+        if (this.script.startError) {
+            const { status, statusText } = this.script.startError;
+            this.fail(status, statusText || 'Gateway:SCRIPTED_ERROR', header.task_id);
+            return;
+        }
+
+        this.resetTask();
+        this.taskId = header.task_id;
+        this.appKey = header.appkey;
+        this.started = true;
+        this.intermediate = payload.enable_intermediate_result !== false;
+        this.log(`✅ 开始识别 task_id=${this.taskId}`);
+        this.sendEvent('TranscriptionStarted', { session_id: generate32HexId() });
+    }
+
+    handleStop(header) {
+        if (!this.started || header.task_id !== this.taskId) {
+            this.fail(STATUS.TASK_NOT_STARTED, 'Gateway:CLIENT_ERROR:Task not started', header.task_id);
+            return;
+        }
+
+        // 正在说的那句按当前收到的音频结束
+        if (this.current && this.current.begun) {
+            this.finishSentence(Math.max(this.current.beginMs, this.audioMs));
+        }
+        this.log(`⏹️ 结束识别 task_id=${this.taskId}，共收到 ${Math.round(this.audioMs)}ms 音频`);
+        this.sendEvent('TranscriptionCompleted', {});
+        this.started = false;
+        this.taskId = null;
+    }
+
+    handleAudio(chunk) {
+        if (!this.started) {
+            this.fail(STATUS.INVALID_PARAMETER, 'Gateway:CLIENT_ERROR:Audio received before TranscriptionStarted');
+            return;
+        }
+
+        // 与真实服务一致：识别过程中Token到期返回 40400018 并关闭连接
+        if (this.tokenExpireTime && Date.now() >= this.tokenExpireTime * 1000) {
+            this.fail(STATUS.INVALID_TOKEN, `Gateway:ACCESS_DENIED:The token '${this.token}' is expired!`, this.taskId);
+            return;
+        }
+
+        if (this.stalled) return;
+
+        this.audioBytes += chunk.length;
+        const nowMs = this.audioMs;
+
+        // 脚本中的异常事件
+        while (this.nextEvent < this.script.events.length && this.script.events[this.nextEvent].atMs <= nowMs) {
+            const event = this.script.events[this.nextEvent++];
+            if (event.type === 'drop') {
+                this.log(`💥 按脚本在 ${event.atMs}ms 断开连接`);
+                this.closed = true;
+                this.socket.destroy();
+                return;
+            }
+            if (event.type === 'stall') {
+                this.log(`🧊 按脚本在 ${event.atMs}ms 停止响应`);
+                this.stalled = true;
+                return;
+            }
+            if (event.type === 'error') {
+                this.fail(event.status || STATUS.SERVER_ERROR, event.statusText || 'Gateway:SCRIPTED_ERROR', this.taskId);
+                return;
+            }
+        }
+
+        // 一次收到的音频可能跨过多句
+        while (this.current && this.current.endMs <= nowMs) {
+            this.emitProgress(this.current.endMs);
+            this.finishSentence(this.current.endMs);
+        }
+        if (this.current) {
+            this.emitProgress(nowMs);
+        }
+    }
+
+    emitProgress(nowMs) {
+        const sentence = this.current;
+        if (!sentence.begun && sentence.beginMs <= nowMs) {
+            sentence.begun = true;
+            this.sendEvent('SentenceBegin', { index: sentence.index, time: Math.round(sentence.beginMs) });
+        }
+        while (sentence.partials.length > 0 && sentence.partials[0].atMs <= nowMs) {
+            const partial = sentence.partials.shift();
+            if (this.intermediate) {
+                this.sendEvent('TranscriptionResultChanged', {
+                    index: sentence.index,
+                    time: Math.round(partial.atMs),
+                    result: partial.text,
+                    words: []
+                });
+            }
+        }
+    }
+
+    finishSentence(endMs) {
+        const sentence = this.current;
+        if (!sentence.begun) {
+            sentence.begun = true;
+            this.sendEvent('SentenceBegin', { index: sentence.index, time: Math.round(sentence.beginMs) });
+        }
+        this.log(`🗣️ 第${sentence.index}句: ${sentence.text}`);
+        this.sendEvent('SentenceEnd', {
+            index: sentence.index,
+            time: Math.round(endMs),
+            begin_time: Math.round(sentence.beginMs),
+            result: sentence.text,
+            confidence: 0.95,
+            words: [],
+            status: 0
+        });
+        this.sentenceIndex++;
+        this.scheduleSentence(endMs);
+    }
+
+    sendEvent(name, payload, status = STATUS.SUCCESS, statusText = 'Gateway:SUCCESS:Success.') {
+        this.sendText(JSON.stringify({
+            header: {
+                namespace: 'SpeechTranscriber',
+                name,
+                status,
+                message_id: generate32HexId(),
+                task_id: this.taskId || '',
+                status_text: statusText
+            },
+            payload
+        }));
+    }
+
+    // 与真实服务一致：TaskFailed 后关闭连接
+    fail(status, statusText, taskId) {
+        this.log(`❌ TaskFailed ${status}: ${statusText}`);
+        if (taskId) this.taskId = taskId;
+        this.sendEvent('TaskFailed', {}, status, statusText);
+        this.started = false;
+        this.close(1000);
+    }
+
+    sendText(text) {
+        this.sendFrame(OPCODES.TEXT, Buffer.from(text, 'utf8'));
+    }
+
+    sendFrame(opcode, payload) {
+        if (this.closed || this.socket.destroyed) return;
+        this.socket.write(encodeFrame(opcode, payload));
+    }
+
+    close(code = 1000) {
+        if (this.closed) return;
+        const payload = Buffer.alloc(2);
+        payload.writeUInt16BE(code, 0);
+        this.sendFrame(OPCODES.CLOSE, payload);
+        this.closed = true;
+        this.socket.end();
+    }
+}
+
+// 创建模拟服务，返回 { server, listen, close, issueToken }
+function createMockNlsServer(options = {}) {
+    const script = options.script ? normalizeScript(options.script) : loadScript(options.scriptPath);
+    const requireToken = !!options.requireToken;
+    const tokenTtl = options.tokenTtl || 3600; // 秒
+    const log = options.quiet ? () => {} : (...args) => console.log('[mock-nls]', ...args);
+    const tokens = new Map(); // token -> 过期时间（Unix秒）
+    const connections = new Set();
+
+    // 与阿里云一致，ExpireTime 为 Unix 时间戳（秒）
+    const issueToken = (ttl = tokenTtl) => {
+        const id = generate32HexId();
+        const expireTime = Math.floor(Date.now() / 1000) + ttl;
+        tokens.set(id, expireTime);
+        return { Id: id, ExpireTime: expireTime, UserId: 'mock-user' };
+    };
+
+    const checkToken = (token) => {
+        if (!token) return requireToken ? 'missing' : 'valid';
+        if (!tokens.has(token)) return 'invalid';
+        return tokens.get(token) * 1000 > Date.now() ? 'valid' : 'expired';
+    };
+
+    // CreateToken 接口，只检查参数不校验签名
+    const server = http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        const headers = {
+            'Content-Type': 'application/json; charset=utf-8',
+            'Access-Control-Allow-Origin': '*'
+        };
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204, { ...headers, 'Access-Control-Allow-Methods': 'GET, POST' });
+            res.end();
+            return;
+        }
+
+        if (url.searchParams.get('Action') !== 'CreateToken') {
+            res.writeHead(404, headers);
+            res.end(JSON.stringify({ Code: 'InvalidAction.NotFound', Message: 'Specified api is not found' }));
+            return;
+        }
+
+        if (!url.searchParams.get('AccessKeyId') || !url.searchParams.get('Signature')) {
+            res.writeHead(400, headers);
+            res.end(JSON.stringify({ Code: 'MissingParameter', Message: 'AccessKeyId and Signature are required', RequestId: generate32HexId() }));
+            return;
+        }
+
+        const token = issueToken();
+        log(`🔑 签发Token ${token.Id.substring(0, 8)}...，${tokenTtl}秒后过期`);
+        res.writeHead(200, headers);
+        res.end(JSON.stringify({ RequestId: generate32HexId(), Token: token }));
+    });
+
+    server.on('upgrade', (req, socket) => {
+        const url = new URL(req.url, 'http://localhost');
+        const key = req.headers['sec-websocket-key'];
+
+        if (url.pathname !== '/ws/v1' || !key) {
+            socket.end('HTTP/1.1 404 Not Found\r\n\r\n');
+            return;
+        }
+
+        const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+        socket.write([
+            'HTTP/1.1 101 Switching Protocols',
+            'Upgrade: websocket',
+            'Connection: Upgrade',
+            `Sec-WebSocket-Accept: ${accept}`,
+            '', ''
+        ].join('\r\n'));
+
+        const token = url.searchParams.get('token') || req.headers['x-nls-token'] || '';
+        const connection = new MockNlsConnection(socket, {
+            script,
+            token,
+            tokenStatus: checkToken(token),
+            tokenExpireTime: tokens.get(token) || null,
+            log
+        });
+        connections.add(connection);
+        socket.on('close', () => connections.delete(connection));
+        log(`🔗 新连接 appkey=${url.searchParams.get('appkey') || ''} token=${connection.tokenStatus}`);
+    });
+
+    return {
+        server,
+        issueToken,
+        connections,
+        listen(port = 8765, host = '127.0.0.1') {
+            return new Promise((resolve) => {
+                server.listen(port, host, () => resolve(server.address()));
+            });
+        },
+        close() {
+            connections.forEach(connection => connection.socket.destroy());
+            return new Promise((resolve) => server.close(() => resolve()));
+        }
+    };
+}
+
+function parseArgs(argv) {
+    const args = { port: 8765, scriptPath: DEFAULT_SCRIPT_PATH, requireToken: false, tokenTtl: 3600 };
+    for (let i = 0; i < argv.length; i++) {
+        switch (argv[i]) {
+            case '--port':
+                args.port = Number(argv[++i]);
+                break;
+            case '--script':
+                args.scriptPath = path.resolve(argv[++i]);
+                break;
+            case '--require-token':
+                args.requireToken = true;
+                break;
+            case '--token-ttl':
+                args.tokenTtl = Number(argv[++i]);
+                break;
+            default:
+                throw new Error(`未知参数: ${argv[i]}`);
+        }
+    }
+    return args;
+}
+
+if (require.main === module) {
+    let args;
+    try {
+        args = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
+
+    const mock = createMockNlsServer(args);
+    mock.listen(args.port).then(({ port }) => {
+        console.log(`🎙️ 模拟阿里云实时语音识别服务已启动`);
+        console.log(`   WebSocket地址: ws://localhost:${port}/ws/v1`);
+        console.log(`   Token服务地址: http://localhost:${port}/`);
+        console.log(`   识别脚本: ${args.scriptPath}`);
+    });
+}
+
+module.exports = {
+    createMockNlsServer,
+    normalizeScript,
+    loadScript,
+    encodeFrame,
+    decodeFrame,
+    OPCODES,
+    STATUS
+};
@@ -0,0 +1,260 @@
+#!/usr/bin/env node
+// 数据同步服务的参考实现
+// 接收应用推送的测试会话和问题记录，保存在一个 JSON 文件中，可以在本机或内网运行，
+// 用于调试同步功能或作为自建服务的起点。只依赖 Node.js 内置模块。
+//
+// 用法:
+//   node tools/sync-server.js [--port 8787] [--host 127.0.0.1] [--data sync-data.json] [--api-key <密钥>]
+//
+// 应用中点击"☁️ 同步"，服务地址填 http://localhost:8787/api，设置了 --api-key 时同时填写API密钥。
+//
+// 接口:
+//   POST /api/sync                 { deviceId, sessions: [...], records: [...] }，按 设备+ID 新增或覆盖
+//   GET  /api/sessions[?deviceId=] 会话列表
+//   GET  /api/records[?deviceId=&sessionId=]
+//   GET  /api/health
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_DATA_PATH = path.resolve('sync-data.json');
+const MAX_BODY_BYTES = 10 * 1024 * 1024; // 轨迹点较多的会话也能一次上传
+
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+// 数据按 `${deviceId}:${id}` 保存，不同设备的ID互不冲突
+class JsonFileStore {
+    constructor(dataPath) {
+        this.dataPath = dataPath;
+        this.data = { sessions: {}, records: {} };
+        if (dataPath && fs.existsSync(dataPath)) {
+            const saved = JSON.parse(fs.readFileSync(dataPath, 'utf8'));
+            this.data = { sessions: saved.sessions || {}, records: saved.records || {} };
+        }
+    }
+
+    upsert(kind, deviceId, item, receivedAt) {
+        this.data[kind][`${deviceId}:${item.id}`] = { ...item, deviceId, receivedAt };
+    }
+
+    list(kind, filter = {}) {
+        return Object.values(this.data[kind]).filter(item =>
+            Object.entries(filter).every(([key, value]) => value === undefined || String(item[key]) === String(value))
+        );
+    }
+
+    count(kind) {
+        return Object.keys(this.data[kind]).length;
+    }
+
+    // 先写临时文件再改名，进程中途退出也不会留下写了一半的文件
+    save() {
+        if (!this.dataPath) return;
+        const tempPath = `${this.dataPath}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(this.data));
+        fs.renameSync(tempPath, this.dataPath);
+    }
+}
+
+const hasId = (item) => (typeof item.id === 'number' && Number.isFinite(item.id)) || (typeof item.id === 'string' && item.id !== '');
+
+// 返回不合格的原因，合格时返回 null
+function validateSyncItem(kind, item) {
+    if (!item || typeof item !== 'object' || Array.isArray(item)) return '数据格式错误';
+    if (!hasId(item)) return '缺少 id';
+    if (kind === 'records' && (item.sessionId === undefined || item.sessionId === null)) return '缺少 sessionId';
+    if (kind === 'records' && !item.timestamp) return '缺少 timestamp';
+    if (kind === 'sessions' && !item.startTime) return '缺少 startTime';
+    return null;
+}
+
+// 超出 maxBytes 时停止读取并返回 413，连接在响应发出后关闭（见 createSyncServer）
+function readJsonBody(req, maxBytes = MAX_BODY_BYTES) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        const onData = (chunk) => {
+            size += chunk.length;
+            if (size > maxBytes) {
+                req.off('data', onData);
+                req.pause();
+                chunks.length = 0;
+                reject(new HttpError(413, '请求数据过大'));
+                return;
+            }
+            chunks.push(chunk);
+        };
+        req.on('data', onData);
+        req.on('end', () => {
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}'));
+            } catch (error) {
+                reject(new HttpError(400, '请求数据不是有效的JSON'));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+// 创建同步服务，返回 { server, store, listen, close }
+function createSyncServer(options = {}) {
+    const store = new JsonFileStore(options.dataPath === undefined ? DEFAULT_DATA_PATH : options.dataPath);
+    const apiKey = options.apiKey || '';
+    const maxBodyBytes = options.maxBodyBytes || MAX_BODY_BYTES;
+    const log = options.quiet ? () => {} : (...args) => console.log('[sync-server]', ...args);
+
+    const handleSync = async (req) => {
+        const body = await readJsonBody(req, maxBodyBytes);
+        if (!body || typeof body.deviceId !== 'string' || !body.deviceId) {
+            throw new HttpError(400, '缺少 deviceId');
+        }
+        const sessions = body.sessions || [];
+        const records = body.records || [];
+        if (!Array.isArray(sessions) || !Array.isArray(records)) {
+            throw new HttpError(400, 'sessions 和 records 必须是数组');
+        }
+
+        const syncedAt = new Date().toISOString();
+        const rejected = [];
+        [['sessions', 'session', sessions], ['records', 'record', records]].forEach(([kind, itemKind, items]) => {
+            items.forEach(item => {
+                const error = validateSyncItem(kind, item);
+                if (error) {
+                    rejected.push({ kind: itemKind, id: item && item.id, error });
+                } else {
+                    store.upsert(kind, body.deviceId, item, syncedAt);
+                }
+            });
+        });
+        store.save();
+
+        const accepted = { sessions: sessions.length, records: records.length };
+        rejected.forEach(item => accepted[`${item.kind}s`]--);
+        log(`📥 ${body.deviceId}: 会话 ${accepted.sessions} 个，记录 ${accepted.records} 条${rejected.length ? `，拒绝 ${rejected.length} 条` : ''}`);
+        return { syncedAt, accepted, rejected };
+    };
+
+    const route = async (req, url) => {
+        const query = Object.fromEntries(url.searchParams);
+        if (req.method === 'GET' && url.pathname === '/api/health') {
+            return { ok: true, sessions: store.count('sessions'), records: store.count('records') };
+        }
+
+        if (apiKey && req.headers.authorization !== `Bearer ${apiKey}`) {
+            throw new HttpError(401, 'API密钥无效');
+        }
+
+        if (req.method === 'POST' && url.pathname === '/api/sync') {
+            return handleSync(req);
+        }
+        if (req.method === 'GET' && url.pathname === '/api/sessions') {
+            return { sessions: store.list('sessions', { deviceId: query.deviceId }) };
+        }
+        if (req.method === 'GET' && url.pathname === '/api/records') {
+            return { records: store.list('records', { deviceId: query.deviceId, sessionId: query.sessionId }) };
+        }
+        throw new HttpError(404, '接口不存在');
+    };
+
+    // 应用通常和同步服务不在同一个域名下，需要允许跨域
+    const server = http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        const headers = {
+            'Content-Type': 'application/json; charset=utf-8',
+            'Access-Control-Allow-Origin': '*'
+        };
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204, {
+                ...headers,
+                'Access-Control-Allow-Methods': 'GET, POST',
+                'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+            });
+            res.end();
+            return;
+        }
+
+        route(req, url)
+            .then(result => {
+                res.writeHead(200, headers);
+                res.end(JSON.stringify(result));
+            })
+            .catch(error => {
+                const status = error instanceof HttpError ? error.status : 500;
+                if (status === 500) log('❌ 处理请求失败:', error);
+                // 请求数据没有读完，不能继续复用这个连接
+                if (status === 413) headers.Connection = 'close';
+                res.writeHead(status, headers);
+                res.end(JSON.stringify({ error: status === 500 ? '服务器内部错误' : error.message }), () => {
+                    if (status === 413) req.destroy();
+                });
+            });
+    });
+
+    return {
+        server,
+        store,
+        listen(port = 8787, host = '127.0.0.1') {
+            return new Promise((resolve) => {
+                server.listen(port, host, () => resolve(server.address()));
+            });
+        },
+        close() {
+            return new Promise((resolve) => server.close(() => resolve()));
+        }
+    };
+}
+
+function parseArgs(argv) {
+    const args = { port: 8787, host: '127.0.0.1', dataPath: DEFAULT_DATA_PATH, apiKey: '' };
+    for (let i = 0; i < argv.length; i++) {
+        switch (argv[i]) {
+            case '--port':
+                args.port = Number(argv[++i]);
+                break;
+            case '--host':
+                args.host = argv[++i];
+                break;
+            case '--data':
+                args.dataPath = path.resolve(argv[++i]);
+                break;
+            case '--api-key':
+                args.apiKey = argv[++i];
+                break;
+            default:
+                throw new Error(`未知参数: ${argv[i]}`);
+        }
+    }
+    return args;
+}
+
+if (require.main === module) {
+    let args;
+    let sync;
+    try {
+        args = parseArgs(process.argv.slice(2));
+        sync = createSyncServer(args);
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
+
+    sync.listen(args.port, args.host).then(({ port }) => {
+        console.log(`☁️ 数据同步服务已启动`);
+        console.log(`   服务地址: http://${args.host === '0.0.0.0' ? 'localhost' : args.host}:${port}/api`);
+        console.log(`   数据文件: ${args.dataPath}`);
+        console.log(`   API密钥: ${args.apiKey ? '已设置' : '未设置（不校验）'}`);
+    });
+}
+
+module.exports = {
+    createSyncServer,
+    validateSyncItem,
+    JsonFileStore
+};
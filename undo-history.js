@@ -0,0 +1,78 @@
+// 撤销/恢复历史
+// 每个操作是 { label, undo(), redo() }，执行后 push 进来；撤销的操作可以恢复，有新操作时清空可恢复的部分。
+// 不依赖DOM，浏览器和Node (测试) 中都可以使用。
+
+class UndoHistory {
+    constructor({ limit = 50, onChange } = {}) {
+        this.limit = limit;
+        this.onChange = onChange || (() => {});
+        this.undoStack = [];
+        this.redoStack = [];
+        this.applying = false;
+    }
+
+    // 撤销/恢复过程中产生的操作是历史本身的一部分，不再记录
+    push(command) {
+        if (this.applying) return;
+
+        this.undoStack.push(command);
+        if (this.undoStack.length > this.limit) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+        this.onChange();
+    }
+
+    // 下一次撤销的操作
+    peekUndo() {
+        return this.undoStack[this.undoStack.length - 1] || null;
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    // 返回被撤销的操作，没有可撤销的操作时返回 null
+    undo() {
+        const command = this.undoStack.pop();
+        if (!command) return null;
+
+        this.apply(() => command.undo());
+        this.redoStack.push(command);
+        this.onChange();
+        return command;
+    }
+
+    redo() {
+        const command = this.redoStack.pop();
+        if (!command) return null;
+
+        this.apply(() => command.redo());
+        this.undoStack.push(command);
+        this.onChange();
+        return command;
+    }
+
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.onChange();
+    }
+
+    apply(action) {
+        this.applying = true;
+        try {
+            action();
+        } finally {
+            this.applying = false;
+        }
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { UndoHistory };
+}
@@ -0,0 +1,313 @@
+// Excel (.xlsx) 文件生成
+// 在浏览器中直接生成 Office Open XML 工作簿：ZIP（不压缩）+ 工作表XML，不依赖第三方库。
+// 不依赖DOM，浏览器和Node (测试) 中都可以使用。
+//
+// sheets: [{ name, columns: [{ header, width, style }], rows: [[cell, ...]] }]
+// cell: 字符串 / 数字 / Date / null，或 { value, style }
+// style: { bold, fill: '#rrggbb', color: '#rrggbb' }，Date 自动使用日期时间格式
+
+const XLSX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+const XLSX_DATE_FORMAT_ID = 164;
+const XLSX_INVALID_SHEET_NAME = /[\\/?*[\]:]/g;
+
+function buildXlsx(sheets) {
+    const styles = new XlsxStyleRegistry();
+    const sheetNames = uniqueSheetNames(sheets.map(sheet => sheet.name));
+    const encoder = new TextEncoder();
+
+    const files = [
+        ['[Content_Types].xml', contentTypesXml(sheets.length)],
+        ['_rels/.rels', rootRelsXml()],
+        ['xl/workbook.xml', workbookXml(sheetNames)],
+        ['xl/_rels/workbook.xml.rels', workbookRelsXml(sheets.length)]
+    ];
+    sheets.forEach((sheet, index) => {
+        files.push([`xl/worksheets/sheet${index + 1}.xml`, worksheetXml(sheet, styles)]);
+    });
+    // 样式在生成工作表时收集，最后写入
+    files.push(['xl/styles.xml', styles.toXml()]);
+
+    return createZip(files.map(([name, xml]) => ({ name, data: encoder.encode(xml) })));
+}
+
+// Excel 工作表名最长31个字符，不能包含 \ / ? * [ ] :，且不能重名
+function uniqueSheetNames(names) {
+    const used = new Set();
+    return names.map((name, index) => {
+        const base = (String(name || '').replace(XLSX_INVALID_SHEET_NAME, '_').trim() || `Sheet${index + 1}`).slice(0, 31);
+        let candidate = base;
+        for (let suffix = 2; used.has(candidate.toLowerCase()); suffix++) {
+            candidate = `${base.slice(0, 31 - String(suffix).length - 1)}_${suffix}`;
+        }
+        used.add(candidate.toLowerCase());
+        return candidate;
+    });
+}
+
+class XlsxStyleRegistry {
+    constructor() {
+        // 0 号为默认样式
+        this.styles = [];
+        this.keys = new Map();
+        this.indexOf({});
+    }
+
+    // 返回样式在 cellXfs 中的序号
+    indexOf(style) {
+        const normalized = {
+            bold: !!style.bold,
+            fill: style.fill ? normalizeColor(style.fill) : null,
+            color: style.color ? normalizeColor(style.color) : null,
+            date: !!style.date
+        };
+        const key = JSON.stringify(normalized);
+        if (!this.keys.has(key)) {
+            this.keys.set(key, this.styles.length);
+            this.styles.push(normalized);
+        }
+        return this.keys.get(key);
+    }
+
+    toXml() {
+        const fonts = ['<font><sz val="11"/><name val="Calibri"/></font>'];
+        const fills = ['<fill><patternFill patternType="none"/></fill>', '<fill><patternFill patternType="gray125"/></fill>'];
+        const xfs = ['<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>'];
+
+        this.styles.slice(1).forEach(style => {
+            let fontId = 0;
+            if (style.bold || style.color) {
+                fontId = fonts.length;
+                fonts.push(`<font>${style.bold ? '<b/>' : ''}<sz val="11"/>${style.color ? `<color rgb="FF${style.color}"/>` : ''}<name val="Calibri"/></font>`);
+            }
+            let fillId = 0;
+            if (style.fill) {
+                fillId = fills.length;
+                fills.push(`<fill><patternFill patternType="solid"><fgColor rgb="FF${style.fill}"/><bgColor indexed="64"/></patternFill></fill>`);
+            }
+            const numFmtId = style.date ? XLSX_DATE_FORMAT_ID : 0;
+            xfs.push(`<xf numFmtId="${numFmtId}" fontId="${fontId}" fillId="${fillId}" borderId="0" xfId="0"` +
+                `${numFmtId ? ' applyNumberFormat="1"' : ''}${fontId ? ' applyFont="1"' : ''}${fillId ? ' applyFill="1"' : ''}/>`);
+        });
+
+        return xmlHeader() +
+            '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+            `<numFmts count="1"><numFmt numFmtId="${XLSX_DATE_FORMAT_ID}" formatCode="yyyy-mm-dd hh:mm:ss"/></numFmts>` +
+            `<fonts count="${fonts.length}">${fonts.join('')}</fonts>` +
+            `<fills count="${fills.length}">${fills.join('')}</fills>` +
+            '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+            '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+            `<cellXfs count="${xfs.length}">${xfs.join('')}</cellXfs>` +
+            '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+            '</styleSheet>';
+    }
+}
+
+function normalizeColor(color) {
+    const hex = String(color).replace('#', '').toUpperCase();
+    return hex.length === 3 ? hex.split('').map(c => c + c).join('') : hex.slice(0, 6);
+}
+
+function worksheetXml(sheet, styles) {
+    const columns = sheet.columns || [];
+    const headerRow = columns.map(column => ({ value: column.header, style: { bold: true, ...column.style } }));
+    const rows = [headerRow, ...(sheet.rows || [])];
+
+    const rowsXml = rows.map((row, rowIndex) => {
+        const cells = row.map((cell, columnIndex) => cellXml(cell, `${columnName(columnIndex)}${rowIndex + 1}`, styles)).join('');
+        return `<row r="${rowIndex + 1}">${cells}</row>`;
+    }).join('');
+
+    const colsXml = columns.some(column => column.width)
+        ? `<cols>${columns.map((column, index) => `<col min="${index + 1}" max="${index + 1}" width="${column.width || 10}" customWidth="1"/>`).join('')}</cols>`
+        : '';
+
+    return xmlHeader() +
+        '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+        // 冻结表头
+        '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+        colsXml +
+        `<sheetData>${rowsXml}</sheetData>` +
+        '</worksheet>';
+}
+
+function cellXml(cell, ref, styles) {
+    const isWrapped = cell !== null && typeof cell === 'object' && !(cell instanceof Date);
+    const value = isWrapped ? cell.value : cell;
+    const style = { ...(isWrapped ? cell.style : null) };
+
+    if (value instanceof Date) {
+        if (isNaN(value.getTime())) return '';
+        style.date = true;
+    }
+    const styleIndex = styles.indexOf(style);
+    const styleAttr = styleIndex ? ` s="${styleIndex}"` : '';
+
+    if (value === null || value === undefined || value === '') {
+        return styleIndex ? `<c r="${ref}"${styleAttr}/>` : '';
+    }
+    if (value instanceof Date) {
+        return `<c r="${ref}"${styleAttr}><v>${toExcelDate(value)}</v></c>`;
+    }
+    if (typeof value === 'number' && isFinite(value)) {
+        return `<c r="${ref}"${styleAttr}><v>${value}</v></c>`;
+    }
+    return `<c r="${ref}"${styleAttr} t="inlineStr"><is><t xml:space="preserve">${escapeXml(String(value))}</t></is></c>`;
+}
+
+// 0 → A，25 → Z，26 → AA
+function columnName(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+    }
+    return name;
+}
+
+// Excel 日期是从 1899-12-30 起的天数，按本地时间显示
+function toExcelDate(date) {
+    const localMs = date.getTime() - date.getTimezoneOffset() * 60000;
+    return localMs / 86400000 + 25569;
+}
+
+// 去掉XML 1.0 不允许的控制字符并转义
+function escapeXml(text) {
+    return text
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function xmlHeader() {
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+}
+
+function contentTypesXml(sheetCount) {
+    const sheets = Array.from({ length: sheetCount }, (_, index) =>
+        `<Override PartName="/xl/worksheets/sheet${index + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`
+    ).join('');
+    return xmlHeader() +
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+        sheets +
+        '</Types>';
+}
+
+function rootRelsXml() {
+    return xmlHeader() +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+        '</Relationships>';
+}
+
+function workbookXml(sheetNames) {
+    const sheets = sheetNames.map((name, index) =>
+        `<sheet name="${escapeXml(name)}" sheetId="${index + 1}" r:id="rId${index + 1}"/>`
+    ).join('');
+    return xmlHeader() +
+        '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+        `<sheets>${sheets}</sheets>` +
+        '</workbook>';
+}
+
+function workbookRelsXml(sheetCount) {
+    const sheets = Array.from({ length: sheetCount }, (_, index) =>
+        `<Relationship Id="rId${index + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${index + 1}.xml"/>`
+    ).join('');
+    return xmlHeader() +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        sheets +
+        `<Relationship Id="rId${sheetCount + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>` +
+        '</Relationships>';
+}
+
+// ZIP 打包（只存储不压缩），files: [{ name, data: Uint8Array }]
+function createZip(files) {
+    const encoder = new TextEncoder();
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    files.forEach(file => {
+        const name = encoder.encode(file.name);
+        const crc = crc32(file.data);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true);
+        local.setUint16(4, 20, true);
+        local.setUint16(6, 0x0800, true); // 文件名为UTF-8
+        local.setUint32(14, crc, true);
+        local.setUint32(18, file.data.length, true);
+        local.setUint32(22, file.data.length, true);
+        local.setUint16(26, name.length, true);
+        localParts.push(new Uint8Array(local.buffer), name, file.data);
+
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014b50, true);
+        central.setUint16(4, 20, true);
+        central.setUint16(6, 20, true);
+        central.setUint16(8, 0x0800, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, file.data.length, true);
+        central.setUint32(24, file.data.length, true);
+        central.setUint16(28, name.length, true);
+        central.setUint32(42, offset, true);
+        centralParts.push(new Uint8Array(central.buffer), name);
+
+        offset += 30 + name.length + file.data.length;
+    });
+
+    const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+    const output = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let position = 0;
+    parts.forEach(part => {
+        output.set(part, position);
+        position += part.length;
+    });
+    return output;
+}
+
+let crc32Table = null;
+
+function crc32(data) {
+    if (!crc32Table) {
+        crc32Table = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crc32Table[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < data.length; i++) {
+        crc = crc32Table[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        XLSX_MIME_TYPE,
+        buildXlsx,
+        uniqueSheetNames,
+        columnName,
+        toExcelDate,
+        createZip,
+        crc32
+    };
+}